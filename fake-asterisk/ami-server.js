@@ -0,0 +1,181 @@
+/**
+ * Fake AMI Server
+ *
+ * Speaks the Asterisk Manager Interface over TCP: greeting line,
+ * `Key: Value` messages ended by a blank line, Login with username and
+ * secret, responses carrying the ActionID and events sent to every
+ * logged-in session. What an action does is up to the action handler
+ * (see ./index.js); this module only handles the protocol.
+ */
+
+import net from 'net';
+import { EventEmitter } from 'events';
+import { fakePbxLogger } from '../src/utils/logger.js';
+
+const GREETING = 'Asterisk Call Manager/9.0.0';
+
+export class FakeAmiServer extends EventEmitter {
+    /**
+     * @param options.username, options.password - accepted credentials
+     * @param options.handleAction - (action, session) => response fields
+     * (may also return { response, events }); throwing sends an error
+     */
+    constructor({ username, password, handleAction }) {
+        super();
+
+        this.username = username;
+        this.password = password;
+        this.handleAction = handleAction;
+
+        this.server = null;
+        this.sessions = new Set();
+    }
+
+    /**
+     * Listen on a port (0: any free port); resolves with the port
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer((socket) => this.accept(socket));
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and drop every session
+     */
+    close() {
+        this.dropConnections();
+
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Drop every session without warning (as a crashed Asterisk would)
+     */
+    dropConnections() {
+        for (const session of this.sessions) {
+            session.socket.destroy();
+        }
+        this.sessions.clear();
+    }
+
+    accept(socket) {
+        const session = { socket, authenticated: false, events: true, buffer: '' };
+        this.sessions.add(session);
+
+        socket.setEncoding('utf-8');
+        socket.write(`${GREETING}\r\n`);
+
+        socket.on('data', (data) => {
+            session.buffer += data;
+            let end;
+            while ((end = session.buffer.search(/\r?\n\r?\n/)) !== -1) {
+                const message = session.buffer.slice(0, end);
+                session.buffer = session.buffer.slice(end).replace(/^\r?\n\r?\n/, '');
+                if (message.trim()) {
+                    this.receive(session, parseMessage(message));
+                }
+            }
+        });
+        socket.on('close', () => this.sessions.delete(session));
+        socket.on('error', () => this.sessions.delete(session));
+    }
+
+    async receive(session, action) {
+        const name = String(action.action || '').toLowerCase();
+        const actionId = action.actionid;
+
+        if (name === 'login') {
+            if (action.username === this.username && action.secret === this.password) {
+                session.authenticated = true;
+                session.events = String(action.events ?? action.event ?? 'on').toLowerCase() !== 'off';
+                this.write(session, { Response: 'Success', ActionID: actionId, Message: 'Authentication accepted' });
+            } else {
+                fakePbxLogger.warn('AMI login rejected', { username: action.username });
+                this.write(session, { Response: 'Error', ActionID: actionId, Message: 'Authentication failed' });
+            }
+            return;
+        }
+
+        if (!session.authenticated) {
+            this.write(session, { Response: 'Error', ActionID: actionId, Message: 'Authentication Required' });
+            return;
+        }
+
+        if (name === 'logoff') {
+            this.write(session, { Response: 'Goodbye', ActionID: actionId, Message: 'Thanks for all the fish.' });
+            session.socket.end();
+            return;
+        }
+
+        this.emit('action', action);
+
+        try {
+            const result = await this.handleAction(action, session) || {};
+            const { response, events } = result.events ? result : { response: result, events: [] };
+
+            this.write(session, { Response: 'Success', ActionID: actionId, ...response });
+            for (const event of events) {
+                this.write(session, { ...event, ActionID: actionId });
+            }
+        } catch (error) {
+            this.write(session, { Response: 'Error', ActionID: actionId, Message: error.message });
+        }
+    }
+
+    /**
+     * Send an event to every logged-in session that wants events
+     */
+    sendEvent(name, fields = {}) {
+        for (const session of this.sessions) {
+            if (session.authenticated && session.events) {
+                this.write(session, { Event: name, ...fields });
+            }
+        }
+    }
+
+    write(session, fields) {
+        if (session.socket.destroyed) return;
+
+        const lines = Object.entries(fields)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}: ${value}`);
+        session.socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    }
+}
+
+/**
+ * Fields of an AMI message, keys lowercased (repeated keys: last wins,
+ * Variable lines collected into an object)
+ */
+function parseMessage(message) {
+    const fields = {};
+
+    for (const line of message.split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'variable') {
+            const [name, ...rest] = value.split('=');
+            fields.variable = { ...fields.variable, [name]: rest.join('=') };
+        } else {
+            fields[key] = value;
+        }
+    }
+
+    return fields;
+}
+
+export default FakeAmiServer;
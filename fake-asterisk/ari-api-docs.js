@@ -0,0 +1,258 @@
+/**
+ * Fake ARI API Docs
+ *
+ * The Swagger 1.2 declarations ari-client loads on connect
+ * (/ari/api-docs/resources.json and one document per resource). Only the
+ * operations and events the gateway uses are declared; ari-client builds
+ * its resource methods and the objects passed to event listeners from
+ * them, so operation nicknames, parameter names and the event models'
+ * resource-typed properties follow the real Asterisk 18+ documents.
+ */
+
+const API_VERSION = '8.0.0';
+
+const path = (name) => ({ name, paramType: 'path', dataType: 'string', required: true });
+const query = (name, dataType = 'string') => ({ name, paramType: 'query', dataType, required: false });
+const body = (name) => ({ name, paramType: 'body', dataType: 'containers', required: false });
+
+const operation = (nickname, httpMethod, type, parameters = []) => ({ nickname, httpMethod, type, parameters });
+
+const RESOURCES = {
+    channels: [
+        {
+            path: '/channels',
+            operations: [
+                operation('list', 'GET', 'List[Channel]'),
+                operation('originate', 'POST', 'Channel', [
+                    query('endpoint'), query('extension'), query('context'), query('priority', 'long'),
+                    query('label'), query('app'), query('appArgs'), query('callerId'),
+                    query('timeout', 'int'), query('channelId'), query('otherChannelId'),
+                    query('originator'), query('formats'), body('variables')
+                ])
+            ]
+        },
+        {
+            path: '/channels/externalMedia',
+            operations: [
+                operation('externalMedia', 'POST', 'Channel', [
+                    query('channelId'), query('app'), query('external_host'), query('encapsulation'),
+                    query('transport'), query('connection_type'), query('format'), query('direction'),
+                    query('data'), body('variables')
+                ])
+            ]
+        },
+        {
+            path: '/channels/{channelId}',
+            operations: [
+                operation('get', 'GET', 'Channel', [path('channelId')]),
+                operation('hangup', 'DELETE', 'void', [path('channelId'), query('reason_code'), query('reason')])
+            ]
+        },
+        {
+            path: '/channels/{channelId}/continue',
+            operations: [
+                operation('continueInDialplan', 'POST', 'void', [
+                    path('channelId'), query('context'), query('extension'), query('priority', 'int'), query('label')
+                ])
+            ]
+        },
+        {
+            path: '/channels/{channelId}/answer',
+            operations: [operation('answer', 'POST', 'void', [path('channelId')])]
+        },
+        {
+            path: '/channels/{channelId}/ring',
+            operations: [
+                operation('ring', 'POST', 'void', [path('channelId')]),
+                operation('ringStop', 'DELETE', 'void', [path('channelId')])
+            ]
+        },
+        {
+            path: '/channels/{channelId}/dtmf',
+            operations: [
+                operation('sendDTMF', 'POST', 'void', [
+                    path('channelId'), query('dtmf'), query('before', 'int'), query('between', 'int'),
+                    query('duration', 'int'), query('after', 'int')
+                ])
+            ]
+        },
+        {
+            path: '/channels/{channelId}/moh',
+            operations: [
+                operation('startMoh', 'POST', 'void', [path('channelId'), query('mohClass')]),
+                operation('stopMoh', 'DELETE', 'void', [path('channelId')])
+            ]
+        },
+        {
+            path: '/channels/{channelId}/play',
+            operations: [
+                operation('play', 'POST', 'Playback', [
+                    path('channelId'), query('media'), query('lang'), query('offsetms', 'int'),
+                    query('skipms', 'int'), query('playbackId')
+                ])
+            ]
+        },
+        {
+            path: '/channels/{channelId}/record',
+            operations: [
+                operation('record', 'POST', 'LiveRecording', [
+                    path('channelId'), query('name'), query('format'), query('maxDurationSeconds', 'int'),
+                    query('maxSilenceSeconds', 'int'), query('ifExists'), query('beep', 'boolean'),
+                    query('terminateOn')
+                ])
+            ]
+        },
+        {
+            path: '/channels/{channelId}/variable',
+            operations: [
+                operation('getChannelVar', 'GET', 'Variable', [path('channelId'), query('variable')]),
+                operation('setChannelVar', 'POST', 'void', [path('channelId'), query('variable'), query('value')])
+            ]
+        }
+    ],
+    bridges: [
+        {
+            path: '/bridges',
+            operations: [
+                operation('list', 'GET', 'List[Bridge]'),
+                operation('create', 'POST', 'Bridge', [query('type'), query('bridgeId'), query('name')])
+            ]
+        },
+        {
+            path: '/bridges/{bridgeId}',
+            operations: [
+                operation('get', 'GET', 'Bridge', [path('bridgeId')]),
+                operation('destroy', 'DELETE', 'void', [path('bridgeId')])
+            ]
+        },
+        {
+            path: '/bridges/{bridgeId}/addChannel',
+            operations: [
+                operation('addChannel', 'POST', 'void', [
+                    path('bridgeId'), query('channel'), query('role'), query('absorbDTMF', 'boolean'),
+                    query('mute', 'boolean')
+                ])
+            ]
+        },
+        {
+            path: '/bridges/{bridgeId}/removeChannel',
+            operations: [operation('removeChannel', 'POST', 'void', [path('bridgeId'), query('channel')])]
+        }
+    ],
+    playbacks: [
+        {
+            path: '/playbacks/{playbackId}',
+            operations: [
+                operation('get', 'GET', 'Playback', [path('playbackId')]),
+                operation('stop', 'DELETE', 'void', [path('playbackId')])
+            ]
+        }
+    ],
+    recordings: [
+        {
+            path: '/recordings/stored',
+            operations: [operation('listStored', 'GET', 'List[StoredRecording]')]
+        },
+        {
+            path: '/recordings/stored/{recordingName}',
+            operations: [
+                operation('getStored', 'GET', 'StoredRecording', [path('recordingName')]),
+                operation('deleteStored', 'DELETE', 'void', [path('recordingName')])
+            ]
+        },
+        {
+            path: '/recordings/stored/{recordingName}/file',
+            operations: [operation('getStoredFile', 'GET', 'binary', [path('recordingName')])]
+        },
+        {
+            path: '/recordings/live/{recordingName}',
+            operations: [
+                operation('getLive', 'GET', 'LiveRecording', [path('recordingName')]),
+                operation('cancel', 'DELETE', 'void', [path('recordingName')])
+            ]
+        },
+        {
+            path: '/recordings/live/{recordingName}/stop',
+            operations: [operation('stop', 'POST', 'void', [path('recordingName')])]
+        }
+    ],
+    events: [
+        {
+            path: '/events',
+            operations: [
+                operation('eventWebsocket', 'GET', 'Message', [query('app'), query('subscribeAll', 'boolean')])
+            ]
+        }
+    ]
+};
+
+// Event models: properties typed with a resource become ari-client objects
+const EVENTS = {
+    StasisStart: { args: 'List[string]', channel: 'Channel', replace_channel: 'Channel' },
+    StasisEnd: { channel: 'Channel' },
+    ChannelStateChange: { channel: 'Channel' },
+    ChannelDtmfReceived: { digit: 'string', duration_ms: 'int', channel: 'Channel' },
+    ChannelHangupRequest: { cause: 'int', soft: 'boolean', channel: 'Channel' },
+    ChannelDestroyed: { cause: 'int', cause_txt: 'string', channel: 'Channel' },
+    ChannelEnteredBridge: { bridge: 'Bridge', channel: 'Channel' },
+    ChannelLeftBridge: { bridge: 'Bridge', channel: 'Channel' },
+    BridgeDestroyed: { bridge: 'Bridge' },
+    PlaybackStarted: { playback: 'Playback' },
+    PlaybackFinished: { playback: 'Playback' },
+    RecordingStarted: { recording: 'LiveRecording' },
+    RecordingFinished: { recording: 'LiveRecording' },
+    RecordingFailed: { recording: 'LiveRecording' }
+};
+
+/**
+ * Names of the events the fake can send
+ */
+export const EVENT_TYPES = Object.keys(EVENTS);
+
+/**
+ * The resource listing (resources.json)
+ */
+export function resourceListing(basePath) {
+    return {
+        apiVersion: API_VERSION,
+        swaggerVersion: '1.2',
+        basePath,
+        apis: Object.keys(RESOURCES).map(name => ({
+            path: `/api-docs/${name}.{format}`,
+            description: name
+        }))
+    };
+}
+
+/**
+ * The API declaration of a resource, null if unknown
+ */
+export function apiDeclaration(name, basePath) {
+    if (!Object.hasOwn(RESOURCES, name)) return null;
+
+    return {
+        apiVersion: API_VERSION,
+        swaggerVersion: '1.2',
+        basePath,
+        resourcePath: `/api-docs/${name}.{format}`,
+        apis: RESOURCES[name],
+        models: name === 'events' ? eventModels() : {}
+    };
+}
+
+function eventModels() {
+    const base = {
+        type: { type: 'string', required: true },
+        application: { type: 'string', required: true },
+        timestamp: { type: 'Date' },
+        asterisk_id: { type: 'string' }
+    };
+
+    return Object.fromEntries(Object.entries(EVENTS).map(([id, properties]) => [id, {
+        id,
+        properties: {
+            ...base,
+            ...Object.fromEntries(Object.entries(properties).map(([name, type]) => [name, { type }]))
+        }
+    }]));
+}
@@ -0,0 +1,210 @@
+/**
+ * Fake ARI Server
+ *
+ * Speaks the Asterisk REST Interface: HTTP basic auth, the Swagger API
+ * docs ari-client loads on connect (see ./ari-api-docs.js), JSON error
+ * bodies ({ message }) and the /ari/events WebSocket, where applications
+ * subscribe with ?app=<names>&api_key=<user>:<password>. The REST
+ * operations themselves are up to the request handler (see ./index.js).
+ */
+
+import http from 'http';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { fakePbxLogger } from '../src/utils/logger.js';
+import { resourceListing, apiDeclaration } from './ari-api-docs.js';
+
+const ASTERISK_ID = '00:00:00:fa:4e:01';
+
+export class FakeAriServer extends EventEmitter {
+    /**
+     * @param options.username, options.password - accepted credentials
+     * @param options.handleRequest - ({ method, path, query, body }) =>
+     * { status, body } (body: object sent as JSON, Buffer sent as is)
+     */
+    constructor({ username, password, handleRequest }) {
+        super();
+
+        this.username = username;
+        this.password = password;
+        this.handleRequest = handleRequest;
+
+        this.server = null;
+        this.wss = null;
+        // WebSocket -> names of the applications it subscribed
+        this.subscriptions = new Map();
+    }
+
+    /**
+     * Listen on a port (0: any free port); resolves with the port
+     */
+    listen(port, host) {
+        this.server = http.createServer((req, res) => this.serve(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this.upgrade(req, socket, head));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and drop every connection
+     */
+    close() {
+        this.dropConnections();
+
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.wss.close();
+            this.server = null;
+            this.wss = null;
+        });
+    }
+
+    /**
+     * Drop every event WebSocket without a close handshake
+     */
+    dropConnections() {
+        for (const ws of this.subscriptions.keys()) {
+            ws.terminate();
+        }
+        this.subscriptions.clear();
+    }
+
+    /**
+     * Applications with at least one subscribed WebSocket
+     */
+    get applications() {
+        return new Set([...this.subscriptions.values()].flat());
+    }
+
+    /**
+     * Send an event to the WebSockets subscribed to an application
+     * Returns false if none is.
+     */
+    sendEvent(application, event) {
+        const message = JSON.stringify({
+            ...event,
+            application,
+            timestamp: new Date().toISOString(),
+            asterisk_id: ASTERISK_ID
+        });
+
+        let sent = false;
+        for (const [ws, apps] of this.subscriptions) {
+            if (apps.includes(application) && ws.readyState === ws.OPEN) {
+                ws.send(message);
+                sent = true;
+            }
+        }
+        return sent;
+    }
+
+    authorized(credentials) {
+        return credentials === `${this.username}:${this.password}`;
+    }
+
+    upgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        const apps = (url.searchParams.get('app') || '').split(',').filter(Boolean);
+
+        if (url.pathname !== '/ari/events' || apps.length === 0
+            || !this.authorized(url.searchParams.get('api_key') || basicCredentials(req))) {
+            fakePbxLogger.warn('ARI WebSocket rejected', { path: url.pathname, apps });
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.subscriptions.set(ws, apps);
+            ws.on('close', () => this.subscriptions.delete(ws));
+            ws.on('error', () => this.subscriptions.delete(ws));
+
+            fakePbxLogger.debug('ARI application connected', { apps });
+            this.emit('subscribed', apps);
+        });
+    }
+
+    async serve(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const basePath = `http://${req.headers.host}/ari`;
+
+        if (!url.pathname.startsWith('/ari/')) {
+            return send(res, 404, { message: 'Not found' });
+        }
+        if (!this.authorized(basicCredentials(req))) {
+            return send(res, 401, { message: 'Authentication required' });
+        }
+
+        const docs = /^\/ari\/api-docs\/([A-Za-z]+)\.json$/.exec(url.pathname);
+        if (docs) {
+            const declaration = docs[1] === 'resources'
+                ? resourceListing(basePath)
+                : apiDeclaration(docs[1], basePath);
+            return declaration ? send(res, 200, declaration) : send(res, 404, { message: 'Not found' });
+        }
+
+        let body = null;
+        try {
+            const raw = await readBody(req);
+            body = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return send(res, 400, { message: 'Invalid JSON body' });
+        }
+
+        const request = {
+            method: req.method,
+            path: url.pathname.slice('/ari'.length),
+            query: Object.fromEntries(url.searchParams),
+            body
+        };
+        this.emit('request', request);
+
+        try {
+            const result = await this.handleRequest(request);
+            send(res, result.status, result.body);
+        } catch (error) {
+            fakePbxLogger.error('Fake ARI request failed:', error);
+            send(res, 500, { message: error.message });
+        }
+    }
+}
+
+function basicCredentials(req) {
+    const match = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    return match ? Buffer.from(match[1], 'base64').toString() : null;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf-8');
+        req.on('data', (chunk) => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    if (Buffer.isBuffer(body)) {
+        res.writeHead(status, { 'Content-Type': 'application/octet-stream', 'Content-Length': body.length });
+        return res.end(body);
+    }
+    if (body === undefined || body === null) {
+        res.writeHead(status);
+        return res.end();
+    }
+
+    const json = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+    res.end(json);
+}
+
+export default FakeAriServer;
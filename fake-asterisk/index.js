@@ -0,0 +1,1277 @@
+/**
+ * Fake Asterisk
+ *
+ * An in-process stand-in for an Asterisk/FreePBX box, for offline
+ * development and tests. It listens for AMI (TCP) and ARI (HTTP and
+ * WebSocket) so that AMIClient and ARIClient connect to it unchanged
+ * (pass instanceConfig() as their PBX instance), and keeps a small model
+ * of channels, bridges, playbacks and recordings:
+ *
+ * - scripted calls: call() plays Newchannel / DialBegin / Newstate /
+ *   BridgeEnter / Hangup / Cdr sequences; createChannel(), setState(),
+ *   hangup() and sendDtmf() drive single channels
+ * - Stasis calls: stasisCall() sends StasisStart to a connected ARI
+ *   application; answer, play, record, hangup, bridges, MOH,
+ *   continueInDialplan, originate and externalMedia behave as in
+ *   Asterisk (playbacks and recordings finish after playbackMs /
+ *   recordingMs; recordings are stored as a test tone)
+ * - AMI actions: Originate, Hangup, Redirect, MixMonitor, MuteAudio,
+ *   PlayDTMF and the CoreShowChannels / DeviceStateList /
+ *   PJSIPShowEndpoints lists
+ * - failures: dropConnections() cuts AMI and ARI connections while the
+ *   PBX keeps running, restart() also refuses connections for a while
+ *   and forgets every channel, like an Asterisk restart
+ *
+ * No audio flows: externalMedia channels send no RTP.
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { fakePbxLogger } from '../src/utils/logger.js';
+import { encodeWav } from '../src/utils/wav.js';
+import { FakeAmiServer } from './ami-server.js';
+import { FakeAriServer } from './ari-server.js';
+
+// Channel states (ChannelStateDesc) and their ChannelState numbers
+const CHANNEL_STATES = {
+    Down: 0,
+    Rsrvd: 1,
+    OffHook: 2,
+    Dialing: 3,
+    Ring: 4,
+    Ringing: 5,
+    Up: 6,
+    Busy: 7
+};
+
+// Q.850 causes used by the fake
+const CAUSE_TEXT = {
+    0: 'Unknown',
+    16: 'Normal Clearing',
+    17: 'User busy',
+    19: 'No answer',
+    21: 'Call Rejected',
+    34: 'Circuit/channel congestion'
+};
+
+// ARI hangup reasons
+const REASON_CAUSES = {
+    normal: 16,
+    busy: 17,
+    noanswer: 19,
+    no_answer: 19,
+    rejected: 21,
+    congestion: 34
+};
+
+// How originated and scripted calls end: OriginateResponse reason,
+// DialEnd status and hangup cause
+export const CALL_OUTCOMES = {
+    answer: { reason: 4, dialStatus: 'ANSWER', cause: 16 },
+    noanswer: { reason: 3, dialStatus: 'NOANSWER', cause: 19 },
+    busy: { reason: 5, dialStatus: 'BUSY', cause: 17 },
+    congestion: { reason: 8, dialStatus: 'CONGESTION', cause: 34 },
+    failed: { reason: 0, dialStatus: 'CHANUNAVAIL', cause: 0 }
+};
+
+// ARI routes: method, path pattern, handler
+const ARI_ROUTES = [
+    ['GET', /^\/channels$/, 'listChannels'],
+    ['POST', /^\/channels$/, 'originateChannel'],
+    ['POST', /^\/channels\/externalMedia$/, 'externalMedia'],
+    ['GET', /^\/channels\/([^/]+)$/, 'getChannel'],
+    ['DELETE', /^\/channels\/([^/]+)$/, 'hangupChannel'],
+    ['POST', /^\/channels\/([^/]+)\/answer$/, 'answerChannel'],
+    ['POST', /^\/channels\/([^/]+)\/continue$/, 'continueInDialplan'],
+    ['POST', /^\/channels\/([^/]+)\/ring$/, 'channelNoop'],
+    ['DELETE', /^\/channels\/([^/]+)\/ring$/, 'channelNoop'],
+    ['POST', /^\/channels\/([^/]+)\/dtmf$/, 'channelNoop'],
+    ['POST', /^\/channels\/([^/]+)\/moh$/, 'startMoh'],
+    ['DELETE', /^\/channels\/([^/]+)\/moh$/, 'stopMoh'],
+    ['POST', /^\/channels\/([^/]+)\/play$/, 'play'],
+    ['POST', /^\/channels\/([^/]+)\/record$/, 'record'],
+    ['GET', /^\/channels\/([^/]+)\/variable$/, 'getVariable'],
+    ['POST', /^\/channels\/([^/]+)\/variable$/, 'setVariable'],
+    ['GET', /^\/bridges$/, 'listBridges'],
+    ['POST', /^\/bridges$/, 'createBridge'],
+    ['GET', /^\/bridges\/([^/]+)$/, 'getBridge'],
+    ['DELETE', /^\/bridges\/([^/]+)$/, 'destroyBridge'],
+    ['POST', /^\/bridges\/([^/]+)\/addChannel$/, 'addChannel'],
+    ['POST', /^\/bridges\/([^/]+)\/removeChannel$/, 'removeChannel'],
+    ['GET', /^\/playbacks\/([^/]+)$/, 'getPlayback'],
+    ['DELETE', /^\/playbacks\/([^/]+)$/, 'stopPlayback'],
+    ['GET', /^\/recordings\/stored$/, 'listStored'],
+    ['GET', /^\/recordings\/stored\/([^/]+)$/, 'getStored'],
+    ['DELETE', /^\/recordings\/stored\/([^/]+)$/, 'deleteStored'],
+    ['GET', /^\/recordings\/stored\/([^/]+)\/file$/, 'getStoredFile'],
+    ['GET', /^\/recordings\/live\/([^/]+)$/, 'getLive'],
+    ['POST', /^\/recordings\/live\/([^/]+)\/stop$/, 'stopLive']
+];
+
+const RECORDING_SAMPLE_RATE = 8000;
+
+export class FakeAsterisk extends EventEmitter {
+    /**
+     * @param options.host - address to listen on (default 127.0.0.1)
+     * @param options.amiPort, options.ariPort - ports (default 0: any free port)
+     * @param options.ami, options.ari - accepted { username, password }
+     * @param options.ringMs - ringing time of scripted and originated calls
+     * @param options.playbackMs - duration of every played sound
+     * @param options.recordingMs - duration of recordings (capped by their
+     * maxDurationSeconds)
+     * @param options.originateOutcome - how originated calls end (see
+     * CALL_OUTCOMES; default answer)
+     * @param options.cdr - send a Cdr event when a call ends (default true)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.host = options.host || '127.0.0.1';
+        this.amiPort = options.amiPort ?? 0;
+        this.ariPort = options.ariPort ?? 0;
+        this.credentials = {
+            ami: { username: 'ai-gateway', password: 'changeme', ...options.ami },
+            ari: { username: 'ai-bridge', password: 'changeme', ...options.ari }
+        };
+
+        this.ringMs = options.ringMs ?? 200;
+        this.playbackMs = options.playbackMs ?? 300;
+        this.recordingMs = options.recordingMs ?? 1000;
+        this.originateOutcome = options.originateOutcome || 'answer';
+        this.cdr = options.cdr ?? true;
+
+        this.channels = new Map();
+        this.bridges = new Map();
+        this.playbacks = new Map();
+        this.liveRecordings = new Map();
+        this.storedRecordings = new Map();
+        this.endpoints = new Map();
+        this.sequence = 0;
+        this.timers = new Set();
+        this.running = false;
+
+        this.amiServer = new FakeAmiServer({
+            ...this.credentials.ami,
+            handleAction: (action) => this.handleAmiAction(action)
+        });
+        this.ariServer = new FakeAriServer({
+            ...this.credentials.ari,
+            handleRequest: (request) => this.handleAriRequest(request)
+        });
+
+        this.amiServer.on('action', (action) => this.emit('amiaction', action));
+        this.ariServer.on('request', (request) => this.emit('arirequest', request));
+        this.ariServer.on('subscribed', (apps) => this.emit('subscribed', apps));
+    }
+
+    // ─── Lifecycle ──────────────────────────────────────────────────────
+
+    /**
+     * Start listening; the ports in use are then in amiPort / ariPort
+     */
+    async start() {
+        this.amiPort = await this.amiServer.listen(this.amiPort, this.host);
+        this.ariPort = await this.ariServer.listen(this.ariPort, this.host);
+        this.running = true;
+
+        fakePbxLogger.info('Fake Asterisk listening', { host: this.host, amiPort: this.amiPort, ariPort: this.ariPort });
+    }
+
+    /**
+     * Stop listening, dropping every connection
+     */
+    async stop() {
+        this.clearTimers();
+        await this.amiServer.close();
+        await this.ariServer.close();
+        this.running = false;
+
+        fakePbxLogger.info('Fake Asterisk stopped');
+    }
+
+    /**
+     * Cut the AMI and/or ARI connections; the PBX keeps listening and its
+     * channels survive, so clients can reconnect right away
+     */
+    dropConnections({ ami = true, ari = true } = {}) {
+        fakePbxLogger.info('Dropping connections', { ami, ari });
+        if (ami) this.amiServer.dropConnections();
+        if (ari) this.ariServer.dropConnections();
+    }
+
+    /**
+     * Simulate an Asterisk restart: connections are dropped, new ones
+     * refused for downMs, and every channel, bridge, playback and live
+     * recording is gone (without events) when it comes back
+     */
+    async restart(downMs = 2000) {
+        fakePbxLogger.info('Restarting', { downMs });
+
+        await this.stop();
+        this.channels.clear();
+        this.bridges.clear();
+        this.playbacks.clear();
+        this.liveRecordings.clear();
+
+        await new Promise(resolve => setTimeout(resolve, downMs));
+        await this.start();
+    }
+
+    /**
+     * PBX instance settings pointing at this fake (see
+     * ../../utils/pbx-instances.js), for AMIClient and ARIClient
+     */
+    instanceConfig(name = 'fake', appName = 'ai-bridge') {
+        return {
+            name,
+            ami: { host: this.host, port: this.amiPort, ...this.credentials.ami },
+            ari: { host: this.host, port: this.ariPort, ...this.credentials.ari, appName }
+        };
+    }
+
+    /**
+     * Resolve once an ARI application has its event WebSocket connected
+     */
+    waitForApplication(appName, timeoutMs = 10000) {
+        if (this.ariServer.applications.has(appName)) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const onSubscribed = (apps) => {
+                if (!apps.includes(appName)) return;
+                clearTimeout(timer);
+                this.removeListener('subscribed', onSubscribed);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                this.removeListener('subscribed', onSubscribed);
+                reject(new Error(`ARI application '${appName}' did not connect within ${timeoutMs}ms`));
+            }, timeoutMs);
+            this.on('subscribed', onSubscribed);
+        });
+    }
+
+    getStatus() {
+        return {
+            running: this.running,
+            amiPort: this.amiPort,
+            ariPort: this.ariPort,
+            amiSessions: this.amiServer.sessions.size,
+            applications: [...this.ariServer.applications],
+            channels: this.channels.size,
+            bridges: this.bridges.size
+        };
+    }
+
+    // ─── Scripting ──────────────────────────────────────────────────────
+
+    /**
+     * Create a channel (Newchannel)
+     * Options: from (caller number), to (dialed extension), callerName,
+     * name (default PJSIP/<from>-<seq>), context, state, linkedId (default
+     * its own id: a new conversation), id
+     */
+    createChannel(options = {}) {
+        const sequence = ++this.sequence;
+        const id = options.id || `${Math.floor(Date.now() / 1000)}.${sequence}`;
+        const channel = {
+            id,
+            name: options.name || `PJSIP/${options.from || 'anonymous'}-${hex(sequence)}`,
+            state: options.state || 'Down',
+            callerNumber: options.from || '',
+            callerName: options.callerName || '',
+            context: options.context || 'from-internal',
+            exten: options.to || 's',
+            priority: 1,
+            linkedId: options.linkedId || id,
+            dialedBy: options.dialedBy || null,
+            peer: null,
+            // ARI application subscribed to the channel, and whether it is in Stasis
+            app: null,
+            inStasis: false,
+            stasisApp: null,
+            bridgeId: null,
+            variables: { ...options.variables },
+            createdAt: new Date(),
+            answeredAt: null
+        };
+
+        this.channels.set(id, channel);
+        this.amiEvent('Newchannel', amiChannel(channel));
+        return channel;
+    }
+
+    /**
+     * Change the state of a live channel (Newstate, ChannelStateChange)
+     */
+    setState(channelOrId, state) {
+        const channel = this.liveChannel(channelOrId);
+        if (!channel || channel.state === state) return channel;
+
+        if (!(state in CHANNEL_STATES)) {
+            throw new Error(`Unknown channel state: ${state}`);
+        }
+
+        channel.state = state;
+        if (state === 'Up' && !channel.answeredAt) {
+            channel.answeredAt = new Date();
+        }
+
+        this.amiEvent('Newstate', amiChannel(channel));
+        this.ariChannelEvent(channel, 'ChannelStateChange');
+        return channel;
+    }
+
+    answer(channelOrId) {
+        return this.setState(channelOrId, 'Up');
+    }
+
+    /**
+     * Hang up a live channel
+     * Leaves its bridge, finishes its playbacks and recordings, sends
+     * Hangup (and StasisEnd / ChannelDestroyed to its application) and,
+     * unless it was a dialed leg, its Cdr. Returns false if already gone.
+     */
+    hangup(channelOrId, { cause = 16 } = {}) {
+        const channel = this.liveChannel(channelOrId);
+        if (!channel) return false;
+
+        if (channel.bridgeId) {
+            this.leaveBridge(this.bridges.get(channel.bridgeId), channel);
+        }
+        for (const playback of this.playbacks.values()) {
+            if (playback.channelId === channel.id) this.finishPlayback(playback);
+        }
+        for (const recording of this.liveRecordings.values()) {
+            if (recording.channelId === channel.id) this.finishRecording(recording);
+        }
+
+        this.channels.delete(channel.id);
+        channel.endedAt = new Date();
+        channel.cause = cause;
+
+        this.amiEvent('Hangup', {
+            ...amiChannel(channel),
+            Cause: cause,
+            'Cause-txt': CAUSE_TEXT[cause] || CAUSE_TEXT[0]
+        });
+
+        if (channel.inStasis) {
+            channel.inStasis = false;
+            this.ariChannelEvent(channel, 'StasisEnd');
+        }
+        this.ariChannelEvent(channel, 'ChannelDestroyed', { cause, cause_txt: CAUSE_TEXT[cause] || CAUSE_TEXT[0] });
+        channel.app = null;
+
+        if (this.cdr && !channel.dialedBy) {
+            this.amiEvent('Cdr', cdrFields(channel));
+        }
+        return true;
+    }
+
+    /**
+     * Send DTMF digits from the caller of a live channel (DTMFBegin /
+     * DTMFEnd, ChannelDtmfReceived)
+     */
+    sendDtmf(channelOrId, digits, { durationMs = 100 } = {}) {
+        const channel = this.liveChannel(channelOrId);
+        if (!channel) return false;
+
+        for (const digit of String(digits)) {
+            this.amiEvent('DTMFBegin', { ...amiChannel(channel), Digit: digit, Direction: 'Received' });
+            this.amiEvent('DTMFEnd', {
+                ...amiChannel(channel),
+                Digit: digit,
+                DurationMs: durationMs,
+                Direction: 'Received'
+            });
+            this.ariChannelEvent(channel, 'ChannelDtmfReceived', { digit, duration_ms: durationMs });
+        }
+        return true;
+    }
+
+    /**
+     * Script a call between two extensions, resolving once it ended
+     * The caller dials the callee; on outcome 'answer' both talk for
+     * talkMs in a bridge and the callee hangs up, otherwise the dial
+     * fails with the outcome's status and cause (see CALL_OUTCOMES).
+     * Resolves with { caller, callee }.
+     */
+    async call({ from = '1001', to = '1002', callerName = '', ringMs = this.ringMs, talkMs = 1000, outcome = 'answer' } = {}) {
+        const result = CALL_OUTCOMES[outcome];
+        if (!result) {
+            throw new Error(`Unknown call outcome: ${outcome} (expected one of: ${Object.keys(CALL_OUTCOMES).join(', ')})`);
+        }
+
+        const caller = this.createChannel({ from, to, callerName, state: 'Ring' });
+        const callee = this.createChannel({
+            from: to,
+            to,
+            name: `PJSIP/${to}-${hex(this.sequence + 1)}`,
+            linkedId: caller.linkedId,
+            dialedBy: caller.id
+        });
+        caller.peer = callee.name;
+
+        this.amiEvent('DialBegin', { ...amiChannel(caller), ...amiChannel(callee, 'Dest'), DialString: to });
+        this.setState(callee, 'Ringing');
+        await sleep(ringMs);
+
+        if (outcome !== 'answer') {
+            this.amiEvent('DialEnd', { ...amiChannel(caller), ...amiChannel(callee, 'Dest'), DialStatus: result.dialStatus });
+            this.hangup(callee, { cause: result.cause });
+            this.hangup(caller, { cause: result.cause });
+            return { caller, callee };
+        }
+
+        this.setState(callee, 'Up');
+        this.amiEvent('DialEnd', { ...amiChannel(caller), ...amiChannel(callee, 'Dest'), DialStatus: result.dialStatus });
+        this.setState(caller, 'Up');
+
+        const bridge = this.newBridge({ type: 'basic' });
+        this.enterBridge(bridge, caller);
+        this.enterBridge(bridge, callee);
+
+        await sleep(talkMs);
+        this.hangup(callee);
+        this.hangup(caller);
+        return { caller, callee };
+    }
+
+    /**
+     * Send a new inbound call into a connected ARI application
+     * (Newchannel, StasisStart); resolves with the channel, which the
+     * application answers, plays to, records and hangs up
+     */
+    stasisCall({ from = '1001', to = '777', callerName = '', appName, args = [] } = {}) {
+        const app = appName || [...this.ariServer.applications][0];
+        if (!app || !this.ariServer.applications.has(app)) {
+            throw new Error(`ARI application '${app || '(any)'}' is not connected`);
+        }
+
+        const channel = this.createChannel({ from, to, callerName, state: 'Ring' });
+        this.enterStasis(channel, app, args);
+        return channel;
+    }
+
+    /**
+     * Put a live channel into an application (StasisStart)
+     */
+    enterStasis(channelOrId, app, args = []) {
+        const channel = this.liveChannel(channelOrId);
+        if (!channel) return false;
+
+        channel.app = app;
+        channel.stasisApp = app;
+        channel.inStasis = true;
+        this.ariEvent(app, 'StasisStart', { args, channel: ariChannel(channel) });
+        return true;
+    }
+
+    /**
+     * Declare a PJSIP endpoint (listed by DeviceStateList and
+     * PJSIPShowEndpoints)
+     */
+    addEndpoint(extension, { deviceState = 'NOT_INUSE', registered = true } = {}) {
+        this.endpoints.set(String(extension), { deviceState, registered });
+    }
+
+    /**
+     * Change the device state of an endpoint (DeviceStateChange)
+     */
+    setDeviceState(extension, deviceState) {
+        const endpoint = this.endpoints.get(String(extension)) || { registered: true };
+        this.endpoints.set(String(extension), { ...endpoint, deviceState });
+        this.amiEvent('DeviceStateChange', { Device: `PJSIP/${extension}`, State: deviceState });
+    }
+
+    /**
+     * Register or unregister an endpoint (ContactStatus)
+     */
+    setRegistered(extension, registered) {
+        const endpoint = this.endpoints.get(String(extension)) || { deviceState: 'NOT_INUSE' };
+        this.endpoints.set(String(extension), { ...endpoint, registered });
+        this.amiEvent('ContactStatus', {
+            URI: contactUri(extension),
+            ContactStatus: registered ? 'Created' : 'Removed',
+            AOR: extension,
+            EndpointName: extension
+        });
+    }
+
+    /**
+     * Send any AMI event to the logged-in sessions
+     */
+    amiEvent(name, fields = {}) {
+        this.amiServer.sendEvent(name, fields);
+        this.emit('amievent', name, fields);
+    }
+
+    /**
+     * Send any ARI event to an application; false if it is not connected
+     */
+    ariEvent(app, type, fields = {}) {
+        const sent = this.ariServer.sendEvent(app, { type, ...fields });
+        this.emit('arievent', app, type, fields);
+        return sent;
+    }
+
+    // ─── AMI actions ────────────────────────────────────────────────────
+
+    handleAmiAction(action) {
+        switch (String(action.action).toLowerCase()) {
+            case 'ping':
+                return { Ping: 'Pong', Timestamp: (Date.now() / 1000).toFixed(6) };
+            case 'coreshowchannels':
+                return listResponse('CoreShowChannel', 'CoreShowChannelsComplete',
+                    [...this.channels.values()].map(channel => ({
+                        ...amiChannel(channel),
+                        Application: channel.inStasis ? 'Stasis' : (channel.peer ? 'Dial' : 'AppDial'),
+                        ApplicationData: channel.inStasis ? channel.app : (channel.peer || ''),
+                        Duration: duration(channel.createdAt),
+                        BridgeId: channel.bridgeId || ''
+                    })));
+            case 'devicestatelist':
+                return listResponse('DeviceStateChange', 'DeviceStateListComplete',
+                    [...this.endpoints].map(([extension, endpoint]) => ({
+                        Device: `PJSIP/${extension}`,
+                        State: endpoint.deviceState
+                    })));
+            case 'pjsipshowendpoints':
+                return listResponse('EndpointList', 'EndpointListComplete',
+                    [...this.endpoints].map(([extension, endpoint]) => ({
+                        ObjectType: 'endpoint',
+                        ObjectName: extension,
+                        Transport: 'transport-udp',
+                        Aor: extension,
+                        Auths: extension,
+                        DeviceState: endpoint.deviceState,
+                        ActiveChannels: '',
+                        Contacts: endpoint.registered ? `${extension}/${contactUri(extension)},` : ''
+                    })));
+            case 'originate':
+                return this.amiOriginate(action);
+            case 'hangup':
+                this.hangup(this.channelByName(action.channel), { cause: parseInt(action.cause) || 16 });
+                return { Message: 'Channel Hungup' };
+            case 'redirect': {
+                const channel = this.channelByName(action.channel);
+                this.leaveStasis(channel);
+                channel.context = action.context || channel.context;
+                channel.exten = action.exten || channel.exten;
+                channel.priority = parseInt(action.priority) || 1;
+                return { Message: 'Redirect successful' };
+            }
+            case 'mixmonitor':
+            case 'stopmixmonitor':
+            case 'muteaudio':
+            case 'playdtmf':
+                this.channelByName(action.channel);
+                return {};
+            default:
+                throw new Error('Invalid/unknown command');
+        }
+    }
+
+    /**
+     * Originate: queue the call, ring the channel for ringMs and report
+     * the outcome (OriginateResponse); answered calls to the Stasis
+     * application enter it, others stay up until hung up
+     */
+    amiOriginate(action) {
+        const outcome = CALL_OUTCOMES[this.originateOutcome] || CALL_OUTCOMES.answer;
+        const caller = parseCallerId(action.callerid);
+        const isLocal = String(action.channel).startsWith('Local/');
+
+        this.later(0, async () => {
+            const channel = this.createChannel({
+                name: `${action.channel}-${hex(this.sequence + 1)}${isLocal ? ';1' : ''}`,
+                from: caller.number,
+                callerName: caller.name,
+                to: action.exten,
+                context: action.context,
+                variables: action.variable
+            });
+            this.setState(channel, 'Ringing');
+            await sleep(this.ringMs);
+
+            if (outcome.reason !== 4) {
+                this.hangup(channel, { cause: outcome.cause });
+            } else {
+                this.setState(channel, 'Up');
+            }
+
+            this.amiEvent('OriginateResponse', {
+                ActionID: action.actionid,
+                Response: outcome.reason === 4 ? 'Success' : 'Failure',
+                Channel: channel.name,
+                Context: action.context,
+                Exten: action.exten,
+                Application: action.application,
+                Data: action.data,
+                Reason: outcome.reason,
+                Uniqueid: outcome.reason === 4 ? channel.id : '<null>',
+                CallerIDNum: caller.number || '<unknown>',
+                CallerIDName: caller.name || '<unknown>'
+            });
+
+            if (outcome.reason === 4 && String(action.application).toLowerCase() === 'stasis') {
+                const [app, ...args] = String(action.data || '').split(',');
+                if (!this.enterStasis(channel, app, args) || !this.ariServer.applications.has(app)) {
+                    this.hangup(channel);
+                }
+            }
+        });
+
+        return { Message: 'Originate successfully queued' };
+    }
+
+    // ─── ARI requests ───────────────────────────────────────────────────
+
+    async handleAriRequest({ method, path, query, body }) {
+        for (const [routeMethod, pattern, handler] of ARI_ROUTES) {
+            const match = routeMethod === method && pattern.exec(path);
+            if (match) {
+                return this[`ari_${handler}`](decodeURIComponent(match[1] || ''), query, body);
+            }
+        }
+        return { status: 404, body: { message: 'Not found' } };
+    }
+
+    ari_listChannels() {
+        return ok([...this.channels.values()].map(ariChannel));
+    }
+
+    ari_getChannel(id) {
+        const channel = this.channels.get(id);
+        return channel ? ok(ariChannel(channel)) : channelNotFound();
+    }
+
+    /**
+     * POST /channels: ring the endpoint; once answered (ringMs) the
+     * channel enters the application with appArgs, otherwise it is
+     * destroyed with the cause of originateOutcome
+     */
+    ari_originateChannel(id, query, body) {
+        if (!query.endpoint) {
+            return badRequest('Endpoint must be specified');
+        }
+        if (query.channelId && this.channels.has(query.channelId)) {
+            return { status: 409, body: { message: 'Channel with given unique ID already exists' } };
+        }
+
+        const outcome = CALL_OUTCOMES[this.originateOutcome] || CALL_OUTCOMES.answer;
+        const caller = parseCallerId(query.callerId);
+        const channel = this.createChannel({
+            id: query.channelId || uuidv4(),
+            name: `${query.endpoint}-${hex(this.sequence + 1)}`,
+            from: caller.number,
+            callerName: caller.name,
+            to: query.extension,
+            context: query.context,
+            variables: body?.variables
+        });
+        channel.app = query.app || null;
+
+        this.later(0, async () => {
+            this.setState(channel, 'Ringing');
+            await sleep(this.ringMs);
+            if (!this.channels.has(channel.id)) return;
+
+            if (outcome.reason !== 4) {
+                this.hangup(channel, { cause: outcome.cause });
+                return;
+            }
+            this.setState(channel, 'Up');
+            if (channel.app) {
+                this.enterStasis(channel, channel.app, query.appArgs ? query.appArgs.split(',') : []);
+            }
+        });
+
+        return ok(ariChannel(channel));
+    }
+
+    /**
+     * POST /channels/externalMedia: an UnicastRTP channel in the
+     * application (no RTP is sent)
+     */
+    ari_externalMedia(id, query) {
+        if (!query.app || !query.external_host) {
+            return badRequest('app and external_host are required');
+        }
+
+        const channel = this.createChannel({
+            id: query.channelId || uuidv4(),
+            name: `UnicastRTP/${query.external_host}-${hex(this.sequence + 1)}`,
+            state: 'Up',
+            variables: {
+                UNICASTRTP_LOCAL_ADDRESS: this.host,
+                UNICASTRTP_LOCAL_PORT: String(20000 + (this.sequence % 10000))
+            }
+        });
+        this.later(0, () => this.enterStasis(channel, query.app));
+
+        return ok({ ...ariChannel(channel), channelvars: channel.variables });
+    }
+
+    ari_hangupChannel(id, query) {
+        const channel = this.channels.get(id);
+        if (!channel) return channelNotFound();
+
+        const cause = parseInt(query.reason_code) || REASON_CAUSES[query.reason] || 16;
+        this.later(0, () => this.hangup(channel, { cause }));
+        return noContent();
+    }
+
+    ari_answerChannel(id) {
+        const channel = this.stasisChannel(id);
+        if (!channel.ok) return channel.response;
+
+        this.answer(channel.channel);
+        return noContent();
+    }
+
+    ari_continueInDialplan(id, query) {
+        const channel = this.stasisChannel(id);
+        if (!channel.ok) return channel.response;
+
+        const target = channel.channel;
+        target.context = query.context || target.context;
+        target.exten = query.extension || target.exten;
+        target.priority = parseInt(query.priority) || 1;
+        this.later(0, () => this.leaveStasis(target));
+        return noContent();
+    }
+
+    ari_channelNoop(id) {
+        const channel = this.stasisChannel(id);
+        return channel.ok ? noContent() : channel.response;
+    }
+
+    ari_startMoh(id, query) {
+        const channel = this.stasisChannel(id);
+        if (!channel.ok) return channel.response;
+
+        channel.channel.moh = query.mohClass || 'default';
+        return noContent();
+    }
+
+    ari_stopMoh(id) {
+        const channel = this.stasisChannel(id);
+        if (!channel.ok) return channel.response;
+
+        channel.channel.moh = null;
+        return noContent();
+    }
+
+    /**
+     * POST /channels/{id}/play: each media item plays for playbackMs
+     */
+    ari_play(id, query) {
+        const channel = this.stasisChannel(id);
+        if (!channel.ok) return channel.response;
+        if (!query.media) return badRequest('media is required');
+
+        const media = query.media.split(',');
+        const playback = {
+            id: query.playbackId || uuidv4(),
+            channelId: id,
+            app: channel.channel.app,
+            media_uri: media[0],
+            target_uri: `channel:${id}`,
+            language: query.lang || 'en',
+            state: 'queued',
+            timer: null
+        };
+        this.playbacks.set(playback.id, playback);
+
+        this.later(0, () => {
+            playback.state = 'playing';
+            this.ariEvent(playback.app, 'PlaybackStarted', { playback: ariPlayback(playback) });
+            playback.timer = this.later(this.playbackMs * media.length, () => this.finishPlayback(playback));
+        });
+
+        return { status: 201, body: ariPlayback(playback) };
+    }
+
+    /**
+     * POST /channels/{id}/record: recording for recordingMs (at most
+     * maxDurationSeconds), then stored
+     */
+    ari_record(id, query) {
+        const channel = this.stasisChannel(id);
+        if (!channel.ok) return channel.response;
+        if (!query.name || !query.format) return badRequest('name and format are required');
+
+        if (this.liveRecordings.has(query.name)
+            || (query.ifExists === 'fail' && this.storedRecordings.has(query.name))) {
+            return { status: 422, body: { message: 'Recording with the same name already exists' } };
+        }
+
+        const maxMs = (parseInt(query.maxDurationSeconds) || 0) * 1000;
+        const recording = {
+            name: query.name,
+            channelId: id,
+            app: channel.channel.app,
+            format: query.format,
+            target_uri: `channel:${id}`,
+            state: 'queued',
+            startedAt: null,
+            timer: null
+        };
+        this.liveRecordings.set(recording.name, recording);
+
+        this.later(0, () => {
+            recording.state = 'recording';
+            recording.startedAt = Date.now();
+            this.ariEvent(recording.app, 'RecordingStarted', { recording: ariRecording(recording) });
+            recording.timer = this.later(maxMs ? Math.min(this.recordingMs, maxMs) : this.recordingMs,
+                () => this.finishRecording(recording));
+        });
+
+        return { status: 201, body: ariRecording(recording) };
+    }
+
+    ari_getVariable(id, query) {
+        const channel = this.channels.get(id);
+        if (!channel) return channelNotFound();
+        if (!(query.variable in channel.variables)) {
+            return { status: 404, body: { message: 'Provided variable was not found' } };
+        }
+        return ok({ value: channel.variables[query.variable] });
+    }
+
+    ari_setVariable(id, query) {
+        const channel = this.channels.get(id);
+        if (!channel) return channelNotFound();
+        if (!query.variable) return badRequest('Variable name is required');
+
+        channel.variables[query.variable] = query.value ?? '';
+        return noContent();
+    }
+
+    ari_listBridges() {
+        return ok([...this.bridges.values()].map(ariBridge));
+    }
+
+    ari_createBridge(id, query) {
+        if (query.bridgeId && this.bridges.has(query.bridgeId)) {
+            return ok(ariBridge(this.bridges.get(query.bridgeId)));
+        }
+        return ok(ariBridge(this.newBridge({ id: query.bridgeId, type: query.type, name: query.name, viaAri: true })));
+    }
+
+    ari_getBridge(id) {
+        const bridge = this.bridges.get(id);
+        return bridge ? ok(ariBridge(bridge)) : bridgeNotFound();
+    }
+
+    ari_destroyBridge(id) {
+        const bridge = this.bridges.get(id);
+        if (!bridge) return bridgeNotFound();
+
+        this.later(0, () => this.destroyBridge(bridge));
+        return noContent();
+    }
+
+    ari_addChannel(id, query) {
+        const bridge = this.bridges.get(id);
+        if (!bridge) return bridgeNotFound();
+
+        const channels = String(query.channel || '').split(',').filter(Boolean).map(channelId => this.channels.get(channelId));
+        if (channels.length === 0 || channels.includes(undefined)) {
+            return badRequest('Channel not found');
+        }
+        if (channels.some(channel => !channel.inStasis)) {
+            return { status: 422, body: { message: 'Channel not in Stasis application' } };
+        }
+
+        this.later(0, () => channels.forEach(channel => this.enterBridge(bridge, channel)));
+        return noContent();
+    }
+
+    ari_removeChannel(id, query) {
+        const bridge = this.bridges.get(id);
+        if (!bridge) return bridgeNotFound();
+
+        const channels = String(query.channel || '').split(',').map(channelId => this.channels.get(channelId));
+        if (channels.some(channel => !channel || channel.bridgeId !== id)) {
+            return { status: 422, body: { message: 'Channel not in this bridge' } };
+        }
+
+        this.later(0, () => channels.forEach(channel => this.leaveBridge(bridge, channel)));
+        return noContent();
+    }
+
+    ari_getPlayback(id) {
+        const playback = this.playbacks.get(id);
+        return playback ? ok(ariPlayback(playback)) : { status: 404, body: { message: 'Playback not found' } };
+    }
+
+    ari_stopPlayback(id) {
+        const playback = this.playbacks.get(id);
+        if (!playback) return { status: 404, body: { message: 'Playback not found' } };
+
+        this.later(0, () => this.finishPlayback(playback));
+        return noContent();
+    }
+
+    ari_listStored() {
+        return ok([...this.storedRecordings.values()].map(({ name, format }) => ({ name, format })));
+    }
+
+    ari_getStored(name) {
+        const stored = this.storedRecordings.get(name);
+        return stored ? ok({ name, format: stored.format }) : recordingNotFound();
+    }
+
+    ari_deleteStored(name) {
+        return this.storedRecordings.delete(name) ? noContent() : recordingNotFound();
+    }
+
+    ari_getStoredFile(name) {
+        const stored = this.storedRecordings.get(name);
+        return stored ? { status: 200, body: stored.audio } : recordingNotFound();
+    }
+
+    ari_getLive(name) {
+        const recording = this.liveRecordings.get(name);
+        return recording ? ok(ariRecording(recording)) : recordingNotFound();
+    }
+
+    ari_stopLive(name) {
+        const recording = this.liveRecordings.get(name);
+        if (!recording) return recordingNotFound();
+
+        this.later(0, () => this.finishRecording(recording));
+        return noContent();
+    }
+
+    // ─── Model ──────────────────────────────────────────────────────────
+
+    newBridge({ id, type = 'mixing', name = '', viaAri = false }) {
+        const bridge = {
+            id: id || uuidv4(),
+            type,
+            name,
+            technology: type === 'basic' ? 'simple_bridge' : 'softmix',
+            channels: [],
+            viaAri,
+            // Applications to notify (those of the channels that entered)
+            apps: new Set()
+        };
+
+        this.bridges.set(bridge.id, bridge);
+        this.amiEvent('BridgeCreate', amiBridge(bridge));
+        return bridge;
+    }
+
+    enterBridge(bridge, channel) {
+        if (!this.channels.has(channel.id) || !this.bridges.has(bridge.id)) return;
+        if (channel.bridgeId) {
+            this.leaveBridge(this.bridges.get(channel.bridgeId), channel);
+        }
+
+        bridge.channels.push(channel.id);
+        channel.bridgeId = bridge.id;
+        if (channel.app) bridge.apps.add(channel.app);
+
+        this.amiEvent('BridgeEnter', { ...amiBridge(bridge), ...amiChannel(channel) });
+        this.ariChannelEvent(channel, 'ChannelEnteredBridge', { bridge: ariBridge(bridge) });
+    }
+
+    leaveBridge(bridge, channel) {
+        if (!bridge) return;
+
+        bridge.channels = bridge.channels.filter(id => id !== channel.id);
+        channel.bridgeId = null;
+
+        this.amiEvent('BridgeLeave', { ...amiBridge(bridge), ...amiChannel(channel) });
+        this.ariChannelEvent(channel, 'ChannelLeftBridge', { bridge: ariBridge(bridge) });
+
+        // Basic bridges of scripted calls go away with their last channel
+        if (!bridge.viaAri && bridge.channels.length === 0) {
+            this.destroyBridge(bridge);
+        }
+    }
+
+    destroyBridge(bridge) {
+        if (!this.bridges.has(bridge.id)) return;
+
+        for (const channelId of [...bridge.channels]) {
+            const channel = this.channels.get(channelId);
+            if (channel) this.leaveBridge(bridge, channel);
+        }
+        this.bridges.delete(bridge.id);
+
+        this.amiEvent('BridgeDestroy', amiBridge(bridge));
+        for (const app of bridge.apps) {
+            this.ariEvent(app, 'BridgeDestroyed', { bridge: ariBridge(bridge) });
+        }
+    }
+
+    finishPlayback(playback) {
+        if (!this.playbacks.delete(playback.id)) return;
+
+        clearTimeout(playback.timer);
+        this.timers.delete(playback.timer);
+        playback.state = 'done';
+        this.ariEvent(playback.app, 'PlaybackFinished', { playback: ariPlayback(playback) });
+    }
+
+    finishRecording(recording) {
+        if (!this.liveRecordings.delete(recording.name)) return;
+
+        clearTimeout(recording.timer);
+        this.timers.delete(recording.timer);
+        recording.state = 'done';
+        recording.duration = Math.round((Date.now() - (recording.startedAt || Date.now())) / 1000);
+
+        this.storedRecordings.set(recording.name, {
+            name: recording.name,
+            format: recording.format,
+            audio: testTone(Math.max(this.recordingMs, 100))
+        });
+        this.ariEvent(recording.app, 'RecordingFinished', { recording: ariRecording(recording) });
+    }
+
+    leaveStasis(channel) {
+        if (!channel.inStasis) return;
+
+        channel.inStasis = false;
+        this.ariChannelEvent(channel, 'StasisEnd');
+        channel.app = null;
+    }
+
+    /**
+     * Send a channel event to the application subscribed to the channel
+     */
+    ariChannelEvent(channel, type, fields = {}) {
+        if (!channel.app) return;
+        this.ariEvent(channel.app, type, { ...fields, channel: ariChannel(channel) });
+    }
+
+    liveChannel(channelOrId) {
+        const id = typeof channelOrId === 'string' ? channelOrId : channelOrId?.id;
+        return this.channels.get(id) || null;
+    }
+
+    /**
+     * Live channel by name, for AMI actions
+     */
+    channelByName(name) {
+        for (const channel of this.channels.values()) {
+            if (channel.name === name) return channel;
+        }
+        throw new Error('No such channel');
+    }
+
+    /**
+     * Live channel in Stasis, for ARI channel operations
+     */
+    stasisChannel(id) {
+        const channel = this.channels.get(id);
+        if (!channel) return { ok: false, response: channelNotFound() };
+        if (!channel.inStasis) {
+            return { ok: false, response: { status: 409, body: { message: 'Channel not in Stasis application' } } };
+        }
+        return { ok: true, channel };
+    }
+
+    /**
+     * Run fn after ms (cancelled by stop() / restart())
+     */
+    later(ms, fn) {
+        const timer = setTimeout(async () => {
+            this.timers.delete(timer);
+            try {
+                await fn();
+            } catch (error) {
+                fakePbxLogger.error('Fake Asterisk script failed:', error);
+            }
+        }, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    clearTimers() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+// ─── Representations ────────────────────────────────────────────────────
+
+/**
+ * AMI fields of a channel (prefix 'Dest' for the dialed side of Dial events)
+ */
+function amiChannel(channel, prefix = '') {
+    const fields = {
+        Channel: channel.name,
+        ChannelState: CHANNEL_STATES[channel.state],
+        ChannelStateDesc: channel.state,
+        CallerIDNum: channel.callerNumber || '<unknown>',
+        CallerIDName: channel.callerName || '<unknown>',
+        ConnectedLineNum: '<unknown>',
+        ConnectedLineName: '<unknown>',
+        Language: 'en',
+        AccountCode: '',
+        Context: channel.context,
+        Exten: channel.exten,
+        Priority: channel.priority,
+        Uniqueid: channel.id,
+        Linkedid: channel.linkedId
+    };
+
+    if (!prefix) return fields;
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [`${prefix}${key}`, value]));
+}
+
+function amiBridge(bridge) {
+    return {
+        BridgeUniqueid: bridge.id,
+        BridgeType: bridge.type === 'basic' ? 'basic' : 'stasis',
+        BridgeTechnology: bridge.technology,
+        BridgeCreator: bridge.viaAri ? 'Stasis' : '<unknown>',
+        BridgeName: bridge.name || '<unknown>',
+        BridgeNumChannels: bridge.channels.length
+    };
+}
+
+function ariChannel(channel) {
+    return {
+        id: channel.id,
+        name: channel.name,
+        state: channel.state,
+        caller: { name: channel.callerName, number: channel.callerNumber },
+        connected: { name: '', number: '' },
+        accountcode: '',
+        dialplan: {
+            context: channel.context,
+            exten: channel.exten,
+            priority: channel.priority,
+            app_name: channel.inStasis ? 'Stasis' : '',
+            app_data: channel.inStasis ? channel.app : ''
+        },
+        creationtime: channel.createdAt.toISOString(),
+        language: 'en'
+    };
+}
+
+function ariBridge(bridge) {
+    return {
+        id: bridge.id,
+        technology: bridge.technology,
+        bridge_type: bridge.type,
+        bridge_class: bridge.viaAri ? 'stasis' : 'base',
+        creator: bridge.viaAri ? 'Stasis' : '',
+        name: bridge.name,
+        channels: [...bridge.channels]
+    };
+}
+
+function ariPlayback({ id, media_uri, target_uri, language, state }) {
+    return { id, media_uri, target_uri, language, state };
+}
+
+function ariRecording({ name, format, target_uri, state, duration }) {
+    return { name, format, target_uri, state, duration };
+}
+
+/**
+ * Response of a list action: the items, then the complete event
+ */
+function listResponse(itemEvent, completeEvent, items) {
+    return {
+        response: { EventList: 'start', Message: `${itemEvent} will follow` },
+        events: [
+            ...items.map(item => ({ Event: itemEvent, ...item })),
+            { Event: completeEvent, EventList: 'Complete', ListItems: items.length }
+        ]
+    };
+}
+
+/**
+ * Cdr event of an ended channel (cdr_manager format)
+ */
+function cdrFields(channel) {
+    const billable = channel.answeredAt ? Math.round((channel.endedAt - channel.answeredAt) / 1000) : 0;
+    let disposition = 'NO ANSWER';
+    if (channel.answeredAt) disposition = 'ANSWERED';
+    else if (channel.cause === 17) disposition = 'BUSY';
+    else if (channel.cause === 34 || channel.cause === 0) disposition = 'FAILED';
+
+    return {
+        AccountCode: '',
+        Source: channel.callerNumber,
+        Destination: channel.exten,
+        DestinationContext: channel.context,
+        CallerID: `"${channel.callerName}" <${channel.callerNumber}>`,
+        Channel: channel.name,
+        DestinationChannel: channel.peer || '',
+        LastApplication: channel.stasisApp ? 'Stasis' : (channel.peer ? 'Dial' : ''),
+        LastData: channel.stasisApp || channel.peer || '',
+        StartTime: cdrTime(channel.createdAt),
+        AnswerTime: channel.answeredAt ? cdrTime(channel.answeredAt) : '',
+        EndTime: cdrTime(channel.endedAt),
+        Duration: Math.round((channel.endedAt - channel.createdAt) / 1000),
+        BillableSeconds: billable,
+        Disposition: disposition,
+        AMAFlags: 'DOCUMENTATION',
+        UniqueID: channel.id,
+        UserField: ''
+    };
+}
+
+function cdrTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function duration(since) {
+    const seconds = Math.floor((Date.now() - since) / 1000);
+    return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+}
+
+/**
+ * '"Name" <number>' (or a bare number) as { name, number }
+ */
+function parseCallerId(callerId) {
+    const match = /^\s*"?([^"<]*)"?\s*<([^>]*)>\s*$/.exec(callerId || '');
+    if (match) return { name: match[1].trim(), number: match[2].trim() };
+    return { name: '', number: (callerId || '').trim() };
+}
+
+function contactUri(extension) {
+    return `sip:${extension}@192.0.2.10:5060`;
+}
+
+/**
+ * A 440 Hz tone, as the audio of stored recordings
+ */
+function testTone(ms) {
+    const samples = new Int16Array(Math.round(RECORDING_SAMPLE_RATE * ms / 1000));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.round(8000 * Math.sin(2 * Math.PI * 440 * i / RECORDING_SAMPLE_RATE));
+    }
+    return encodeWav(samples, RECORDING_SAMPLE_RATE);
+}
+
+function hex(sequence) {
+    return sequence.toString(16).padStart(8, '0');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const ok = (body) => ({ status: 200, body });
+const noContent = () => ({ status: 204, body: null });
+const badRequest = (message) => ({ status: 400, body: { message } });
+const channelNotFound = () => ({ status: 404, body: { message: 'Channel not found' } });
+const bridgeNotFound = () => ({ status: 404, body: { message: 'Bridge not found' } });
+const recordingNotFound = () => ({ status: 404, body: { message: 'Recording not found' } });
+
+export default FakeAsterisk;
@@ -0,0 +1,250 @@
+/**
+ * Persistence Benchmark
+ *
+ * Measures AMI event throughput with a large database, with batched
+ * saves (DATABASE_SAVE_DELAY_MS, default 1000) and with the old save on
+ * every write (DATABASE_SAVE_DELAY_MS=0).
+ *
+ * Usage: npm run bench:db [-- options]
+ *
+ * Options:
+ *   --calls <n>      Call records stored before measuring (default 10000)
+ *   --measure <n>    Calls replayed with batched saves (default 500)
+ *   --baseline <n>   Calls replayed with a save on every write (default 25;
+ *                    0 skips it: every write exports the whole database)
+ *
+ * Calls are synthetic two-leg calls, stored as two call records each
+ * (Newchannel, DialBegin, Newstate, DialEnd, BridgeEnter / BridgeLeave,
+ * Hangup and Cdr: 14 events), written as an AMI capture and replayed through AMIClient's event handlers
+ * (see ../src/services/ami-capture.js) as fast as they are handled. Each
+ * run uses its own scratch database in a temporary directory, in a child
+ * process (the database settings are read on load).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { monitorEventLoopDelay } from 'perf_hooks';
+
+const SCRIPT = fileURLToPath(import.meta.url);
+const BASE_TIME = Date.UTC(2026, 0, 1);
+
+function parseArgs(argv) {
+    const options = { calls: 10000, measure: 500, baseline: 25 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        options[name] = parseInt(argv[++i]);
+        if (!(options[name] >= 0)) {
+            throw new Error(`Invalid value for --${name}: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * AMI events of one answered call between two extensions, as
+ * asterisk-manager delivers them (lowercased keys)
+ */
+function callEvents(n) {
+    const from = String(1000 + (n % 500));
+    const to = String(2000 + (n % 300));
+    const a = `${BASE_TIME / 1000 + n}.${2 * n}`;
+    const b = `${BASE_TIME / 1000 + n}.${2 * n + 1}`;
+    const bridge = `bridge-${n}`;
+
+    const channel = (uniqueid, number, state, prefix = '') => Object.fromEntries(Object.entries({
+        channel: `PJSIP/${number}-${uniqueid.replace('.', '')}`,
+        channelstate: { Ring: '4', Ringing: '5', Up: '6' }[state],
+        channelstatedesc: state,
+        calleridnum: number === from ? from : to,
+        calleridname: number === from ? `Caller ${from}` : '<unknown>',
+        connectedlinenum: number === from ? to : from,
+        context: 'from-internal',
+        exten: to,
+        priority: '1',
+        uniqueid,
+        linkedid: a
+    }).map(([key, value]) => [`${prefix}${key}`, value]));
+
+    const events = [
+        { event: 'Newchannel', ...channel(a, from, 'Ring') },
+        { event: 'Newchannel', ...channel(b, to, 'Ring') },
+        { event: 'DialBegin', ...channel(a, from, 'Ring'), ...channel(b, to, 'Ring', 'dest'), dialstring: to },
+        { event: 'Newstate', ...channel(b, to, 'Ringing') },
+        { event: 'Newstate', ...channel(b, to, 'Up') },
+        { event: 'DialEnd', ...channel(a, from, 'Ring'), ...channel(b, to, 'Up', 'dest'), dialstatus: 'ANSWER' },
+        { event: 'Newstate', ...channel(a, from, 'Up') },
+        { event: 'BridgeEnter', bridgeuniqueid: bridge, bridgetype: 'basic', bridgenumchannels: '1', ...channel(a, from, 'Up') },
+        { event: 'BridgeEnter', bridgeuniqueid: bridge, bridgetype: 'basic', bridgenumchannels: '2', ...channel(b, to, 'Up') },
+        { event: 'BridgeLeave', bridgeuniqueid: bridge, bridgetype: 'basic', bridgenumchannels: '1', ...channel(b, to, 'Up') },
+        { event: 'BridgeLeave', bridgeuniqueid: bridge, bridgetype: 'basic', bridgenumchannels: '0', ...channel(a, from, 'Up') },
+        { event: 'Hangup', ...channel(b, to, 'Up'), cause: '16', 'cause-txt': 'Normal Clearing' },
+        { event: 'Hangup', ...channel(a, from, 'Up'), cause: '16', 'cause-txt': 'Normal Clearing' },
+        {
+            event: 'Cdr', uniqueid: a, source: from, destination: to, destinationcontext: 'from-internal',
+            callerid: `"Caller ${from}" <${from}>`, channel: `PJSIP/${from}-${a.replace('.', '')}`,
+            destinationchannel: `PJSIP/${to}-${b.replace('.', '')}`, lastapplication: 'Dial', lastdata: `PJSIP/${to}`,
+            starttime: '2026-01-01 00:00:00', answertime: '2026-01-01 00:00:05', endtime: '2026-01-01 00:01:05',
+            duration: '65', billableseconds: '60', disposition: 'ANSWERED', amaflags: 'DOCUMENTATION'
+        }
+    ];
+    return events;
+}
+
+/**
+ * Write calls [first, first + count) as an AMI capture
+ */
+async function writeCapture(file, first, count) {
+    const stream = fs.createWriteStream(file);
+    for (let n = first; n < first + count; n++) {
+        for (const event of callEvents(n)) {
+            if (!stream.write(`${JSON.stringify({ ts: BASE_TIME + n * 1000, pbx: 'default', event })}\n`)) {
+                await new Promise(resolve => stream.once('drain', resolve));
+            }
+        }
+    }
+    await new Promise(resolve => stream.end(resolve));
+}
+
+/**
+ * Run one replay in a child process; resolves with its figures
+ */
+function runChild(workDir, { database, capture, saveDelayMs }) {
+    return new Promise((resolve, reject) => {
+        const child = fork(SCRIPT, ['--child', capture], {
+            cwd: workDir,
+            env: {
+                ...process.env,
+                NODE_ENV: 'production',
+                DATABASE_PATH: database,
+                DATABASE_SAVE_DELAY_MS: String(saveDelayMs)
+            },
+            // The gateway logs every call: keep it off the report
+            stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+        });
+
+        let result = null;
+        child.on('message', (message) => { result = message; });
+        child.on('error', reject);
+        child.on('exit', (code) => {
+            if (code === 0 && result) resolve(result);
+            else reject(new Error(`Benchmark run failed (exit code ${code})`));
+        });
+    });
+}
+
+/**
+ * Child: replay a capture into the database at DATABASE_PATH
+ */
+async function child(capture) {
+    const { initDatabase, flushDatabase, closeDatabase, getDatabase, getPersistenceStatus } = await import('../src/database/init.js');
+    const { AMIClient } = await import('../src/services/ami-client.js');
+    const { replayCapture } = await import('../src/services/ami-capture.js');
+
+    await initDatabase();
+    await flushDatabase();
+
+    const count = async () => (await getDatabase()).exec('SELECT COUNT(*) FROM calls')[0].values[0][0];
+    const callsBefore = await count();
+
+    const loopDelay = monitorEventLoopDelay({ resolution: 10 });
+    loopDelay.enable();
+    const started = process.hrtime.bigint();
+
+    const replay = await replayCapture(capture, (name) => new AMIClient({ name, ami: {} }), { speed: 0 });
+
+    const replayMs = Number(process.hrtime.bigint() - started) / 1e6;
+    loopDelay.disable();
+
+    const flushStarted = process.hrtime.bigint();
+    await flushDatabase();
+    const flushMs = Number(process.hrtime.bigint() - flushStarted) / 1e6;
+
+    const persistence = getPersistenceStatus();
+    process.send({
+        callsBefore,
+        callsAfter: await count(),
+        events: replay.events,
+        replayMs,
+        eventsPerSecond: replay.events / (replayMs / 1000),
+        loopDelayP99Ms: loopDelay.percentile(99) / 1e6,
+        loopDelayMaxMs: loopDelay.max / 1e6,
+        saveRequests: persistence.saveRequests,
+        saves: persistence.saves,
+        lastExportMs: persistence.lastExportMs,
+        flushMs,
+        bytes: persistence.bytes
+    });
+
+    closeDatabase();
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pbx-bench-'));
+    const file = (name) => path.join(workDir, name);
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('  Persistence Benchmark');
+    console.log('═══════════════════════════════════════════════════');
+    console.log(`  Scratch directory: ${workDir}`);
+
+    try {
+        // Two legs per call
+        const seedCalls = Math.ceil(options.calls / 2);
+        console.log(`\n⏳ Storing ${seedCalls * 2} calls (${seedCalls * 14} events)...`);
+        await writeCapture(file('seed.jsonl'), 0, seedCalls);
+        const seed = await runChild(workDir, { database: file('seed.db'), capture: file('seed.jsonl'), saveDelayMs: 1000 });
+        console.log(`   ${seed.callsAfter} calls, ${(seed.bytes / 1024 / 1024).toFixed(1)} MB, ` +
+            `${Math.round(seed.eventsPerSecond)} events/s`);
+
+        const runs = [
+            { label: 'batched (1000 ms)', calls: options.measure, saveDelayMs: 1000 },
+            { label: 'every write (old)', calls: options.baseline, saveDelayMs: 0 }
+        ].filter(run => run.calls > 0);
+
+        const results = [];
+        for (const run of runs) {
+            console.log(`\n⏱️  Replaying ${run.calls} calls, saves ${run.label}...`);
+            fs.copyFileSync(file('seed.db'), file('run.db'));
+            await writeCapture(file('run.jsonl'), seedCalls, run.calls);
+            const result = await runChild(workDir, { database: file('run.db'), capture: file('run.jsonl'), saveDelayMs: run.saveDelayMs });
+            results.push({ ...run, ...result });
+        }
+
+        console.log('\n═══════════════════════════════════════════════════');
+        console.log(`  Results (database of ${seed.callsAfter}+ calls, ${(seed.bytes / 1024 / 1024).toFixed(1)} MB)`);
+        console.log('═══════════════════════════════════════════════════');
+        console.table(results.map(result => ({
+            saves: result.label,
+            events: result.events,
+            'events/s': Math.round(result.eventsPerSecond),
+            'file writes': result.saves,
+            'save requests': result.saveRequests,
+            'export ms': Math.round(result.lastExportMs),
+            'loop delay p99 ms': Math.round(result.loopDelayP99Ms),
+            'loop delay max ms': Math.round(result.loopDelayMaxMs),
+            'final flush ms': Math.round(result.flushMs)
+        })));
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+if (process.argv[2] === '--child') {
+    child(process.argv[3]).then(() => process.exit(0)).catch((error) => {
+        console.error('Benchmark run failed:', error);
+        process.exit(1);
+    });
+} else {
+    main().catch((error) => {
+        console.error(`Benchmark failed: ${error.message}`);
+        process.exit(1);
+    });
+}
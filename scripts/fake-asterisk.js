@@ -0,0 +1,120 @@
+/**
+ * Fake Asterisk
+ *
+ * Runs the built-in fake Asterisk (AMI + ARI) on the ports and credentials
+ * the gateway is configured with (AMI_* / ARI_*), so the gateway can be
+ * started and developed against without a PBX.
+ *
+ * Usage: npm run fake:pbx [-- options]
+ *
+ * Options:
+ *   --calls <n>        Place n scripted extension-to-extension calls (default 0)
+ *   --stasis <n>       Send n calls into the Stasis application (default 0)
+ *   --interval <ms>    Pause between generated calls (default 5000)
+ *   --outcome <name>   How originated calls end: answer, noanswer, busy,
+ *                      congestion or failed (default answer)
+ */
+
+import 'dotenv/config';
+import { FakeAsterisk, CALL_OUTCOMES } from '../fake-asterisk/index.js';
+import { pbxConfig } from '../src/utils/pbx-instances.js';
+import { logger } from '../src/utils/logger.js';
+
+const EXTENSIONS = ['1001', '1002', '1003', '1004'];
+
+function parseArgs(argv) {
+    const options = { calls: 0, stasis: 0, interval: 5000, outcome: 'answer' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--calls':
+                options.calls = parseInt(value) || 0;
+                i++;
+                break;
+            case '--stasis':
+                options.stasis = parseInt(value) || 0;
+                i++;
+                break;
+            case '--interval':
+                options.interval = parseInt(value) || options.interval;
+                i++;
+                break;
+            case '--outcome':
+                options.outcome = value;
+                i++;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!CALL_OUTCOMES[options.outcome]) {
+        throw new Error(`Unknown outcome: ${options.outcome} (expected one of: ${Object.keys(CALL_OUTCOMES).join(', ')})`);
+    }
+    return options;
+}
+
+async function generateCalls(fake, config, options) {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    for (let i = 0; i < options.calls; i++) {
+        const from = EXTENSIONS[i % EXTENSIONS.length];
+        const to = EXTENSIONS[(i + 1) % EXTENSIONS.length];
+        logger.info(`📞 Scripted call ${i + 1}/${options.calls}: ${from} → ${to}`);
+        await fake.call({ from, to, talkMs: 3000 });
+        await sleep(options.interval);
+    }
+
+    if (options.stasis > 0) {
+        logger.info(`Waiting for the Stasis application '${config.ari.appName}'...`);
+        await fake.waitForApplication(config.ari.appName, 60000);
+    }
+    for (let i = 0; i < options.stasis; i++) {
+        logger.info(`🎙️ Stasis call ${i + 1}/${options.stasis}`);
+        fake.stasisCall({ from: EXTENSIONS[i % EXTENSIONS.length], appName: config.ari.appName });
+        await sleep(options.interval);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = pbxConfig();
+
+    const fake = new FakeAsterisk({
+        host: config.ami.host,
+        amiPort: config.ami.port,
+        ariPort: config.ari.port,
+        ami: { username: config.ami.username, password: config.ami.password },
+        ari: { username: config.ari.username, password: config.ari.password },
+        originateOutcome: options.outcome
+    });
+    for (const extension of EXTENSIONS) {
+        fake.addEndpoint(extension);
+    }
+
+    await fake.start();
+
+    logger.info('═══════════════════════════════════════════════════');
+    logger.info('  Fake Asterisk');
+    logger.info('═══════════════════════════════════════════════════');
+    logger.info(`  AMI: ${config.ami.host}:${fake.amiPort} (user ${config.ami.username})`);
+    logger.info(`  ARI: http://${config.ari.host}:${fake.ariPort}/ari (user ${config.ari.username})`);
+    logger.info(`  Endpoints: ${EXTENSIONS.join(', ')}`);
+    logger.info('  Press Ctrl+C to stop.');
+    logger.info('═══════════════════════════════════════════════════');
+
+    const shutdown = async () => {
+        await fake.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    await generateCalls(fake, config, options);
+}
+
+main().catch((error) => {
+    logger.error('Fake Asterisk failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * AMI Replay Script
+ *
+ * Replays an AMI capture (see AMI_CAPTURE_FILE) through AMIClient's event
+ * handlers into a scratch database, to reproduce how calls were recorded.
+ *
+ * Usage: npm run replay:ami -- <capture.jsonl> [options]
+ *
+ * Options:
+ *   --speed <n>      1 replays in real time (default), 10 ten times faster,
+ *                    0 as fast as possible
+ *   --pbx <name>     Only replay the events of this PBX instance
+ *   --db <file>      Scratch database, recreated on every run
+ *                    (default: data/replay.db)
+ *   --output <file>  Write the resulting calls as JSON, without ids and
+ *                    times, e.g. to compare against an expected result
+ *
+ * Events are replayed in capture order and each one is fully handled
+ * before the next, so replays are repeatable at any speed. Times the
+ * gateway records itself (answer / end time, durations) come from the
+ * replay clock: replay at --speed 1 to reproduce them.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { replayCapture } from '../src/services/ami-capture.js';
+import { pbxConfig } from '../src/utils/pbx-instances.js';
+import { logger } from '../src/utils/logger.js';
+
+const DEFAULT_SCRATCH_DB = './data/replay.db';
+
+// Call fields that do not depend on when the replay ran
+const OUTPUT_FIELDS = [
+    'unique_id', 'linked_id', 'pbx', 'caller_id', 'caller_name', 'destination', 'channel',
+    'dest_channel', 'call_state', 'dial_status', 'hangup_cause', 'hangup_cause_txt', 'leg_type',
+    'hold_count', 'transfer_chain', 'billable_seconds', 'disposition', 'account_code'
+];
+
+function parseArgs(argv) {
+    const options = { capture: null, speed: 1, pbx: null, db: DEFAULT_SCRATCH_DB, output: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--speed':
+                options.speed = parseFloat(value);
+                if (!(options.speed >= 0)) throw new Error(`Invalid speed: ${value}`);
+                i++;
+                break;
+            case '--pbx':
+                options.pbx = value;
+                i++;
+                break;
+            case '--db':
+                options.db = value;
+                i++;
+                break;
+            case '--output':
+                options.output = value;
+                i++;
+                break;
+            default:
+                if (argv[i].startsWith('--') || options.capture) {
+                    throw new Error(`Unknown argument: ${argv[i]}`);
+                }
+                options.capture = argv[i];
+        }
+    }
+
+    if (!options.capture) {
+        throw new Error('Usage: npm run replay:ami -- <capture.jsonl> [--speed n] [--pbx name] [--db file] [--output file]');
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const scratchDb = path.resolve(options.db);
+
+    // Never replay into the gateway's own database
+    if (scratchDb === path.resolve(process.env.DATABASE_PATH || './data/calls.db')) {
+        throw new Error(`Refusing to replay into the gateway database (${scratchDb}); pass another --db`);
+    }
+    if (!fs.existsSync(options.capture)) {
+        throw new Error(`Capture not found: ${options.capture}`);
+    }
+
+    // The database module reads DATABASE_PATH when it is loaded
+    fs.rmSync(scratchDb, { force: true });
+    process.env.DATABASE_PATH = scratchDb;
+    delete process.env.AMI_CAPTURE_FILE;
+
+    const { initDatabase, closeDatabase } = await import('../src/database/init.js');
+    const { CallRepository } = await import('../src/database/call-repository.js');
+    const { AMIClient } = await import('../src/services/ami-client.js');
+
+    logger.info('═══════════════════════════════════════════════════');
+    logger.info('  AMI Replay');
+    logger.info('═══════════════════════════════════════════════════');
+    logger.info(`  Capture: ${options.capture}`);
+    logger.info(`  Speed: ${options.speed === 0 ? 'as fast as possible' : `${options.speed}x`}`);
+    logger.info(`  Scratch database: ${scratchDb}`);
+    logger.info('═══════════════════════════════════════════════════');
+
+    await initDatabase();
+
+    // One client per PBX instance in the capture, so calls keep their tag
+    const started = Date.now();
+    const result = await replayCapture(options.capture, (name) => new AMIClient({ ...pbxConfig(), name }), {
+        speed: options.speed,
+        pbx: options.pbx
+    });
+
+    const { calls, total } = await CallRepository.getAllCalls(Number.MAX_SAFE_INTEGER, 0);
+    calls.sort((a, b) => a.id - b.id);
+
+    const captured = (result.lastTs ?? 0) - (result.firstTs ?? 0);
+
+    logger.info('\n═══════════════════════════════════════════════════');
+    logger.info('  Replay Results');
+    logger.info('═══════════════════════════════════════════════════');
+    logger.info(`  PBX instances: ${result.pbx.join(', ') || '-'}`);
+    logger.info(`  Events replayed: ${result.events} (captured over ${Math.round(captured / 1000)}s, replayed in ${Math.round((Date.now() - started) / 1000)}s)`);
+    logger.info(`  Calls recorded: ${total}`);
+    calls.slice(0, 20).forEach((call, i) => {
+        logger.info(`  ${i + 1}. [${call.pbx}] ${call.caller_id} → ${call.destination}: ${call.call_state}` +
+            `${call.dial_status ? `, ${call.dial_status}` : ''}${call.hangup_cause_txt ? `, ${call.hangup_cause_txt}` : ''}`);
+    });
+    if (calls.length > 20) {
+        logger.info(`  ... and ${calls.length - 20} more`);
+    }
+
+    if (options.output) {
+        const output = calls.map(call => Object.fromEntries(OUTPUT_FIELDS.map(field => [field, call[field] ?? null])));
+        fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+        fs.writeFileSync(options.output, `${JSON.stringify(output, null, 2)}\n`);
+        logger.info(`  Calls written to ${options.output}`);
+    }
+
+    closeDatabase();
+}
+
+main().then(() => {
+    process.exit(0);
+}).catch((error) => {
+    logger.error(`Replay failed: ${error.message}`);
+    process.exit(1);
+});
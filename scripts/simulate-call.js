@@ -13,6 +13,7 @@ import { CallRepository } from '../src/database/call-repository.js';
 import { TranscriptionRepository } from '../src/database/transcription-repository.js';
 import { AIProcessor } from '../src/services/ai-processor.js';
 import { logger } from '../src/utils/logger.js';
+import { DEFAULT_PBX } from '../src/utils/pbx-instances.js';
 import { v4 as uuidv4 } from 'uuid';
 
 class CallSimulator {
@@ -55,7 +56,8 @@ class CallSimulator {
             destination: '1002',
             channel: 'PJSIP/1001-00000001',
             destChannel: 'PJSIP/1002-00000002',
-            callState: 'initiated'
+            callState: 'initiated',
+            pbx: DEFAULT_PBX
         });
 
         await CallRepository.logCallEvent(callId, 'newchannel', {
@@ -66,7 +68,7 @@ class CallSimulator {
         await this.delay(500);
 
         // Step 2: Call answered
-        await CallRepository.updateCallAnswered(uniqueId);
+        await CallRepository.updateCallAnswered(DEFAULT_PBX, uniqueId);
         await CallRepository.logCallEvent(callId, 'answered', {
             event: 'Newstate',
             channelstate: 6
@@ -75,7 +77,7 @@ class CallSimulator {
         await this.delay(2000); // Simulate 2 second call
 
         // Step 3: Call ended
-        await CallRepository.updateCallEnded(uniqueId, '16', 'Normal Clearing');
+        await CallRepository.updateCallEnded(DEFAULT_PBX, uniqueId, '16', 'Normal Clearing');
         await CallRepository.logCallEvent(callId, 'hangup', {
             event: 'Hangup',
             cause: '16'
@@ -102,7 +104,8 @@ class CallSimulator {
                 callerName: 'Jane Smith',
                 destination: '1004',
                 channel: 'PJSIP/1003-00000003',
-                callState: 'initiated'
+                callState: 'initiated',
+                pbx: DEFAULT_PBX
             });
             logger.info(`Missed call record created: ${callId}`);
 
@@ -113,7 +116,7 @@ class CallSimulator {
             await this.delay(500); // Short delay for testing
 
             // Call ended without answer
-            await CallRepository.updateCallEnded(uniqueId, '21', 'Call Rejected');
+            await CallRepository.updateCallEnded(DEFAULT_PBX, uniqueId, '21', 'Call Rejected');
             await CallRepository.logCallEvent(callId, 'hangup', {
                 event: 'Hangup',
                 cause: '21'
@@ -151,7 +154,8 @@ class CallSimulator {
             callerName: 'AI Test Caller',
             destination: '777',
             channel: 'PJSIP/1005-00000005',
-            callState: 'initiated'
+            callState: 'initiated',
+            pbx: DEFAULT_PBX
         });
 
         await CallRepository.logCallEvent(callId, 'newchannel', {
@@ -159,7 +163,7 @@ class CallSimulator {
         });
 
         // Answered
-        await CallRepository.updateCallAnswered(uniqueId);
+        await CallRepository.updateCallAnswered(DEFAULT_PBX, uniqueId);
         await CallRepository.logCallEvent(callId, 'answered', {
             event: 'Stasis answered'
         });
@@ -177,7 +181,7 @@ class CallSimulator {
         await this.delay(1000);
 
         // End call
-        await CallRepository.updateCallEnded(uniqueId, '16', 'Normal Clearing');
+        await CallRepository.updateCallEnded(DEFAULT_PBX, uniqueId, '16', 'Normal Clearing');
         await CallRepository.logCallEvent(callId, 'hangup', {
             event: 'Hangup'
         });
@@ -222,14 +226,15 @@ class CallSimulator {
             callerName,
             destination,
             channel: `PJSIP/${callerId}-${Date.now()}`,
-            callState: 'initiated'
+            callState: 'initiated',
+            pbx: DEFAULT_PBX
         });
 
-        await CallRepository.updateCallAnswered(uniqueId);
+        await CallRepository.updateCallAnswered(DEFAULT_PBX, uniqueId);
         
         await this.delay(Math.random() * 1000 + 500);
         
-        await CallRepository.updateCallEnded(uniqueId, '16', 'Normal Clearing');
+        await CallRepository.updateCallEnded(DEFAULT_PBX, uniqueId, '16', 'Normal Clearing');
 
         return { uniqueId, callId };
     }
@@ -5,15 +5,46 @@
  * when the Asterisk service restarts.
  * 
  * Usage: npm run test:reconnect
+ * 
+ * With --fake (npm run test:reconnect:fake) the clients connect to the
+ * built-in fake Asterisk instead, which is restarted by the script; the
+ * test then checks that AMI reconnects and reconciles the calls lost in
+ * the restart, and that ARI calls are handled again. Exits with 0 if so.
+ * Its calls and recordings go to a temporary directory, not to
+ * DATABASE_PATH / RECORDINGS_DIR.
  */
 
 import 'dotenv/config';
-import { AMIClient } from '../src/services/ami-client.js';
-import { ARIClient } from '../src/services/ari-client.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FakeAsterisk } from '../fake-asterisk/index.js';
+import { pbxConfig } from '../src/utils/pbx-instances.js';
 import { logger } from '../src/utils/logger.js';
 
+const FAKE_RESTART_DOWN_MS = 2000;
+const FAKE_STEP_TIMEOUT_MS = 30000;
+
+const useFake = process.argv.includes('--fake');
+
+// The database module reads DATABASE_PATH when it is loaded, so the
+// scratch paths are set before the gateway modules are imported
+const scratchDir = useFake ? fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pbx-reconnect-')) : null;
+if (scratchDir) {
+    process.env.DATABASE_PATH = path.join(scratchDir, 'calls.db');
+    process.env.RECORDINGS_DIR = path.join(scratchDir, 'recordings');
+    process.env.TTS_CACHE_DIR = path.join(scratchDir, 'tts-cache');
+    delete process.env.AMI_CAPTURE_FILE;
+}
+
+const { AMIClient } = await import('../src/services/ami-client.js');
+const { ARIClient } = await import('../src/services/ari-client.js');
+const { initDatabase, closeDatabase } = await import('../src/database/init.js');
+
 class ReconnectionTester {
     constructor() {
+        this.fake = null;
+        this.instance = pbxConfig();
         this.amiClient = null;
         this.ariClient = null;
         this.amiReconnections = 0;
@@ -49,7 +80,7 @@ class ReconnectionTester {
     async testAMI() {
         logger.info('\n📡 Testing AMI Client...');
 
-        this.amiClient = new AMIClient();
+        this.amiClient = new AMIClient(this.instance);
 
         // Track connection events
         this.amiClient.on('connected', () => {
@@ -84,7 +115,7 @@ class ReconnectionTester {
     async testARI() {
         logger.info('\n🎙️ Testing ARI Client...');
 
-        this.ariClient = new ARIClient();
+        this.ariClient = new ARIClient(this.instance);
 
         // Track connection events
         this.ariClient.on('connected', () => {
@@ -101,8 +132,8 @@ class ReconnectionTester {
         });
 
         // Track Stasis events
-        this.ariClient.on('stasisend', (data) => {
-            logger.info('🎙️ [ARI Event] Stasis End:', data);
+        this.ariClient.on('stasisend', ({ channelId }) => {
+            logger.info('🎙️ [ARI Event] Stasis End:', { channelId });
         });
 
         try {
@@ -112,6 +143,47 @@ class ReconnectionTester {
         }
     }
 
+    /**
+     * Connect to a fake Asterisk, restart it and check that both clients
+     * recover
+     */
+    async runFake() {
+        logger.info('═══════════════════════════════════════════════════');
+        logger.info('  Reconnection Test (fake Asterisk)');
+        logger.info('═══════════════════════════════════════════════════');
+
+        // Calls are stored, so that the lost one can be reconciled
+        await initDatabase();
+
+        this.fake = new FakeAsterisk();
+        await this.fake.start();
+        this.instance = this.fake.instanceConfig();
+
+        await this.testAMI();
+        await this.testARI();
+        await this.fake.waitForApplication(this.instance.ari.appName, FAKE_STEP_TIMEOUT_MS);
+
+        // A call in progress when the PBX restarts: its hangup is never seen
+        const lost = this.fake.createChannel({ from: '1001', to: '1002', state: 'Up' });
+        await waitFor(this.amiClient, 'newchannel', (event) => event.uniqueid === lost.id);
+
+        logger.info(`\n🔁 Restarting fake Asterisk (down for ${FAKE_RESTART_DOWN_MS}ms)...`);
+        const reconciled = waitFor(this.amiClient, 'reconciled', (summary) => summary.closed > 0);
+        await this.fake.restart(FAKE_RESTART_DOWN_MS);
+
+        const summary = await reconciled;
+        logger.info(`✅ AMI reconnected and closed ${summary.closed} lost call(s)`);
+
+        // The ARI event WebSocket reconnects on its own; a new call must be answered
+        await this.fake.waitForApplication(this.instance.ari.appName, FAKE_STEP_TIMEOUT_MS);
+        const channel = this.fake.stasisCall({ from: '1003', appName: this.instance.ari.appName });
+        await waitFor(this.fake, 'arirequest', (request) => request.path === `/channels/${channel.id}/answer`);
+        logger.info('✅ ARI call answered after the restart');
+
+        await waitFor(this.ariClient, 'stasisend', (data) => data.channelId === channel.id);
+        return true;
+    }
+
     startStatusReporting() {
         setInterval(() => {
             const amiStatus = this.amiClient?.getStatus() || {};
@@ -131,7 +203,7 @@ class ReconnectionTester {
         }, 30000); // Report every 30 seconds
     }
 
-    async shutdown() {
+    async shutdown(exitCode = 0) {
         logger.info('\nShutting down test...');
         
         if (this.amiClient) {
@@ -140,22 +212,61 @@ class ReconnectionTester {
         if (this.ariClient) {
             await this.ariClient.disconnect();
         }
+        if (this.fake) {
+            await this.fake.stop();
+        }
+        if (scratchDir) {
+            closeDatabase();
+            fs.rmSync(scratchDir, { recursive: true, force: true });
+        }
 
         logger.info('Test complete.');
         logger.info(`Total AMI connections: ${this.amiReconnections}`);
         logger.info(`Total ARI connections: ${this.ariReconnections}`);
         
-        process.exit(0);
+        process.exit(exitCode);
     }
 }
 
+/**
+ * Resolve with the first event matching a predicate, fail after
+ * FAKE_STEP_TIMEOUT_MS
+ */
+function waitFor(emitter, event, predicate = () => true) {
+    return new Promise((resolve, reject) => {
+        const listener = (data) => {
+            if (!predicate(data)) return;
+            clearTimeout(timer);
+            emitter.removeListener(event, listener);
+            resolve(data);
+        };
+        const timer = setTimeout(() => {
+            emitter.removeListener(event, listener);
+            reject(new Error(`No '${event}' event within ${FAKE_STEP_TIMEOUT_MS}ms`));
+        }, FAKE_STEP_TIMEOUT_MS);
+        emitter.on(event, listener);
+    });
+}
+
 // Run the test
 const tester = new ReconnectionTester();
 
 process.on('SIGINT', () => tester.shutdown());
 process.on('SIGTERM', () => tester.shutdown());
 
-tester.run().catch((error) => {
-    logger.error('Test failed:', error);
-    process.exit(1);
-});
+if (useFake) {
+    tester.runFake()
+        .then(() => {
+            logger.info('\n✅ Reconnection test passed');
+            return tester.shutdown(0);
+        })
+        .catch((error) => {
+            logger.error('❌ Reconnection test failed:', error);
+            return tester.shutdown(1);
+        });
+} else {
+    tester.run().catch((error) => {
+        logger.error('Test failed:', error);
+        process.exit(1);
+    });
+}
@@ -5,12 +5,30 @@
  * - Health checks
  * - Call history retrieval
  * - Service status monitoring
+ * - Call control on live calls (token protected)
  */
 
 import express from 'express';
+import crypto from 'crypto';
 import { apiLogger } from '../utils/logger.js';
 import { CallRepository } from '../database/call-repository.js';
 import { TranscriptionRepository } from '../database/transcription-repository.js';
+import { AlertRepository } from '../database/alert-repository.js';
+import { ConversationRepository } from '../database/conversation-repository.js';
+import { TransferRepository } from '../database/transfer-repository.js';
+import { CallConversationRepository } from '../database/call-conversation-repository.js';
+import { BridgeRepository } from '../database/bridge-repository.js';
+import { QueueRepository } from '../database/queue-repository.js';
+import { ExtensionRepository } from '../database/extension-repository.js';
+import { CdrRepository } from '../database/cdr-repository.js';
+import { getPersistenceStatus } from '../database/init.js';
+import { CallControl, amiErrorMessage } from '../services/call-control.js';
+import { transcriptionQueue } from '../services/transcription-queue.js';
+import { AlertEngine } from '../services/alert-engine.js';
+import { campaignManager, CampaignManager } from '../services/campaign-manager.js';
+import { CampaignRepository } from '../database/campaign-repository.js';
+import { formatTranscript, TRANSCRIPT_FORMATS } from '../utils/transcript-formatter.js';
+import { DEFAULT_PBX } from '../utils/pbx-instances.js';
 
 export function createAPIServer() {
     const app = express();
@@ -30,7 +48,7 @@ export function createAPIServer() {
     // CORS headers
     app.use((req, res, next) => {
         res.header('Access-Control-Allow-Origin', '*');
-        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-PII-Access-Token, X-Alert-Rules-Token, X-Call-Control-Token, X-Call-Control-User');
         res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
         next();
     });
@@ -62,7 +80,16 @@ export function createAPIServer() {
                 ami: amiStatus,
                 ari: ariStatus
             },
-            transcriptions: transcriptionStats
+            pbx: pbxInstances().map(({ name, amiClient, ariClient }) => ({
+                name,
+                healthy: Boolean(amiClient?.isConnected && ariClient?.isConnected),
+                ami: amiClient?.getStatus?.() || { connected: false },
+                ari: ariClient?.getStatus?.() || { connected: false }
+            })),
+            transcriptions: transcriptionStats,
+            queue: transcriptionQueue.getStatus(),
+            campaigns: campaignManager.getStatus(),
+            database: getPersistenceStatus()
         });
     });
 
@@ -78,24 +105,31 @@ export function createAPIServer() {
                 destination,
                 startDate,
                 endDate,
-                callState
+                callState,
+                intent,
+                sentiment,
+                transferOutcome,
+                pbx
             } = req.query;
 
             const result = await CallRepository.getAllCalls(
                 parseInt(limit),
                 parseInt(offset),
-                { callerId, destination, startDate, endDate, callState }
+                { callerId, destination, startDate, endDate, callState, intent, sentiment, transferOutcome, pbx }
             );
 
             // Format response
             const formattedCalls = result.calls.map(call => ({
                 id: call.id,
                 uniqueId: call.unique_id,
+                pbx: call.pbx,
                 caller: {
                     number: call.caller_id,
                     name: call.caller_name
                 },
                 destination: call.destination,
+                conversationId: call.conversation_id,
+                legType: call.leg_type,
                 timing: {
                     startTime: call.start_time,
                     answerTime: call.answer_time,
@@ -107,11 +141,19 @@ export function createAPIServer() {
                     cause: call.hangup_cause,
                     description: call.hangup_cause_txt
                 },
+                transferOutcome: call.transfer_outcome || null,
+                billing: formatBilling(call),
                 transcription: {
                     status: call.transcription_status || 'none',
                     text: call.transcription_text,
                     recordingPath: call.recording_path
-                }
+                },
+                enrichment: call.intent ? {
+                    intent: call.intent,
+                    sentiment: call.sentiment,
+                    sentimentScore: call.sentiment_score,
+                    summary: call.summary
+                } : null
             }));
 
             res.json({
@@ -141,6 +183,15 @@ export function createAPIServer() {
     app.get('/calls/:id', async (req, res) => {
         try {
             const { id } = req.params;
+            const { format } = req.query;
+
+            if (format && !Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unsupported format: ${format} (expected one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')})`
+                });
+            }
+
             const call = await CallRepository.getCallById(parseInt(id));
 
             if (!call) {
@@ -150,14 +201,34 @@ export function createAPIServer() {
                 });
             }
 
-            // Get call events
-            const events = await CallRepository.getCallEvents(call.id);
+            // Get transcript segments
+            const segments = call.transcription_id
+                ? await TranscriptionRepository.getSegments(call.transcription_id)
+                : [];
+
+            if (format) {
+                return res.type(TRANSCRIPT_FORMATS[format]).send(formatTranscript(segments, format));
+            }
+
+            // Get call events, fired alert rules and agent dialogue
+            const events = (await CallRepository.getCallEvents(call.id)).map(e => ({
+                type: e.event_type,
+                timestamp: e.timestamp,
+                data: JSON.parse(e.event_data || '{}')
+            }));
+            const alertMatches = await AlertRepository.getMatchesByCallId(call.id);
+            const turns = await ConversationRepository.getTurnsByCallId(call.id);
+            const transfers = await TransferRepository.getTransfersByCallId(call.id);
+            const bridges = await BridgeRepository.getBridgesByCallId(call.id);
+            const cdrs = await CdrRepository.getCdrsByCallId(call.id);
+            const celEvents = await CdrRepository.getCelEventsByCallId(call.id);
 
             res.json({
                 success: true,
                 data: {
                     id: call.id,
                     uniqueId: call.unique_id,
+                    pbx: call.pbx,
                     caller: {
                         number: call.caller_id,
                         name: call.caller_name
@@ -167,30 +238,64 @@ export function createAPIServer() {
                         source: call.channel,
                         destination: call.dest_channel
                     },
+                    leg: {
+                        conversationId: call.conversation_id,
+                        linkedId: call.linked_id,
+                        legType: call.leg_type,
+                        parentCallId: call.parent_call_id
+                    },
+                    dialStatus: call.dial_status,
                     timing: {
                         startTime: call.start_time,
                         answerTime: call.answer_time,
                         endTime: call.end_time,
                         durationSeconds: call.duration_seconds
                     },
+                    hold: {
+                        count: call.hold_count || 0,
+                        seconds: call.hold_seconds || 0,
+                        onHoldSince: call.hold_started_at
+                    },
+                    bridges: bridges.map(formatBridge),
+                    transferChain: JSON.parse(call.transfer_chain || '[]'),
                     state: call.call_state,
                     hangup: {
                         cause: call.hangup_cause,
                         description: call.hangup_cause_txt
                     },
+                    transferOutcome: call.transfer_outcome || null,
+                    billing: formatBilling(call),
+                    cdrs: cdrs.map(formatCdr),
+                    cel: celEvents.map(formatCelEvent),
                     transcription: {
+                        id: call.transcription_id,
                         status: call.transcription_status || 'none',
                         text: call.transcription_text,
                         recordingPath: call.recording_path,
                         processingStartedAt: call.processing_started_at,
                         processingCompletedAt: call.processing_completed_at,
-                        error: call.transcription_error
+                        error: call.transcription_error,
+                        provider: call.transcription_provider,
+                        language: call.transcription_language,
+                        confidence: call.transcription_confidence,
+                        latencyMs: call.transcription_latency_ms,
+                        redaction: JSON.parse(call.redaction_report || 'null'),
+                        audio: JSON.parse(call.audio_metrics || 'null'),
+                        segments: segments.map(formatSegment)
                     },
-                    events: events.map(e => ({
-                        type: e.event_type,
-                        timestamp: e.timestamp,
-                        data: JSON.parse(e.event_data || '{}')
-                    })),
+                    enrichment: call.intent ? {
+                        intent: call.intent,
+                        intentConfidence: call.intent_confidence,
+                        sentiment: call.sentiment,
+                        sentimentScore: call.sentiment_score,
+                        summary: call.summary,
+                        actionItems: JSON.parse(call.action_items || '[]')
+                    } : null,
+                    alerts: alertMatches.map(formatAlertMatch),
+                    conversation: turns.map(formatTurn),
+                    ivrPath: formatIvrPath(events),
+                    transfers: transfers.map(formatTransfer),
+                    events,
                     createdAt: call.created_at,
                     updatedAt: call.updated_at
                 }
@@ -206,6 +311,60 @@ export function createAPIServer() {
         }
     });
 
+    // ====================
+    // Call Control (acts on live calls through AMI)
+    // ====================
+    app.post('/calls/originate', requireCallControl, async (req, res) => {
+        const body = req.body || {};
+        const errors = CallControl.validate('originate', body);
+        const names = pbxInstances().map(instance => instance.name);
+
+        if (body.pbx !== undefined && !names.includes(body.pbx)) {
+            errors.push(`pbx must be one of: ${names.join(', ')}`);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid call control request',
+                details: errors
+            });
+        }
+
+        // Click-to-call goes through the primary PBX unless one is named
+        const amiClient = amiClientFor(body.pbx);
+        if (!amiClient?.isConnected) {
+            return sendAmiDisconnected(res);
+        }
+
+        try {
+            const control = new CallControl(amiClient, callControlRequester(req));
+            const result = await control.originate(body);
+
+            res.status(202).json({
+                success: true,
+                data: { pbx: amiClient.pbx, ...result }
+            });
+        } catch (error) {
+            sendAmiRejected(res, 'originate', error, amiClient);
+        }
+    });
+
+    app.post('/calls/:id/hangup', requireCallControl,
+        callControlRoute('hangup', (control, call, body) => control.hangup(call, body)));
+    app.post('/calls/:id/redirect', requireCallControl,
+        callControlRoute('redirect', (control, call, body) => control.redirect(call, body)));
+    app.post('/calls/:id/recording/start', requireCallControl,
+        callControlRoute('recording_start', (control, call, body) => control.startRecording(call, body)));
+    app.post('/calls/:id/recording/stop', requireCallControl,
+        callControlRoute('recording_stop', (control, call) => control.stopRecording(call)));
+    app.post('/calls/:id/mute', requireCallControl,
+        callControlRoute('mute', (control, call, body) => control.setMuted(call, true, body)));
+    app.post('/calls/:id/unmute', requireCallControl,
+        callControlRoute('unmute', (control, call, body) => control.setMuted(call, false, body)));
+    app.post('/calls/:id/dtmf', requireCallControl,
+        callControlRoute('dtmf', (control, call, body) => control.sendDtmf(call, body)));
+
     // ====================
     // Transcription Statistics
     // ====================
@@ -231,6 +390,15 @@ export function createAPIServer() {
     app.get('/transcriptions/:id', async (req, res) => {
         try {
             const { id } = req.params;
+            const { format } = req.query;
+
+            if (format && !Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unsupported format: ${format} (expected one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')})`
+                });
+            }
+
             const transcription = await TranscriptionRepository.getTranscriptionById(parseInt(id));
 
             if (!transcription) {
@@ -240,9 +408,20 @@ export function createAPIServer() {
                 });
             }
 
+            const segments = await TranscriptionRepository.getSegments(transcription.id);
+
+            if (format) {
+                return res.type(TRANSCRIPT_FORMATS[format]).send(formatTranscript(segments, format));
+            }
+
             res.json({
                 success: true,
-                data: transcription
+                data: {
+                    ...transcription,
+                    redaction_report: JSON.parse(transcription.redaction_report || 'null'),
+                    audio_metrics: JSON.parse(transcription.audio_metrics || 'null'),
+                    segments: segments.map(formatSegment)
+                }
             });
 
         } catch (error) {
@@ -255,29 +434,1312 @@ export function createAPIServer() {
     });
 
     // ====================
-    // Error Handler
+    // Unredacted Transcript (access-controlled)
     // ====================
-    app.use((err, req, res, next) => {
-        apiLogger.error('Unhandled error:', err);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: process.env.NODE_ENV === 'development' ? err.message : undefined
-        });
+    app.get('/transcriptions/:id/original', requirePIIAccess, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const original = await TranscriptionRepository.getOriginal(parseInt(id));
+
+            if (!original) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No unredacted transcript retained for this transcription'
+                });
+            }
+
+            apiLogger.warn('Unredacted transcript accessed', {
+                transcriptionId: original.transcription_id,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    transcriptionId: original.transcription_id,
+                    text: original.transcription_text,
+                    segments: JSON.parse(original.segments || '[]'),
+                    createdAt: original.created_at
+                }
+            });
+
+        } catch (error) {
+            apiLogger.error('Error fetching original transcript:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch original transcript'
+            });
+        }
     });
 
     // ====================
-    // 404 Handler
+    // Alert Rules
     // ====================
-    app.use((req, res) => {
-        res.status(404).json({
-            success: false,
-            error: 'Not found',
-            path: req.path
-        });
+    app.get('/alerts/rules', async (req, res) => {
+        try {
+            const rules = await AlertRepository.getAllRules();
+            res.json({
+                success: true,
+                data: rules.map(formatRule)
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching alert rules:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch alert rules'
+            });
+        }
     });
 
-    return app;
+    // Rules (regex ones in particular) run against every transcript:
+    // changing them needs the alert rules token
+    app.post('/alerts/rules', requireAlertRulesAccess, async (req, res) => {
+        try {
+            const rule = req.body || {};
+            const errors = AlertEngine.validateRule(rule);
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid alert rule',
+                    details: errors
+                });
+            }
+
+            const id = await AlertRepository.createRule(rule);
+            const created = await AlertRepository.getRuleById(id);
+
+            res.status(201).json({
+                success: true,
+                data: formatRule(created)
+            });
+        } catch (error) {
+            apiLogger.error('Error creating alert rule:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create alert rule'
+            });
+        }
+    });
+
+    app.get('/alerts/rules/:id', async (req, res) => {
+        try {
+            const rule = await AlertRepository.getRuleById(parseInt(req.params.id));
+
+            if (!rule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Alert rule not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: formatRule(rule)
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching alert rule:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch alert rule'
+            });
+        }
+    });
+
+    app.put('/alerts/rules/:id', requireAlertRulesAccess, async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+            const existing = await AlertRepository.getRuleById(id);
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Alert rule not found'
+                });
+            }
+
+            // Partial update on top of the stored rule
+            const rule = { ...formatRule(existing), ...req.body };
+            const errors = AlertEngine.validateRule(rule);
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid alert rule',
+                    details: errors
+                });
+            }
+
+            await AlertRepository.updateRule(id, rule);
+            const updated = await AlertRepository.getRuleById(id);
+
+            res.json({
+                success: true,
+                data: formatRule(updated)
+            });
+        } catch (error) {
+            apiLogger.error('Error updating alert rule:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update alert rule'
+            });
+        }
+    });
+
+    app.delete('/alerts/rules/:id', requireAlertRulesAccess, async (req, res) => {
+        try {
+            const deleted = await AlertRepository.deleteRule(parseInt(req.params.id));
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Alert rule not found'
+                });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            apiLogger.error('Error deleting alert rule:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete alert rule'
+            });
+        }
+    });
+
+    // ====================
+    // Recent Alert Matches
+    // ====================
+    app.get('/alerts', async (req, res) => {
+        try {
+            const { limit = 50, offset = 0 } = req.query;
+            const matches = await AlertRepository.getRecentMatches(parseInt(limit), parseInt(offset));
+
+            res.json({
+                success: true,
+                data: matches.map(formatAlertMatch)
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching alerts:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch alerts'
+            });
+        }
+    });
+
+    // ====================
+    // Warm Transfers
+    // ====================
+    app.get('/transfers', async (req, res) => {
+        try {
+            const { limit = 50, offset = 0, outcome, status } = req.query;
+            const transfers = await TransferRepository.getRecentTransfers(
+                parseInt(limit),
+                parseInt(offset),
+                { outcome, status }
+            );
+
+            res.json({
+                success: true,
+                data: transfers.map(formatTransfer)
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching transfers:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch transfers'
+            });
+        }
+    });
+
+    // ====================
+    // Conversations (call legs grouped by linkedid)
+    // ====================
+    app.get('/conversations', async (req, res) => {
+        try {
+            const { limit = 50, offset = 0, state } = req.query;
+            const conversations = await CallConversationRepository.getRecentConversations(
+                parseInt(limit),
+                parseInt(offset),
+                state
+            );
+
+            res.json({
+                success: true,
+                data: conversations.map(c => formatConversation(c))
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching conversations:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch conversations'
+            });
+        }
+    });
+
+    app.get('/conversations/:id', async (req, res) => {
+        try {
+            // Numeric IDs are conversation IDs, anything else an Asterisk
+            // linkedid of the PBX named by ?pbx= (default the primary)
+            const { id } = req.params;
+            const conversation = /^\d+$/.test(id)
+                ? await CallConversationRepository.getConversationById(parseInt(id))
+                : await CallConversationRepository.getConversationByLinkedId(
+                    req.query.pbx || pbxInstances()[0]?.name || DEFAULT_PBX,
+                    id
+                );
+
+            if (!conversation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
+            }
+
+            const legs = await CallConversationRepository.getLegs(conversation.id);
+            const celEvents = await CdrRepository.getCelEventsByLinkedId(conversation.pbx, conversation.linked_id);
+
+            res.json({
+                success: true,
+                data: {
+                    ...formatConversation(conversation, legs),
+                    cel: celEvents.map(formatCelEvent)
+                }
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching conversation:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch conversation'
+            });
+        }
+    });
+
+    // ====================
+    // Outbound Campaigns
+    // ====================
+    app.get('/campaigns', async (req, res) => {
+        try {
+            const campaigns = await CampaignRepository.getAllCampaigns(req.query.status);
+            const data = await Promise.all(campaigns.map(async (campaign) =>
+                formatCampaign(campaign, await CampaignRepository.getStats(campaign.id))));
+
+            res.json({ success: true, data });
+        } catch (error) {
+            apiLogger.error('Error fetching campaigns:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch campaigns'
+            });
+        }
+    });
+
+    // Campaigns dial arbitrary numbers: creating and starting them needs
+    // the call control token, like click-to-call
+    app.post('/campaigns', requireCallControl, async (req, res) => {
+        try {
+            const campaign = req.body || {};
+            const flowLoader = global.ariClient?.flowLoader;
+            const pbxs = pbxInstances().map(instance => instance.name);
+            const errors = CampaignManager.validateCampaign(
+                campaign,
+                flowLoader ? [...flowLoader.flows.keys()] : null,
+                pbxs.length > 0 ? pbxs : null
+            );
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid campaign',
+                    details: errors
+                });
+            }
+
+            const id = await campaignManager.create(campaign);
+            const created = await CampaignRepository.getCampaignById(id);
+
+            res.status(201).json({
+                success: true,
+                data: formatCampaign(created, await CampaignRepository.getStats(id))
+            });
+        } catch (error) {
+            apiLogger.error('Error creating campaign:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create campaign'
+            });
+        }
+    });
+
+    app.get('/campaigns/:id', async (req, res) => {
+        try {
+            const campaign = await CampaignRepository.getCampaignById(parseInt(req.params.id));
+
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Campaign not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: formatCampaign(campaign, await CampaignRepository.getStats(campaign.id))
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching campaign:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch campaign'
+            });
+        }
+    });
+
+    app.get('/campaigns/:id/contacts', async (req, res) => {
+        try {
+            const { limit = 100, offset = 0, status } = req.query;
+            const campaign = await CampaignRepository.getCampaignById(parseInt(req.params.id));
+
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Campaign not found'
+                });
+            }
+
+            const contacts = await CampaignRepository.getContacts(
+                campaign.id,
+                parseInt(limit),
+                parseInt(offset),
+                status
+            );
+
+            res.json({
+                success: true,
+                data: contacts.map(formatContact)
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching campaign contacts:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch campaign contacts'
+            });
+        }
+    });
+
+    // Contacts as JSON ({ contacts: [...] }) or CSV (number column + variables)
+    app.post('/campaigns/:id/contacts', requireCallControl, express.text({ type: 'text/csv' }), async (req, res) => {
+        try {
+            const campaign = await CampaignRepository.getCampaignById(parseInt(req.params.id));
+
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Campaign not found'
+                });
+            }
+            if (['completed', 'cancelled'].includes(campaign.status)) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Campaign is ${campaign.status}`
+                });
+            }
+
+            const contacts = typeof req.body === 'string'
+                ? CampaignManager.contactsFromCsv(req.body)
+                : req.body?.contacts;
+            const errors = CampaignManager.validateContacts(contacts);
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid contacts',
+                    details: errors
+                });
+            }
+
+            const added = await campaignManager.addContacts(campaign.id, contacts);
+
+            res.status(201).json({
+                success: true,
+                data: { added }
+            });
+        } catch (error) {
+            apiLogger.error('Error adding campaign contacts:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to add campaign contacts'
+            });
+        }
+    });
+
+    app.post('/campaigns/:id/:action(pause|resume|cancel)', requireCallControl, async (req, res) => {
+        try {
+            const id = parseInt(req.params.id);
+            const campaign = await CampaignRepository.getCampaignById(id);
+
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Campaign not found'
+                });
+            }
+
+            const status = await campaignManager.changeStatus(id, req.params.action);
+            if (!status) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Cannot ${req.params.action} a ${campaign.status} campaign`
+                });
+            }
+
+            const updated = await CampaignRepository.getCampaignById(id);
+            res.json({
+                success: true,
+                data: formatCampaign(updated, await CampaignRepository.getStats(id))
+            });
+        } catch (error) {
+            apiLogger.error('Error changing campaign status:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to change campaign status'
+            });
+        }
+    });
+
+    // ====================
+    // Extension Presence
+    // ====================
+    app.get('/extensions', async (req, res) => {
+        try {
+            const { pbx, state, registration } = req.query;
+            const extensions = await ExtensionRepository.getExtensions({ pbx, state, registration });
+
+            const summary = {};
+            for (const extension of extensions) {
+                summary[extension.state] = (summary[extension.state] || 0) + 1;
+            }
+
+            res.json({
+                success: true,
+                data: extensions.map(formatExtension),
+                summary
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching extensions:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch extensions'
+            });
+        }
+    });
+
+    app.get('/extensions/:extension/history', async (req, res) => {
+        try {
+            const { limit = 50, offset = 0 } = req.query;
+            // Extension of the PBX named by ?pbx= (default the primary)
+            const pbx = req.query.pbx || pbxInstances()[0]?.name || DEFAULT_PBX;
+            const extension = await ExtensionRepository.getExtension(pbx, req.params.extension);
+
+            if (!extension) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Extension not found'
+                });
+            }
+
+            const history = await ExtensionRepository.getHistory(
+                extension.pbx,
+                extension.extension,
+                parseInt(limit),
+                parseInt(offset)
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    ...formatExtension(extension),
+                    history: history.map(formatPresenceChange)
+                }
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching extension history:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch extension history'
+            });
+        }
+    });
+
+    // ====================
+    // CDR Reconciliation
+    // ====================
+    app.get('/cdr/reconciliation', async (req, res) => {
+        try {
+            const { startDate, endDate, limit = 100 } = req.query;
+            const toleranceSeconds = parseInt(req.query.toleranceSeconds) ||
+                parseInt(process.env.CDR_TOLERANCE_SECONDS) || 2;
+            const graceSeconds = parseInt(process.env.CDR_GRACE_SECONDS) || 60;
+
+            const report = await CdrRepository.getReconciliation({
+                startDate,
+                endDate,
+                toleranceSeconds,
+                graceSeconds,
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                success: true,
+                data: formatReconciliation(report, toleranceSeconds)
+            });
+        } catch (error) {
+            apiLogger.error('Error building CDR reconciliation:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to build CDR reconciliation'
+            });
+        }
+    });
+
+    // ====================
+    // Queue Analytics
+    // ====================
+    app.get('/queues/stats', async (req, res) => {
+        try {
+            const { pbx, queue, startDate, endDate } = req.query;
+            const serviceLevelSeconds = parseInt(req.query.serviceLevelSeconds) ||
+                parseInt(process.env.QUEUE_SERVICE_LEVEL_SECONDS) || 20;
+
+            const stats = await QueueRepository.getQueueStats({ pbx, queue, startDate, endDate, serviceLevelSeconds });
+
+            res.json({
+                success: true,
+                data: stats.map(row => formatQueueStats(row, serviceLevelSeconds))
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching queue stats:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch queue stats'
+            });
+        }
+    });
+
+    app.get('/queues/agents', async (req, res) => {
+        try {
+            const { pbx, queue, startDate, endDate } = req.query;
+            const agents = await QueueRepository.getAgentStats({ pbx, queue, startDate, endDate });
+
+            res.json({
+                success: true,
+                data: agents.map(formatAgentStats)
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching agent stats:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch agent stats'
+            });
+        }
+    });
+
+    app.get('/queues/waiting', async (req, res) => {
+        try {
+            const { pbx, queue } = req.query;
+            const waiting = await QueueRepository.getWaiting({ pbx, queue });
+
+            // Current position: order among the callers still waiting in the
+            // queue of the same PBX
+            const positions = new Map();
+            const data = waiting.map(visit => {
+                const key = `${visit.pbx}/${visit.queue}`;
+                const position = (positions.get(key) || 0) + 1;
+                positions.set(key, position);
+                return formatWaitingCaller(visit, position);
+            });
+
+            res.json({
+                success: true,
+                data
+            });
+        } catch (error) {
+            apiLogger.error('Error fetching waiting callers:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch waiting callers'
+            });
+        }
+    });
+
+    // ====================
+    // Call Flows
+    // ====================
+    app.get('/flows', (req, res) => {
+        const flowLoader = global.ariClient?.flowLoader;
+        if (!flowLoader) {
+            return res.status(503).json({
+                success: false,
+                error: 'ARI client not initialized'
+            });
+        }
+
+        const status = flowLoader.getStatus();
+        res.json({
+            success: true,
+            data: status.flows.map(flow => ({
+                ...flow,
+                description: flowLoader.get(flow.name)?.description || null,
+                start: flowLoader.get(flow.name)?.start,
+                steps: Object.keys(flowLoader.get(flow.name)?.steps || {})
+            })),
+            errors: status.errors,
+            defaultFlow: process.env.FLOW_DEFAULT || 'voice-to-ai'
+        });
+    });
+
+    // ====================
+    // Error Handler
+    // ====================
+    app.use((err, req, res, next) => {
+        apiLogger.error('Unhandled error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    });
+
+    // ====================
+    // 404 Handler
+    // ====================
+    app.use((req, res) => {
+        res.status(404).json({
+            success: false,
+            error: 'Not found',
+            path: req.path
+        });
+    });
+
+    return app;
+}
+
+/**
+ * Middleware allowing a request only with the token configured in
+ * process.env[envVar], sent in the given header. The routes are disabled
+ * (403 with disabledMessage) while no token is configured.
+ */
+function requireToken(envVar, header, disabledMessage) {
+    return (req, res, next) => {
+        const expected = process.env[envVar];
+        if (!expected) {
+            return res.status(403).json({
+                success: false,
+                error: disabledMessage
+            });
+        }
+
+        if (!tokenMatches(req.get(header), expected)) {
+            apiLogger.warn('Rejected request with an invalid token', { header, path: req.path, ip: req.ip });
+            return res.status(401).json({
+                success: false,
+                error: `Invalid or missing ${header}`
+            });
+        }
+
+        next();
+    };
+}
+
+// Unredacted transcripts
+const requirePIIAccess = requireToken('PII_ACCESS_TOKEN', 'X-PII-Access-Token',
+    'Access to unredacted transcripts is disabled');
+
+// Changes to alert rules
+const requireAlertRulesAccess = requireToken('ALERT_RULES_TOKEN', 'X-Alert-Rules-Token',
+    'Changing alert rules is disabled');
+
+// Call control (click-to-call, hangup, redirect, ...) and campaigns
+const requireCallControl = requireToken('CALL_CONTROL_TOKEN', 'X-Call-Control-Token',
+    'Call control is disabled');
+
+/**
+ * PBX instances of the gateway ({ name, amiClient, ariClient }), the
+ * primary first
+ */
+function pbxInstances() {
+    if (global.pbxInstances?.length) {
+        return global.pbxInstances;
+    }
+    if (!global.amiClient && !global.ariClient) {
+        return [];
+    }
+    return [{
+        name: global.amiClient?.pbx || global.ariClient?.pbx || DEFAULT_PBX,
+        amiClient: global.amiClient,
+        ariClient: global.ariClient
+    }];
+}
+
+/**
+ * AMI client of a PBX by name; calls recorded before PBX tagging (and
+ * requests without a name) use the primary PBX
+ */
+function amiClientFor(pbx) {
+    const instances = pbxInstances();
+    if (!pbx) {
+        return instances[0]?.amiClient || null;
+    }
+    return instances.find(instance => instance.name === pbx)?.amiClient || null;
+}
+
+/**
+ * Constant-time comparison of a provided token with the expected one
+ * Compares SHA-256 digests: they always have the same length, whatever
+ * the length (or encoding) of the header value.
+ */
+function tokenMatches(provided, expected) {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(provided || ''), digest(expected));
+}
+
+/**
+ * Who asked for a call control action, as stored in the audit trail
+ */
+function callControlRequester(req) {
+    return {
+        ip: req.ip,
+        user: req.get('X-Call-Control-User') || null
+    };
+}
+
+/**
+ * Route handler for an action on the live channel of a call
+ * Validates the body, requires a call that has not ended and a connected
+ * AMI on the call's PBX, then runs perform(control, call, body).
+ */
+function callControlRoute(action, perform) {
+    return async (req, res) => {
+        const body = req.body || {};
+        const errors = CallControl.validate(action, body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid call control request',
+                details: errors
+            });
+        }
+
+        let call;
+        try {
+            call = await CallRepository.getCallById(parseInt(req.params.id));
+        } catch (error) {
+            apiLogger.error('Error fetching call:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch call'
+            });
+        }
+
+        if (!call) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call not found'
+            });
+        }
+
+        if (call.end_time || call.call_state === 'ended' || !call.channel) {
+            return res.status(409).json({
+                success: false,
+                error: 'Call is not live'
+            });
+        }
+
+        // Actions go to the PBX the call is on
+        const amiClient = amiClientFor(call.pbx);
+        if (!amiClient?.isConnected) {
+            return sendAmiDisconnected(res);
+        }
+
+        try {
+            const control = new CallControl(amiClient, callControlRequester(req));
+            const result = await perform(control, call, body);
+
+            res.json({
+                success: true,
+                data: {
+                    callId: call.id,
+                    channel: call.channel,
+                    action,
+                    ...result
+                }
+            });
+        } catch (error) {
+            sendAmiRejected(res, action, error, amiClient);
+        }
+    };
+}
+
+function sendAmiDisconnected(res) {
+    return res.status(503).json({
+        success: false,
+        error: 'AMI is not connected; call control is unavailable'
+    });
+}
+
+/**
+ * Asterisk refused the action (e.g. no such channel), or AMI dropped
+ * while it was sent
+ */
+function sendAmiRejected(res, action, error, amiClient) {
+    if (!amiClient.isConnected) {
+        return sendAmiDisconnected(res);
+    }
+
+    apiLogger.warn(`Call control ${action} failed`, { error: amiErrorMessage(error) });
+    res.status(502).json({
+        success: false,
+        error: `Asterisk rejected ${action}: ${amiErrorMessage(error)}`
+    });
+}
+
+/**
+ * Format an alert rule for API responses
+ */
+function formatRule(rule) {
+    return {
+        id: rule.id,
+        name: rule.name,
+        description: rule.description,
+        matchType: rule.match_type,
+        config: rule.config,
+        severity: rule.severity,
+        enabled: rule.enabled,
+        createdAt: rule.created_at,
+        updatedAt: rule.updated_at
+    };
+}
+
+/**
+ * Format an alert match row for API responses
+ */
+function formatAlertMatch(match) {
+    return {
+        id: match.id,
+        ruleId: match.rule_id,
+        ruleName: match.rule_name,
+        severity: match.severity,
+        callId: match.call_id,
+        transcriptionId: match.transcription_id,
+        matchedText: match.matched_text,
+        start: match.match_start,
+        end: match.match_end,
+        triggeredAt: match.created_at
+    };
+}
+
+/**
+ * Format a transcript segment row for API responses
+ */
+function formatSegment(segment) {
+    return {
+        startMs: segment.start_ms,
+        endMs: segment.end_ms,
+        speaker: segment.speaker,
+        text: segment.text,
+        confidence: segment.confidence
+    };
+}
+
+function formatTurn(turn) {
+    return {
+        turn: turn.turn_index,
+        callerText: turn.caller_text,
+        agentText: turn.agent_text,
+        endedCall: Boolean(turn.ended_call),
+        startedAt: turn.started_at,
+        timings: {
+            listenMs: turn.listen_ms,
+            transcriptionMs: turn.transcription_ms,
+            responseMs: turn.response_ms,
+            speakMs: turn.speak_ms
+        }
+    };
+}
+
+function formatCampaign(campaign, stats) {
+    const done = stats.completed + stats.failed + stats.cancelled;
+
+    return {
+        id: campaign.id,
+        name: campaign.name,
+        flow: campaign.flow,
+        pbx: campaign.pbx,
+        status: campaign.status,
+        callerId: campaign.caller_id,
+        maxConcurrent: campaign.max_concurrent,
+        retry: {
+            maxAttempts: campaign.max_attempts,
+            delaySeconds: campaign.retry_delay_seconds,
+            on: campaign.retry_on
+        },
+        schedule: campaign.schedule,
+        startAt: campaign.start_at,
+        createdAt: campaign.created_at,
+        completedAt: campaign.completed_at,
+        stats: {
+            ...stats,
+            progress: stats.total > 0 ? Math.round((done / stats.total) * 100) : 0
+        }
+    };
+}
+
+function formatContact(contact) {
+    return {
+        id: contact.id,
+        number: contact.phone_number,
+        variables: contact.variables,
+        status: contact.status,
+        attempts: contact.attempts,
+        outcome: contact.outcome,
+        hangupCause: contact.hangup_cause,
+        error: contact.last_error,
+        callId: contact.call_id,
+        nextAttemptAt: contact.next_attempt_at,
+        lastAttemptAt: contact.last_attempt_at,
+        completedAt: contact.completed_at
+    };
+}
+
+function formatTransfer(transfer) {
+    return {
+        id: transfer.id,
+        callId: transfer.call_id,
+        target: {
+            type: transfer.target_type,
+            number: transfer.target
+        },
+        status: transfer.status,
+        outcome: transfer.outcome,
+        fallback: transfer.fallback,
+        hangupCause: transfer.hangup_cause,
+        hangupCauseTxt: transfer.hangup_cause_txt,
+        summary: transfer.summary,
+        agentChannel: transfer.agent_channel,
+        requestedAt: transfer.requested_at,
+        answeredAt: transfer.answered_at,
+        endedAt: transfer.ended_at
+    };
+}
+
+function formatBridge(bridge) {
+    return {
+        bridgeId: bridge.bridge_id,
+        type: bridge.bridge_type,
+        technology: bridge.bridge_technology,
+        enteredAt: bridge.entered_at,
+        leftAt: bridge.left_at,
+        with: bridge.peers.map(peer => ({
+            callId: peer.call_id,
+            uniqueId: peer.unique_id,
+            channel: peer.channel,
+            callerId: peer.caller_id,
+            enteredAt: peer.entered_at,
+            leftAt: peer.left_at
+        }))
+    };
+}
+
+function formatBilling(call) {
+    if (!call.disposition && call.billable_seconds == null) {
+        return null;
+    }
+
+    return {
+        billableSeconds: call.billable_seconds,
+        disposition: call.disposition,
+        accountCode: call.account_code
+    };
+}
+
+function formatCdr(cdr) {
+    return {
+        id: cdr.id,
+        pbx: cdr.pbx,
+        uniqueId: cdr.unique_id,
+        linkedId: cdr.linked_id,
+        accountCode: cdr.account_code,
+        source: cdr.source,
+        destination: cdr.destination,
+        destinationContext: cdr.destination_context,
+        callerId: cdr.caller_id,
+        channel: cdr.channel,
+        destinationChannel: cdr.destination_channel,
+        lastApplication: cdr.last_application,
+        lastData: cdr.last_data,
+        startTime: cdr.start_time,
+        answerTime: cdr.answer_time,
+        endTime: cdr.end_time,
+        durationSeconds: cdr.duration_seconds,
+        billableSeconds: cdr.billable_seconds,
+        disposition: cdr.disposition,
+        amaFlags: cdr.ama_flags,
+        userField: cdr.user_field,
+        receivedAt: cdr.received_at
+    };
+}
+
+function formatCelEvent(event) {
+    return {
+        event: event.event_name,
+        eventTime: event.event_time,
+        uniqueId: event.unique_id,
+        channel: event.channel,
+        callerId: event.caller_id,
+        exten: event.exten,
+        context: event.context,
+        application: event.application,
+        appData: event.app_data,
+        peer: event.peer,
+        extra: event.extra
+    };
+}
+
+/**
+ * Reconciliation report: totals per mismatch type and the mismatches
+ */
+function formatReconciliation(report, toleranceSeconds) {
+    const total = rows => rows[0]?.total || 0;
+    const call = row => ({
+        callId: row.id,
+        uniqueId: row.unique_id,
+        channel: row.channel,
+        startTime: row.start_time
+    });
+
+    return {
+        checked: {
+            endedCalls: report.checked?.calls || 0,
+            withCdr: report.checked?.with_cdr || 0
+        },
+        toleranceSeconds,
+        totals: {
+            missingCdr: total(report.missingCdr),
+            missingCall: total(report.missingCall),
+            billableSeconds: total(report.billableSeconds),
+            disposition: total(report.disposition)
+        },
+        mismatches: {
+            missingCdr: report.missingCdr.map(row => ({
+                ...call(row),
+                endTime: row.end_time,
+                durationSeconds: row.duration_seconds,
+                hangupCause: row.hangup_cause
+            })),
+            missingCall: report.missingCall.map(formatCdr),
+            billableSeconds: report.billableSeconds.map(row => ({
+                ...call(row),
+                durationSeconds: row.duration_seconds,
+                billableSeconds: row.billable_seconds,
+                differenceSeconds: row.duration_seconds - row.billable_seconds
+            })),
+            disposition: report.disposition.map(row => ({
+                ...call(row),
+                answerTime: row.answer_time,
+                state: row.call_state,
+                hangupCause: row.hangup_cause,
+                disposition: row.disposition
+            }))
+        }
+    };
+}
+
+function formatExtension(extension) {
+    return {
+        pbx: extension.pbx,
+        extension: extension.extension,
+        device: extension.device,
+        state: extension.state,
+        deviceState: extension.device_state,
+        registered: extension.registration === null ? null : extension.registration === 'registered',
+        contact: extension.contact_uri,
+        stateChangedAt: extension.state_changed_at,
+        updatedAt: extension.updated_at
+    };
+}
+
+function formatPresenceChange(change) {
+    return {
+        state: change.state,
+        previousState: change.previous_state,
+        deviceState: change.device_state,
+        registration: change.registration,
+        source: change.source,
+        changedAt: change.changed_at
+    };
+}
+
+/**
+ * Rates are percentages of the calls that left the queue (answered,
+ * abandoned or exited); callers still waiting are not counted
+ */
+function formatQueueStats(row, serviceLevelSeconds) {
+    const finished = row.offered - row.waiting;
+    const percent = count => finished > 0 ? Math.round((count / finished) * 1000) / 10 : null;
+    const seconds = value => value === null ? null : Math.round(value);
+
+    return {
+        pbx: row.pbx,
+        queue: row.queue,
+        offered: row.offered,
+        answered: row.answered,
+        abandoned: row.abandoned,
+        exited: row.exited,
+        waiting: row.waiting,
+        abandonmentRate: percent(row.abandoned),
+        serviceLevel: {
+            seconds: serviceLevelSeconds,
+            answeredWithin: row.answered_within,
+            percent: percent(row.answered_within)
+        },
+        waitSeconds: {
+            average: seconds(row.avg_wait),
+            max: row.max_wait,
+            averageAnswered: seconds(row.avg_answer_wait),
+            averageAbandoned: seconds(row.avg_abandon_wait)
+        },
+        talkSeconds: {
+            total: row.total_talk || 0,
+            average: seconds(row.avg_talk)
+        }
+    };
+}
+
+function formatAgentStats(row) {
+    return {
+        pbx: row.pbx,
+        queue: row.queue,
+        agent: row.agent,
+        interface: row.interface,
+        attempts: row.attempts,
+        answered: row.answered,
+        missed: row.missed,
+        talkSeconds: {
+            total: row.total_talk || 0,
+            average: row.avg_talk === null ? null : Math.round(row.avg_talk)
+        },
+        averageRingSeconds: row.avg_ring === null ? null : Math.round(row.avg_ring)
+    };
+}
+
+function formatWaitingCaller(visit, position) {
+    return {
+        pbx: visit.pbx,
+        queue: visit.queue,
+        position,
+        joinPosition: visit.join_position,
+        uniqueId: visit.unique_id,
+        callId: visit.call_id,
+        caller: {
+            number: visit.caller_id,
+            name: visit.caller_name
+        },
+        channel: visit.channel,
+        joinedAt: visit.joined_at,
+        waitingSeconds: visit.waiting_seconds,
+        ringingAgents: visit.ringing_agents
+    };
+}
+
+function formatConversation(conversation, legs = null) {
+    const formatted = {
+        id: conversation.id,
+        linkedId: conversation.linked_id,
+        pbx: conversation.pbx,
+        caller: {
+            number: conversation.caller_id,
+            name: conversation.caller_name
+        },
+        destination: conversation.destination,
+        state: conversation.state,
+        legCount: conversation.leg_count,
+        timing: {
+            startTime: conversation.start_time,
+            answerTime: conversation.answer_time,
+            endTime: conversation.end_time,
+            durationSeconds: conversation.duration_seconds,
+            totalSeconds: conversation.total_seconds
+        }
+    };
+
+    if (legs) {
+        formatted.legs = buildLegTree(legs);
+    }
+
+    return formatted;
+}
+
+/**
+ * Nest legs under the leg that created them
+ * Legs without a known parent (e.g. a channel whose Dial event was missed)
+ * hang off the caller leg so the tree has a single root where possible.
+ */
+function buildLegTree(legs) {
+    const nodes = new Map(legs.map(leg => [leg.id, { ...formatLeg(leg), children: [] }]));
+    const root = legs.find(leg => leg.leg_type === 'caller');
+    const roots = [];
+
+    for (const leg of legs) {
+        const node = nodes.get(leg.id);
+        const parentId = leg.parent_call_id ?? (leg !== root ? root?.id : null);
+        const parent = nodes.get(parentId);
+
+        if (parent && parent !== node) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    return roots;
+}
+
+function formatLeg(leg) {
+    return {
+        id: leg.id,
+        uniqueId: leg.unique_id,
+        channel: leg.channel,
+        legType: leg.leg_type,
+        callerId: leg.caller_id,
+        destination: leg.destination,
+        state: leg.call_state,
+        startTime: leg.start_time,
+        answerTime: leg.answer_time,
+        endTime: leg.end_time,
+        durationSeconds: leg.duration_seconds,
+        hangup: {
+            cause: leg.hangup_cause,
+            description: leg.hangup_cause_txt
+        }
+    };
+}
+
+/**
+ * Menu choices a caller made in call flows, in order
+ */
+function formatIvrPath(events) {
+    return events
+        .filter(e => e.type === 'dtmf')
+        .map(e => ({
+            flow: e.data.flow,
+            step: e.data.step,
+            attempt: e.data.attempt,
+            digits: e.data.digits,
+            outcome: e.data.outcome,
+            timestamp: e.timestamp
+        }));
 }
 
 export default createAPIServer;
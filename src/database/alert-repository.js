@@ -0,0 +1,187 @@
+/**
+ * Alert Repository
+ * Database operations for keyword alert rules and their matches
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+export class AlertRepository {
+    /**
+     * Create a new alert rule
+     */
+    static async createRule(rule) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO alert_rules (name, description, match_type, config, severity, enabled)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            rule.name,
+            rule.description || null,
+            rule.matchType,
+            JSON.stringify(rule.config),
+            rule.severity || 'warning',
+            rule.enabled === false ? 0 : 1
+        ]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        dbLogger.info('Created alert rule', { id, name: rule.name });
+        return id;
+    }
+
+    /**
+     * Update an existing alert rule
+     */
+    static async updateRule(id, rule) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE alert_rules
+            SET name = ?,
+                description = ?,
+                match_type = ?,
+                config = ?,
+                severity = ?,
+                enabled = ?,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [
+            rule.name,
+            rule.description || null,
+            rule.matchType,
+            JSON.stringify(rule.config),
+            rule.severity || 'warning',
+            rule.enabled === false ? 0 : 1,
+            id
+        ]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Delete an alert rule (its matches are removed with it)
+     */
+    static async deleteRule(id) {
+        const db = await getDatabase();
+
+        db.run('DELETE FROM alert_matches WHERE rule_id = ?', [id]);
+        db.run('DELETE FROM alert_rules WHERE id = ?', [id]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        dbLogger.info('Deleted alert rule', { id });
+        return changes > 0;
+    }
+
+    /**
+     * Get alert rule by ID
+     */
+    static async getRuleById(id) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM alert_rules WHERE id = ?', [id]);
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToRule(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Get all alert rules
+     */
+    static async getAllRules(enabledOnly = false) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM alert_rules
+            ${enabledOnly ? 'WHERE enabled = 1' : ''}
+            ORDER BY id ASC
+        `);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToRule(result[0].columns, row));
+    }
+
+    /**
+     * Record a rule match for a transcription
+     */
+    static async recordMatch(ruleId, callId, transcriptionId, match) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO alert_matches (
+                rule_id, call_id, transcription_id, matched_text, match_start, match_end
+            ) VALUES (?, ?, ?, ?, ?, ?)
+        `, [ruleId, callId, transcriptionId, match.text, match.start, match.end]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        return id;
+    }
+
+    /**
+     * Get rule matches for a call, with rule details
+     */
+    static async getMatchesByCallId(callId) {
+        return this._queryMatches('WHERE m.call_id = ?', [callId]);
+    }
+
+    /**
+     * Get the most recent rule matches
+     */
+    static async getRecentMatches(limit = 50, offset = 0) {
+        return this._queryMatches('', [], 'DESC', limit, offset);
+    }
+
+    static async _queryMatches(whereClause, params, order = 'ASC', limit = -1, offset = 0) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT m.*, r.name as rule_name, r.severity, r.match_type
+            FROM alert_matches m
+            JOIN alert_rules r ON r.id = m.rule_id
+            ${whereClause}
+            ORDER BY m.created_at ${order}, m.id ${order}
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Convert rule row to object with parsed config
+     */
+    static _rowToRule(columns, values) {
+        const rule = this._rowToObject(columns, values);
+        rule.config = JSON.parse(rule.config || '{}');
+        rule.enabled = rule.enabled === 1;
+        return rule;
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default AlertRepository;
@@ -0,0 +1,136 @@
+/**
+ * Bridge Repository
+ * Database operations for call_bridges: the time each channel spent in an
+ * Asterisk bridge, from which "who was bridged with whom and when" follows
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+// Millisecond timestamps: a channel leaving and another entering within
+// the same second must not count as having talked to each other
+const NOW = `strftime('%Y-%m-%d %H:%M:%f', 'now')`;
+
+export class BridgeRepository {
+    /**
+     * A channel entered a bridge (BridgeEnter)
+     */
+    static async enterBridge({ pbx, bridgeId, bridgeType, bridgeTechnology, uniqueId, channel }) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO call_bridges (bridge_id, bridge_type, bridge_technology, call_id, unique_id, channel, entered_at)
+            VALUES (?, ?, ?, (SELECT id FROM calls WHERE pbx IS ? AND unique_id = ?), ?, ?, ${NOW})
+        `, [bridgeId, bridgeType || null, bridgeTechnology || null, pbx, uniqueId, uniqueId, channel || null]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        dbLogger.debug('Channel entered bridge', { bridgeId, uniqueId });
+        return id;
+    }
+
+    /**
+     * A channel left a bridge (BridgeLeave)
+     */
+    static async leaveBridge(bridgeId, uniqueId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE call_bridges
+            SET left_at = ${NOW}
+            WHERE bridge_id = ? AND unique_id = ? AND left_at IS NULL
+        `, [bridgeId, uniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * A bridge was destroyed (BridgeDestroy); close what is still open in it
+     */
+    static async closeBridge(bridgeId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE call_bridges
+            SET left_at = ${NOW}
+            WHERE bridge_id = ? AND left_at IS NULL
+        `, [bridgeId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes;
+    }
+
+    /**
+     * Channels currently in a bridge
+     */
+    static async getParticipants(bridgeId) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM call_bridges
+            WHERE bridge_id = ? AND left_at IS NULL
+            ORDER BY id ASC
+        `, [bridgeId]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Bridges a call was in, each with the channels that were in the same
+     * bridge at an overlapping time (peers)
+     */
+    static async getBridgesByCallId(callId) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM call_bridges
+            WHERE call_id = ?
+            ORDER BY entered_at ASC, id ASC
+        `, [callId]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        const bridges = result[0].values.map(row => this._rowToObject(result[0].columns, row));
+
+        for (const bridge of bridges) {
+            const peers = db.exec(`
+                SELECT b.unique_id, b.channel, b.call_id, b.entered_at, b.left_at, c.caller_id
+                FROM call_bridges b
+                LEFT JOIN calls c ON c.id = b.call_id
+                WHERE b.bridge_id = ?
+                  AND b.id != ?
+                  AND b.entered_at < COALESCE(?, ${NOW})
+                  AND COALESCE(b.left_at, ${NOW}) > ?
+                ORDER BY b.entered_at ASC, b.id ASC
+            `, [bridge.bridge_id, bridge.id, bridge.left_at, bridge.entered_at]);
+
+            bridge.peers = peers.length === 0
+                ? []
+                : peers[0].values.map(row => this._rowToObject(peers[0].columns, row));
+        }
+
+        return bridges;
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default BridgeRepository;
@@ -0,0 +1,221 @@
+/**
+ * Call Conversation Repository
+ * Database operations for conversations: the legs (calls rows) of one
+ * Asterisk linkedid grouped together, e.g. a caller, the phones of a ring
+ * group and a transfer target. Linkedids, like Uniqueids, are only unique
+ * per PBX instance. (Agent dialogue turns are stored by
+ * ConversationRepository.)
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+export class CallConversationRepository {
+    /**
+     * Add a call to the conversation of its linkedid on its PBX (created on
+     * first use)
+     * legType: 'caller' for the leg that started the conversation
+     * (uniqueid = linkedid), otherwise 'linked' until the leg is known to
+     * be dialed by another leg (see setParent).
+     */
+    static async addLeg(callId, pbx, linkedId, legType) {
+        const db = await getDatabase();
+
+        db.run('INSERT OR IGNORE INTO conversations (pbx, linked_id) VALUES (?, ?)', [pbx, linkedId]);
+
+        const result = db.exec('SELECT id FROM conversations WHERE pbx IS ? AND linked_id = ?', [pbx, linkedId]);
+        const conversationId = result[0]?.values[0]?.[0];
+
+        db.run(`
+            UPDATE calls
+            SET linked_id = ?,
+                conversation_id = ?,
+                leg_type = COALESCE(leg_type, ?),
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [linkedId, conversationId, legType, callId]);
+
+        saveDatabase();
+        await this.refresh(conversationId);
+        return conversationId;
+    }
+
+    /**
+     * Record that a leg was created by another leg (e.g. dialed by it)
+     */
+    static async setParent(pbx, uniqueId, parentUniqueId, legType) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE calls
+            SET parent_call_id = (SELECT id FROM calls WHERE pbx IS ? AND unique_id = ?),
+                leg_type = ?,
+                updated_at = datetime('now')
+            WHERE pbx IS ? AND unique_id = ? AND unique_id != ?
+        `, [pbx, parentUniqueId, legType, pbx, uniqueId, parentUniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Recompute a conversation from its legs
+     * It starts with the first leg, is answered when the first leg is
+     * answered and ends when the last leg ended. duration_seconds counts
+     * from answer to end (like calls), total_seconds from start to end.
+     */
+    static async refresh(conversationId) {
+        if (!conversationId) return;
+        const db = await getDatabase();
+
+        const result = db.exec(`
+            SELECT COUNT(*),
+                   MIN(start_time),
+                   MIN(answer_time),
+                   MAX(end_time),
+                   SUM(CASE WHEN end_time IS NULL THEN 1 ELSE 0 END)
+            FROM calls
+            WHERE conversation_id = ?
+        `, [conversationId]);
+        const [legCount, startTime, answerTime, lastEndTime, openLegs] = result[0]?.values[0] || [];
+
+        // Caller details come from the leg that started the conversation
+        const root = db.exec(`
+            SELECT caller_id, caller_name, destination
+            FROM calls
+            WHERE conversation_id = ?
+            ORDER BY CASE WHEN leg_type = 'caller' THEN 0 ELSE 1 END, id ASC
+            LIMIT 1
+        `, [conversationId]);
+        const [callerId, callerName, destination] = root[0]?.values[0] || [];
+
+        const endTime = openLegs > 0 ? null : lastEndTime;
+
+        db.run(`
+            UPDATE conversations
+            SET caller_id = ?,
+                caller_name = ?,
+                destination = ?,
+                state = ?,
+                leg_count = ?,
+                start_time = ?,
+                answer_time = ?,
+                end_time = ?,
+                duration_seconds = ?,
+                total_seconds = ?,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [
+            callerId ?? null,
+            callerName ?? null,
+            destination ?? null,
+            endTime ? 'ended' : 'active',
+            legCount || 0,
+            startTime ?? null,
+            answerTime ?? null,
+            endTime ?? null,
+            endTime ? (answerTime ? secondsBetween(answerTime, endTime) : 0) : null,
+            endTime && startTime ? secondsBetween(startTime, endTime) : null,
+            conversationId
+        ]);
+
+        saveDatabase();
+        dbLogger.debug('Conversation updated', { conversationId, legCount, openLegs });
+    }
+
+    /**
+     * Refresh the conversation a call belongs to
+     */
+    static async refreshForCall(pbx, uniqueId) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT conversation_id FROM calls WHERE pbx IS ? AND unique_id = ?', [pbx, uniqueId]);
+        await this.refresh(result[0]?.values[0]?.[0]);
+    }
+
+    /**
+     * Get a conversation by ID
+     */
+    static async getConversationById(id) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM conversations WHERE id = ?', [id]);
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToObject(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Get a conversation by PBX instance and Asterisk linkedid
+     */
+    static async getConversationByLinkedId(pbx, linkedId) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM conversations WHERE pbx IS ? AND linked_id = ?', [pbx, linkedId]);
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToObject(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Get recent conversations, newest first
+     */
+    static async getRecentConversations(limit = 50, offset = 0, state = null) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM conversations
+            ${state ? 'WHERE state = ?' : ''}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, state ? [state, limit, offset] : [limit, offset]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Get the legs of a conversation in creation order
+     */
+    static async getLegs(conversationId) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM calls
+            WHERE conversation_id = ?
+            ORDER BY id ASC
+        `, [conversationId]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+/**
+ * Seconds between two SQLite UTC timestamps ('YYYY-MM-DD HH:MM:SS')
+ */
+function secondsBetween(from, to) {
+    const parse = value => Date.parse(`${value.replace(' ', 'T')}Z`);
+    return Math.max(0, Math.round((parse(to) - parse(from)) / 1000));
+}
+
+export default CallConversationRepository;
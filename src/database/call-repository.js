@@ -1,10 +1,29 @@
 /**
  * Call Repository
  * Database operations for call records
+ *
+ * A call is looked up by its PBX instance and the Uniqueid of its channel:
+ * Uniqueids are only unique per Asterisk.
  */
 
 import { getDatabase, saveDatabase } from './init.js';
 import { dbLogger } from '../utils/logger.js';
+import { piiRedactor } from '../utils/pii-redactor.js';
+
+// Seconds since hold_started_at (0 when not on hold)
+const HOLD_ELAPSED = `CASE WHEN hold_started_at IS NULL THEN 0
+    ELSE MAX(0, CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', hold_started_at) AS INTEGER)) END`;
+
+// Seconds from answer_time until now (0 when never answered)
+const ANSWERED_ELAPSED = `CASE WHEN answer_time IS NULL THEN 0
+    ELSE MAX(0, CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', answer_time) AS INTEGER)) END`;
+
+// The latest transcription of a call and its enrichment: a call can be
+// transcribed more than once, but is listed and counted once
+const LATEST_TRANSCRIPTION = `
+            LEFT JOIN transcriptions t ON t.id = (SELECT MAX(id) FROM transcriptions WHERE call_id = c.id)
+            LEFT JOIN transcription_enrichments e ON e.transcription_id = t.id
+`;
 
 export class CallRepository {
     /**
@@ -17,8 +36,8 @@ export class CallRepository {
             db.run(`
                 INSERT INTO calls (
                     unique_id, caller_id, caller_name, destination, 
-                    channel, dest_channel, call_state
-                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                    channel, dest_channel, call_state, pbx
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 callData.uniqueId,
                 callData.callerId,
@@ -26,7 +45,8 @@ export class CallRepository {
                 callData.destination,
                 callData.channel,
                 callData.destChannel || null,
-                callData.callState || 'initiated'
+                callData.callState || 'initiated',
+                callData.pbx || null
             ]);
 
             // Get the last inserted ID
@@ -39,8 +59,8 @@ export class CallRepository {
         } catch (error) {
             const errMsg = typeof error === 'string' ? error : error?.message;
             if (errMsg?.includes('UNIQUE constraint failed')) {
-                dbLogger.debug('Call record already exists', { uniqueId: callData.uniqueId });
-                const existing = await this.getCallByUniqueId(callData.uniqueId);
+                dbLogger.debug('Call record already exists', { pbx: callData.pbx, uniqueId: callData.uniqueId });
+                const existing = await this.getCallByUniqueId(callData.pbx || null, callData.uniqueId);
                 return existing?.id;
             }
             // Wrap string errors
@@ -54,7 +74,7 @@ export class CallRepository {
     /**
      * Update call when answered
      */
-    static async updateCallAnswered(uniqueId) {
+    static async updateCallAnswered(pbx, uniqueId) {
         const db = await getDatabase();
         
         db.run(`
@@ -62,8 +82,8 @@ export class CallRepository {
             SET answer_time = datetime('now'),
                 call_state = 'answered',
                 updated_at = datetime('now')
-            WHERE unique_id = ?
-        `, [uniqueId]);
+            WHERE pbx IS ? AND unique_id = ?
+        `, [pbx, uniqueId]);
 
         const changes = db.getRowsModified();
         saveDatabase();
@@ -74,58 +94,162 @@ export class CallRepository {
     /**
      * Update call when ended (hangup)
      */
-    static async updateCallEnded(uniqueId, hangupCause, hangupCauseTxt) {
+    static async updateCallEnded(pbx, uniqueId, hangupCause, hangupCauseTxt) {
         const db = await getDatabase();
-        
-        // First get the call to calculate duration
-        const call = await this.getCallByUniqueId(uniqueId);
-        if (!call) {
-            dbLogger.warn('Call not found for hangup', { uniqueId });
-            return false;
-        }
-
-        // Calculate duration
-        let durationSeconds = 0;
-        if (call.answer_time) {
-            const answerTime = new Date(call.answer_time);
-            const endTime = new Date();
-            durationSeconds = Math.floor((endTime - answerTime) / 1000);
-        }
 
+        // Duration is computed by SQLite: answer_time is a UTC string, which
+        // a JS Date would parse as local time
         db.run(`
             UPDATE calls 
             SET end_time = datetime('now'),
-                duration_seconds = ?,
+                duration_seconds = ${ANSWERED_ELAPSED},
                 hangup_cause = ?,
                 hangup_cause_txt = ?,
                 call_state = 'ended',
+                hold_seconds = COALESCE(hold_seconds, 0) + ${HOLD_ELAPSED},
+                hold_started_at = NULL,
                 updated_at = datetime('now')
-            WHERE unique_id = ?
-        `, [durationSeconds, hangupCause, hangupCauseTxt, uniqueId]);
+            WHERE pbx IS ? AND unique_id = ?
+        `, [hangupCause, hangupCauseTxt, pbx, uniqueId]);
 
         const changes = db.getRowsModified();
+        if (changes === 0) {
+            dbLogger.warn('Call not found for hangup', { pbx, uniqueId });
+            return false;
+        }
+
+        const result = db.exec('SELECT duration_seconds FROM calls WHERE pbx IS ? AND unique_id = ?', [pbx, uniqueId]);
+        const durationSeconds = result[0]?.values[0]?.[0];
+
         saveDatabase();
         dbLogger.info('Call ended', { 
+            pbx,
             uniqueId, 
             durationSeconds, 
             hangupCause,
             changes 
         });
-        return changes > 0;
+        return true;
     }
 
     /**
      * Update call state
      */
-    static async updateCallState(uniqueId, state) {
+    static async updateCallState(pbx, uniqueId, state) {
         const db = await getDatabase();
         
         db.run(`
             UPDATE calls 
             SET call_state = ?,
                 updated_at = datetime('now')
-            WHERE unique_id = ?
-        `, [state, uniqueId]);
+            WHERE pbx IS ? AND unique_id = ?
+        `, [state, pbx, uniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Put a call on hold (a repeated Hold while on hold is ignored)
+     */
+    static async startHold(pbx, uniqueId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE calls
+            SET hold_started_at = datetime('now'),
+                hold_count = COALESCE(hold_count, 0) + 1,
+                updated_at = datetime('now')
+            WHERE pbx IS ? AND unique_id = ? AND hold_started_at IS NULL AND end_time IS NULL
+        `, [pbx, uniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Take a call off hold and add the time on hold to hold_seconds
+     */
+    static async endHold(pbx, uniqueId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE calls
+            SET hold_seconds = COALESCE(hold_seconds, 0) + ${HOLD_ELAPSED},
+                hold_started_at = NULL,
+                updated_at = datetime('now')
+            WHERE pbx IS ? AND unique_id = ? AND hold_started_at IS NOT NULL
+        `, [pbx, uniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Store the DialStatus of a dialed leg (ANSWER, BUSY, NOANSWER, CANCEL, ...)
+     */
+    static async setDialStatus(pbx, uniqueId, dialStatus) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE calls
+            SET dial_status = ?,
+                updated_at = datetime('now')
+            WHERE pbx IS ? AND unique_id = ?
+        `, [dialStatus, pbx, uniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Append a transfer to the transfer chain of the transferred call
+     */
+    static async addTransfer(pbx, uniqueId, transfer) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT transfer_chain FROM calls WHERE pbx IS ? AND unique_id = ?', [pbx, uniqueId]);
+        const row = result[0]?.values[0];
+        if (!row) {
+            return false;
+        }
+
+        const chain = JSON.parse(row[0] || '[]');
+        chain.push(transfer);
+
+        db.run(`
+            UPDATE calls
+            SET transfer_chain = ?,
+                updated_at = datetime('now')
+            WHERE pbx IS ? AND unique_id = ?
+        `, [JSON.stringify(chain), pbx, uniqueId]);
+
+        saveDatabase();
+        dbLogger.debug('Call transferred', { uniqueId, type: transfer.type, transfers: chain.length });
+        return true;
+    }
+
+    /**
+     * Close a call whose hangup was missed (e.g. while AMI was disconnected)
+     * The real end time is unknown: end_time is when the gap was noticed
+     * and the duration is left empty.
+     */
+    static async markCallReconciled(id, description) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE calls
+            SET end_time = datetime('now'),
+                duration_seconds = NULL,
+                hangup_cause = 'reconciled',
+                hangup_cause_txt = ?,
+                call_state = 'ended',
+                updated_at = datetime('now')
+            WHERE id = ? AND end_time IS NULL
+        `, [description, id]);
 
         const changes = db.getRowsModified();
         saveDatabase();
@@ -133,11 +257,45 @@ export class CallRepository {
     }
 
     /**
-     * Get call by unique ID
+     * Calls that have not ended, optionally only up to a call id and of one PBX
      */
-    static async getCallByUniqueId(uniqueId) {
+    static async getOpenCalls(maxId = null, pbx = null) {
         const db = await getDatabase();
-        const result = db.exec('SELECT * FROM calls WHERE unique_id = ?', [uniqueId]);
+        const params = [];
+        if (maxId !== null) params.push(maxId);
+        if (pbx) params.push(pbx);
+
+        // Calls recorded before PBX tagging (pbx NULL) belong to any PBX
+        const result = db.exec(`
+            SELECT * FROM calls
+            WHERE end_time IS NULL AND call_state != 'ended'
+            ${maxId !== null ? 'AND id <= ?' : ''}
+            ${pbx ? 'AND (pbx = ? OR pbx IS NULL)' : ''}
+            ORDER BY id ASC
+        `, params);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Highest call id so far (0 without calls)
+     */
+    static async getLastCallId() {
+        const db = await getDatabase();
+        const result = db.exec('SELECT MAX(id) FROM calls');
+        return result[0]?.values[0]?.[0] || 0;
+    }
+
+    /**
+     * Get call by the Uniqueid of its channel on a PBX instance
+     */
+    static async getCallByUniqueId(pbx, uniqueId) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM calls WHERE pbx IS ? AND unique_id = ?', [pbx, uniqueId]);
         
         if (result.length === 0 || result[0].values.length === 0) {
             return null;
@@ -153,14 +311,27 @@ export class CallRepository {
         const db = await getDatabase();
         const result = db.exec(`
             SELECT c.*, 
+                   t.id as transcription_id,
                    t.transcription_text,
                    t.transcription_status,
                    t.recording_path,
                    t.processing_started_at,
                    t.processing_completed_at,
-                   t.error_message as transcription_error
+                   t.error_message as transcription_error,
+                   t.provider as transcription_provider,
+                   t.language as transcription_language,
+                   t.confidence as transcription_confidence,
+                   t.latency_ms as transcription_latency_ms,
+                   t.redaction_report,
+                   t.audio_metrics,
+                   e.intent,
+                   e.intent_confidence,
+                   e.sentiment,
+                   e.sentiment_score,
+                   e.summary,
+                   e.action_items
             FROM calls c
-            LEFT JOIN transcriptions t ON c.id = t.call_id
+            ${LATEST_TRANSCRIPTION}
             WHERE c.id = ?
         `, [id]);
         
@@ -205,9 +376,29 @@ export class CallRepository {
             params.push(filters.callState);
         }
 
+        if (filters.transferOutcome) {
+            whereClause += ' AND c.transfer_outcome = ?';
+            params.push(filters.transferOutcome);
+        }
+
+        if (filters.pbx) {
+            whereClause += ' AND c.pbx = ?';
+            params.push(filters.pbx);
+        }
+
+        if (filters.intent) {
+            whereClause += ' AND e.intent = ?';
+            params.push(filters.intent);
+        }
+
+        if (filters.sentiment) {
+            whereClause += ' AND e.sentiment = ?';
+            params.push(filters.sentiment);
+        }
+
         // Get total count
         const countResult = db.exec(`
-            SELECT COUNT(*) as total FROM calls c WHERE ${whereClause}
+            SELECT COUNT(*) as total FROM calls c ${LATEST_TRANSCRIPTION} WHERE ${whereClause}
         `, params);
         const total = countResult[0]?.values[0]?.[0] || 0;
 
@@ -217,9 +408,13 @@ export class CallRepository {
             SELECT c.*, 
                    t.transcription_text,
                    t.transcription_status,
-                   t.recording_path
+                   t.recording_path,
+                   e.intent,
+                   e.sentiment,
+                   e.sentiment_score,
+                   e.summary
             FROM calls c
-            LEFT JOIN transcriptions t ON c.id = t.call_id
+            ${LATEST_TRANSCRIPTION}
             WHERE ${whereClause}
             ORDER BY c.start_time DESC
             LIMIT ? OFFSET ?
@@ -239,7 +434,7 @@ export class CallRepository {
     }
 
     /**
-     * Log call event
+     * Log call event (PII in event data is masked before storing)
      */
     static async logCallEvent(callId, eventType, eventData) {
         const db = await getDatabase();
@@ -247,7 +442,7 @@ export class CallRepository {
         db.run(`
             INSERT INTO call_events (call_id, event_type, event_data)
             VALUES (?, ?, ?)
-        `, [callId, eventType, JSON.stringify(eventData)]);
+        `, [callId, eventType, JSON.stringify(piiRedactor.redactEventData(eventData))]);
         
         saveDatabase();
     }
@@ -0,0 +1,386 @@
+/**
+ * Campaign Repository
+ * Database operations for outbound dialing campaigns and their contacts
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+export class CampaignRepository {
+    /**
+     * Create a campaign
+     */
+    static async createCampaign(campaign) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO campaigns (
+                name, flow, pbx, status, caller_id, max_concurrent, max_attempts,
+                retry_delay_seconds, retry_on, schedule, start_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            campaign.name,
+            campaign.flow,
+            campaign.pbx || null,
+            campaign.status || 'running',
+            campaign.callerId || null,
+            campaign.maxConcurrent,
+            campaign.maxAttempts,
+            campaign.retryDelaySeconds,
+            JSON.stringify(campaign.retryOn),
+            campaign.schedule ? JSON.stringify(campaign.schedule) : null,
+            campaign.startAt ? toSqlDate(campaign.startAt) : null
+        ]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        dbLogger.info('Created campaign', { id, name: campaign.name, flow: campaign.flow });
+        return id;
+    }
+
+    /**
+     * Add contacts ({ number, variables }) to a campaign
+     */
+    static async addContacts(campaignId, contacts) {
+        const db = await getDatabase();
+
+        for (const contact of contacts) {
+            db.run(`
+                INSERT INTO campaign_contacts (campaign_id, phone_number, variables)
+                VALUES (?, ?, ?)
+            `, [campaignId, String(contact.number), JSON.stringify(contact.variables || {})]);
+        }
+
+        saveDatabase();
+        dbLogger.info('Added campaign contacts', { campaignId, count: contacts.length });
+        return contacts.length;
+    }
+
+    /**
+     * Change the campaign status (running, paused, cancelled, completed)
+     */
+    static async setStatus(id, status) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE campaigns
+            SET status = ?,
+                completed_at = CASE WHEN ? IN ('completed', 'cancelled') THEN datetime('now') ELSE NULL END,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [status, status, id]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        dbLogger.info('Campaign status changed', { id, status });
+        return changes > 0;
+    }
+
+    /**
+     * Get a campaign by ID
+     */
+    static async getCampaignById(id) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM campaigns WHERE id = ?', [id]);
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToCampaign(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Get all campaigns, newest first, optionally by status
+     */
+    static async getAllCampaigns(status = null) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM campaigns
+            ${status ? 'WHERE status = ?' : ''}
+            ORDER BY id DESC
+        `, status ? [status] : []);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToCampaign(result[0].columns, row));
+    }
+
+    /**
+     * Running campaigns whose start time has been reached
+     */
+    static async getRunnableCampaigns() {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM campaigns
+            WHERE status = 'running'
+              AND (start_at IS NULL OR start_at <= datetime('now'))
+            ORDER BY id ASC
+        `);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToCampaign(result[0].columns, row));
+    }
+
+    /**
+     * Claim the next contact that is due to be dialed
+     * The contact moves to 'dialing' and its attempt counter is incremented.
+     */
+    static async claimNextContact(campaignId) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT id FROM campaign_contacts
+            WHERE campaign_id = ?
+              AND status IN ('pending', 'retry')
+              AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+            ORDER BY attempts ASC, id ASC
+            LIMIT 1
+        `, [campaignId]);
+
+        const id = result[0]?.values[0]?.[0];
+        if (!id) {
+            return null;
+        }
+
+        db.run(`
+            UPDATE campaign_contacts
+            SET status = 'dialing',
+                attempts = attempts + 1,
+                next_attempt_at = NULL,
+                last_attempt_at = datetime('now')
+            WHERE id = ?
+        `, [id]);
+
+        saveDatabase();
+        return this.getContactById(id);
+    }
+
+    /**
+     * The contact answered; the call is in the Stasis app
+     */
+    static async markContactConnected(id, uniqueId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE campaign_contacts
+            SET status = 'connected',
+                outcome = 'answered',
+                unique_id = ?
+            WHERE id = ?
+        `, [uniqueId || null, id]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Store the result of an attempt
+     * status: 'completed' (answered call ended), 'retry' (dialed again after
+     * retryDelaySeconds) or 'failed' (no further attempts)
+     */
+    static async recordAttempt(id, { status, outcome, cause, error, retryDelaySeconds }) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE campaign_contacts
+            SET status = ?,
+                outcome = ?,
+                hangup_cause = ?,
+                last_error = ?,
+                next_attempt_at = CASE WHEN ? = 'retry' THEN datetime('now', ?) ELSE NULL END,
+                completed_at = CASE WHEN ? = 'retry' THEN NULL ELSE datetime('now') END
+            WHERE id = ?
+        `, [
+            status,
+            outcome,
+            cause ?? null,
+            error || null,
+            status,
+            `+${retryDelaySeconds || 0} seconds`,
+            status,
+            id
+        ]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Link the call record created for the answered contact
+     */
+    static async setContactCall(id, callId) {
+        const db = await getDatabase();
+
+        db.run('UPDATE campaign_contacts SET call_id = ? WHERE id = ?', [callId, id]);
+
+        saveDatabase();
+    }
+
+    /**
+     * Cancel contacts of a campaign that were not dialed yet
+     */
+    static async cancelPendingContacts(campaignId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE campaign_contacts
+            SET status = 'cancelled',
+                next_attempt_at = NULL,
+                completed_at = datetime('now')
+            WHERE campaign_id = ? AND status IN ('pending', 'retry')
+        `, [campaignId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes;
+    }
+
+    /**
+     * Contacts left 'dialing' or 'connected' by a crash
+     * Unanswered attempts are dialed again; answered ones are closed.
+     */
+    static async recoverInterruptedContacts() {
+        const db = await getDatabase();
+
+        db.run(`UPDATE campaign_contacts SET status = 'pending' WHERE status = 'dialing'`);
+        const redial = db.getRowsModified();
+
+        db.run(`
+            UPDATE campaign_contacts
+            SET status = 'completed',
+                completed_at = datetime('now')
+            WHERE status = 'connected'
+        `);
+        const closed = db.getRowsModified();
+
+        saveDatabase();
+        return { redial, closed };
+    }
+
+    /**
+     * Get a contact by ID
+     */
+    static async getContactById(id) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM campaign_contacts WHERE id = ?', [id]);
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToContact(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Get the contacts of a campaign, optionally by status
+     */
+    static async getContacts(campaignId, limit = 100, offset = 0, status = null) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM campaign_contacts
+            WHERE campaign_id = ?
+            ${status ? 'AND status = ?' : ''}
+            ORDER BY id ASC
+            LIMIT ? OFFSET ?
+        `, status ? [campaignId, status, limit, offset] : [campaignId, limit, offset]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToContact(result[0].columns, row));
+    }
+
+    /**
+     * Contact counts by status and by outcome of the last attempt
+     */
+    static async getStats(campaignId) {
+        const db = await getDatabase();
+        const stats = {
+            total: 0,
+            pending: 0,
+            dialing: 0,
+            connected: 0,
+            retry: 0,
+            completed: 0,
+            failed: 0,
+            cancelled: 0,
+            attempts: 0,
+            outcomes: {}
+        };
+
+        const byStatus = db.exec(`
+            SELECT status, COUNT(*), SUM(attempts)
+            FROM campaign_contacts
+            WHERE campaign_id = ?
+            GROUP BY status
+        `, [campaignId]);
+
+        for (const [status, count, attempts] of byStatus[0]?.values || []) {
+            stats[status] = count;
+            stats.total += count;
+            stats.attempts += attempts || 0;
+        }
+
+        const byOutcome = db.exec(`
+            SELECT outcome, COUNT(*)
+            FROM campaign_contacts
+            WHERE campaign_id = ? AND outcome IS NOT NULL
+            GROUP BY outcome
+        `, [campaignId]);
+
+        for (const [outcome, count] of byOutcome[0]?.values || []) {
+            stats.outcomes[outcome] = count;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Convert campaign row to object with parsed JSON columns
+     */
+    static _rowToCampaign(columns, values) {
+        const campaign = this._rowToObject(columns, values);
+        campaign.retry_on = JSON.parse(campaign.retry_on || '[]');
+        campaign.schedule = campaign.schedule ? JSON.parse(campaign.schedule) : null;
+        return campaign;
+    }
+
+    /**
+     * Convert contact row to object with parsed variables
+     */
+    static _rowToContact(columns, values) {
+        const contact = this._rowToObject(columns, values);
+        contact.variables = JSON.parse(contact.variables || '{}');
+        return contact;
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+/**
+ * ISO timestamp to SQLite's UTC 'YYYY-MM-DD HH:MM:SS'
+ */
+function toSqlDate(value) {
+    return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+export default CampaignRepository;
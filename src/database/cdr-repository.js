@@ -0,0 +1,278 @@
+/**
+ * CDR Repository
+ * Database operations for Asterisk CDRs (cdrs) and CEL events (cel_events),
+ * the authoritative billing figures they give calls, and the report of
+ * where the gateway's call records and Asterisk's disagree
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+export class CdrRepository {
+    /**
+     * Store a CDR and copy its billing figures onto the call of its uniqueid
+     * on the PBX instance that sent it
+     * A channel can have several CDRs (e.g. one per dial attempt); the call
+     * gets the sum of their billable seconds, ANSWERED if any of them was
+     * answered (otherwise the latest disposition) and the latest account code.
+     */
+    static async addCdr(cdr) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO cdrs (
+                call_id, pbx, unique_id, linked_id, account_code, source, destination,
+                destination_context, caller_id, channel, destination_channel,
+                last_application, last_data, start_time, answer_time, end_time,
+                duration_seconds, billable_seconds, disposition, ama_flags, user_field
+            ) VALUES (
+                (SELECT id FROM calls WHERE pbx IS ? AND unique_id = ?), ?, ?,
+                COALESCE(?, (SELECT linked_id FROM calls WHERE pbx IS ? AND unique_id = ?)),
+                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+            )
+        `, [
+            cdr.pbx,
+            cdr.uniqueId,
+            cdr.pbx,
+            cdr.uniqueId,
+            cdr.linkedId || null,
+            cdr.pbx,
+            cdr.uniqueId,
+            cdr.accountCode || null,
+            cdr.source || null,
+            cdr.destination || null,
+            cdr.destinationContext || null,
+            cdr.callerId || null,
+            cdr.channel || null,
+            cdr.destinationChannel || null,
+            cdr.lastApplication || null,
+            cdr.lastData || null,
+            cdr.startTime || null,
+            cdr.answerTime || null,
+            cdr.endTime || null,
+            Number.isFinite(cdr.durationSeconds) ? cdr.durationSeconds : null,
+            Number.isFinite(cdr.billableSeconds) ? cdr.billableSeconds : null,
+            cdr.disposition || null,
+            cdr.amaFlags || null,
+            cdr.userField || null
+        ]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        db.run(`
+            UPDATE calls
+            SET billable_seconds = (SELECT SUM(billable_seconds) FROM cdrs WHERE call_id = calls.id),
+                disposition = (
+                    SELECT disposition FROM cdrs
+                    WHERE call_id = calls.id AND disposition IS NOT NULL
+                    ORDER BY CASE WHEN disposition = 'ANSWERED' THEN 0 ELSE 1 END, id DESC
+                    LIMIT 1
+                ),
+                account_code = COALESCE((
+                    SELECT account_code FROM cdrs
+                    WHERE call_id = calls.id AND account_code IS NOT NULL
+                    ORDER BY id DESC
+                    LIMIT 1
+                ), account_code),
+                updated_at = datetime('now')
+            WHERE pbx IS ? AND unique_id = ?
+        `, [cdr.pbx, cdr.uniqueId]);
+
+        const linked = db.getRowsModified() > 0;
+
+        saveDatabase();
+        dbLogger.debug('Stored CDR', { id, pbx: cdr.pbx, uniqueId: cdr.uniqueId, disposition: cdr.disposition, linked });
+        return id;
+    }
+
+    /**
+     * Store a CEL event
+     */
+    static async addCelEvent(cel) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO cel_events (
+                call_id, pbx, unique_id, linked_id, event_name, event_time, channel,
+                caller_id, exten, context, application, app_data, peer, account_code, extra
+            ) VALUES ((SELECT id FROM calls WHERE pbx IS ? AND unique_id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            cel.pbx,
+            cel.uniqueId,
+            cel.pbx,
+            cel.uniqueId,
+            cel.linkedId || null,
+            cel.eventName,
+            cel.eventTime || null,
+            cel.channel || null,
+            cel.callerId || null,
+            cel.exten || null,
+            cel.context || null,
+            cel.application || null,
+            cel.appData || null,
+            cel.peer || null,
+            cel.accountCode || null,
+            cel.extra || null
+        ]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        return id;
+    }
+
+    /**
+     * CDRs of a call, oldest first
+     */
+    static async getCdrsByCallId(callId) {
+        return this._all('SELECT * FROM cdrs WHERE call_id = ? ORDER BY id ASC', [callId]);
+    }
+
+    /**
+     * CEL events of a call, in the order received
+     */
+    static async getCelEventsByCallId(callId) {
+        return this._all('SELECT * FROM cel_events WHERE call_id = ? ORDER BY id ASC', [callId]);
+    }
+
+    /**
+     * CEL events of all channels of a conversation (linkedid on a PBX)
+     * Events stored before PBX tagging (pbx NULL) belong to any PBX.
+     */
+    static async getCelEventsByLinkedId(pbx, linkedId) {
+        return this._all(
+            'SELECT * FROM cel_events WHERE linked_id = ? AND (pbx IS ? OR pbx IS NULL) ORDER BY id ASC',
+            [linkedId, pbx]
+        );
+    }
+
+    /**
+     * Where the gateway's call records and the CDRs disagree
+     * - missingCdr: ended calls without a CDR, neither as the channel of a
+     *   CDR nor as its destination channel (only calls ended more than
+     *   graceSeconds ago, the CDR follows the hangup)
+     * - missingCall: CDRs whose channel the gateway has no call for
+     * - billableSeconds: answered time (duration_seconds) differs from the
+     *   CDR billable seconds by more than toleranceSeconds
+     * - disposition: the call was answered but the CDR is not ANSWERED, or
+     *   the other way round
+     * Calls are filtered by start_time, CDRs by received_at; each list
+     * holds at most `limit` rows (newest first) and its `total`.
+     */
+    static async getReconciliation({ startDate, endDate, toleranceSeconds, graceSeconds, limit }) {
+        const calls = this._dateFilters('c.start_time', startDate, endDate);
+        const cdrs = this._dateFilters('d.received_at', startDate, endDate);
+
+        const missingCdr = await this._all(`
+            SELECT c.id, c.unique_id, c.channel, c.caller_id, c.destination, c.start_time,
+                   c.answer_time, c.end_time, c.duration_seconds, c.hangup_cause,
+                   COUNT(*) OVER () AS total
+            FROM calls c
+            WHERE c.end_time IS NOT NULL
+              AND c.end_time <= datetime('now', ?)
+              AND NOT EXISTS (SELECT 1 FROM cdrs d WHERE d.call_id = c.id)
+              AND NOT EXISTS (
+                  SELECT 1 FROM cdrs d
+                  WHERE d.destination_channel = c.channel AND (d.pbx IS c.pbx OR d.pbx IS NULL)
+              )
+              ${calls.and}
+            ORDER BY c.id DESC
+            LIMIT ?
+        `, [`-${graceSeconds} seconds`, ...calls.params, limit]);
+
+        const missingCall = await this._all(`
+            SELECT d.*, COUNT(*) OVER () AS total
+            FROM cdrs d
+            WHERE d.call_id IS NULL
+              ${cdrs.and}
+            ORDER BY d.id DESC
+            LIMIT ?
+        `, [...cdrs.params, limit]);
+
+        const billableSeconds = await this._all(`
+            SELECT c.id, c.unique_id, c.channel, c.start_time, c.duration_seconds,
+                   c.billable_seconds, c.disposition,
+                   COUNT(*) OVER () AS total
+            FROM calls c
+            WHERE c.billable_seconds IS NOT NULL
+              AND c.duration_seconds IS NOT NULL
+              AND ABS(c.duration_seconds - c.billable_seconds) > ?
+              ${calls.and}
+            ORDER BY c.id DESC
+            LIMIT ?
+        `, [toleranceSeconds, ...calls.params, limit]);
+
+        const disposition = await this._all(`
+            SELECT c.id, c.unique_id, c.channel, c.start_time, c.answer_time,
+                   c.call_state, c.hangup_cause, c.disposition,
+                   COUNT(*) OVER () AS total
+            FROM calls c
+            WHERE c.disposition IS NOT NULL
+              AND (c.answer_time IS NOT NULL) != (c.disposition = 'ANSWERED')
+              ${calls.and}
+            ORDER BY c.id DESC
+            LIMIT ?
+        `, [...calls.params, limit]);
+
+        const [checked] = await this._all(`
+            SELECT COUNT(*) AS calls,
+                   SUM(CASE WHEN c.disposition IS NOT NULL THEN 1 ELSE 0 END) AS with_cdr
+            FROM calls c
+            WHERE c.end_time IS NOT NULL
+              ${calls.and}
+        `, calls.params);
+
+        return { checked, missingCdr, missingCall, billableSeconds, disposition };
+    }
+
+    /**
+     * AND clause for a date range on a column
+     */
+    static _dateFilters(column, startDate, endDate) {
+        const conditions = [];
+        const params = [];
+
+        if (startDate) {
+            conditions.push(`${column} >= ?`);
+            params.push(startDate);
+        }
+        if (endDate) {
+            conditions.push(`${column} <= ?`);
+            params.push(endDate);
+        }
+
+        return {
+            and: conditions.map(condition => `AND ${condition}`).join(' '),
+            params
+        };
+    }
+
+    /**
+     * Run a query and return its rows as objects
+     */
+    static async _all(sql, params) {
+        const db = await getDatabase();
+        const result = db.exec(sql, params);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default CdrRepository;
@@ -0,0 +1,74 @@
+/**
+ * Conversation Repository
+ * Database operations for conversation agent turns
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+export class ConversationRepository {
+    /**
+     * Store one conversation turn
+     */
+    static async addTurn(callId, turn) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO conversation_turns (
+                call_id, turn_index, caller_text, agent_text, agent_media,
+                recording_path, listen_ms, transcription_ms, response_ms,
+                speak_ms, ended_call, started_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            callId,
+            turn.turnIndex,
+            turn.callerText ?? null,
+            turn.agentText ?? null,
+            turn.agentMedia || null,
+            turn.recordingPath || null,
+            turn.listenMs ?? null,
+            turn.transcriptionMs ?? null,
+            turn.responseMs ?? null,
+            turn.speakMs ?? null,
+            turn.endedCall ? 1 : 0,
+            turn.startedAt || null
+        ]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        dbLogger.debug('Stored conversation turn', { id, callId, turnIndex: turn.turnIndex });
+        return id;
+    }
+
+    /**
+     * Get the turns of a call in dialogue order
+     */
+    static async getTurnsByCallId(callId) {
+        const db = await getDatabase();
+        const result = db.exec(
+            'SELECT * FROM conversation_turns WHERE call_id = ? ORDER BY turn_index ASC',
+            [callId]
+        );
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default ConversationRepository;
@@ -0,0 +1,79 @@
+/**
+ * Enrichment Repository
+ * Database operations for AI enrichment results (intent, sentiment, summary)
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+export class EnrichmentRepository {
+    /**
+     * Store (or replace) the enrichment of a transcription
+     */
+    static async saveEnrichment(transcriptionId, provider, enrichment) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO transcription_enrichments (
+                transcription_id, provider, intent, intent_confidence,
+                sentiment, sentiment_score, summary, action_items
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(transcription_id) DO UPDATE SET
+                provider = excluded.provider,
+                intent = excluded.intent,
+                intent_confidence = excluded.intent_confidence,
+                sentiment = excluded.sentiment,
+                sentiment_score = excluded.sentiment_score,
+                summary = excluded.summary,
+                action_items = excluded.action_items,
+                updated_at = datetime('now')
+        `, [
+            transcriptionId,
+            provider,
+            enrichment.intent,
+            enrichment.intentConfidence ?? null,
+            enrichment.sentiment,
+            enrichment.sentimentScore ?? null,
+            enrichment.summary || null,
+            JSON.stringify(enrichment.actionItems || [])
+        ]);
+
+        saveDatabase();
+        dbLogger.debug('Saved transcription enrichment', {
+            transcriptionId,
+            intent: enrichment.intent,
+            sentiment: enrichment.sentiment
+        });
+        return true;
+    }
+
+    /**
+     * Get enrichment by transcription ID
+     */
+    static async getByTranscriptionId(transcriptionId) {
+        const db = await getDatabase();
+        const result = db.exec(
+            'SELECT * FROM transcription_enrichments WHERE transcription_id = ?',
+            [transcriptionId]
+        );
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToObject(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default EnrichmentRepository;
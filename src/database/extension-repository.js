@@ -0,0 +1,145 @@
+/**
+ * Extension Repository
+ * Database operations for extension presence (extensions) and its
+ * history (extension_state_history). Extension numbers are only unique
+ * per PBX: every lookup takes the PBX instance name.
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+import { presenceState } from '../utils/presence.js';
+
+export class ExtensionRepository {
+    /**
+     * Apply what an AMI event reported about an extension
+     * changes: any of device, deviceState, registration, contactUri
+     * (undefined fields keep their stored value). The presence state is
+     * derived from device state and registration; a history row is written
+     * when the state or the registration changes.
+     * Returns { state, previousState, changed }.
+     */
+    static async update(pbx, extension, changes, source) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM extensions WHERE pbx = ? AND extension = ?', [pbx, extension]);
+        const current = result[0]?.values[0]
+            ? this._rowToObject(result[0].columns, result[0].values[0])
+            : null;
+
+        const merged = {
+            device: changes.device ?? current?.device ?? null,
+            deviceState: changes.deviceState ?? current?.device_state ?? null,
+            registration: changes.registration ?? current?.registration ?? null,
+            contactUri: changes.contactUri !== undefined ? changes.contactUri : current?.contact_uri ?? null
+        };
+        const state = presenceState(merged);
+        const previousState = current?.state ?? null;
+        const changed = state !== previousState || merged.registration !== (current?.registration ?? null);
+
+        db.run(`
+            INSERT INTO extensions (pbx, extension, device, state, device_state, registration, contact_uri, state_changed_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            ON CONFLICT(pbx, extension) DO UPDATE SET
+                device = excluded.device,
+                state = excluded.state,
+                device_state = excluded.device_state,
+                registration = excluded.registration,
+                contact_uri = excluded.contact_uri,
+                state_changed_at = CASE WHEN extensions.state = excluded.state
+                    THEN extensions.state_changed_at ELSE datetime('now') END,
+                updated_at = datetime('now')
+        `, [pbx, extension, merged.device, state, merged.deviceState, merged.registration, merged.contactUri]);
+
+        if (changed) {
+            db.run(`
+                INSERT INTO extension_state_history (pbx, extension, state, previous_state, device_state, registration, source)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [pbx, extension, state, previousState, merged.deviceState, merged.registration, source || null]);
+
+            dbLogger.debug('Extension presence changed', { pbx, extension, state, previousState, source });
+        }
+
+        saveDatabase();
+        return { state, previousState, changed };
+    }
+
+    /**
+     * Get an extension of a PBX
+     */
+    static async getExtension(pbx, extension) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM extensions WHERE pbx = ? AND extension = ?', [pbx, extension]);
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToObject(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Get all extensions, optionally by PBX, state or registration
+     */
+    static async getExtensions(filters = {}) {
+        const db = await getDatabase();
+        const conditions = [];
+        const params = [];
+
+        if (filters.pbx) {
+            conditions.push('pbx = ?');
+            params.push(filters.pbx);
+        }
+        if (filters.state) {
+            conditions.push('state = ?');
+            params.push(filters.state);
+        }
+        if (filters.registration) {
+            conditions.push('registration = ?');
+            params.push(filters.registration);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const result = db.exec(`
+            SELECT * FROM extensions
+            ${where}
+            ORDER BY pbx ASC, extension ASC
+        `, params);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * State changes of an extension, newest first
+     */
+    static async getHistory(pbx, extension, limit = 50, offset = 0) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM extension_state_history
+            WHERE pbx = ? AND extension = ?
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [pbx, extension, limit, offset]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default ExtensionRepository;
@@ -2,6 +2,14 @@
  * Database Initialization
  * Sets up SQLite database for call records and AI transcriptions
  * Using sql.js (pure JavaScript SQLite implementation)
+ * 
+ * The database lives in memory and is persisted as a whole file.
+ * Repositories call saveDatabase() after every write; it only marks the
+ * database dirty, and the changes are written at most once per
+ * DATABASE_SAVE_DELAY_MS (default 1000; 0 writes on every save) to a
+ * temporary file that is flushed to disk (fsync) and renamed over the
+ * database, so a crash never leaves a half-written file. closeDatabase() and process exit flush pending
+ * changes.
  */
 
 import initSqlJs from 'sql.js';
@@ -10,6 +18,13 @@ import fs from 'fs';
 import { dbLogger } from '../utils/logger.js';
 
 const DB_PATH = process.env.DATABASE_PATH || './data/calls.db';
+// Saves are written here, then renamed over the database file
+const TEMP_PATH = `${DB_PATH}.tmp`;
+const SYNC_TEMP_PATH = `${DB_PATH}.sync.tmp`;
+
+// Longest time changes stay in memory only (0: written on every save)
+const saveDelay = parseInt(process.env.DATABASE_SAVE_DELAY_MS);
+const SAVE_DELAY_MS = Number.isNaN(saveDelay) ? 1000 : Math.max(0, saveDelay);
 
 // Ensure data directory exists
 const dataDir = path.dirname(DB_PATH);
@@ -20,6 +35,22 @@ if (!fs.existsSync(dataDir)) {
 let db = null;
 let SQL = null;
 
+// Persistence state: unsaved changes, pending / running write, counters
+const persistence = {
+    dirty: false,
+    timer: null,
+    writing: null,
+    exports: 0,
+    saves: 0,
+    requested: 0,
+    errors: 0,
+    lastError: null,
+    lastSavedAt: null,
+    lastSaveMs: null,
+    lastExportMs: null,
+    bytes: null
+};
+
 /**
  * Initialize SQL.js
  */
@@ -37,6 +68,11 @@ export async function getDatabase() {
     if (!db) {
         await initSql();
         
+        // A temporary file is left over by a write interrupted by a crash;
+        // the database file itself is still the previous complete save
+        fs.rmSync(TEMP_PATH, { force: true });
+        fs.rmSync(SYNC_TEMP_PATH, { force: true });
+
         // Try to load existing database
         if (fs.existsSync(DB_PATH)) {
             const fileBuffer = fs.readFileSync(DB_PATH);
@@ -51,30 +87,176 @@ export async function getDatabase() {
 }
 
 /**
- * Save database to file
+ * Mark the database changed; the write is coalesced with the other
+ * changes of the next DATABASE_SAVE_DELAY_MS (see flushDatabase())
  */
 export function saveDatabase() {
-    if (db) {
-        const data = db.export();
-        const buffer = Buffer.from(data);
-        fs.writeFileSync(DB_PATH, buffer);
-        dbLogger.debug('Database saved to disk');
+    if (!db) return;
+
+    persistence.dirty = true;
+    persistence.requested++;
+
+    if (SAVE_DELAY_MS === 0) {
+        flushDatabaseSync();
+    } else if (!persistence.timer && !persistence.writing) {
+        persistence.timer = setTimeout(() => flushDatabase(), SAVE_DELAY_MS);
+        persistence.timer.unref();
     }
 }
 
 /**
- * Initialize database schema
+ * Write pending changes now
+ * The export is synchronous (sql.js), the file is written asynchronously.
+ * Changes made meanwhile are saved by another write DATABASE_SAVE_DELAY_MS
+ * later. Resolves once written; a failed write is logged and retried.
  */
-export async function initDatabase() {
-    const database = await getDatabase();
+export async function flushDatabase() {
+    // One write at a time: wait for the running one, which may leave changes
+    while (persistence.writing) {
+        await persistence.writing;
+    }
 
-    dbLogger.info('Creating database schema...');
+    clearTimeout(persistence.timer);
+    persistence.timer = null;
+    if (!db || !persistence.dirty) return;
 
-    // Call records table
-    database.run(`
-        CREATE TABLE IF NOT EXISTS calls (
+    persistence.writing = writeDatabase().finally(() => {
+        persistence.writing = null;
+        if (persistence.dirty && db && !persistence.timer) {
+            persistence.timer = setTimeout(() => flushDatabase(), SAVE_DELAY_MS || 1000);
+            persistence.timer.unref();
+        }
+    });
+    await persistence.writing;
+}
+
+async function writeDatabase() {
+    const started = Date.now();
+    const { data, sequence } = exportDatabase();
+
+    try {
+        const file = await fs.promises.open(TEMP_PATH, 'w');
+        try {
+            await file.writeFile(data);
+            await file.sync();
+        } finally {
+            await file.close();
+        }
+
+        // A synchronous save of newer data was written meanwhile
+        if (sequence !== persistence.exports) {
+            await fs.promises.rm(TEMP_PATH, { force: true });
+            return;
+        }
+
+        // Renamed synchronously: a synchronous save (shutdown) can then only
+        // run before the check above or after the rename, never let this
+        // older file land over its newer one
+        fs.renameSync(TEMP_PATH, DB_PATH);
+        savedDatabase(data, started);
+    } catch (error) {
+        failedSave(error);
+    }
+}
+
+/**
+ * Write pending changes synchronously (shutdown, process exit)
+ * An asynchronous write still in progress is superseded: it sees the
+ * newer export and discards its file instead of renaming it.
+ */
+export function flushDatabaseSync() {
+    clearTimeout(persistence.timer);
+    persistence.timer = null;
+    if (!db || !persistence.dirty) return;
+
+    const started = Date.now();
+    const { data } = exportDatabase();
+
+    try {
+        const fd = fs.openSync(SYNC_TEMP_PATH, 'w');
+        try {
+            fs.writeFileSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(SYNC_TEMP_PATH, DB_PATH);
+        savedDatabase(data, started);
+    } catch (error) {
+        failedSave(error);
+    }
+}
+
+function exportDatabase() {
+    const started = Date.now();
+    const data = Buffer.from(db.export());
+
+    // Changes after this point belong to the next save
+    persistence.dirty = false;
+    persistence.lastExportMs = Date.now() - started;
+    return { data, sequence: ++persistence.exports };
+}
+
+function savedDatabase(data, started) {
+    persistence.saves++;
+    persistence.bytes = data.length;
+    persistence.lastSavedAt = new Date().toISOString();
+    persistence.lastSaveMs = Date.now() - started;
+    dbLogger.debug('Database saved to disk', { bytes: data.length, ms: persistence.lastSaveMs });
+}
+
+function failedSave(error) {
+    // Still in memory: keep it dirty so that the next save retries
+    persistence.dirty = true;
+    persistence.errors++;
+    persistence.lastError = error.message;
+    dbLogger.error('Failed to save database:', { path: DB_PATH, error: error.message });
+}
+
+/**
+ * Persistence figures, for GET /status
+ */
+export function getPersistenceStatus() {
+    return {
+        path: DB_PATH,
+        saveDelayMs: SAVE_DELAY_MS,
+        pending: persistence.dirty,
+        saveRequests: persistence.requested,
+        saves: persistence.saves,
+        errors: persistence.errors,
+        lastError: persistence.lastError,
+        lastSavedAt: persistence.lastSavedAt,
+        lastSaveMs: persistence.lastSaveMs,
+        lastExportMs: persistence.lastExportMs,
+        bytes: persistence.bytes
+    };
+}
+
+/**
+ * Add a column to an existing table if it is not there yet
+ * (CREATE TABLE IF NOT EXISTS does not alter tables from older versions)
+ * Returns whether the column was added.
+ */
+function addColumnIfMissing(database, table, column, definition) {
+    const result = database.exec(`PRAGMA table_info(${table})`);
+    const columns = result[0]?.values.map(row => row[1]) || [];
+
+    if (!columns.includes(column)) {
+        database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        dbLogger.info('Added missing column', { table, column });
+        return true;
+    }
+    return false;
+}
+
+// Tables whose unique key changed since earlier versions, as functions of
+// the table name so that outdated tables can be rebuilt (see rebuildTable).
+// Uniqueids and linkedids are only unique per Asterisk: the key includes
+// the PBX instance.
+const callsTable = name => `
+        CREATE TABLE IF NOT EXISTS ${name} (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
-            unique_id TEXT UNIQUE NOT NULL,
+            unique_id TEXT NOT NULL,
             caller_id TEXT,
             caller_name TEXT,
             destination TEXT,
@@ -87,10 +269,110 @@ export async function initDatabase() {
             hangup_cause TEXT,
             hangup_cause_txt TEXT,
             call_state TEXT DEFAULT 'initiated',
+            transfer_outcome TEXT,
+            linked_id TEXT,
+            conversation_id INTEGER,
+            parent_call_id INTEGER,
+            leg_type TEXT,
+            dial_status TEXT,
+            hold_count INTEGER DEFAULT 0,
+            hold_seconds INTEGER DEFAULT 0,
+            hold_started_at DATETIME,
+            transfer_chain TEXT,
+            billable_seconds INTEGER,
+            disposition TEXT,
+            account_code TEXT,
+            pbx TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(pbx, unique_id)
         )
-    `);
+`;
+
+const conversationsTable = name => `
+        CREATE TABLE IF NOT EXISTS ${name} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            linked_id TEXT NOT NULL,
+            caller_id TEXT,
+            caller_name TEXT,
+            destination TEXT,
+            state TEXT DEFAULT 'active',
+            leg_count INTEGER DEFAULT 0,
+            start_time DATETIME,
+            answer_time DATETIME,
+            end_time DATETIME,
+            duration_seconds INTEGER,
+            total_seconds INTEGER,
+            pbx TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(pbx, linked_id)
+        )
+`;
+
+// Current presence of each extension (phone endpoint) of a PBX
+const extensionsTable = name => `
+        CREATE TABLE IF NOT EXISTS ${name} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pbx TEXT,
+            extension TEXT NOT NULL,
+            device TEXT,
+            state TEXT DEFAULT 'unknown',
+            device_state TEXT,
+            registration TEXT,
+            contact_uri TEXT,
+            state_changed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(pbx, extension)
+        )
+`;
+
+/**
+ * Recreate a table created with an outdated unique key (SQLite cannot
+ * change constraints in place): the rows are copied into a new table
+ * created by createTable(name), which then replaces it
+ */
+function rebuildTable(database, table, createTable, isOutdated) {
+    const result = database.exec(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    const definition = result[0]?.values[0]?.[0];
+    if (!definition || !isOutdated(definition)) {
+        return false;
+    }
+
+    const columns = database.exec(`PRAGMA table_info(${table})`)[0].values.map(row => row[1]).join(', ');
+    const rebuilt = `${table}_rebuilt`;
+
+    database.run('BEGIN');
+    try {
+        database.run(`DROP TABLE IF EXISTS ${rebuilt}`);
+        database.run(createTable(rebuilt));
+        database.run(`INSERT INTO ${rebuilt} (${columns}) SELECT ${columns} FROM ${table}`);
+        database.run(`DROP TABLE ${table}`);
+        database.run(`ALTER TABLE ${rebuilt} RENAME TO ${table}`);
+        database.run('COMMIT');
+    } catch (error) {
+        database.run('ROLLBACK');
+        throw error;
+    }
+
+    dbLogger.info('Rebuilt table with its current unique key', { table });
+    return true;
+}
+
+/**
+ * Initialize database schema
+ */
+export async function initDatabase() {
+    const database = await getDatabase();
+
+    dbLogger.info('Creating database schema...');
+
+    // Call records table
+    database.run(callsTable('calls'));
+
+    // Conversations: all legs (calls) sharing an Asterisk linkedid
+    database.run(conversationsTable('conversations'));
 
     // AI Transcriptions table
     database.run(`
@@ -103,12 +385,220 @@ export async function initDatabase() {
             processing_started_at DATETIME,
             processing_completed_at DATETIME,
             error_message TEXT,
+            provider TEXT,
+            language TEXT,
+            confidence REAL,
+            latency_ms INTEGER,
+            attempts INTEGER DEFAULT 0,
+            next_attempt_at DATETIME,
+            redaction_report TEXT,
+            audio_metrics TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
         )
     `);
 
+    // Columns added after the initial schema (for existing databases)
+    addColumnIfMissing(database, 'transcriptions', 'provider', 'TEXT');
+    addColumnIfMissing(database, 'transcriptions', 'language', 'TEXT');
+    addColumnIfMissing(database, 'transcriptions', 'confidence', 'REAL');
+    addColumnIfMissing(database, 'transcriptions', 'latency_ms', 'INTEGER');
+    addColumnIfMissing(database, 'transcriptions', 'attempts', 'INTEGER DEFAULT 0');
+    addColumnIfMissing(database, 'transcriptions', 'next_attempt_at', 'DATETIME');
+    addColumnIfMissing(database, 'transcriptions', 'redaction_report', 'TEXT');
+    addColumnIfMissing(database, 'transcriptions', 'audio_metrics', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'transfer_outcome', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'linked_id', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'conversation_id', 'INTEGER');
+    addColumnIfMissing(database, 'calls', 'parent_call_id', 'INTEGER');
+    addColumnIfMissing(database, 'calls', 'leg_type', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'dial_status', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'hold_count', 'INTEGER DEFAULT 0');
+    addColumnIfMissing(database, 'calls', 'hold_seconds', 'INTEGER DEFAULT 0');
+    addColumnIfMissing(database, 'calls', 'hold_started_at', 'DATETIME');
+    addColumnIfMissing(database, 'calls', 'transfer_chain', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'billable_seconds', 'INTEGER');
+    addColumnIfMissing(database, 'calls', 'disposition', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'account_code', 'TEXT');
+    addColumnIfMissing(database, 'calls', 'pbx', 'TEXT');
+    addColumnIfMissing(database, 'conversations', 'pbx', 'TEXT');
+
+    // Uniqueids and linkedids used to be unique across all PBXs
+    rebuildTable(database, 'calls', callsTable, definition => /unique_id TEXT UNIQUE/.test(definition));
+    if (rebuildTable(database, 'conversations', conversationsTable, definition => /linked_id TEXT UNIQUE/.test(definition))) {
+        // Conversations belong to the PBX of their legs
+        database.run(`
+            UPDATE conversations
+            SET pbx = (SELECT pbx FROM calls WHERE calls.conversation_id = conversations.id ORDER BY id LIMIT 1)
+            WHERE pbx IS NULL
+        `);
+    }
+
+    // Timestamped transcript segments
+    database.run(`
+        CREATE TABLE IF NOT EXISTS transcription_segments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transcription_id INTEGER NOT NULL,
+            segment_index INTEGER NOT NULL,
+            start_ms INTEGER NOT NULL,
+            end_ms INTEGER NOT NULL,
+            speaker TEXT,
+            text TEXT NOT NULL,
+            confidence REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (transcription_id) REFERENCES transcriptions(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Unredacted transcripts, kept apart from transcriptions so they are
+    // only reachable through the access-controlled endpoint
+    database.run(`
+        CREATE TABLE IF NOT EXISTS transcription_originals (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transcription_id INTEGER UNIQUE NOT NULL,
+            transcription_text TEXT,
+            segments TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (transcription_id) REFERENCES transcriptions(id) ON DELETE CASCADE
+        )
+    `);
+
+    // AI enrichment (intent, sentiment, summary) per transcription
+    database.run(`
+        CREATE TABLE IF NOT EXISTS transcription_enrichments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transcription_id INTEGER UNIQUE NOT NULL,
+            provider TEXT,
+            intent TEXT,
+            intent_confidence REAL,
+            sentiment TEXT,
+            sentiment_score REAL,
+            summary TEXT,
+            action_items TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (transcription_id) REFERENCES transcriptions(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Keyword spotting / alert rules evaluated on completed transcriptions
+    database.run(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            description TEXT,
+            match_type TEXT NOT NULL,
+            config TEXT NOT NULL,
+            severity TEXT DEFAULT 'warning',
+            enabled INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Rule matches, linked back to the call and transcription
+    database.run(`
+        CREATE TABLE IF NOT EXISTS alert_matches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            call_id INTEGER NOT NULL,
+            transcription_id INTEGER NOT NULL,
+            matched_text TEXT,
+            match_start INTEGER,
+            match_end INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE,
+            FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE,
+            FOREIGN KEY (transcription_id) REFERENCES transcriptions(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Conversation agent turns: one agent reply and the caller utterance it answers
+    database.run(`
+        CREATE TABLE IF NOT EXISTS conversation_turns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            call_id INTEGER NOT NULL,
+            turn_index INTEGER NOT NULL,
+            caller_text TEXT,
+            agent_text TEXT,
+            agent_media TEXT,
+            recording_path TEXT,
+            listen_ms INTEGER,
+            transcription_ms INTEGER,
+            response_ms INTEGER,
+            speak_ms INTEGER,
+            ended_call INTEGER DEFAULT 0,
+            started_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Warm transfers from the Stasis app to a human agent
+    database.run(`
+        CREATE TABLE IF NOT EXISTS transfers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            call_id INTEGER NOT NULL,
+            target_type TEXT NOT NULL,
+            target TEXT NOT NULL,
+            status TEXT DEFAULT 'dialing',
+            outcome TEXT,
+            fallback TEXT,
+            hangup_cause INTEGER,
+            hangup_cause_txt TEXT,
+            summary TEXT,
+            agent_channel TEXT,
+            requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            answered_at DATETIME,
+            ended_at DATETIME,
+            FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Outbound dialing campaigns
+    database.run(`
+        CREATE TABLE IF NOT EXISTS campaigns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            flow TEXT NOT NULL,
+            pbx TEXT,
+            status TEXT DEFAULT 'running',
+            caller_id TEXT,
+            max_concurrent INTEGER DEFAULT 1,
+            max_attempts INTEGER DEFAULT 3,
+            retry_delay_seconds INTEGER DEFAULT 600,
+            retry_on TEXT,
+            schedule TEXT,
+            start_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME
+        )
+    `);
+
+    // Numbers to dial per campaign and the outcome of their last attempt
+    database.run(`
+        CREATE TABLE IF NOT EXISTS campaign_contacts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            campaign_id INTEGER NOT NULL,
+            phone_number TEXT NOT NULL,
+            variables TEXT,
+            status TEXT DEFAULT 'pending',
+            attempts INTEGER DEFAULT 0,
+            outcome TEXT,
+            hangup_cause TEXT,
+            last_error TEXT,
+            unique_id TEXT,
+            call_id INTEGER,
+            next_attempt_at DATETIME,
+            last_attempt_at DATETIME,
+            completed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+        )
+    `);
+
     // Call events table for detailed event logging
     database.run(`
         CREATE TABLE IF NOT EXISTS call_events (
@@ -121,13 +611,192 @@ export async function initDatabase() {
         )
     `);
 
+    // Time spans a channel spent in an Asterisk bridge (BridgeEnter to
+    // BridgeLeave); channels in the same bridge at the same time talked
+    database.run(`
+        CREATE TABLE IF NOT EXISTS call_bridges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            bridge_id TEXT NOT NULL,
+            bridge_type TEXT,
+            bridge_technology TEXT,
+            call_id INTEGER,
+            unique_id TEXT NOT NULL,
+            channel TEXT,
+            entered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            left_at DATETIME,
+            FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Queue visits: one row per caller per Asterisk queue it joined
+    database.run(`
+        CREATE TABLE IF NOT EXISTS queue_calls (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            queue TEXT NOT NULL,
+            unique_id TEXT NOT NULL,
+            call_id INTEGER,
+            pbx TEXT,
+            caller_id TEXT,
+            caller_name TEXT,
+            channel TEXT,
+            join_position INTEGER,
+            outcome TEXT DEFAULT 'waiting',
+            wait_seconds INTEGER,
+            agent TEXT,
+            agent_interface TEXT,
+            talk_seconds INTEGER,
+            complete_reason TEXT,
+            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            left_at DATETIME,
+            connected_at DATETIME,
+            completed_at DATETIME,
+            FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Agents rung for a queue call (AgentCalled) and how each attempt ended
+    database.run(`
+        CREATE TABLE IF NOT EXISTS queue_agent_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            queue_call_id INTEGER NOT NULL,
+            pbx TEXT,
+            queue TEXT NOT NULL,
+            agent TEXT,
+            interface TEXT,
+            agent_unique_id TEXT,
+            outcome TEXT DEFAULT 'ringing',
+            ring_seconds INTEGER,
+            talk_seconds INTEGER,
+            called_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            connected_at DATETIME,
+            completed_at DATETIME,
+            FOREIGN KEY (queue_call_id) REFERENCES queue_calls(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Current presence of each extension (phone endpoint)
+    database.run(extensionsTable('extensions'));
+
+    // Presence changes of extensions
+    database.run(`
+        CREATE TABLE IF NOT EXISTS extension_state_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pbx TEXT,
+            extension TEXT NOT NULL,
+            state TEXT NOT NULL,
+            previous_state TEXT,
+            device_state TEXT,
+            registration TEXT,
+            source TEXT,
+            changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Asterisk CDRs (Cdr manager events, cdr_manager), linked to the call
+    // of their uniqueid. Times are as sent by Asterisk (server local time
+    // unless cdr_manager uses GMT).
+    database.run(`
+        CREATE TABLE IF NOT EXISTS cdrs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            call_id INTEGER,
+            pbx TEXT,
+            unique_id TEXT NOT NULL,
+            linked_id TEXT,
+            account_code TEXT,
+            source TEXT,
+            destination TEXT,
+            destination_context TEXT,
+            caller_id TEXT,
+            channel TEXT,
+            destination_channel TEXT,
+            last_application TEXT,
+            last_data TEXT,
+            start_time TEXT,
+            answer_time TEXT,
+            end_time TEXT,
+            duration_seconds INTEGER,
+            billable_seconds INTEGER,
+            disposition TEXT,
+            ama_flags TEXT,
+            user_field TEXT,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Asterisk channel event log (CEL manager events, cel_manager)
+    database.run(`
+        CREATE TABLE IF NOT EXISTS cel_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            call_id INTEGER,
+            pbx TEXT,
+            unique_id TEXT NOT NULL,
+            linked_id TEXT,
+            event_name TEXT NOT NULL,
+            event_time TEXT,
+            channel TEXT,
+            caller_id TEXT,
+            exten TEXT,
+            context TEXT,
+            application TEXT,
+            app_data TEXT,
+            peer TEXT,
+            account_code TEXT,
+            extra TEXT,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
+        )
+    `);
+
+    addColumnIfMissing(database, 'queue_calls', 'pbx', 'TEXT');
+    if (addColumnIfMissing(database, 'queue_agent_attempts', 'pbx', 'TEXT')) {
+        database.run(`
+            UPDATE queue_agent_attempts
+            SET pbx = (SELECT pbx FROM queue_calls WHERE queue_calls.id = queue_agent_attempts.queue_call_id)
+        `);
+    }
+    addColumnIfMissing(database, 'extensions', 'pbx', 'TEXT');
+    addColumnIfMissing(database, 'extension_state_history', 'pbx', 'TEXT');
+    addColumnIfMissing(database, 'cdrs', 'pbx', 'TEXT');
+    addColumnIfMissing(database, 'cel_events', 'pbx', 'TEXT');
+    addColumnIfMissing(database, 'campaigns', 'pbx', 'TEXT');
+
+    // Extension numbers used to be unique across all PBXs. Presence rows
+    // without a PBX cannot be attributed; they are dropped and seeded
+    // again by the presence sync after connecting.
+    if (rebuildTable(database, 'extensions', extensionsTable, definition => /extension TEXT UNIQUE/.test(definition))) {
+        database.run('DELETE FROM extensions WHERE pbx IS NULL');
+    }
+
     // Create indexes for better query performance
     database.run(`CREATE INDEX IF NOT EXISTS idx_calls_unique_id ON calls(unique_id)`);
     database.run(`CREATE INDEX IF NOT EXISTS idx_calls_start_time ON calls(start_time)`);
     database.run(`CREATE INDEX IF NOT EXISTS idx_calls_caller_id ON calls(caller_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_calls_conversation_id ON calls(conversation_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_calls_pbx ON calls(pbx)`);
     database.run(`CREATE INDEX IF NOT EXISTS idx_transcriptions_call_id ON transcriptions(call_id)`);
     database.run(`CREATE INDEX IF NOT EXISTS idx_transcriptions_status ON transcriptions(transcription_status)`);
     database.run(`CREATE INDEX IF NOT EXISTS idx_call_events_call_id ON call_events(call_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_call_bridges_bridge_id ON call_bridges(bridge_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_call_bridges_call_id ON call_bridges(call_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_queue_calls_unique_id ON queue_calls(unique_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_queue_calls_queue_joined ON queue_calls(queue, joined_at)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_queue_agent_attempts_queue_call_id ON queue_agent_attempts(queue_call_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_cdrs_unique_id ON cdrs(unique_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_cdrs_call_id ON cdrs(call_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_cdrs_destination_channel ON cdrs(destination_channel)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_cel_events_unique_id ON cel_events(unique_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_cel_events_linked_id ON cel_events(linked_id)`);
+    database.run(`DROP INDEX IF EXISTS idx_extension_state_history_extension`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_extension_state_history_pbx_extension ON extension_state_history(pbx, extension, id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_transcription_segments_transcription_id ON transcription_segments(transcription_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_transcription_enrichments_intent ON transcription_enrichments(intent)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_transcription_enrichments_sentiment ON transcription_enrichments(sentiment)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_alert_matches_call_id ON alert_matches(call_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_alert_matches_rule_id ON alert_matches(rule_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_conversation_turns_call_id ON conversation_turns(call_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_transfers_call_id ON transfers(call_id)`);
+    database.run(`CREATE INDEX IF NOT EXISTS idx_campaign_contacts_campaign_status ON campaign_contacts(campaign_id, status)`);
 
     // Save to file
     saveDatabase();
@@ -137,29 +806,30 @@ export async function initDatabase() {
 }
 
 /**
- * Close database connection
+ * Close database connection (pending changes are written first)
  */
 export function closeDatabase() {
     if (db) {
-        saveDatabase();
+        flushDatabaseSync();
         db.close();
         db = null;
         dbLogger.info('Database connection closed');
     }
 }
 
-// Auto-save every 30 seconds
-setInterval(() => {
-    if (db) {
-        saveDatabase();
-    }
-}, 30000);
-
-// Save on exit
+// Save on exit: changes not written yet
 process.on('exit', () => {
     if (db) {
-        saveDatabase();
+        flushDatabaseSync();
     }
 });
 
-export default { getDatabase, initDatabase, closeDatabase, saveDatabase };
+export default {
+    getDatabase,
+    initDatabase,
+    closeDatabase,
+    saveDatabase,
+    flushDatabase,
+    flushDatabaseSync,
+    getPersistenceStatus
+};
@@ -0,0 +1,353 @@
+/**
+ * Queue Repository
+ * Database operations for Asterisk queue visits (queue_calls), the agents
+ * rung for them (queue_agent_attempts) and the queue/agent analytics
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+// The latest visit of a channel to a queue (a caller can rejoin a queue);
+// parameters: pbx, queue, uniqueid
+const VISIT = `(SELECT MAX(id) FROM queue_calls WHERE pbx IS ? AND queue = ? AND unique_id = ?)`;
+
+// Seconds from a timestamp column until now
+const elapsed = column => `MAX(0, CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', ${column}) AS INTEGER))`;
+
+export class QueueRepository {
+    /**
+     * A caller joined a queue (QueueCallerJoin)
+     */
+    static async join({ pbx, queue, uniqueId, callerId, callerName, channel, position }) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO queue_calls (pbx, queue, unique_id, call_id, caller_id, caller_name, channel, join_position)
+            VALUES (?, ?, ?, (SELECT id FROM calls WHERE pbx IS ? AND unique_id = ?), ?, ?, ?, ?)
+        `, [
+            pbx,
+            queue,
+            uniqueId,
+            pbx,
+            uniqueId,
+            callerId || null,
+            callerName || null,
+            channel || null,
+            Number.isFinite(position) ? position : null
+        ]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        dbLogger.debug('Caller joined queue', { id, pbx, queue, uniqueId, position });
+        return id;
+    }
+
+    /**
+     * A caller left a queue (QueueCallerLeave)
+     * Sent both when the caller is connected to an agent and when it gives
+     * up or times out; a visit that is still 'waiting' (no AgentConnect or
+     * QueueCallerAbandon yet) becomes 'exited'. AgentConnect may still
+     * follow and turn it into 'answered'.
+     */
+    static async leave(pbx, queue, uniqueId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE queue_calls
+            SET outcome = CASE WHEN outcome = 'waiting' THEN 'exited' ELSE outcome END,
+                wait_seconds = COALESCE(wait_seconds, ${elapsed('joined_at')}),
+                left_at = COALESCE(left_at, datetime('now'))
+            WHERE id = ${VISIT}
+        `, [pbx, queue, uniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * A caller hung up while waiting (QueueCallerAbandon)
+     */
+    static async abandon(pbx, queue, uniqueId, holdTime) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE queue_calls
+            SET outcome = 'abandoned',
+                wait_seconds = COALESCE(?, ${elapsed('joined_at')}),
+                left_at = COALESCE(left_at, datetime('now'))
+            WHERE id = ${VISIT}
+        `, [Number.isFinite(holdTime) ? holdTime : null, pbx, queue, uniqueId]);
+
+        const changes = db.getRowsModified();
+        this._closeRingingAttempts(db, pbx, queue, uniqueId);
+
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * An agent is rung for a caller (AgentCalled)
+     */
+    static async agentCalled(pbx, queue, uniqueId, { agent, agentInterface, agentUniqueId }) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO queue_agent_attempts (queue_call_id, pbx, queue, agent, interface, agent_unique_id)
+            SELECT ${VISIT}, ?, ?, ?, ?, ?
+            WHERE ${VISIT} IS NOT NULL
+        `, [pbx, queue, uniqueId, pbx, queue, agent || null, agentInterface || null, agentUniqueId || null, pbx, queue, uniqueId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * An agent answered a caller (AgentConnect)
+     * The other agents rung for the caller are marked 'missed'.
+     */
+    static async agentConnect(pbx, queue, uniqueId, { agent, agentInterface, agentUniqueId, holdTime, ringTime }) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE queue_calls
+            SET outcome = 'answered',
+                agent = ?,
+                agent_interface = ?,
+                wait_seconds = COALESCE(?, wait_seconds, ${elapsed('joined_at')}),
+                connected_at = datetime('now'),
+                left_at = COALESCE(left_at, datetime('now'))
+            WHERE id = ${VISIT}
+        `, [
+            agent || null,
+            agentInterface || null,
+            Number.isFinite(holdTime) ? holdTime : null,
+            pbx,
+            queue,
+            uniqueId
+        ]);
+
+        const changes = db.getRowsModified();
+
+        db.run(`
+            UPDATE queue_agent_attempts
+            SET outcome = 'connected',
+                ring_seconds = ?,
+                connected_at = datetime('now')
+            WHERE id = (
+                SELECT MAX(id) FROM queue_agent_attempts
+                WHERE queue_call_id = ${VISIT}
+                  AND (interface = ? OR agent_unique_id = ? OR agent = ?)
+            )
+        `, [
+            Number.isFinite(ringTime) ? ringTime : null,
+            pbx,
+            queue,
+            uniqueId,
+            agentInterface || null,
+            agentUniqueId || null,
+            agent || null
+        ]);
+
+        this._closeRingingAttempts(db, pbx, queue, uniqueId);
+
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * The call between a caller and an agent ended (AgentComplete)
+     * reason: caller, agent or transfer (who ended it)
+     */
+    static async agentComplete(pbx, queue, uniqueId, { talkTime, reason }) {
+        const db = await getDatabase();
+        const talkSeconds = Number.isFinite(talkTime) ? talkTime : null;
+
+        db.run(`
+            UPDATE queue_calls
+            SET talk_seconds = COALESCE(?, ${elapsed('connected_at')}),
+                complete_reason = ?,
+                completed_at = datetime('now')
+            WHERE id = ${VISIT}
+        `, [talkSeconds, reason || null, pbx, queue, uniqueId]);
+
+        const changes = db.getRowsModified();
+
+        db.run(`
+            UPDATE queue_agent_attempts
+            SET outcome = 'completed',
+                talk_seconds = COALESCE(?, ${elapsed('connected_at')}),
+                completed_at = datetime('now')
+            WHERE queue_call_id = ${VISIT} AND outcome = 'connected'
+        `, [talkSeconds, pbx, queue, uniqueId]);
+
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Callers waiting in queues right now, longest waiting first per queue
+     * Visits of calls that already ended (e.g. closed by reconciliation
+     * after a missed QueueCallerLeave) are not listed. Queues of the same
+     * name on different PBXs are listed separately.
+     */
+    static async getWaiting({ pbx, queue } = {}) {
+        const db = await getDatabase();
+        const conditions = [];
+        const params = [];
+
+        if (pbx) {
+            conditions.push('q.pbx = ?');
+            params.push(pbx);
+        }
+        if (queue) {
+            conditions.push('q.queue = ?');
+            params.push(queue);
+        }
+
+        const result = db.exec(`
+            SELECT q.*, ${elapsed('q.joined_at')} AS waiting_seconds,
+                   (SELECT COUNT(*) FROM queue_agent_attempts a
+                    WHERE a.queue_call_id = q.id AND a.outcome = 'ringing') AS ringing_agents
+            FROM queue_calls q
+            LEFT JOIN calls c ON c.id = q.call_id
+            WHERE q.outcome = 'waiting'
+              AND q.left_at IS NULL
+              AND c.end_time IS NULL
+              ${conditions.map(condition => `AND ${condition}`).join(' ')}
+            ORDER BY q.pbx ASC, q.queue ASC, q.id ASC
+        `, params);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Per-queue wait, abandonment and service level figures, per PBX
+     * Visits still waiting count as offered but not in the rates.
+     */
+    static async getQueueStats({ pbx, queue, startDate, endDate, serviceLevelSeconds }) {
+        const db = await getDatabase();
+        const { where, params } = this._filters({ pbx, queue, startDate, endDate }, 'joined_at');
+
+        const result = db.exec(`
+            SELECT pbx,
+                   queue,
+                   COUNT(*) AS offered,
+                   SUM(CASE WHEN outcome = 'answered' THEN 1 ELSE 0 END) AS answered,
+                   SUM(CASE WHEN outcome = 'abandoned' THEN 1 ELSE 0 END) AS abandoned,
+                   SUM(CASE WHEN outcome = 'exited' THEN 1 ELSE 0 END) AS exited,
+                   SUM(CASE WHEN outcome = 'waiting' THEN 1 ELSE 0 END) AS waiting,
+                   SUM(CASE WHEN outcome = 'answered' AND wait_seconds <= ? THEN 1 ELSE 0 END) AS answered_within,
+                   AVG(CASE WHEN outcome != 'waiting' THEN wait_seconds END) AS avg_wait,
+                   MAX(CASE WHEN outcome != 'waiting' THEN wait_seconds END) AS max_wait,
+                   AVG(CASE WHEN outcome = 'answered' THEN wait_seconds END) AS avg_answer_wait,
+                   AVG(CASE WHEN outcome = 'abandoned' THEN wait_seconds END) AS avg_abandon_wait,
+                   SUM(talk_seconds) AS total_talk,
+                   AVG(talk_seconds) AS avg_talk
+            FROM queue_calls
+            ${where}
+            GROUP BY pbx, queue
+            ORDER BY pbx ASC, queue ASC
+        `, [serviceLevelSeconds, ...params]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Per-agent figures per PBX queue: times rung, answered, missed and
+     * talk time
+     */
+    static async getAgentStats({ pbx, queue, startDate, endDate }) {
+        const db = await getDatabase();
+        const { where, params } = this._filters({ pbx, queue, startDate, endDate }, 'called_at');
+
+        const result = db.exec(`
+            SELECT pbx,
+                   queue,
+                   COALESCE(agent, interface) AS agent,
+                   interface,
+                   COUNT(*) AS attempts,
+                   SUM(CASE WHEN outcome IN ('connected', 'completed') THEN 1 ELSE 0 END) AS answered,
+                   SUM(CASE WHEN outcome = 'missed' THEN 1 ELSE 0 END) AS missed,
+                   SUM(talk_seconds) AS total_talk,
+                   AVG(talk_seconds) AS avg_talk,
+                   AVG(ring_seconds) AS avg_ring
+            FROM queue_agent_attempts
+            ${where}
+            GROUP BY pbx, queue, COALESCE(agent, interface)
+            ORDER BY pbx ASC, queue ASC, answered DESC
+        `, params);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Agents still ringing for a visit did not get the call
+     */
+    static _closeRingingAttempts(db, pbx, queue, uniqueId) {
+        db.run(`
+            UPDATE queue_agent_attempts
+            SET outcome = 'missed',
+                completed_at = datetime('now')
+            WHERE queue_call_id = ${VISIT} AND outcome = 'ringing'
+        `, [pbx, queue, uniqueId]);
+    }
+
+    /**
+     * WHERE clause for the PBX, queue and date range filters
+     */
+    static _filters({ pbx, queue, startDate, endDate }, dateColumn) {
+        const conditions = [];
+        const params = [];
+
+        if (pbx) {
+            conditions.push('pbx = ?');
+            params.push(pbx);
+        }
+        if (queue) {
+            conditions.push('queue = ?');
+            params.push(queue);
+        }
+        if (startDate) {
+            conditions.push(`${dateColumn} >= ?`);
+            params.push(startDate);
+        }
+        if (endDate) {
+            conditions.push(`${dateColumn} <= ?`);
+            params.push(endDate);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default QueueRepository;
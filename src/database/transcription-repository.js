@@ -9,14 +9,16 @@ import { dbLogger } from '../utils/logger.js';
 export class TranscriptionRepository {
     /**
      * Create a new transcription record
+     * Rows created as 'streaming' are filled by a live session and are
+     * never claimed by the job queue.
      */
-    static async createTranscription(callId, recordingPath) {
+    static async createTranscription(callId, recordingPath, status = 'pending') {
         const db = await getDatabase();
         
         db.run(`
-            INSERT INTO transcriptions (call_id, recording_path, transcription_status)
-            VALUES (?, ?, 'pending')
-        `, [callId, recordingPath]);
+            INSERT INTO transcriptions (call_id, recording_path, transcription_status, processing_started_at)
+            VALUES (?, ?, ?, CASE WHEN ? = 'streaming' THEN datetime('now') END)
+        `, [callId, recordingPath, status, status]);
 
         const result = db.exec('SELECT last_insert_rowid() as id');
         const id = result[0]?.values[0]?.[0];
@@ -27,7 +29,7 @@ export class TranscriptionRepository {
     }
 
     /**
-     * Update transcription status to processing
+     * Update transcription status to processing (counts as an attempt)
      */
     static async markAsProcessing(transcriptionId) {
         const db = await getDatabase();
@@ -35,6 +37,8 @@ export class TranscriptionRepository {
         db.run(`
             UPDATE transcriptions 
             SET transcription_status = 'processing',
+                attempts = attempts + 1,
+                next_attempt_at = NULL,
                 processing_started_at = datetime('now'),
                 updated_at = datetime('now')
             WHERE id = ?
@@ -47,22 +51,37 @@ export class TranscriptionRepository {
 
     /**
      * Update transcription with result
+     * Metadata: { provider, language, confidence, latencyMs, redactionReport }
      */
-    static async completeTranscription(transcriptionId, transcriptionText) {
+    static async completeTranscription(transcriptionId, transcriptionText, metadata = {}) {
         const db = await getDatabase();
         
         db.run(`
             UPDATE transcriptions 
             SET transcription_text = ?,
                 transcription_status = 'completed',
+                provider = ?,
+                language = ?,
+                confidence = ?,
+                latency_ms = ?,
+                redaction_report = ?,
+                error_message = NULL,
                 processing_completed_at = datetime('now'),
                 updated_at = datetime('now')
             WHERE id = ?
-        `, [transcriptionText, transcriptionId]);
+        `, [
+            transcriptionText,
+            metadata.provider || null,
+            metadata.language || null,
+            metadata.confidence ?? null,
+            metadata.latencyMs ?? null,
+            metadata.redactionReport ? JSON.stringify(metadata.redactionReport) : null,
+            transcriptionId
+        ]);
 
         const changes = db.getRowsModified();
         saveDatabase();
-        dbLogger.info('Transcription completed', { transcriptionId });
+        dbLogger.info('Transcription completed', { transcriptionId, provider: metadata.provider });
         return changes > 0;
     }
 
@@ -87,6 +106,276 @@ export class TranscriptionRepository {
         return changes > 0;
     }
 
+    /**
+     * Store the audio check of a recording; rejected recordings
+     * ('silent', 'empty') are closed with the reason and never queued
+     */
+    static async saveAudioCheck(transcriptionId, check) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE transcriptions 
+            SET audio_metrics = ?,
+                error_message = COALESCE(?, error_message),
+                processing_completed_at = CASE WHEN ? THEN datetime('now') ELSE processing_completed_at END,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [
+            JSON.stringify(check.metrics || {}),
+            check.reason || null,
+            check.valid ? 0 : 1,
+            transcriptionId
+        ]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Claim the next job that is due for processing
+     * Picks pending jobs and retries whose backoff has elapsed, oldest first,
+     * and marks it as processing in the same step.
+     */
+    static async claimNextJob() {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT id FROM transcriptions
+            WHERE transcription_status IN ('pending', 'retrying')
+              AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+            ORDER BY created_at ASC, id ASC
+            LIMIT 1
+        `);
+
+        const id = result[0]?.values[0]?.[0];
+        if (!id) {
+            return null;
+        }
+
+        await this.markAsProcessing(id);
+        return this.getTranscriptionById(id);
+    }
+
+    /**
+     * Schedule a failed job to be retried after a backoff delay
+     */
+    static async scheduleRetry(transcriptionId, errorMessage, delayMs) {
+        const db = await getDatabase();
+        
+        db.run(`
+            UPDATE transcriptions 
+            SET transcription_status = 'retrying',
+                error_message = ?,
+                next_attempt_at = datetime('now', ?),
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [errorMessage, `+${delayMs / 1000} seconds`, transcriptionId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        dbLogger.warn('Transcription retry scheduled', { transcriptionId, delayMs, errorMessage });
+        return changes > 0;
+    }
+
+    /**
+     * Move a job that exhausted its attempts to the dead-letter state
+     */
+    static async markAsDeadLetter(transcriptionId, errorMessage) {
+        const db = await getDatabase();
+        
+        db.run(`
+            UPDATE transcriptions 
+            SET transcription_status = 'dead_letter',
+                error_message = ?,
+                next_attempt_at = NULL,
+                processing_completed_at = datetime('now'),
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [errorMessage, transcriptionId]);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        dbLogger.error('Transcription moved to dead letter', { transcriptionId, errorMessage });
+        return changes > 0;
+    }
+
+    /**
+     * Recover jobs left in processing by a crash or restart
+     * Jobs with attempts left go back to pending, the rest are dead-lettered.
+     */
+    static async recoverStuckJobs(maxAttempts) {
+        const db = await getDatabase();
+        
+        db.run(`
+            UPDATE transcriptions 
+            SET transcription_status = 'dead_letter',
+                error_message = 'Interrupted while processing (max attempts reached)',
+                processing_completed_at = datetime('now'),
+                updated_at = datetime('now')
+            WHERE transcription_status = 'processing' AND attempts >= ?
+        `, [maxAttempts]);
+        const deadLettered = db.getRowsModified();
+
+        db.run(`
+            UPDATE transcriptions 
+            SET transcription_status = 'pending',
+                next_attempt_at = NULL,
+                updated_at = datetime('now')
+            WHERE transcription_status = 'processing'
+        `);
+        const requeued = db.getRowsModified();
+
+        // Live streams cannot be resumed - keep their segments, mark them interrupted
+        db.run(`
+            UPDATE transcriptions 
+            SET transcription_status = 'interrupted',
+                error_message = 'Streaming session interrupted',
+                processing_completed_at = datetime('now'),
+                updated_at = datetime('now')
+            WHERE transcription_status = 'streaming'
+        `);
+        const interrupted = db.getRowsModified();
+
+        saveDatabase();
+        return { requeued, deadLettered, interrupted };
+    }
+
+    /**
+     * Put failed and dead-lettered jobs back in the queue with fresh attempts
+     */
+    static async requeueFailed() {
+        const db = await getDatabase();
+        
+        db.run(`
+            UPDATE transcriptions 
+            SET transcription_status = 'pending',
+                attempts = 0,
+                next_attempt_at = NULL,
+                updated_at = datetime('now')
+            WHERE transcription_status IN ('failed', 'dead_letter')
+        `);
+
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return changes;
+    }
+
+    /**
+     * Replace the timestamped segments of a transcription
+     */
+    static async saveSegments(transcriptionId, segments) {
+        const db = await getDatabase();
+
+        db.run('DELETE FROM transcription_segments WHERE transcription_id = ?', [transcriptionId]);
+
+        segments.forEach((segment, index) => {
+            db.run(`
+                INSERT INTO transcription_segments (
+                    transcription_id, segment_index, start_ms, end_ms,
+                    speaker, text, confidence
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                transcriptionId,
+                index,
+                segment.startMs,
+                segment.endMs,
+                segment.speaker || null,
+                segment.text,
+                segment.confidence ?? null
+            ]);
+        });
+
+        saveDatabase();
+        dbLogger.debug('Saved transcription segments', { transcriptionId, count: segments.length });
+        return segments.length;
+    }
+
+    /**
+     * Append one finalized segment (used while a call is being streamed)
+     */
+    static async appendSegment(transcriptionId, segment) {
+        const db = await getDatabase();
+
+        const result = db.exec(
+            'SELECT COALESCE(MAX(segment_index) + 1, 0) FROM transcription_segments WHERE transcription_id = ?',
+            [transcriptionId]
+        );
+        const index = result[0]?.values[0]?.[0] ?? 0;
+
+        db.run(`
+            INSERT INTO transcription_segments (
+                transcription_id, segment_index, start_ms, end_ms,
+                speaker, text, confidence
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            transcriptionId,
+            index,
+            segment.startMs,
+            segment.endMs,
+            segment.speaker || null,
+            segment.text,
+            segment.confidence ?? null
+        ]);
+
+        saveDatabase();
+        return index;
+    }
+
+    /**
+     * Get segments of a transcription in playback order
+     */
+    static async getSegments(transcriptionId) {
+        const db = await getDatabase();
+        const result = db.exec(`
+            SELECT * FROM transcription_segments
+            WHERE transcription_id = ?
+            ORDER BY segment_index ASC
+        `, [transcriptionId]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Keep the unredacted transcript in the access-controlled originals table
+     */
+    static async saveOriginal(transcriptionId, transcriptionText, segments) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO transcription_originals (transcription_id, transcription_text, segments)
+            VALUES (?, ?, ?)
+            ON CONFLICT(transcription_id) DO UPDATE SET
+                transcription_text = excluded.transcription_text,
+                segments = excluded.segments,
+                created_at = datetime('now')
+        `, [transcriptionId, transcriptionText, JSON.stringify(segments || [])]);
+
+        saveDatabase();
+        dbLogger.debug('Saved original transcript', { transcriptionId });
+        return true;
+    }
+
+    /**
+     * Get the unredacted transcript of a transcription
+     */
+    static async getOriginal(transcriptionId) {
+        const db = await getDatabase();
+        const result = db.exec(
+            'SELECT * FROM transcription_originals WHERE transcription_id = ?',
+            [transcriptionId]
+        );
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToObject(result[0].columns, result[0].values[0]);
+    }
+
     /**
      * Get transcription by ID
      */
@@ -144,12 +433,21 @@ export class TranscriptionRepository {
                 SUM(CASE WHEN transcription_status = 'pending' THEN 1 ELSE 0 END) as pending,
                 SUM(CASE WHEN transcription_status = 'processing' THEN 1 ELSE 0 END) as processing,
                 SUM(CASE WHEN transcription_status = 'completed' THEN 1 ELSE 0 END) as completed,
-                SUM(CASE WHEN transcription_status = 'failed' THEN 1 ELSE 0 END) as failed
+                SUM(CASE WHEN transcription_status = 'failed' THEN 1 ELSE 0 END) as failed,
+                SUM(CASE WHEN transcription_status = 'retrying' THEN 1 ELSE 0 END) as retrying,
+                SUM(CASE WHEN transcription_status = 'dead_letter' THEN 1 ELSE 0 END) as dead_letter,
+                SUM(CASE WHEN transcription_status = 'streaming' THEN 1 ELSE 0 END) as streaming,
+                SUM(CASE WHEN transcription_status = 'interrupted' THEN 1 ELSE 0 END) as interrupted,
+                SUM(CASE WHEN transcription_status = 'silent' THEN 1 ELSE 0 END) as silent,
+                SUM(CASE WHEN transcription_status = 'empty' THEN 1 ELSE 0 END) as empty
             FROM transcriptions
         `);
         
         if (result.length === 0 || result[0].values.length === 0) {
-            return { total: 0, pending: 0, processing: 0, completed: 0, failed: 0 };
+            return {
+                total: 0, pending: 0, processing: 0, completed: 0, failed: 0, retrying: 0,
+                dead_letter: 0, streaming: 0, interrupted: 0, silent: 0, empty: 0
+            };
         }
         
         return this._rowToObject(result[0].columns, result[0].values[0]);
@@ -0,0 +1,170 @@
+/**
+ * Transfer Repository
+ * Database operations for warm transfers to human agents
+ */
+
+import { getDatabase, saveDatabase } from './init.js';
+import { dbLogger } from '../utils/logger.js';
+
+export class TransferRepository {
+    /**
+     * Record a transfer attempt (status 'dialing')
+     */
+    static async createTransfer(callId, transfer) {
+        const db = await getDatabase();
+
+        db.run(`
+            INSERT INTO transfers (call_id, target_type, target, summary, agent_channel)
+            VALUES (?, ?, ?, ?, ?)
+        `, [
+            callId,
+            transfer.targetType,
+            transfer.target,
+            transfer.summary || null,
+            transfer.agentChannel || null
+        ]);
+
+        const result = db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0]?.values[0]?.[0];
+
+        saveDatabase();
+        dbLogger.debug('Created transfer', { id, callId, target: transfer.target });
+        return id;
+    }
+
+    /**
+     * The agent answered and the legs are bridged
+     */
+    static async markAnswered(transferId) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE transfers
+            SET status = 'connected',
+                outcome = 'answered',
+                answered_at = datetime('now')
+            WHERE id = ?
+        `, [transferId]);
+
+        const changes = db.getRowsModified();
+
+        db.run(`
+            UPDATE calls
+            SET transfer_outcome = 'answered',
+                updated_at = datetime('now')
+            WHERE id = (SELECT call_id FROM transfers WHERE id = ?)
+        `, [transferId]);
+
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Close a transfer and copy its outcome to the call record
+     * outcome: answered, no_answer, busy, failed or abandoned;
+     * fallback: where the caller was sent instead (e.g. 'voicemail'),
+     * which becomes the call's transfer outcome
+     */
+    static async completeTransfer(transferId, { outcome, fallback, cause, causeTxt }) {
+        const db = await getDatabase();
+
+        db.run(`
+            UPDATE transfers
+            SET status = 'ended',
+                outcome = ?,
+                fallback = ?,
+                hangup_cause = ?,
+                hangup_cause_txt = ?,
+                ended_at = datetime('now')
+            WHERE id = ?
+        `, [outcome, fallback || null, cause ?? null, causeTxt || null, transferId]);
+
+        const changes = db.getRowsModified();
+
+        db.run(`
+            UPDATE calls
+            SET transfer_outcome = ?,
+                updated_at = datetime('now')
+            WHERE id = (SELECT call_id FROM transfers WHERE id = ?)
+        `, [fallback || outcome, transferId]);
+
+        saveDatabase();
+        return changes > 0;
+    }
+
+    /**
+     * Get a transfer by ID
+     */
+    static async getTransferById(id) {
+        const db = await getDatabase();
+        const result = db.exec('SELECT * FROM transfers WHERE id = ?', [id]);
+
+        if (result.length === 0 || result[0].values.length === 0) {
+            return null;
+        }
+
+        return this._rowToObject(result[0].columns, result[0].values[0]);
+    }
+
+    /**
+     * Get the transfers of a call in order
+     */
+    static async getTransfersByCallId(callId) {
+        const db = await getDatabase();
+        const result = db.exec(
+            'SELECT * FROM transfers WHERE call_id = ? ORDER BY id ASC',
+            [callId]
+        );
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Get recent transfers, newest first, optionally filtered by outcome
+     */
+    static async getRecentTransfers(limit = 50, offset = 0, filters = {}) {
+        const db = await getDatabase();
+        const conditions = [];
+        const params = [];
+
+        if (filters.outcome) {
+            conditions.push('outcome = ?');
+            params.push(filters.outcome);
+        }
+        if (filters.status) {
+            conditions.push('status = ?');
+            params.push(filters.status);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const result = db.exec(`
+            SELECT * FROM transfers
+            ${where}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        if (result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => this._rowToObject(result[0].columns, row));
+    }
+
+    /**
+     * Convert row array to object
+     */
+    static _rowToObject(columns, values) {
+        const obj = {};
+        columns.forEach((col, i) => {
+            obj[col] = values[i];
+        });
+        return obj;
+    }
+}
+
+export default TransferRepository;
@@ -3,19 +3,26 @@
  * 
  * This service bridges FreePBX/Asterisk with AI processing capabilities
  * through AMI (event tracking) and ARI (voice pipeline) interfaces.
+ * Each configured PBX instance (PBX_INSTANCES) gets its own AMI and ARI
+ * connection, which reconnect independently of the others.
  */
 
 import 'dotenv/config';
 import { logger } from './utils/logger.js';
-import { initDatabase } from './database/init.js';
+import { initDatabase, flushDatabase, closeDatabase } from './database/init.js';
 import { AMIClient } from './services/ami-client.js';
 import { ARIClient } from './services/ari-client.js';
+import { FlowLoader } from './services/flow-loader.js';
+import { transcriptionQueue } from './services/transcription-queue.js';
+import { campaignManager } from './services/campaign-manager.js';
 import { createAPIServer } from './api/server.js';
+import { loadPbxInstances } from './utils/pbx-instances.js';
 
 class AIGateway {
     constructor() {
-        this.amiClient = null;
-        this.ariClient = null;
+        // One { name, amiClient, ariClient } per PBX; the first is the primary
+        this.instances = [];
+        this.flowLoader = null;
         this.apiServer = null;
         this.isShuttingDown = false;
     }
@@ -28,29 +35,34 @@ class AIGateway {
             logger.info('📦 Initializing database...');
             await initDatabase();
 
-            // Start AMI Client for real-time event tracking
-            logger.info('📡 Connecting to AMI...');
-            this.amiClient = new AMIClient();
-            try {
-                await this.amiClient.connect();
-            } catch (amiError) {
-                logger.warn('⚠️ AMI connection failed - continuing without AMI', { 
-                    error: amiError.message 
-                });
-                logger.warn('   (This is normal if Asterisk is not running locally)');
-            }
-
-            // Start ARI Client for voice-to-AI pipeline
-            logger.info('🎙️ Connecting to ARI...');
-            this.ariClient = new ARIClient();
-            try {
-                await this.ariClient.connect();
-            } catch (ariError) {
-                logger.warn('⚠️ ARI connection failed - continuing without ARI', { 
-                    error: ariError.message 
-                });
-                logger.warn('   (This is normal if Asterisk is not running locally)');
-            }
+            // Start transcription job queue (recovers interrupted jobs)
+            logger.info('🧠 Starting transcription queue...');
+            await transcriptionQueue.start();
+
+            // Call flows are shared by the ARI clients of all PBXs
+            this.flowLoader = new FlowLoader();
+            this.flowLoader.start();
+
+            // Connect to every PBX at once, so a slow or unreachable one
+            // does not hold up the others
+            const configs = loadPbxInstances();
+            this.instances = configs.map(config => ({
+                name: config.name,
+                config,
+                amiClient: new AMIClient(config),
+                ariClient: new ARIClient(config, { flowLoader: this.flowLoader })
+            }));
+            await Promise.all(this.instances.map(instance => this.connectInstance(instance)));
+
+            // Shared with the API server (/status, /flows, call control);
+            // amiClient / ariClient are the primary PBX
+            global.pbxInstances = this.instances;
+            global.amiClient = this.instances[0].amiClient;
+            global.ariClient = this.instances[0].ariClient;
+
+            // Start outbound campaign dialer (dials once AMI is connected)
+            logger.info('📤 Starting campaign manager...');
+            await campaignManager.start(this.instances);
 
             // Start API Server
             logger.info('🌐 Starting API server...');
@@ -69,12 +81,47 @@ class AIGateway {
         }
     }
 
+    /**
+     * Connect the AMI (event tracking) and ARI (voice pipeline) clients of
+     * one PBX; each keeps reconnecting on its own when it fails
+     */
+    async connectInstance({ name, amiClient, ariClient }) {
+        // Errors are logged by the clients; without a listener an 'error'
+        // event would be thrown and take down every PBX
+        amiClient.on('error', () => {});
+        ariClient.on('error', () => {});
+
+        logger.info(`📡 Connecting to AMI of ${name}...`);
+        try {
+            await amiClient.connect();
+        } catch (amiError) {
+            logger.warn('⚠️ AMI connection failed - continuing without AMI', { 
+                pbx: name,
+                error: amiError.message 
+            });
+            logger.warn('   (This is normal if Asterisk is not running locally)');
+        }
+
+        logger.info(`🎙️ Connecting to ARI of ${name}...`);
+        try {
+            await ariClient.connect();
+        } catch (ariError) {
+            logger.warn('⚠️ ARI connection failed - continuing without ARI', { 
+                pbx: name,
+                error: ariError.message 
+            });
+            logger.warn('   (This is normal if Asterisk is not running locally)');
+        }
+    }
+
     logServiceStatus() {
         logger.info('═══════════════════════════════════════════');
         logger.info('  AI-PBX Integration Gateway Status');
         logger.info('═══════════════════════════════════════════');
-        logger.info(`  AMI: ${this.amiClient?.isConnected ? '🟢 Connected' : '🔴 Disconnected'}`);
-        logger.info(`  ARI: ${this.ariClient?.isConnected ? '🟢 Connected' : '🔴 Disconnected'}`);
+        for (const { name, amiClient, ariClient } of this.instances) {
+            logger.info(`  ${name} AMI: ${amiClient.isConnected ? '🟢 Connected' : '🔴 Disconnected'}`);
+            logger.info(`  ${name} ARI: ${ariClient.isConnected ? '🟢 Connected' : '🔴 Disconnected'}`);
+        }
         logger.info(`  API: http://localhost:${process.env.PORT || 3000}`);
         logger.info('═══════════════════════════════════════════');
         logger.info('  Endpoints:');
@@ -92,15 +139,19 @@ class AIGateway {
         logger.info('🛑 Shutting down AI-PBX Gateway...');
 
         try {
-            if (this.amiClient) {
-                await this.amiClient.disconnect();
-            }
-            if (this.ariClient) {
-                await this.ariClient.disconnect();
+            await campaignManager.stop();
+            for (const { amiClient, ariClient } of this.instances) {
+                await amiClient.disconnect();
+                await ariClient.disconnect();
             }
+            this.flowLoader?.stop();
+            await transcriptionQueue.stop();
             if (this.apiServer) {
                 this.apiServer.close();
             }
+            // Write changes still waiting for the next save
+            await flushDatabase();
+            closeDatabase();
             logger.info('👋 Goodbye!');
         } catch (error) {
             logger.error('Error during shutdown:', error);
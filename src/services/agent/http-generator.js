@@ -0,0 +1,60 @@
+/**
+ * HTTP Response Generator
+ *
+ * Delegates the agent reply to an external dialogue service:
+ *   POST { "callId": 1, "history": [{ "role": "agent" | "caller", "text": "..." }] }
+ * and expects a JSON response of the form:
+ *   { "text": "...", "media": "sound:...", "endCall": false, "transfer": false }
+ *
+ * `media` is optional and may be any ARI media URI; without it the
+ * reply text is spoken. `transfer: true` hands the caller to a human.
+ */
+
+export class HttpResponseGenerator {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.url = options.url || process.env.AGENT_HTTP_URL;
+        this.apiKey = options.apiKey || process.env.AGENT_HTTP_API_KEY;
+        this.timeout = options.timeout
+            ?? (parseInt(process.env.AGENT_HTTP_TIMEOUT_MS) || 10000);
+
+        if (!this.url) {
+            throw new Error('AGENT_HTTP_URL must be set to use the http response generator');
+        }
+    }
+
+    /**
+     * Request the next agent reply from the configured endpoint
+     */
+    async respond(history, context = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ callId: context.callId, history }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Agent service responded with HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+
+        return {
+            text: result.text || '',
+            media: result.media || null,
+            endCall: Boolean(result.endCall),
+            transfer: Boolean(result.transfer)
+        };
+    }
+}
+
+export default HttpResponseGenerator;
@@ -0,0 +1,39 @@
+/**
+ * Response Generator Factory
+ *
+ * Selects the agent used by the conversation loop.
+ * Every generator exposes `name` and `respond(history, context)`, where
+ * history is the dialogue so far as [{ role: 'agent' | 'caller', text }]
+ * (an empty history asks for the greeting). It resolves with:
+ *   { text, media?, endCall }
+ *
+ * Configure with AGENT_PROVIDER = rules | http (default: rules)
+ */
+
+import { RuleBasedResponseGenerator } from './rule-based-generator.js';
+import { HttpResponseGenerator } from './http-generator.js';
+
+const generators = {
+    rules: RuleBasedResponseGenerator,
+    http: HttpResponseGenerator
+};
+
+/**
+ * Create a response generator by name
+ */
+export function createResponseGenerator(name = process.env.AGENT_PROVIDER || 'rules', options = {}) {
+    const Generator = generators[name.toLowerCase()];
+
+    if (!Generator) {
+        throw new Error(`Unknown agent provider: ${name} (expected one of: ${Object.keys(generators).join(', ')})`);
+    }
+
+    return new Generator(options);
+}
+
+export {
+    RuleBasedResponseGenerator,
+    HttpResponseGenerator
+};
+
+export default createResponseGenerator;
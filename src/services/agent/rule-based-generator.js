@@ -0,0 +1,102 @@
+/**
+ * Rule-Based Response Generator
+ *
+ * Scripted, offline agent for the conversation loop:
+ * - Greets the caller on the first turn
+ * - Re-prompts when nothing was understood (ends after repeated silence)
+ * - Acknowledges the request using the rule-based intent classifier
+ * - Ends the call when the caller says goodbye or has nothing else
+ * - Hands the caller to a human when they ask for one (`transfer`)
+ *
+ * Replies are plain text and spoken through the TTS service.
+ */
+
+import { RuleBasedEnrichmentProvider } from '../enrichment/rule-based-provider.js';
+
+const END_PATTERN = /\b(bye|goodbye|that's all|that is all|nothing else|no thanks|no thank you|hang up)\b/i;
+const TRANSFER_PATTERN = /\b(human|real person|operator|representative|(speak|talk) (to|with) (a |an )?(person|agent|someone|somebody))\b/i;
+const MAX_SILENT_TURNS = 2;
+
+const INTENT_REPLIES = {
+    sales: 'Thanks, I have noted your interest and someone from sales will contact you.',
+    support: 'Sorry to hear about the problem, I have opened a support request for you.',
+    appointment: 'Thanks, I have noted your appointment request.',
+    complaint: 'I am sorry about your experience, I have passed your feedback to a manager.',
+    billing: 'Thanks, I have noted your billing question for our accounts team.',
+    cancellation: 'I understand, I have noted your cancellation request.',
+    information: 'Thanks for your question, we will send you the details.',
+    general: 'Thank you, I have noted that.'
+};
+
+export class RuleBasedResponseGenerator {
+    constructor() {
+        this.name = 'rules';
+        this.classifier = new RuleBasedEnrichmentProvider();
+    }
+
+    /**
+     * Produce the next agent reply from the dialogue so far
+     */
+    async respond(history) {
+        const last = history[history.length - 1];
+
+        if (!last) {
+            return {
+                text: 'Hello, thanks for calling. How can I help you today?',
+                endCall: false
+            };
+        }
+
+        const callerText = (last.text || '').trim();
+
+        if (!callerText) {
+            if (countTrailingSilence(history) >= MAX_SILENT_TURNS) {
+                return {
+                    text: 'Sorry, I could not hear you. Goodbye.',
+                    endCall: true
+                };
+            }
+            return {
+                text: 'Sorry, I did not catch that. Please try again.',
+                endCall: false
+            };
+        }
+
+        if (END_PATTERN.test(callerText)) {
+            return {
+                text: 'Thank you for calling. Goodbye.',
+                endCall: true
+            };
+        }
+
+        if (TRANSFER_PATTERN.test(callerText)) {
+            return {
+                text: 'Let me connect you with a colleague. Please hold.',
+                endCall: false,
+                transfer: true
+            };
+        }
+
+        const { intent } = this.classifier.classifyIntent(callerText.toLowerCase());
+
+        return {
+            text: `${INTENT_REPLIES[intent]} Is there anything else?`,
+            endCall: false
+        };
+    }
+}
+
+/**
+ * Consecutive caller turns (from the end) with no recognized speech
+ */
+function countTrailingSilence(history) {
+    let count = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].role !== 'caller') continue;
+        if ((history[i].text || '').trim()) break;
+        count++;
+    }
+    return count;
+}
+
+export default RuleBasedResponseGenerator;
@@ -1,23 +1,75 @@
 /**
  * AI Processor Service
  * 
- * Handles mock AI transcription processing.
- * In production, this would integrate with services like:
- * - OpenAI Whisper
- * - Google Speech-to-Text
- * - Azure Cognitive Services
- * - AWS Transcribe
+ * Handles AI transcription processing through a pluggable
+ * speech-to-text provider (see ./transcription):
+ * - mock: simulated delay and canned transcripts (default)
+ * - command: local binary such as whisper.cpp fed the WAV file
+ * - http: generic HTTP speech-to-text endpoint
+ *
+ * PII (card numbers, phone numbers, emails, SSNs, custom patterns) is
+ * masked before a transcript is stored or enriched. With
+ * PII_RETAIN_ORIGINAL=true the unredacted text is kept separately.
+ *
+ * Completed transcripts are enriched with intent, sentiment and a
+ * summary through a pluggable classifier (see ./enrichment) and checked
+ * against the keyword alert rules (see ./alert-engine.js).
  */
 
 import { ariLogger } from '../utils/logger.js';
 import { TranscriptionRepository } from '../database/transcription-repository.js';
+import { EnrichmentRepository } from '../database/enrichment-repository.js';
+import { createTranscriptionProvider } from './transcription/index.js';
+import { createEnrichmentProvider } from './enrichment/index.js';
+import { piiRedactor } from '../utils/pii-redactor.js';
+import { AlertEngine } from './alert-engine.js';
+import { estimateSegments } from './transcription/segments.js';
 
 export class AIProcessor {
-    static processingDelay = parseInt(process.env.AI_PROCESSING_DELAY_MS) || 3000;
+    static provider = null;
+    static enrichmentProvider = null;
+    static retainOriginal = process.env.PII_RETAIN_ORIGINAL === 'true';
+
+    /**
+     * Get the configured transcription provider (created on first use)
+     */
+    static getProvider() {
+        if (!this.provider) {
+            this.provider = createTranscriptionProvider();
+            ariLogger.info('Transcription provider selected', { provider: this.provider.name });
+        }
+        return this.provider;
+    }
+
+    /**
+     * Override the transcription provider (e.g. for scripts)
+     */
+    static setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Get the configured enrichment provider (created on first use)
+     */
+    static getEnrichmentProvider() {
+        if (!this.enrichmentProvider) {
+            this.enrichmentProvider = createEnrichmentProvider();
+            ariLogger.info('Enrichment provider selected', { provider: this.enrichmentProvider.name });
+        }
+        return this.enrichmentProvider;
+    }
+
+    /**
+     * Override the enrichment provider (e.g. for scripts)
+     */
+    static setEnrichmentProvider(provider) {
+        this.enrichmentProvider = provider;
+    }
 
     /**
      * Process a recording and generate transcription
-     * This is a mock implementation that simulates AI processing
+     * One-shot processing: failures are recorded as 'failed' and not retried.
+     * Queued jobs go through TranscriptionQueue instead.
      */
     static async processRecording(transcriptionId, recordingPath) {
         ariLogger.info('🧠 Starting AI transcription processing...', {
@@ -27,26 +79,13 @@ export class AIProcessor {
 
         try {
             // Mark as processing
-            TranscriptionRepository.markAsProcessing(transcriptionId);
-
-            // Simulate AI processing delay
-            await this.simulateProcessingDelay();
-
-            // Generate mock transcription
-            const transcription = this.generateMockTranscription();
+            await TranscriptionRepository.markAsProcessing(transcriptionId);
 
-            // Save transcription result
-            TranscriptionRepository.completeTranscription(transcriptionId, transcription);
-
-            ariLogger.info('✅ AI transcription completed', {
-                transcriptionId,
-                transcriptionLength: transcription.length
-            });
+            const result = await this.runTranscription(transcriptionId, recordingPath);
 
             return {
                 success: true,
-                transcriptionId,
-                transcription
+                ...result
             };
 
         } catch (error) {
@@ -55,7 +94,7 @@ export class AIProcessor {
                 error: error.message
             });
 
-            TranscriptionRepository.failTranscription(transcriptionId, error.message);
+            await TranscriptionRepository.failTranscription(transcriptionId, error.message);
 
             return {
                 success: false,
@@ -66,46 +105,128 @@ export class AIProcessor {
     }
 
     /**
-     * Simulate AI processing delay
+     * Run the provider on a recording already marked as processing
+     * and store the result. Throws if transcription fails.
      */
-    static async simulateProcessingDelay() {
-        return new Promise((resolve) => {
-            setTimeout(resolve, this.processingDelay);
-        });
+    static async runTranscription(transcriptionId, recordingPath) {
+        const provider = this.getProvider();
+
+        // Run speech-to-text
+        const startedAt = Date.now();
+        const result = await provider.transcribe(recordingPath);
+        const metadata = {
+            provider: provider.name,
+            language: result.language,
+            confidence: result.confidence,
+            latencyMs: Date.now() - startedAt
+        };
+
+        // Providers without timing information get estimated sentence segments
+        const segments = result.segments?.length
+            ? result.segments
+            : estimateSegments(result.text, { confidence: result.confidence });
+
+        return this.finalizeTranscription(transcriptionId, { text: result.text, segments }, metadata);
     }
 
     /**
-     * Generate mock transcription text
-     * In production, this would be replaced with actual speech-to-text API calls
+     * Redact, store, enrich and evaluate alert rules on a finished transcript
+     * Shared by batch jobs and streaming sessions.
      */
-    static generateMockTranscription() {
-        const mockTranscriptions = [
-            "Hello, I'm calling to inquire about your services. Can you please provide more information about pricing and availability?",
-            "Hi there, I need to schedule an appointment for next week. What times do you have available on Tuesday or Wednesday?",
-            "Good afternoon, I'm following up on my previous inquiry. Has there been any update on my case?",
-            "Yes, I'd like to place an order for the premium package. Can you walk me through the process?",
-            "I'm experiencing an issue with my account and need assistance resolving it as soon as possible.",
-            "Thank you for your help earlier. I have a few additional questions about the service.",
-            "I'm interested in learning more about your AI integration capabilities for our business.",
-            "Could you please transfer me to the technical support department? I have a system-related question.",
-            "I'd like to provide feedback about my recent experience with your company.",
-            "Hello, I'm returning your call from earlier today. What did you need to discuss?"
-        ];
-
-        // Randomly select a mock transcription
-        const randomIndex = Math.floor(Math.random() * mockTranscriptions.length);
-        return mockTranscriptions[randomIndex];
+    static async finalizeTranscription(transcriptionId, result, metadata = {}) {
+        const originalSegments = result.segments || [];
+
+        // Mask PII before anything is persisted or enriched
+        const { text, report } = piiRedactor.redact(result.text);
+        const segments = piiRedactor.redactSegments(originalSegments);
+        metadata.redactionReport = report;
+
+        if (this.retainOriginal && report.total > 0) {
+            await TranscriptionRepository.saveOriginal(transcriptionId, result.text, originalSegments);
+        }
+
+        // Save transcription result
+        await TranscriptionRepository.saveSegments(transcriptionId, segments);
+        await TranscriptionRepository.completeTranscription(transcriptionId, text, metadata);
+
+        ariLogger.info('✅ AI transcription completed', {
+            transcriptionId,
+            transcriptionLength: text.length,
+            segments: segments.length,
+            redactions: report.total,
+            provider: metadata.provider,
+            latencyMs: metadata.latencyMs
+        });
+
+        const enrichment = await this.enrichTranscription(transcriptionId, text, {
+            language: metadata.language
+        });
+
+        const transcription = await TranscriptionRepository.getTranscriptionById(transcriptionId);
+        const alerts = transcription
+            ? await AlertEngine.evaluateTranscription(transcriptionId, transcription.call_id, text)
+            : [];
+
+        return {
+            transcriptionId,
+            transcription: text,
+            segments,
+            enrichment,
+            alerts,
+            ...metadata
+        };
     }
 
     /**
-     * Process multiple recordings in parallel
+     * Classify intent, score sentiment and summarize a completed transcript
+     * Enrichment failures are logged but never fail the transcription.
      */
-    static async processMultiple(recordings) {
-        const promises = recordings.map(({ transcriptionId, recordingPath }) =>
-            this.processRecording(transcriptionId, recordingPath)
-        );
+    static async enrichTranscription(transcriptionId, text, context = {}) {
+        try {
+            const provider = this.getEnrichmentProvider();
+            const enrichment = await provider.enrich(text, context);
+
+            await EnrichmentRepository.saveEnrichment(transcriptionId, provider.name, enrichment);
 
-        return Promise.allSettled(promises);
+            ariLogger.info('🏷️ Transcription enriched', {
+                transcriptionId,
+                intent: enrichment.intent,
+                sentiment: enrichment.sentiment
+            });
+
+            return enrichment;
+        } catch (error) {
+            ariLogger.error('Transcription enrichment failed', {
+                transcriptionId,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Process multiple recordings, at most `concurrency` at a time
+     */
+    static async processMultiple(recordings, concurrency = parseInt(process.env.TRANSCRIPTION_CONCURRENCY) || 2) {
+        const results = new Array(recordings.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < recordings.length) {
+                const index = next++;
+                const { transcriptionId, recordingPath } = recordings[index];
+                try {
+                    results[index] = { status: 'fulfilled', value: await this.processRecording(transcriptionId, recordingPath) };
+                } catch (error) {
+                    results[index] = { status: 'rejected', reason: error };
+                }
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(concurrency, recordings.length) }, worker);
+        await Promise.all(workers);
+
+        return results;
     }
 
     /**
@@ -117,15 +238,15 @@ export class AIProcessor {
 
     /**
      * Retry failed transcriptions
+     * Failed and dead-lettered jobs are requeued with a fresh attempt
+     * budget; the transcription queue picks them up on its next poll.
      */
     static async retryFailed() {
-        const pending = TranscriptionRepository.getPendingTranscriptions();
+        const requeued = await TranscriptionRepository.requeueFailed();
         
-        ariLogger.info(`Retrying ${pending.length} pending transcriptions`);
+        ariLogger.info(`Requeued ${requeued} failed transcriptions for retry`);
         
-        for (const transcription of pending) {
-            await this.processRecording(transcription.id, transcription.recording_path);
-        }
+        return requeued;
     }
 }
 
@@ -0,0 +1,330 @@
+/**
+ * Alert Engine
+ *
+ * Evaluates keyword spotting rules against completed transcriptions.
+ * Supported rule types (stored in alert_rules.match_type / config):
+ * - phrase:    { phrases: ['cancel my account', 'lawyer'] }      any phrase matches
+ * - regex:     { pattern: 'refund|charge ?back', flags: 'i' }
+ * - proximity: { terms: ['cancel', 'account'], maxDistance: 5 }  all terms within N words
+ *
+ * Matches are stored in alert_matches and logged as 'alert' call events.
+ *
+ * Regex rules come from API clients and run on every transcript, so
+ * patterns that can backtrack catastrophically (nested quantifiers,
+ * backreferences) are rejected, patterns are capped in length and
+ * transcripts are searched in bounded chunks.
+ */
+
+import { EventEmitter } from 'events';
+import { alertLogger } from '../utils/logger.js';
+import { AlertRepository } from '../database/alert-repository.js';
+import { CallRepository } from '../database/call-repository.js';
+
+export const MATCH_TYPES = ['phrase', 'regex', 'proximity'];
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Longest accepted regex pattern (characters)
+const MAX_PATTERN_LENGTH = 200;
+
+// Regex rules search the transcript in chunks of at most this many
+// characters (split at whitespace), so a slow pattern stays bounded;
+// matches cannot span two chunks
+const REGEX_CHUNK_LENGTH = 1000;
+
+// Quantifier at the start of a string: *, +, ? or {n}, {n,}, {n,m}
+const QUANTIFIER = /^([*+?]|\{\d+(,\d*)?\})/;
+
+// Quantifiers that repeat: all but ?
+const REPEAT = /^([*+]|\{\d+(,\d*)?\})/;
+
+export class AlertEngine {
+    // Emits 'alert' for every rule that fires
+    static events = new EventEmitter();
+
+    /**
+     * Validate rule input from the API
+     * Returns a list of error messages (empty when valid)
+     */
+    static validateRule(rule) {
+        const errors = [];
+        const config = rule.config || {};
+
+        if (!rule.name || typeof rule.name !== 'string') {
+            errors.push('name is required');
+        }
+        if (!MATCH_TYPES.includes(rule.matchType)) {
+            errors.push(`matchType must be one of: ${MATCH_TYPES.join(', ')}`);
+        }
+        if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+            errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+
+        if (rule.matchType === 'phrase') {
+            if (!Array.isArray(config.phrases) || config.phrases.length === 0
+                || config.phrases.some(p => typeof p !== 'string' || !p.trim())) {
+                errors.push('config.phrases must be a non-empty array of strings');
+            }
+        }
+
+        if (rule.matchType === 'regex') {
+            if (!config.pattern || typeof config.pattern !== 'string') {
+                errors.push('config.pattern is required');
+            } else {
+                errors.push(...regexErrors(config.pattern, config.flags));
+            }
+        }
+
+        if (rule.matchType === 'proximity') {
+            if (!Array.isArray(config.terms) || config.terms.length < 2
+                || config.terms.some(t => typeof t !== 'string' || !t.trim())) {
+                errors.push('config.terms must be an array of at least two strings');
+            }
+            if (!Number.isInteger(config.maxDistance) || config.maxDistance < 1) {
+                errors.push('config.maxDistance must be a positive integer');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Evaluate all enabled rules against a completed transcription
+     * Errors are logged and never fail the transcription.
+     */
+    static async evaluateTranscription(transcriptionId, callId, text) {
+        try {
+            const rules = await AlertRepository.getAllRules(true);
+            const fired = [];
+
+            for (const rule of rules) {
+                const matches = this.matchRule(rule, text || '');
+                if (matches.length === 0) continue;
+
+                for (const match of matches) {
+                    await AlertRepository.recordMatch(rule.id, callId, transcriptionId, match);
+                }
+
+                const alert = {
+                    ruleId: rule.id,
+                    ruleName: rule.name,
+                    severity: rule.severity,
+                    callId,
+                    transcriptionId,
+                    matches: matches.map(m => m.text)
+                };
+
+                await CallRepository.logCallEvent(callId, 'alert', alert);
+                alertLogger.warn('🚨 Alert rule fired', alert);
+                this.events.emit('alert', alert);
+                fired.push(alert);
+            }
+
+            return fired;
+        } catch (error) {
+            alertLogger.error('Alert rule evaluation failed', {
+                transcriptionId,
+                error: error.message
+            });
+            return [];
+        }
+    }
+
+    /**
+     * Find all matches of a rule in a text
+     * Returns [{ text, start, end }]
+     */
+    static matchRule(rule, text) {
+        switch (rule.match_type) {
+            case 'phrase':
+                return this.matchPhrases(rule.config.phrases, text);
+            case 'regex':
+                return this.matchRegex(rule.config.pattern, rule.config.flags, text);
+            case 'proximity':
+                return this.matchProximity(rule.config.terms, rule.config.maxDistance, text);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Case-insensitive whole-word phrase matching (any whitespace between words)
+     */
+    static matchPhrases(phrases, text) {
+        const matches = [];
+
+        for (const phrase of phrases) {
+            const words = phrase.trim().split(/\s+/).map(escapeRegex);
+            const pattern = new RegExp(`\\b${words.join('\\s+')}\\b`, 'gi');
+            matches.push(...collectMatches(pattern, text));
+        }
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Regular expression matching, chunk by chunk
+     * Patterns stored before they were checked are skipped if unsafe.
+     */
+    static matchRegex(pattern, flags = '', text) {
+        const errors = regexErrors(pattern, flags);
+        if (errors.length > 0) {
+            alertLogger.warn('Skipping unsafe regex alert rule', { pattern, errors });
+            return [];
+        }
+
+        const regex = new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+        const matches = [];
+        for (const { offset, chunk } of chunks(text, REGEX_CHUNK_LENGTH)) {
+            for (const match of collectMatches(regex, chunk)) {
+                matches.push({ text: match.text, start: match.start + offset, end: match.end + offset });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Match when every term occurs within maxDistance words of the first term
+     */
+    static matchProximity(terms, maxDistance, text) {
+        const tokens = [...text.matchAll(/[\w']+/g)].map(m => ({
+            word: m[0].toLowerCase(),
+            start: m.index,
+            end: m.index + m[0].length
+        }));
+
+        // Word positions of each (possibly multi-word) term
+        const occurrences = terms.map((term) => {
+            const words = term.toLowerCase().trim().split(/\s+/);
+            const positions = [];
+            for (let i = 0; i + words.length <= tokens.length; i++) {
+                if (words.every((word, j) => tokens[i + j].word === word)) {
+                    positions.push({ first: i, last: i + words.length - 1 });
+                }
+            }
+            return positions;
+        });
+
+        const matches = [];
+        for (const anchor of occurrences[0]) {
+            const span = { first: anchor.first, last: anchor.last };
+            const allNear = occurrences.slice(1).every((positions) => {
+                const near = positions.find(p =>
+                    Math.abs(p.first - anchor.first) <= maxDistance
+                );
+                if (near) {
+                    span.first = Math.min(span.first, near.first);
+                    span.last = Math.max(span.last, near.last);
+                }
+                return Boolean(near);
+            });
+
+            if (allNear) {
+                const start = tokens[span.first].start;
+                const end = tokens[span.last].end;
+                matches.push({ text: text.slice(start, end), start, end });
+            }
+        }
+
+        return matches;
+    }
+}
+
+function collectMatches(regex, text) {
+    return [...text.matchAll(regex)]
+        .filter(m => m[0].length > 0)
+        .map(m => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+}
+
+/**
+ * Reasons a user-supplied regex is rejected (empty when acceptable)
+ */
+function regexErrors(pattern, flags = '') {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        return [`config.pattern must be at most ${MAX_PATTERN_LENGTH} characters`];
+    }
+
+    try {
+        new RegExp(pattern, flags || '');
+    } catch (error) {
+        return [`config.pattern is not a valid regex: ${error.message}`];
+    }
+
+    const errors = [];
+    const { nestedQuantifier, backreference } = scanRegex(pattern);
+    if (nestedQuantifier) {
+        errors.push('config.pattern must not repeat a group that contains a quantifier or alternative, e.g. (a+)+ or (a|ab)*');
+    }
+    if (backreference) {
+        errors.push('config.pattern must not use backreferences');
+    }
+    return errors;
+}
+
+/**
+ * Look for the constructs behind catastrophic backtracking: a group
+ * repeated by *, + or {n,m} that itself contains a quantifier or an
+ * alternative, and backreferences. `pattern` must be a valid regex.
+ */
+function scanRegex(pattern) {
+    // Per open group: whether it contains a quantifier or alternative
+    const groups = [false];
+    let inClass = false;
+    let backreference = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            if (!inClass && /[1-9k]/.test(pattern[i + 1])) backreference = true;
+            i++;
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+            // (?:, (?=, (?<name> ... : the ? is not a quantifier
+            if (pattern[i + 1] === '?') i++;
+        } else if (char === ')') {
+            const containsQuantifier = groups.pop();
+            const rest = pattern.slice(i + 1);
+            if (containsQuantifier && REPEAT.test(rest)) {
+                return { nestedQuantifier: true, backreference };
+            }
+            if (containsQuantifier || QUANTIFIER.test(rest)) {
+                groups[groups.length - 1] = true;
+            }
+        } else if (char === '|' || QUANTIFIER.test(pattern.slice(i))) {
+            groups[groups.length - 1] = true;
+        }
+    }
+
+    return { nestedQuantifier: false, backreference };
+}
+
+/**
+ * Split text into chunks of at most `size` characters, at whitespace
+ * where possible
+ */
+function chunks(text, size) {
+    const result = [];
+    let offset = 0;
+
+    while (offset < text.length) {
+        let end = Math.min(offset + size, text.length);
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space > offset) end = space;
+        }
+        result.push({ offset, chunk: text.slice(offset, end) });
+        offset = end;
+    }
+
+    return result;
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default AlertEngine;
@@ -0,0 +1,158 @@
+/**
+ * AMI Capture
+ *
+ * Records the raw manager events an AMIClient receives to a JSONL file
+ * (AMI_CAPTURE_FILE, or PBX_<NAME>_AMI_CAPTURE_FILE per instance), one
+ * line per event:
+ *
+ *   {"ts":1767225600123,"pbx":"default","event":{"event":"Newchannel",...}}
+ *
+ * ts is the receive time in epoch milliseconds and event the message as
+ * parsed by asterisk-manager (lowercased keys). Captures are replayed
+ * through AMIClient's event handlers by replayCapture() (see
+ * scripts/replay-ami.js) to reproduce how a call was recorded.
+ *
+ * Captures contain caller numbers and names: treat them like the call
+ * database.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { EventEmitter } from 'events';
+import { amiLogger } from '../utils/logger.js';
+
+export class AmiCapture {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.stream = null;
+        this.events = 0;
+        this.failed = false;
+    }
+
+    /**
+     * Append an event (the file is opened on first use)
+     */
+    record(pbx, event) {
+        if (this.failed) return;
+
+        if (!this.stream) {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+            this.stream.on('error', (error) => {
+                // Capturing is a debugging aid: never let it take the client down
+                amiLogger.error('AMI capture failed, capturing stopped:', { file: this.filePath, error: error.message });
+                this.failed = true;
+                this.stream = null;
+            });
+            amiLogger.info('Capturing AMI events', { pbx, file: this.filePath });
+        }
+
+        this.stream.write(`${JSON.stringify({ ts: Date.now(), pbx, event })}\n`);
+        this.events++;
+    }
+
+    /**
+     * Flush and close the file
+     */
+    close() {
+        const stream = this.stream;
+        this.stream = null;
+
+        return new Promise((resolve) => {
+            if (!stream) return resolve();
+            stream.end(resolve);
+        });
+    }
+
+    getStatus() {
+        return {
+            file: this.filePath,
+            events: this.events,
+            failed: this.failed
+        };
+    }
+}
+
+/**
+ * Records of a capture file, in order
+ * Blank lines are skipped; a line that is not a capture record throws,
+ * naming the line.
+ */
+export async function* readCapture(filePath) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'utf-8' }),
+        crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${filePath}:${lineNumber}: invalid JSON (${error.message})`);
+        }
+        if (typeof record.ts !== 'number' || !record.event?.event) {
+            throw new Error(`${filePath}:${lineNumber}: not an AMI capture record`);
+        }
+        yield record;
+    }
+}
+
+/**
+ * Feed a capture through AMIClient event handlers
+ * clientFor(pbx) supplies the client for each PBX instance in the capture
+ * (asked once per instance); clients must not be connected: their manager
+ * connection is replaced by an emitter re-emitting the captured events as
+ * asterisk-manager would. Each event's handlers settle before the next
+ * event is emitted, so a replay processes events in capture order
+ * whatever the speed.
+ *
+ * @param options.speed - 1 replays with the captured gaps between events,
+ * 10 ten times faster, 0 without waiting
+ * @param options.pbx - only replay the events of this PBX instance
+ * @returns { events, skipped, pbx: [names], firstTs, lastTs }
+ */
+export async function replayCapture(filePath, clientFor, { speed = 1, pbx = null } = {}) {
+    const sources = new Map();
+    const result = { events: 0, skipped: 0, pbx: [], firstTs: null, lastTs: null };
+
+    for await (const record of readCapture(filePath)) {
+        if (pbx && record.pbx !== pbx) {
+            result.skipped++;
+            continue;
+        }
+
+        let source = sources.get(record.pbx);
+        if (!source) {
+            source = new EventEmitter();
+            source.setMaxListeners(0);
+            const client = clientFor(record.pbx);
+            client.ami = source;
+            client.registerEventHandlers();
+            sources.set(record.pbx, source);
+            result.pbx.push(record.pbx);
+        }
+
+        if (speed > 0 && result.lastTs !== null && record.ts > result.lastTs) {
+            await new Promise(resolve => setTimeout(resolve, (record.ts - result.lastTs) / speed));
+        }
+        result.firstTs ??= record.ts;
+        result.lastTs = record.ts;
+
+        source.emit('managerevent', record.event);
+        source.emit(String(record.event.event).toLowerCase(), record.event);
+        result.events++;
+
+        // Handlers run on promises: let them finish before the next event
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return result;
+}
+
+export default AmiCapture;
@@ -3,27 +3,73 @@
  * 
  * Handles real-time event tracking from Asterisk:
  * - Newstate events (call state changes)
- * - Dial events (outgoing calls)
+ * - Dial / DialBegin / DialEnd events (outgoing calls and their dial status)
+ * - BridgeCreate / BridgeEnter / BridgeLeave / BridgeDestroy (who talked to whom)
+ * - BlindTransfer / AttendedTransfer (transfer chains)
+ * - Hold / Unhold (time on hold)
+ * - QueueCaller* / Agent* events (queue waits, abandons and agent talk time)
+ * - DeviceStateChange / ExtensionStatus / PeerStatus / ContactStatus
+ *   (extension presence, seeded with DeviceStateList / PJSIPShowEndpoints)
  * - Hangup events (call termination)
+ * - Cdr / CEL events (authoritative billing figures and channel event log,
+ *   requires cdr_manager / cel_manager)
+ * - OriginateResponse events (result of asynchronous originates)
  * 
- * Features automatic reconnection on disconnect.
+ * Channels sharing an Asterisk linkedid are grouped into one conversation
+ * (see ../database/call-conversation-repository.js); each channel is a
+ * leg, and legs dialed by another leg are linked to it.
+ * 
+ * One client per PBX instance; calls are tagged with its name.
+ * 
+ * Features automatic reconnection on disconnect. After every (re)connect
+ * the live channels are listed (CoreShowChannels) to rebuild activeCalls
+ * and close calls whose hangup was missed (see reconcile()).
+ * 
+ * With AMI_CAPTURE_FILE set, every manager event received is appended to
+ * a JSONL capture for replay (see ./ami-capture.js).
  */
 
 import AsteriskManager from 'asterisk-manager';
 import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
 import { amiLogger } from '../utils/logger.js';
 import { CallRepository } from '../database/call-repository.js';
+import { CallConversationRepository } from '../database/call-conversation-repository.js';
+import { BridgeRepository } from '../database/bridge-repository.js';
+import { QueueRepository } from '../database/queue-repository.js';
+import { ExtensionRepository } from '../database/extension-repository.js';
+import { CdrRepository } from '../database/cdr-repository.js';
+import { AmiCapture } from './ami-capture.js';
+import { pbxConfig } from '../utils/pbx-instances.js';
+import {
+    extensionFromDevice,
+    normalizeDeviceState,
+    extensionStatusToState,
+    registrationFromPeerStatus,
+    registrationFromContactStatus
+} from '../utils/presence.js';
+
+// Queue events persisted by handleQueueEvent (names as delivered, lowercased)
+const QUEUE_EVENTS = [
+    'queuecallerjoin',
+    'queuecallerleave',
+    'queuecallerabandon',
+    'agentcalled',
+    'agentconnect',
+    'agentcomplete'
+];
 
 export class AMIClient extends EventEmitter {
-    constructor() {
+    /**
+     * @param instance - PBX instance (see ../utils/pbx-instances.js);
+     * defaults to the AMI_* settings
+     */
+    constructor(instance = pbxConfig()) {
         super();
         
-        this.config = {
-            host: process.env.AMI_HOST || '127.0.0.1',
-            port: parseInt(process.env.AMI_PORT) || 5038,
-            username: process.env.AMI_USERNAME || 'ai-gateway',
-            password: process.env.AMI_PASSWORD || 'changeme'
-        };
+        // Calls are tagged with the name of the PBX they were seen on
+        this.pbx = instance.name;
+        this.config = { ...instance.ami };
 
         this.reconnectInterval = parseInt(process.env.RECONNECT_INTERVAL_MS) || 5000;
         this.maxReconnectAttempts = parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 0;
@@ -36,6 +82,19 @@ export class AMIClient extends EventEmitter {
         
         // Track active calls
         this.activeCalls = new Map();
+
+        // When the connection was lost, and the result of the last reconciliation
+        this.disconnectedAt = null;
+        this.lastReconciliation = null;
+
+        // Uniqueids hung up while a reconciliation is running (null otherwise)
+        this.reconcileHangups = null;
+
+        // Result of the last extension presence sync
+        this.lastPresenceSync = null;
+
+        // Raw event capture (AMI_CAPTURE_FILE)
+        this.capture = this.config.captureFile ? new AmiCapture(this.config.captureFile) : null;
     }
 
     /**
@@ -44,6 +103,7 @@ export class AMIClient extends EventEmitter {
     async connect() {
         return new Promise((resolve, reject) => {
             amiLogger.info('Connecting to AMI...', { 
+                pbx: this.pbx,
                 host: this.config.host, 
                 port: this.config.port 
             });
@@ -63,7 +123,7 @@ export class AMIClient extends EventEmitter {
                 // Connection timeout
                 const connectionTimeout = setTimeout(() => {
                     if (!this.isConnected) {
-                        amiLogger.warn('AMI connection timeout, will retry...');
+                        amiLogger.warn('AMI connection timeout, will retry...', { pbx: this.pbx });
                         this.scheduleReconnect();
                         resolve(); // Don't reject, just schedule reconnect
                     }
@@ -74,15 +134,19 @@ export class AMIClient extends EventEmitter {
                     clearTimeout(connectionTimeout);
                     this.isConnected = true;
                     this.reconnectAttempts = 0;
-                    amiLogger.info('✅ AMI Connected successfully');
+                    amiLogger.info('✅ AMI Connected successfully', { pbx: this.pbx });
                     this.emit('connected');
                     resolve();
+
+                    // Sent once logged in (actions are held until then)
+                    this.reconcile();
+                    this.syncPresence();
                 });
 
                 this.ami.on('error', (error) => {
                     // Only log once, don't spam
                     if (this.reconnectAttempts === 0) {
-                        amiLogger.error('AMI Error:', error);
+                        amiLogger.error(`AMI Error (${this.pbx}):`, error);
                     }
                     this.emit('error', error);
                 });
@@ -90,7 +154,8 @@ export class AMIClient extends EventEmitter {
                 this.ami.on('close', () => {
                     if (this.isConnected) {
                         this.isConnected = false;
-                        amiLogger.warn('AMI Connection closed');
+                        this.disconnectedAt = new Date();
+                        amiLogger.warn('AMI Connection closed', { pbx: this.pbx });
                         this.emit('disconnected');
                         this.scheduleReconnect();
                     }
@@ -99,8 +164,13 @@ export class AMIClient extends EventEmitter {
                 // Register event handlers
                 this.registerEventHandlers();
 
+                // Capture raw events (not part of registerEventHandlers, which replays use)
+                if (this.capture) {
+                    this.ami.on('managerevent', (event) => this.capture.record(this.pbx, event));
+                }
+
             } catch (error) {
-                amiLogger.error('Failed to create AMI connection:', error);
+                amiLogger.error(`Failed to create AMI connection (${this.pbx}):`, error);
                 this.scheduleReconnect();
                 resolve(); // Don't fail startup, schedule reconnect
             }
@@ -126,16 +196,90 @@ export class AMIClient extends EventEmitter {
             this.handleDial(event);
         });
 
-        // Bridge - Channels connected
+        // DialBegin - Outgoing call attempt (Asterisk 12+)
+        this.ami.on('dialbegin', (event) => {
+            this.handleDial({ ...event, subevent: 'Begin' });
+        });
+
+        // DialEnd - Result of a dial attempt (Asterisk 12+)
+        this.ami.on('dialend', (event) => {
+            this.handleDialEnd(event);
+        });
+
+        // Bridge - Channels connected (Asterisk 11 and older)
         this.ami.on('bridge', (event) => {
             this.handleBridge(event);
         });
 
+        // BridgeCreate/Enter/Leave/Destroy - Bridge lifecycle (Asterisk 12+)
+        this.ami.on('bridgecreate', (event) => {
+            this.handleBridgeCreate(event);
+        });
+        this.ami.on('bridgeenter', (event) => {
+            this.handleBridgeEnter(event);
+        });
+        this.ami.on('bridgeleave', (event) => {
+            this.handleBridgeLeave(event);
+        });
+        this.ami.on('bridgedestroy', (event) => {
+            this.handleBridgeDestroy(event);
+        });
+
+        // BlindTransfer / AttendedTransfer - Calls transferred by a phone
+        this.ami.on('blindtransfer', (event) => {
+            this.handleTransfer('blind', event);
+        });
+        this.ami.on('attendedtransfer', (event) => {
+            this.handleTransfer('attended', event);
+        });
+
+        // Hold / Unhold - Channel put on hold by the other side
+        this.ami.on('hold', (event) => {
+            this.handleHold(event, true);
+        });
+        this.ami.on('unhold', (event) => {
+            this.handleHold(event, false);
+        });
+
+        // Queue caller and agent events (Asterisk 12+)
+        for (const name of QUEUE_EVENTS) {
+            this.ami.on(name, (event) => {
+                this.handleQueueEvent(name, event);
+            });
+        }
+
+        // Presence - Device, hint and registration states of extensions
+        this.ami.on('devicestatechange', (event) => {
+            if (!event.actionid) this.handleDeviceStateChange(event);
+        });
+        this.ami.on('extensionstatus', (event) => {
+            this.handleExtensionStatus(event);
+        });
+        this.ami.on('peerstatus', (event) => {
+            this.handlePeerStatus(event);
+        });
+        this.ami.on('contactstatus', (event) => {
+            this.handleContactStatus(event);
+        });
+
         // Hangup - Call ended
         this.ami.on('hangup', (event) => {
             this.handleHangup(event);
         });
 
+        // Cdr / CEL - Call detail records and channel event log (cdr_manager, cel_manager)
+        this.ami.on('cdr', (event) => {
+            this.handleCdr(event);
+        });
+        this.ami.on('cel', (event) => {
+            this.handleCel(event);
+        });
+
+        // OriginateResponse - Result of an asynchronous Originate
+        this.ami.on('originateresponse', (event) => {
+            this.handleOriginateResponse(event);
+        });
+
         // DTMF - Key press (for potential IVR integration)
         this.ami.on('dtmf', (event) => {
             this.handleDTMF(event);
@@ -176,12 +320,20 @@ export class AMIClient extends EventEmitter {
             callerName: event.calleridname,
             destination: event.exten,
             channel: event.channel,
-            callState: 'initiated'
+            callState: 'initiated',
+            pbx: this.pbx
         };
+        const linkedId = event.linkedid || uniqueId;
 
         try {
             const callId = await CallRepository.createCall(callData);
-            this.activeCalls.set(uniqueId, { id: callId, ...callData });
+            const conversationId = await CallConversationRepository.addLeg(
+                callId,
+                this.pbx,
+                linkedId,
+                linkedId === uniqueId ? 'caller' : 'linked'
+            );
+            this.activeCalls.set(uniqueId, { id: callId, conversationId, ...callData });
             
             await CallRepository.logCallEvent(callId, 'newchannel', event);
         } catch (error) {
@@ -219,7 +371,8 @@ export class AMIClient extends EventEmitter {
             });
 
             try {
-                await CallRepository.updateCallAnswered(uniqueId);
+                await CallRepository.updateCallAnswered(this.pbx, uniqueId);
+                await CallConversationRepository.refreshForCall(this.pbx, uniqueId);
                 
                 const call = this.activeCalls.get(uniqueId);
                 if (call) {
@@ -257,12 +410,24 @@ export class AMIClient extends EventEmitter {
 
         // Update call with destination info
         if (event.subevent === 'Begin') {
+            if (uniqueId && destUniqueId) {
+                try {
+                    await CallConversationRepository.setParent(this.pbx, destUniqueId, uniqueId, 'dialed');
+                } catch (error) {
+                    amiLogger.error('Error linking dialed leg:', error);
+                }
+            }
+
             const call = this.activeCalls.get(uniqueId);
             if (call) {
                 call.destChannel = event.destchannel;
                 call.destination = event.destination || event.dialstring;
-                
-                await CallRepository.logCallEvent(call.id, 'dial', event);
+
+                try {
+                    await CallRepository.logCallEvent(call.id, 'dial', event);
+                } catch (error) {
+                    amiLogger.error('Error logging dial event:', error);
+                }
             }
         }
 
@@ -282,6 +447,428 @@ export class AMIClient extends EventEmitter {
         this.emit('bridge', event);
     }
 
+    /**
+     * Handle dial end event
+     * DialStatus values: ANSWER, BUSY, NOANSWER, CANCEL, CONGESTION,
+     * CHANUNAVAIL, DONTCALL, TORTURE, INVALIDARGS
+     */
+    async handleDialEnd(event) {
+        const uniqueId = event.uniqueid;
+        const destUniqueId = event.destuniqueid;
+        const dialStatus = event.dialstatus;
+
+        amiLogger.debug('Dial end', { uniqueId, destUniqueId, dialStatus });
+
+        try {
+            if (destUniqueId && dialStatus) {
+                await CallRepository.setDialStatus(this.pbx, destUniqueId, dialStatus);
+            }
+
+            const call = this.activeCalls.get(uniqueId);
+            if (call) {
+                await CallRepository.logCallEvent(call.id, 'dial_end', event);
+            }
+        } catch (error) {
+            amiLogger.error('Error recording dial end:', error);
+        }
+
+        this.emit('dialend', {
+            uniqueId,
+            destUniqueId,
+            destChannel: event.destchannel,
+            dialStatus,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Handle bridge creation
+     */
+    handleBridgeCreate(event) {
+        amiLogger.debug('Bridge created', {
+            bridgeId: event.bridgeuniqueid,
+            bridgeType: event.bridgetype,
+            technology: event.bridgetechnology
+        });
+
+        this.emit('bridgecreate', event);
+    }
+
+    /**
+     * Handle a channel entering a bridge
+     */
+    async handleBridgeEnter(event) {
+        const bridgeId = event.bridgeuniqueid;
+        const uniqueId = event.uniqueid;
+        if (!bridgeId || !uniqueId) return;
+
+        amiLogger.debug('Channel entered bridge', {
+            bridgeId,
+            uniqueId,
+            channel: event.channel,
+            channels: event.bridgenumchannels
+        });
+
+        try {
+            await BridgeRepository.enterBridge({
+                pbx: this.pbx,
+                bridgeId,
+                bridgeType: event.bridgetype,
+                bridgeTechnology: event.bridgetechnology,
+                uniqueId,
+                channel: event.channel
+            });
+
+            const call = this.activeCalls.get(uniqueId);
+            if (call) {
+                await CallRepository.logCallEvent(call.id, 'bridge_enter', event);
+            }
+        } catch (error) {
+            amiLogger.error('Error recording bridge enter:', error);
+        }
+
+        this.emit('bridgeenter', event);
+    }
+
+    /**
+     * Handle a channel leaving a bridge
+     */
+    async handleBridgeLeave(event) {
+        const bridgeId = event.bridgeuniqueid;
+        const uniqueId = event.uniqueid;
+        if (!bridgeId || !uniqueId) return;
+
+        amiLogger.debug('Channel left bridge', { bridgeId, uniqueId, channel: event.channel });
+
+        try {
+            await BridgeRepository.leaveBridge(bridgeId, uniqueId);
+
+            const call = this.activeCalls.get(uniqueId);
+            if (call) {
+                await CallRepository.logCallEvent(call.id, 'bridge_leave', event);
+            }
+        } catch (error) {
+            amiLogger.error('Error recording bridge leave:', error);
+        }
+
+        this.emit('bridgeleave', event);
+    }
+
+    /**
+     * Handle bridge destruction (closes spans whose BridgeLeave was missed)
+     */
+    async handleBridgeDestroy(event) {
+        const bridgeId = event.bridgeuniqueid;
+        if (!bridgeId) return;
+
+        amiLogger.debug('Bridge destroyed', { bridgeId });
+
+        try {
+            await BridgeRepository.closeBridge(bridgeId);
+        } catch (error) {
+            amiLogger.error('Error recording bridge destroy:', error);
+        }
+
+        this.emit('bridgedestroy', event);
+    }
+
+    /**
+     * Handle a blind or attended transfer
+     * Successful transfers are appended to the transfer chain of the
+     * transferred channels (the transferee). Without Transferee fields
+     * (older Asterisk 12/13) the transferees are the other channels
+     * still in the transferer's bridge.
+     */
+    async handleTransfer(type, event) {
+        const attended = type === 'attended';
+        const transferer = {
+            uniqueId: attended ? event.origtransfereruniqueid : event.transfereruniqueid,
+            channel: attended ? event.origtransfererchannel : event.transfererchannel
+        };
+        const bridgeId = attended ? event.origbridgeuniqueid : event.bridgeuniqueid;
+        const transfer = {
+            type,
+            result: event.result,
+            at: new Date().toISOString(),
+            transferer,
+            target: attended
+                ? { uniqueId: event.transfertargetuniqueid, channel: event.transfertargetchannel, destType: event.desttype }
+                : { extension: event.extension, context: event.context }
+        };
+
+        amiLogger.info('🔀 Call TRANSFER', {
+            type,
+            result: event.result,
+            transferer: transferer.channel,
+            target: transfer.target
+        });
+
+        let transferees = [];
+
+        try {
+            if (event.transfereeuniqueid) {
+                transferees = [event.transfereeuniqueid];
+            } else if (bridgeId) {
+                const participants = await BridgeRepository.getParticipants(bridgeId);
+                transferees = participants
+                    .map(participant => participant.unique_id)
+                    .filter(uniqueId => uniqueId !== transferer.uniqueId);
+            }
+
+            if (event.result === 'Success') {
+                for (const uniqueId of transferees) {
+                    await CallRepository.addTransfer(this.pbx, uniqueId, transfer);
+                }
+            }
+
+            for (const uniqueId of [transferer.uniqueId, ...transferees]) {
+                const call = this.activeCalls.get(uniqueId);
+                if (call) {
+                    await CallRepository.logCallEvent(call.id, `${type}_transfer`, event);
+                }
+            }
+        } catch (error) {
+            amiLogger.error('Error recording transfer:', error);
+        }
+
+        this.emit('transfer', { ...transfer, transferees });
+    }
+
+    /**
+     * Handle queue caller and agent events
+     * The caller's channel (Uniqueid) and the queue identify the visit;
+     * agent events name the member (MemberName, Interface) and, since
+     * Asterisk 13, the agent's channel (DestUniqueid).
+     */
+    async handleQueueEvent(name, event) {
+        const queue = event.queue;
+        const uniqueId = event.uniqueid;
+        if (!queue || !uniqueId) return;
+
+        const agent = {
+            agent: event.membername,
+            agentInterface: event.interface,
+            agentUniqueId: event.destuniqueid,
+            holdTime: parseInt(event.holdtime),
+            ringTime: parseInt(event.ringtime),
+            talkTime: parseInt(event.talktime),
+            reason: event.reason
+        };
+
+        amiLogger.debug('Queue event', {
+            event: name,
+            queue,
+            uniqueId,
+            position: event.position,
+            agent: agent.agent
+        });
+
+        try {
+            switch (name) {
+                case 'queuecallerjoin':
+                    await QueueRepository.join({
+                        pbx: this.pbx,
+                        queue,
+                        uniqueId,
+                        callerId: event.calleridnum,
+                        callerName: event.calleridname,
+                        channel: event.channel,
+                        position: parseInt(event.position)
+                    });
+                    break;
+                case 'queuecallerleave':
+                    await QueueRepository.leave(this.pbx, queue, uniqueId);
+                    break;
+                case 'queuecallerabandon':
+                    await QueueRepository.abandon(this.pbx, queue, uniqueId, agent.holdTime);
+                    break;
+                case 'agentcalled':
+                    await QueueRepository.agentCalled(this.pbx, queue, uniqueId, agent);
+                    break;
+                case 'agentconnect':
+                    await QueueRepository.agentConnect(this.pbx, queue, uniqueId, agent);
+                    break;
+                case 'agentcomplete':
+                    await QueueRepository.agentComplete(this.pbx, queue, uniqueId, agent);
+                    break;
+            }
+
+            const call = this.activeCalls.get(uniqueId);
+            if (call) {
+                await CallRepository.logCallEvent(call.id, name, event);
+            }
+        } catch (error) {
+            amiLogger.error('Error recording queue event:', error);
+        }
+
+        this.emit(name, event);
+    }
+
+    /**
+     * Handle device state change (DeviceStateChange, also the items of
+     * a DeviceStateList)
+     */
+    async handleDeviceStateChange(event, source = 'DeviceStateChange') {
+        const extension = extensionFromDevice(event.device);
+        if (!extension) return;
+
+        await this.updatePresence(extension, {
+            device: event.device,
+            deviceState: normalizeDeviceState(event.state)
+        }, source);
+    }
+
+    /**
+     * Handle hint state change (ExtensionStatus)
+     * The extension is taken from the phone device in the hint.
+     */
+    async handleExtensionStatus(event) {
+        const device = String(event.hint || '').split('&').find(extensionFromDevice);
+        if (!device) return;
+
+        await this.updatePresence(extensionFromDevice(device), {
+            device,
+            deviceState: extensionStatusToState(event.status)
+        }, 'ExtensionStatus');
+    }
+
+    /**
+     * Handle registration change of a peer (PeerStatus)
+     */
+    async handlePeerStatus(event) {
+        const extension = extensionFromDevice(event.peer);
+        const registration = registrationFromPeerStatus(event.peerstatus);
+        if (!extension || !registration) return;
+
+        await this.updatePresence(extension, {
+            device: event.peer,
+            registration,
+            contactUri: registration === 'unregistered' ? null : undefined
+        }, 'PeerStatus');
+    }
+
+    /**
+     * Handle change of a PJSIP contact (ContactStatus)
+     * An endpoint with several contacts follows the last one that changed.
+     */
+    async handleContactStatus(event) {
+        const extension = event.endpointname || event.aor;
+        const registration = registrationFromContactStatus(event.contactstatus);
+        if (!extension || !registration) return;
+
+        await this.updatePresence(extension, {
+            device: `PJSIP/${extension}`,
+            registration,
+            contactUri: registration === 'registered' ? event.uri || null : null
+        }, 'ContactStatus');
+    }
+
+    /**
+     * Store a presence change and emit 'presence' when the state changed
+     */
+    async updatePresence(extension, changes, source) {
+        try {
+            const result = await ExtensionRepository.update(this.pbx, extension, changes, source);
+
+            if (result.changed) {
+                amiLogger.debug('Extension presence', {
+                    pbx: this.pbx,
+                    extension,
+                    state: result.state,
+                    previousState: result.previousState,
+                    source
+                });
+
+                this.emit('presence', {
+                    pbx: this.pbx,
+                    extension,
+                    state: result.state,
+                    previousState: result.previousState,
+                    source,
+                    timestamp: new Date()
+                });
+            }
+        } catch (error) {
+            amiLogger.error('Error recording extension presence:', error);
+        }
+    }
+
+    /**
+     * Seed extension presence after (re)connecting
+     * DeviceStateList gives the state of every device, PJSIPShowEndpoints
+     * the registration (contacts) of every PJSIP endpoint. Either may be
+     * unavailable (older Asterisk, no chan_pjsip); the other is still used.
+     */
+    async syncPresence() {
+        const sync = { syncedAt: new Date().toISOString(), devices: null, endpoints: null, errors: [] };
+
+        try {
+            const devices = await this.listEvents('DeviceStateList', 'devicestatechange', 'devicestatelistcomplete');
+            for (const device of devices) {
+                await this.handleDeviceStateChange(device, 'DeviceStateList');
+            }
+            sync.devices = devices.length;
+        } catch (error) {
+            sync.errors.push(`DeviceStateList: ${error.message}`);
+        }
+
+        try {
+            const endpoints = await this.listEvents('PJSIPShowEndpoints', 'endpointlist', 'endpointlistcomplete');
+            for (const endpoint of endpoints) {
+                if (!endpoint.objectname) continue;
+
+                // Contacts: '<aor>/<uri>,' per registered contact, empty if none
+                const contact = String(endpoint.contacts || '').split(',').find(Boolean);
+                await this.updatePresence(endpoint.objectname, {
+                    device: `PJSIP/${endpoint.objectname}`,
+                    deviceState: normalizeDeviceState(endpoint.devicestate),
+                    registration: contact ? 'registered' : 'unregistered',
+                    contactUri: contact ? contact.slice(contact.indexOf('/') + 1) : null
+                }, 'PJSIPShowEndpoints');
+            }
+            sync.endpoints = endpoints.length;
+        } catch (error) {
+            sync.errors.push(`PJSIPShowEndpoints: ${error.message}`);
+        }
+
+        this.lastPresenceSync = sync;
+
+        if (sync.errors.length > 0) {
+            amiLogger.warn('Extension presence sync incomplete', { pbx: this.pbx, ...sync });
+        } else {
+            amiLogger.info('Extension presence synced', { pbx: this.pbx, devices: sync.devices, endpoints: sync.endpoints });
+        }
+    }
+
+    /**
+     * Handle hold / unhold
+     */
+    async handleHold(event, onHold) {
+        const uniqueId = event.uniqueid;
+        if (!uniqueId) return;
+
+        amiLogger.debug(onHold ? 'Channel on hold' : 'Channel off hold', {
+            uniqueId,
+            channel: event.channel,
+            musicClass: event.musicclass
+        });
+
+        try {
+            const changed = onHold
+                ? await CallRepository.startHold(this.pbx, uniqueId)
+                : await CallRepository.endHold(this.pbx, uniqueId);
+
+            const call = this.activeCalls.get(uniqueId);
+            if (call && changed) {
+                await CallRepository.logCallEvent(call.id, onHold ? 'hold' : 'unhold', event);
+            }
+        } catch (error) {
+            amiLogger.error('Error recording hold:', error);
+        }
+
+        this.emit(onHold ? 'hold' : 'unhold', event);
+    }
+
     /**
      * Handle hangup event
      */
@@ -290,6 +877,8 @@ export class AMIClient extends EventEmitter {
         const cause = event.cause;
         const causeTxt = event['cause-txt'];
 
+        this.reconcileHangups?.add(uniqueId);
+
         amiLogger.info('📴 Call HANGUP', {
             uniqueId,
             channel: event.channel,
@@ -300,7 +889,8 @@ export class AMIClient extends EventEmitter {
 
         try {
             // Update call record with hangup info
-            await CallRepository.updateCallEnded(uniqueId, cause, causeTxt);
+            await CallRepository.updateCallEnded(this.pbx, uniqueId, cause, causeTxt);
+            await CallConversationRepository.refreshForCall(this.pbx, uniqueId);
 
             const call = this.activeCalls.get(uniqueId);
             if (call) {
@@ -321,6 +911,113 @@ export class AMIClient extends EventEmitter {
         });
     }
 
+    /**
+     * Handle a CDR (Cdr event, sent once the CDR is finalized)
+     * Its billable seconds, disposition and account code are copied onto
+     * the call of its uniqueid.
+     */
+    async handleCdr(event) {
+        const uniqueId = event.uniqueid;
+        if (!uniqueId) return;
+
+        const cdr = {
+            pbx: this.pbx,
+            uniqueId,
+            linkedId: event.linkedid,
+            accountCode: event.accountcode,
+            source: event.source,
+            destination: event.destination,
+            destinationContext: event.destinationcontext,
+            callerId: event.callerid,
+            channel: event.channel,
+            destinationChannel: event.destinationchannel,
+            lastApplication: event.lastapplication,
+            lastData: event.lastdata,
+            startTime: event.starttime,
+            answerTime: event.answertime,
+            endTime: event.endtime,
+            durationSeconds: parseInt(event.duration),
+            billableSeconds: parseInt(event.billableseconds),
+            disposition: event.disposition,
+            amaFlags: event.amaflags,
+            userField: event.userfield
+        };
+
+        amiLogger.debug('CDR', {
+            uniqueId,
+            disposition: cdr.disposition,
+            billableSeconds: cdr.billableSeconds
+        });
+
+        try {
+            await CdrRepository.addCdr(cdr);
+        } catch (error) {
+            amiLogger.error('Error storing CDR:', error);
+        }
+
+        this.emit('cdr', cdr);
+    }
+
+    /**
+     * Handle a CEL event (channel event log entry)
+     */
+    async handleCel(event) {
+        const uniqueId = event.uniqueid;
+        if (!uniqueId || !event.eventname) return;
+
+        const cel = {
+            pbx: this.pbx,
+            uniqueId,
+            linkedId: event.linkedid,
+            eventName: event.eventname,
+            eventTime: event.eventtime,
+            channel: event.channel,
+            callerId: event.calleridnum,
+            exten: event.exten,
+            context: event.context,
+            application: event.application,
+            appData: event.appdata,
+            peer: event.peer,
+            accountCode: event.accountcode,
+            extra: event.extra
+        };
+
+        try {
+            await CdrRepository.addCelEvent(cel);
+        } catch (error) {
+            amiLogger.error('Error storing CEL event:', error);
+        }
+
+        this.emit('cel', cel);
+    }
+
+    /**
+     * Handle originate response
+     * Reason values:
+     * - 0: Failed
+     * - 1: Hung up before answer
+     * - 3: Ring timeout (no answer)
+     * - 4: Answered
+     * - 5: Busy
+     * - 8: Congestion
+     */
+    handleOriginateResponse(event) {
+        amiLogger.debug('Originate response', {
+            actionId: event.actionid,
+            response: event.response,
+            reason: event.reason,
+            channel: event.channel
+        });
+
+        this.emit('originateresponse', {
+            actionId: event.actionid,
+            response: event.response,
+            reason: parseInt(event.reason),
+            uniqueId: event.uniqueid && event.uniqueid !== '<null>' ? event.uniqueid : null,
+            channel: event.channel
+        });
+    }
+
     /**
      * Handle DTMF event
      */
@@ -341,7 +1038,7 @@ export class AMIClient extends EventEmitter {
         if (!this.shouldReconnect) return;
 
         if (this.maxReconnectAttempts > 0 && this.reconnectAttempts >= this.maxReconnectAttempts) {
-            amiLogger.error('Max reconnect attempts reached');
+            amiLogger.error('Max reconnect attempts reached', { pbx: this.pbx });
             return;
         }
 
@@ -350,14 +1047,198 @@ export class AMIClient extends EventEmitter {
         }
 
         this.reconnectAttempts++;
-        amiLogger.info(`Scheduling AMI reconnect attempt ${this.reconnectAttempts} in ${this.reconnectInterval}ms`);
+        amiLogger.info(`Scheduling AMI reconnect attempt ${this.reconnectAttempts} in ${this.reconnectInterval}ms`, { pbx: this.pbx });
 
         this.reconnectTimer = setTimeout(async () => {
-            amiLogger.info('Attempting AMI reconnection...');
+            amiLogger.info('Attempting AMI reconnection...', { pbx: this.pbx });
             await this.connect();
         }, this.reconnectInterval);
     }
 
+    /**
+     * Resynchronize call state with Asterisk after (re)connecting
+     * Events missed while disconnected leave stale entries in activeCalls
+     * and call records that never get their Hangup. activeCalls is rebuilt
+     * from the live channels, and open call records without a live channel
+     * are closed with hangup cause 'reconciled' and a 'reconciled' event.
+     * Only call records of this client's PBX are closed. Channels whose
+     * Hangup arrives while the snapshot is collected and applied are not
+     * taken into activeCalls.
+     */
+    async reconcile() {
+        const reconciledAt = new Date();
+        const hungUp = new Set();
+        this.reconcileHangups = hungUp;
+
+        try {
+            // Calls created after the snapshot was requested are left alone
+            const lastCallId = await CallRepository.getLastCallId();
+            const channels = await this.listChannels();
+            const live = new Map(channels
+                .filter(channel => channel.uniqueid)
+                .map(channel => [channel.uniqueid, channel]));
+
+            const activeCalls = new Map();
+            let recovered = 0;
+
+            for (const channel of live.values()) {
+                if (hungUp.has(channel.uniqueid)) continue;
+
+                const callData = {
+                    uniqueId: channel.uniqueid,
+                    callerId: channel.calleridnum,
+                    callerName: channel.calleridname,
+                    destination: channel.exten,
+                    channel: channel.channel,
+                    callState: parseInt(channel.channelstate) === 6 ? 'answered' : 'initiated',
+                    pbx: this.pbx
+                };
+
+                const call = await CallRepository.getCallByUniqueId(this.pbx, channel.uniqueid);
+                if (call?.call_state === 'ended') continue;
+
+                if (!call) {
+                    // Channel created while we were disconnected
+                    const id = await CallRepository.createCall(callData);
+                    const linkedId = channel.linkedid || channel.uniqueid;
+                    const conversationId = await CallConversationRepository.addLeg(
+                        id,
+                        this.pbx,
+                        linkedId,
+                        linkedId === channel.uniqueid ? 'caller' : 'linked'
+                    );
+                    await CallRepository.logCallEvent(id, 'reconciled', {
+                        reason: 'Channel found live after AMI connect; its start was missed',
+                        channelState: channel.channelstatedesc
+                    });
+                    activeCalls.set(channel.uniqueid, { id, conversationId, ...callData });
+                    recovered++;
+                    continue;
+                }
+
+                if (callData.callState === 'answered' && call.call_state === 'initiated') {
+                    await CallRepository.updateCallAnswered(this.pbx, channel.uniqueid);
+                    await CallConversationRepository.refresh(call.conversation_id);
+                }
+                activeCalls.set(channel.uniqueid, { id: call.id, conversationId: call.conversation_id, ...callData });
+            }
+
+            // Drop channels hung up since the snapshot; a call recorded by this
+            // reconciliation after its Hangup was handled is still open
+            for (const uniqueId of hungUp) {
+                const call = activeCalls.get(uniqueId);
+                if (!call) continue;
+
+                activeCalls.delete(uniqueId);
+                if (await CallRepository.markCallReconciled(call.id, 'Hung up while AMI state was reconciled')) {
+                    await CallConversationRepository.refresh(call.conversationId);
+                }
+            }
+
+            // Keep calls that started while the channel list was collected
+            for (const [uniqueId, call] of this.activeCalls) {
+                if (call.id > lastCallId && !activeCalls.has(uniqueId)) {
+                    activeCalls.set(uniqueId, call);
+                }
+            }
+            this.activeCalls = activeCalls;
+
+            const description = this.disconnectedAt
+                ? `Ended while AMI was disconnected (since ${this.disconnectedAt.toISOString()})`
+                : 'Ended while the gateway was not connected to AMI';
+
+            let closed = 0;
+            for (const call of await CallRepository.getOpenCalls(lastCallId, this.pbx)) {
+                if (live.has(call.unique_id)) continue;
+                if (!await CallRepository.markCallReconciled(call.id, description)) continue;
+                await CallConversationRepository.refresh(call.conversation_id);
+
+                closed++;
+                await CallRepository.logCallEvent(call.id, 'reconciled', {
+                    reason: description,
+                    previousState: call.call_state,
+                    disconnectedAt: this.disconnectedAt?.toISOString() || null,
+                    reconciledAt: reconciledAt.toISOString()
+                });
+
+                this.emit('hangup', {
+                    uniqueId: call.unique_id,
+                    callerId: call.caller_id,
+                    channel: call.channel,
+                    cause: 'reconciled',
+                    causeTxt: description,
+                    reconciled: true,
+                    timestamp: reconciledAt
+                });
+            }
+
+            this.lastReconciliation = {
+                at: reconciledAt,
+                liveChannels: live.size,
+                recovered,
+                closed
+            };
+            this.disconnectedAt = null;
+
+            amiLogger.info('🔄 AMI state reconciled', { pbx: this.pbx, ...this.lastReconciliation });
+            this.emit('reconciled', this.lastReconciliation);
+        } catch (error) {
+            // Without a complete channel list nothing is closed
+            amiLogger.error('AMI state reconciliation failed', { pbx: this.pbx, error: error.message });
+        } finally {
+            if (this.reconcileHangups === hungUp) {
+                this.reconcileHangups = null;
+            }
+        }
+    }
+
+    /**
+     * List the live channels (CoreShowChannels)
+     * Resolves with the CoreShowChannel events once the list is complete.
+     */
+    listChannels(timeoutMs = 10000) {
+        return this.listEvents('CoreShowChannels', 'coreshowchannel', 'coreshowchannelscomplete', timeoutMs);
+    }
+
+    /**
+     * Send a list action and collect its item events
+     * Resolves with the item events carrying the action's ActionID once the
+     * complete event arrives.
+     */
+    listEvents(actionName, itemEvent, completeEvent, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const ami = this.ami;
+            const actionId = uuidv4();
+            const items = [];
+
+            const onItem = (event) => {
+                if (event.actionid === actionId) items.push(event);
+            };
+            const onComplete = (event) => {
+                if (event.actionid !== actionId) return;
+                cleanup();
+                resolve(items);
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`${actionName} timed out`));
+            }, timeoutMs);
+            const cleanup = () => {
+                clearTimeout(timer);
+                ami.removeListener(itemEvent, onItem);
+                ami.removeListener(completeEvent, onComplete);
+            };
+
+            ami.on(itemEvent, onItem);
+            ami.on(completeEvent, onComplete);
+
+            this.action({ action: actionName, actionid: actionId }).catch((error) => {
+                cleanup();
+                reject(error);
+            });
+        });
+    }
+
     /**
      * Execute an AMI action
      */
@@ -381,14 +1262,36 @@ export class AMIClient extends EventEmitter {
     /**
      * Originate a call (useful for testing)
      */
-    async originateCall(channel, context, exten, priority = 1, callerID) {
+    async originateCall(channel, context, exten, priority = 1, callerID, options = {}) {
         return this.action({
             action: 'Originate',
+            actionid: options.actionId,
             channel,
             context,
             exten,
             priority,
             callerid: callerID,
+            timeout: options.timeoutMs,
+            variable: options.variables,
+            async: true
+        });
+    }
+
+    /**
+     * Originate a call into a dialplan application (e.g. the Stasis app)
+     * Resolves once Asterisk queued the call; the result follows as an
+     * 'originateresponse' event carrying the same actionId.
+     */
+    async originateApplication(channel, application, data, options = {}) {
+        return this.action({
+            action: 'Originate',
+            actionid: options.actionId,
+            channel,
+            application,
+            data,
+            callerid: options.callerId,
+            timeout: options.timeoutMs,
+            variable: options.variables,
             async: true
         });
     }
@@ -408,8 +1311,12 @@ export class AMIClient extends EventEmitter {
             this.ami = null;
         }
 
+        if (this.capture) {
+            await this.capture.close();
+        }
+
         this.isConnected = false;
-        amiLogger.info('AMI disconnected');
+        amiLogger.info('AMI disconnected', { pbx: this.pbx });
     }
 
     /**
@@ -417,11 +1324,15 @@ export class AMIClient extends EventEmitter {
      */
     getStatus() {
         return {
+            pbx: this.pbx,
             connected: this.isConnected,
             host: this.config.host,
             port: this.config.port,
             reconnectAttempts: this.reconnectAttempts,
-            activeCalls: this.activeCalls.size
+            activeCalls: this.activeCalls.size,
+            lastReconciliation: this.lastReconciliation,
+            lastPresenceSync: this.lastPresenceSync,
+            capture: this.capture ? this.capture.getStatus() : null
         };
     }
 }
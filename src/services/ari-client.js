@@ -3,9 +3,23 @@
  * 
  * Handles the Voice-to-AI pipeline:
  * - Answer incoming calls to Stasis application
- * - Play system prompts
- * - Record caller audio
- * - Trigger AI transcription processing
+ * - Select a call flow by Stasis arguments or dialed extension
+ *   (see ./flow-loader.js) and run it (see ./flow-engine.js)
+ * 
+ * Flows play prompts, record and transcribe the caller, collect DTMF,
+ * transfer the call or hand it to the AI conversation agent
+ * (see ./conversation-agent.js; emits 'conversationturn' per turn).
+ * Warm transfers to human agents (see ./warm-transfer.js) emit
+ * 'transferended' with the outcome. Outbound campaign calls (see
+ * ./campaign-manager.js) carry their contact in the Stasis arguments.
+ * 
+ * TRANSCRIPTION_MODE selects how callers are transcribed:
+ * - batch: record, then queue the WAV file for transcription (default)
+ * - streaming: transcribe live audio through an externalMedia channel
+ *   (see ./streaming-transcriber.js); emits 'transcriptpartial' and
+ *   'transcriptfinal' while the caller talks
+ * 
+ * One client per PBX instance, each with its own Stasis app connection.
  * 
  * Features automatic reconnection on disconnect.
  */
@@ -13,28 +27,35 @@
 import ARI from 'ari-client';
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import path from 'path';
-import fs from 'fs';
 import { ariLogger } from '../utils/logger.js';
 import { CallRepository } from '../database/call-repository.js';
-import { TranscriptionRepository } from '../database/transcription-repository.js';
-import { AIProcessor } from './ai-processor.js';
+import { CampaignRepository } from '../database/campaign-repository.js';
+import { StreamingTranscriber } from './streaming-transcriber.js';
+import { ConversationAgent } from './conversation-agent.js';
+import { ttsService } from './tts-service.js';
+import { RecordingStore } from './recording-store.js';
+import { FlowLoader } from './flow-loader.js';
+import { FlowEngine } from './flow-engine.js';
+import { WarmTransfer } from './warm-transfer.js';
+import { contactIdFromArgs } from './campaign-manager.js';
+import { pbxConfig } from '../utils/pbx-instances.js';
 
 export class ARIClient extends EventEmitter {
-    constructor() {
+    /**
+     * @param instance - PBX instance (see ../utils/pbx-instances.js);
+     * defaults to the ARI_* settings
+     * @param options.flowLoader - FlowLoader shared by several clients
+     * (started and stopped by its owner); one is created if not given
+     */
+    constructor(instance = pbxConfig(), options = {}) {
         super();
         
-        this.config = {
-            host: process.env.ARI_HOST || '127.0.0.1',
-            port: parseInt(process.env.ARI_PORT) || 8088,
-            username: process.env.ARI_USERNAME || 'ai-bridge',
-            password: process.env.ARI_PASSWORD || 'changeme',
-            appName: process.env.ARI_APP_NAME || 'ai-bridge'
-        };
+        this.pbx = instance.name;
+        this.config = { ...instance.ari };
 
-        this.recordingDuration = parseInt(process.env.RECORDING_DURATION_SECONDS) || 10;
         this.reconnectInterval = parseInt(process.env.RECONNECT_INTERVAL_MS) || 5000;
         this.maxReconnectAttempts = parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 0;
+        this.transcriptionMode = process.env.TRANSCRIPTION_MODE === 'streaming' ? 'streaming' : 'batch';
 
         this.ari = null;
         this.isConnected = false;
@@ -45,11 +66,51 @@ export class ARIClient extends EventEmitter {
         // Track active channels
         this.activeChannels = new Map();
 
-        // Ensure recordings directory exists
-        this.recordingsDir = './recordings';
-        if (!fs.existsSync(this.recordingsDir)) {
-            fs.mkdirSync(this.recordingsDir, { recursive: true });
+        // Finished recordings are copied into managed storage and checked
+        this.recordingStore = new RecordingStore({ ari: this.config });
+
+        // Live transcription sessions (streaming mode)
+        this.streamingTranscriber = new StreamingTranscriber({
+            getAri: () => this.ari,
+            appName: this.config.appName
+        });
+        this.streamingTranscriber.on('partial', (result) => this.emit('transcriptpartial', result));
+        this.streamingTranscriber.on('final', (result) => this.emit('transcriptfinal', result));
+
+        // Multi-turn AI dialogue (conversation mode)
+        this.conversationAgent = new ConversationAgent({
+            getAri: () => this.ari,
+            recordingStore: this.recordingStore,
+            hangupChannel: (channel, reason) => this.hangupChannel(channel, reason),
+            playText: (channel, text, options) => this.playText(channel, text, options)
+        });
+        this.conversationAgent.on('turn', (turn) => this.emit('conversationturn', turn));
+
+        // Hand-off from the AI to human agents
+        this.warmTransfer = new WarmTransfer({
+            getAri: () => this.ari,
+            appName: this.config.appName,
+            playText: (channel, text, options) => this.playText(channel, text, options),
+            hangupChannel: (channel, reason) => this.hangupChannel(channel, reason)
+        });
+        this.warmTransfer.on('ended', (result) => this.emit('transferended', result));
+
+        // Declarative call flows, reloaded when the files change
+        this.ownsFlowLoader = !options.flowLoader;
+        this.flowLoader = options.flowLoader || new FlowLoader();
+        if (this.ownsFlowLoader) {
+            this.flowLoader.start();
         }
+
+        this.flowEngine = new FlowEngine({
+            getAri: () => this.ari,
+            recordingStore: this.recordingStore,
+            playText: (channel, text, options) => this.playText(channel, text, options),
+            hangupChannel: (channel, reason) => this.hangupChannel(channel, reason),
+            conversationAgent: this.conversationAgent,
+            warmTransfer: this.warmTransfer,
+            isStreaming: (channelId) => Boolean(this.activeChannels.get(channelId)?.streaming)
+        });
     }
 
     /**
@@ -59,6 +120,7 @@ export class ARIClient extends EventEmitter {
         const url = `http://${this.config.host}:${this.config.port}`;
         
         ariLogger.info('Connecting to ARI...', { 
+            pbx: this.pbx,
             url,
             appName: this.config.appName
         });
@@ -72,7 +134,7 @@ export class ARIClient extends EventEmitter {
 
             this.isConnected = true;
             this.reconnectAttempts = 0;
-            ariLogger.info('✅ ARI Connected successfully');
+            ariLogger.info('✅ ARI Connected successfully', { pbx: this.pbx });
 
             // Register event handlers
             this.registerEventHandlers();
@@ -83,7 +145,7 @@ export class ARIClient extends EventEmitter {
             this.emit('connected');
 
         } catch (error) {
-            ariLogger.error('Failed to connect to ARI:', error.message);
+            ariLogger.error(`Failed to connect to ARI (${this.pbx}):`, error.message);
             this.isConnected = false;
             this.scheduleReconnect();
         }
@@ -105,16 +167,6 @@ export class ARIClient extends EventEmitter {
             this.handleStasisEnd(event, channel);
         });
 
-        // Handle playback finished
-        this.ari.on('PlaybackFinished', (event, playback) => {
-            this.handlePlaybackFinished(event, playback);
-        });
-
-        // Handle recording finished
-        this.ari.on('RecordingFinished', (event, recording) => {
-            this.handleRecordingFinished(event, recording);
-        });
-
         // Handle channel state change
         this.ari.on('ChannelStateChange', (event, channel) => {
             ariLogger.debug('Channel state changed', {
@@ -139,14 +191,14 @@ export class ARIClient extends EventEmitter {
         // WebSocket events for connection monitoring
         if (this.ari._ws) {
             this.ari._ws.on('close', () => {
-                ariLogger.warn('ARI WebSocket closed');
+                ariLogger.warn('ARI WebSocket closed', { pbx: this.pbx });
                 this.isConnected = false;
                 this.emit('disconnected');
                 this.scheduleReconnect();
             });
 
             this.ari._ws.on('error', (error) => {
-                ariLogger.error('ARI WebSocket error:', error);
+                ariLogger.error(`ARI WebSocket error (${this.pbx}):`, error);
                 this.emit('error', error);
             });
         }
@@ -157,14 +209,22 @@ export class ARIClient extends EventEmitter {
      * This is the main Voice-to-AI pipeline entry point
      */
     async handleStasisStart(event, channel) {
+        // Our own externalMedia channels and transfer agent legs also enter the app
+        if (this.streamingTranscriber.isExternalMediaChannel(channel)
+            || this.warmTransfer.isAgentChannel(channel, event.args)) {
+            return;
+        }
+
         const channelId = channel.id;
         const callerId = channel.caller.number;
         const callerName = channel.caller.name;
+        const extension = channel.dialplan?.exten;
 
         ariLogger.info('🎙️ Stasis call received', {
             channelId,
             callerId,
             callerName,
+            extension,
             args: event.args
         });
 
@@ -173,24 +233,43 @@ export class ARIClient extends EventEmitter {
             channel,
             callerId,
             callerName,
+            extension,
             startTime: new Date(),
             state: 'started'
         });
 
         try {
-            // Step 1: Answer the call
+            const flow = this.flowLoader.select({ args: event.args, extension });
+            if (!flow) {
+                throw new Error('No call flow available for this call');
+            }
+
+            // Answer the call
             ariLogger.info('Answering call...', { channelId });
             await channel.answer();
-            
-            this.activeChannels.get(channelId).state = 'answered';
-            ariLogger.info('Call answered', { channelId });
 
-            // Step 2: Play system prompt
-            ariLogger.info('Playing system prompt...', { channelId });
-            await this.playPrompt(channel, 'demo-congrats');
+            const data = this.activeChannels.get(channelId);
+            data.state = 'answered';
+            data.flow = flow.name;
+            ariLogger.info('Call answered', { channelId, flow: flow.name });
+
+            if (this.transcriptionMode === 'streaming' && flow.streaming !== false) {
+                await this.startStreamingTranscription(channel);
+            }
+
+            const contact = await this.loadCampaignContact(event.args);
+            if (contact) {
+                data.extension = contact.number;
+            }
+
+            const callId = await this.ensureCallRecord(channelId, data);
+            if (contact) {
+                await this.linkCampaignCall(contact, callId);
+            }
 
-            // Step 3: Start recording (will be triggered after playback)
-            // Recording is handled in handlePlaybackFinished
+            this.flowEngine.run(channel, flow, { callId, args: event.args || [], contact }).catch((error) => {
+                ariLogger.error('Call flow error:', error);
+            });
 
         } catch (error) {
             ariLogger.error('Error handling Stasis call:', error);
@@ -199,230 +278,107 @@ export class ARIClient extends EventEmitter {
     }
 
     /**
-     * Play a sound prompt on the channel
+     * Start live transcription of the caller
+     * A failure is logged and the call continues without a transcript.
      */
-    async playPrompt(channel, sound) {
-        const playbackId = uuidv4();
-        
-        ariLogger.debug('Starting playback', {
-            channelId: channel.id,
-            sound,
-            playbackId
-        });
+    async startStreamingTranscription(channel) {
+        const data = this.activeChannels.get(channel.id);
 
         try {
-            const playback = this.ari.Playback(playbackId);
-            
-            // Store playback reference in channel data
-            const channelData = this.activeChannels.get(channel.id);
-            if (channelData) {
-                channelData.currentPlayback = playbackId;
-                channelData.pendingRecording = true;
-            }
-
-            await channel.play({ media: `sound:${sound}` }, playback);
-            
-            ariLogger.info('Playback started', {
+            const callId = await this.ensureCallRecord(channel.id, data);
+            await this.streamingTranscriber.start(channel, { callId });
+            data.streaming = true;
+        } catch (error) {
+            ariLogger.error('Streaming transcription unavailable for call', {
                 channelId: channel.id,
-                sound,
-                playbackId
+                error: error.message
             });
-
-        } catch (error) {
-            ariLogger.error('Failed to play prompt:', error);
-            throw error;
         }
     }
 
     /**
-     * Handle playback finished - start recording
+     * Get the call record of a Stasis channel, creating it if needed
      */
-    async handlePlaybackFinished(event, playback) {
-        ariLogger.debug('Playback finished', {
-            playbackId: playback.id,
-            state: playback.state
-        });
-
-        // Find the channel associated with this playback
-        for (const [channelId, data] of this.activeChannels) {
-            if (data.currentPlayback === playback.id && data.pendingRecording) {
-                data.pendingRecording = false;
-                
-                ariLogger.info('Starting recording after prompt...', { channelId });
-                await this.startRecording(data.channel);
-                break;
-            }
+    async ensureCallRecord(channelId, data) {
+        const existingCall = await CallRepository.getCallByUniqueId(this.pbx, channelId);
+        if (existingCall) {
+            return existingCall.id;
         }
+
+        return CallRepository.createCall({
+            uniqueId: channelId,
+            callerId: data.callerId,
+            callerName: data.callerName,
+            destination: data.extension || '777',
+            channel: `ARI/${channelId}`,
+            callState: 'in_stasis',
+            pbx: this.pbx
+        });
     }
 
     /**
-     * Start recording the channel
+     * Campaign contact of an originated call, as exposed to the flow
      */
-    async startRecording(channel) {
-        const recordingName = `recording-${channel.id}-${Date.now()}`;
-        
-        ariLogger.info('Starting recording', {
-            channelId: channel.id,
-            recordingName,
-            duration: this.recordingDuration
-        });
-
-        try {
-            // Update channel data
-            const channelData = this.activeChannels.get(channel.id);
-            if (channelData) {
-                channelData.recordingName = recordingName;
-                channelData.state = 'recording';
-            }
-
-            // Play a beep before recording
-            try {
-                await channel.play({ media: 'sound:beep' });
-            } catch (e) {
-                // Beep is optional
-            }
-
-            // Start recording
-            const recording = await channel.record({
-                name: recordingName,
-                format: 'wav',
-                maxDurationSeconds: this.recordingDuration,
-                maxSilenceSeconds: 3,
-                beep: false,
-                terminateOn: '#'
-            });
-
-            ariLogger.info('Recording started', {
-                channelId: channel.id,
-                recordingName
-            });
-
-            // Set timeout to stop recording
-            setTimeout(async () => {
-                try {
-                    await this.stopRecording(recordingName);
-                } catch (error) {
-                    // Recording might have already stopped
-                    ariLogger.debug('Recording already stopped or error:', error.message);
-                }
-            }, (this.recordingDuration + 1) * 1000);
-
-        } catch (error) {
-            ariLogger.error('Failed to start recording:', error);
-            await this.hangupChannel(channel, 'recording_error');
+    async loadCampaignContact(args) {
+        const contactId = contactIdFromArgs(args);
+        if (!contactId) return null;
+
+        const contact = await CampaignRepository.getContactById(contactId);
+        if (!contact) {
+            ariLogger.warn('Unknown campaign contact', { contactId });
+            return null;
         }
+
+        return {
+            ...contact.variables,
+            id: contact.id,
+            campaignId: contact.campaign_id,
+            number: contact.phone_number,
+            attempt: contact.attempts
+        };
     }
 
-    /**
-     * Stop a recording
-     */
-    async stopRecording(recordingName) {
+    async linkCampaignCall(contact, callId) {
         try {
-            const recording = this.ari.LiveRecording({ name: recordingName });
-            await recording.stop();
-            ariLogger.info('Recording stopped', { recordingName });
+            await CampaignRepository.setContactCall(contact.id, callId);
+            await CallRepository.logCallEvent(callId, 'campaign', {
+                campaignId: contact.campaignId,
+                contactId: contact.id,
+                attempt: contact.attempt
+            });
         } catch (error) {
-            ariLogger.debug('Error stopping recording:', error.message);
+            ariLogger.error('Failed to link campaign call', { contactId: contact.id, error: error.message });
         }
     }
 
     /**
-     * Handle recording finished - trigger AI processing
+     * Speak dynamic text on the channel through the TTS service
+     * Options: voice, playback (ARI Playback to use, e.g. to await
+     * PlaybackFinished). Resolves with the playback once it started.
      */
-    async handleRecordingFinished(event, recording) {
-        const recordingName = recording.name;
-        
-        ariLogger.info('Recording finished', {
-            recordingName,
-            duration: recording.duration,
-            format: recording.format
-        });
-
-        // Find the channel associated with this recording
-        for (const [channelId, data] of this.activeChannels) {
-            if (data.recordingName === recordingName) {
-                data.state = 'processing';
-                
-                // Construct recording path
-                const recordingPath = `/var/spool/asterisk/recording/${recordingName}.wav`;
-                
-                ariLogger.info('Recording completed, triggering AI processing', {
-                    channelId,
-                    recordingPath,
-                    duration: recording.duration
-                });
-
-                // Create call record if not exists
-                let callId;
-                try {
-                    const existingCall = await CallRepository.getCallByUniqueId(channelId);
-                    if (existingCall) {
-                        callId = existingCall.id;
-                    } else {
-                        callId = await CallRepository.createCall({
-                            uniqueId: channelId,
-                            callerId: data.callerId,
-                            callerName: data.callerName,
-                            destination: '777',
-                            channel: `ARI/${channelId}`,
-                            callState: 'in_stasis'
-                        });
-                    }
-
-                    // Create transcription record
-                    const transcriptionId = await TranscriptionRepository.createTranscription(
-                        callId,
-                        recordingPath
-                    );
-
-                    // Trigger async AI processing
-                    this.triggerAIProcessing(transcriptionId, recordingPath, channelId);
-
-                } catch (error) {
-                    ariLogger.error('Error saving recording info:', error);
-                }
-
-                // Play thank you message and hangup
-                try {
-                    await data.channel.play({ media: 'sound:vm-goodbye' });
-                    
-                    // Hangup after goodbye message
-                    setTimeout(async () => {
-                        await this.hangupChannel(data.channel, 'normal');
-                    }, 2000);
-                } catch (error) {
-                    ariLogger.error('Error playing goodbye:', error);
-                    await this.hangupChannel(data.channel, 'normal');
-                }
-
-                break;
-            }
-        }
-    }
+    async playText(channel, text, options = {}) {
+        const { media, cached } = await ttsService.render(text, { voice: options.voice });
+        const playback = options.playback || this.ari.Playback(uuidv4());
 
-    /**
-     * Trigger asynchronous AI processing (mock transcription)
-     */
-    async triggerAIProcessing(transcriptionId, recordingPath, channelId) {
-        ariLogger.info('🤖 Triggering AI processing...', {
-            transcriptionId,
-            recordingPath
+        ariLogger.debug('Playing TTS prompt', {
+            channelId: channel.id,
+            playbackId: playback.id,
+            cached
         });
 
-        // Use setImmediate to run async without blocking
-        setImmediate(async () => {
-            try {
-                await AIProcessor.processRecording(transcriptionId, recordingPath);
-            } catch (error) {
-                ariLogger.error('AI processing error:', error);
-            }
-        });
+        await channel.play({ media }, playback);
+        return playback;
     }
 
     /**
      * Handle channel leaving Stasis
      */
     handleStasisEnd(event, channel) {
+        if (this.streamingTranscriber.isExternalMediaChannel(channel)
+            || this.warmTransfer.isAgentChannel(channel)) {
+            return;
+        }
+
         const channelId = channel.id;
 
         ariLogger.info('Stasis end', {
@@ -431,6 +387,17 @@ export class ARIClient extends EventEmitter {
             causeTxt: event.cause_txt
         });
 
+        // End the flow (and any dialogue); results are stored in the background
+        this.flowEngine.stop(channelId);
+
+        // Finalize the live transcript (runs in the background)
+        const data = this.activeChannels.get(channelId);
+        if (data?.streaming) {
+            this.streamingTranscriber.stop(channelId).catch((error) => {
+                ariLogger.error('Error stopping streaming transcription:', error);
+            });
+        }
+
         // Clean up channel data
         this.activeChannels.delete(channelId);
 
@@ -460,7 +427,7 @@ export class ARIClient extends EventEmitter {
         if (!this.shouldReconnect) return;
 
         if (this.maxReconnectAttempts > 0 && this.reconnectAttempts >= this.maxReconnectAttempts) {
-            ariLogger.error('Max reconnect attempts reached');
+            ariLogger.error('Max reconnect attempts reached', { pbx: this.pbx });
             return;
         }
 
@@ -469,10 +436,10 @@ export class ARIClient extends EventEmitter {
         }
 
         this.reconnectAttempts++;
-        ariLogger.info(`Scheduling ARI reconnect attempt ${this.reconnectAttempts} in ${this.reconnectInterval}ms`);
+        ariLogger.info(`Scheduling ARI reconnect attempt ${this.reconnectAttempts} in ${this.reconnectInterval}ms`, { pbx: this.pbx });
 
         this.reconnectTimer = setTimeout(async () => {
-            ariLogger.info('Attempting ARI reconnection...');
+            ariLogger.info('Attempting ARI reconnection...', { pbx: this.pbx });
             await this.connect();
         }, this.reconnectInterval);
     }
@@ -496,6 +463,13 @@ export class ARIClient extends EventEmitter {
             }
         }
 
+        await this.flowEngine.stopAll();
+        await this.conversationAgent.stopAll();
+        await this.streamingTranscriber.stopAll();
+        if (this.ownsFlowLoader) {
+            this.flowLoader.stop();
+        }
+
         if (this.ari) {
             try {
                 await this.ari.stop();
@@ -506,7 +480,7 @@ export class ARIClient extends EventEmitter {
         }
 
         this.isConnected = false;
-        ariLogger.info('ARI disconnected');
+        ariLogger.info('ARI disconnected', { pbx: this.pbx });
     }
 
     /**
@@ -514,12 +488,20 @@ export class ARIClient extends EventEmitter {
      */
     getStatus() {
         return {
+            pbx: this.pbx,
             connected: this.isConnected,
             host: this.config.host,
             port: this.config.port,
             appName: this.config.appName,
             reconnectAttempts: this.reconnectAttempts,
-            activeChannels: this.activeChannels.size
+            activeChannels: this.activeChannels.size,
+            transcriptionMode: this.transcriptionMode,
+            flows: this.flowLoader.getStatus(),
+            flowEngine: this.flowEngine.getStatus(),
+            transfers: this.warmTransfer.getStatus(),
+            conversation: this.conversationAgent.getStatus(),
+            tts: ttsService.getStatus(),
+            streaming: this.streamingTranscriber.getStatus()
         };
     }
 }
@@ -0,0 +1,328 @@
+/**
+ * Call Control
+ *
+ * Actions on live calls for the REST API, sent through AMIClient.action:
+ * click-to-call (Originate), hangup, redirect, MixMonitor start/stop,
+ * mute/unmute (MuteAudio) and DTMF (PlayDTMF).
+ *
+ * Every action on a call is audited as a 'call_control' call event with
+ * its parameters, who requested it and whether Asterisk accepted it.
+ * Click-to-call has no call record yet when it is sent; it is audited on
+ * the originated call once its OriginateResponse arrives.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { controlLogger } from '../utils/logger.js';
+import { CallRepository } from '../database/call-repository.js';
+
+export const MUTE_DIRECTIONS = ['in', 'out', 'all'];
+
+// Extensions, contexts and numbers as accepted by the dialplan
+const DIALPLAN_NAME = /^[A-Za-z0-9*#+_.-]{1,64}$/;
+const DTMF_DIGITS = /^[0-9A-D*#]{1,32}$/i;
+const RECORDING_FILE = /^[A-Za-z0-9_.-]{1,128}$/;
+const RECORDING_OPTIONS = /^[A-Za-z0-9()]{0,32}$/;
+
+// Caller ID: a number, optionally after a name ("Name" <number>, Name <number>).
+// AMI headers are sent verbatim, so control characters (CR/LF would start
+// a new header or action) are never accepted.
+const CALLER_ID = /^(?:(?:"[^"\\\x00-\x1f\x7f-\x9f]{0,64}"|[^"<>\\\x00-\x1f\x7f-\x9f]{1,64}) ?<\+?[0-9*#]{1,32}>|\+?[0-9*#]{1,32})$/;
+
+export class CallControl {
+    /**
+     * @param amiClient - connected AMIClient
+     * @param requestedBy - who asked for the actions (stored in the audit)
+     */
+    constructor(amiClient, requestedBy = null) {
+        this.amiClient = amiClient;
+        this.requestedBy = requestedBy;
+
+        this.context = process.env.CALL_CONTROL_CONTEXT || 'from-internal';
+        this.originateChannel = process.env.CALL_CONTROL_ORIGINATE_CHANNEL || 'Local/{extension}@from-internal';
+        this.ringTimeoutSeconds = parseInt(process.env.CALL_CONTROL_RING_TIMEOUT_SECONDS) || 30;
+        this.recordingFormat = process.env.CALL_CONTROL_RECORDING_FORMAT || 'wav';
+    }
+
+    /**
+     * Validate the body of an action, returning a list of errors
+     */
+    static validate(action, body = {}) {
+        const errors = [];
+        const checkName = (field, required) => {
+            const value = body[field];
+            if (value === undefined || value === null || value === '') {
+                if (required) errors.push(`${field} is required`);
+            } else if (!DIALPLAN_NAME.test(String(value))) {
+                errors.push(`${field} must be 1-64 characters of A-Z, 0-9, * # + _ . -`);
+            }
+        };
+
+        switch (action) {
+            case 'originate':
+                checkName('from', true);
+                checkName('to', true);
+                checkName('context', false);
+                errors.push(...callerIdErrors(body.callerId));
+                break;
+            case 'hangup':
+                if (body.cause !== undefined &&
+                    !(Number.isInteger(body.cause) && body.cause >= 1 && body.cause <= 127)) {
+                    errors.push('cause must be a Q.850 cause code from 1 to 127');
+                }
+                break;
+            case 'redirect':
+                checkName('extension', true);
+                checkName('context', false);
+                break;
+            case 'recording_start':
+                if (body.file !== undefined && !RECORDING_FILE.test(String(body.file))) {
+                    errors.push('file must be 1-128 characters of A-Z, 0-9, _ . - (no directories)');
+                }
+                if (body.options !== undefined && !RECORDING_OPTIONS.test(String(body.options))) {
+                    errors.push('options must be MixMonitor option letters');
+                }
+                break;
+            case 'mute':
+            case 'unmute':
+                if (body.direction !== undefined && !MUTE_DIRECTIONS.includes(body.direction)) {
+                    errors.push(`direction must be one of: ${MUTE_DIRECTIONS.join(', ')}`);
+                }
+                break;
+            case 'dtmf':
+                if (!DTMF_DIGITS.test(String(body.digits ?? ''))) {
+                    errors.push('digits must be 1-32 of 0-9, A-D, * and #');
+                }
+                if (body.durationMs !== undefined &&
+                    !(Number.isInteger(body.durationMs) && body.durationMs >= 40 && body.durationMs <= 2000)) {
+                    errors.push('durationMs must be an integer from 40 to 2000');
+                }
+                break;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Click-to-call: ring extension `from`, then dial `to` in the context
+     * Resolves once Asterisk queued the call; the OriginateResponse is
+     * audited on the originated call.
+     */
+    async originate({ from, to, context, callerId }) {
+        const actionId = uuidv4();
+        const channel = this.originateChannel.replace('{extension}', from);
+        const params = { from, to, context: context || this.context, callerId };
+
+        const stopAudit = this.auditOriginateResponse(actionId, params);
+
+        try {
+            await this.amiClient.originateCall(channel, params.context, to, 1, callerId, {
+                actionId,
+                timeoutMs: this.ringTimeoutSeconds * 1000
+            });
+        } catch (error) {
+            stopAudit();
+            controlLogger.warn('Click-to-call rejected', { ...params, error: amiErrorMessage(error) });
+            throw error;
+        }
+
+        controlLogger.info('Click-to-call requested', { ...params, actionId, requestedBy: this.requestedBy });
+        return { actionId, channel, context: params.context, exten: to };
+    }
+
+    /**
+     * Hang up the channel of a call
+     */
+    async hangup(call, { cause } = {}) {
+        return this.run(call, 'hangup', { cause }, {
+            action: 'Hangup',
+            channel: call.channel,
+            cause: cause ?? 16
+        });
+    }
+
+    /**
+     * Send the channel of a call to another extension
+     */
+    async redirect(call, { extension, context }) {
+        const params = { extension, context: context || this.context };
+        return this.run(call, 'redirect', params, {
+            action: 'Redirect',
+            channel: call.channel,
+            context: params.context,
+            exten: extension,
+            priority: 1
+        });
+    }
+
+    /**
+     * Start recording a call (MixMonitor)
+     * Without a path the file lands in Asterisk's monitor directory.
+     */
+    async startRecording(call, { file, options } = {}) {
+        const params = {
+            file: file || `control-${call.unique_id}-${Date.now()}.${this.recordingFormat}`,
+            options: options || ''
+        };
+        return this.run(call, 'recording_start', params, {
+            action: 'MixMonitor',
+            channel: call.channel,
+            file: params.file,
+            options: params.options
+        });
+    }
+
+    /**
+     * Stop recording a call (StopMixMonitor)
+     */
+    async stopRecording(call) {
+        return this.run(call, 'recording_stop', {}, {
+            action: 'StopMixMonitor',
+            channel: call.channel
+        });
+    }
+
+    /**
+     * Mute or unmute the audio of a call (MuteAudio)
+     * direction: in (audio received from the channel), out (audio sent
+     * to it) or all
+     */
+    async setMuted(call, muted, { direction } = {}) {
+        const params = { direction: direction || 'all' };
+        return this.run(call, muted ? 'mute' : 'unmute', params, {
+            action: 'MuteAudio',
+            channel: call.channel,
+            direction: params.direction,
+            state: muted ? 'on' : 'off'
+        });
+    }
+
+    /**
+     * Play DTMF digits on the channel of a call (one PlayDTMF per digit)
+     */
+    async sendDtmf(call, { digits, durationMs }) {
+        const params = { digits: String(digits), durationMs };
+        let sent = 0;
+
+        try {
+            for (const digit of params.digits) {
+                await this.amiClient.action({
+                    action: 'PlayDTMF',
+                    channel: call.channel,
+                    digit,
+                    duration: durationMs
+                });
+                sent++;
+            }
+        } catch (error) {
+            await this.audit(call, 'dtmf', { ...params, sent }, error);
+            throw error;
+        }
+
+        await this.audit(call, 'dtmf', { ...params, sent });
+        return { sent };
+    }
+
+    /**
+     * Send one AMI action for a call and audit it
+     */
+    async run(call, name, params, amiAction) {
+        try {
+            const response = await this.amiClient.action(amiAction);
+            await this.audit(call, name, params);
+            return { response: response?.message || response?.response || null };
+        } catch (error) {
+            await this.audit(call, name, params, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a 'call_control' call event
+     */
+    async audit(call, action, params, error = null) {
+        const entry = {
+            action,
+            params,
+            channel: call.channel,
+            requestedBy: this.requestedBy,
+            success: !error,
+            error: error ? amiErrorMessage(error) : undefined
+        };
+
+        try {
+            await CallRepository.logCallEvent(call.id, 'call_control', entry);
+        } catch (auditError) {
+            controlLogger.error('Failed to audit call control action:', auditError);
+        }
+
+        controlLogger.info(`Call control: ${action}`, { callId: call.id, success: entry.success, error: entry.error });
+    }
+
+    /**
+     * Audit a click-to-call on the originated call once Asterisk reports
+     * its outcome (or give up after the ring timeout)
+     * Returns a function that stops waiting.
+     */
+    auditOriginateResponse(actionId, params) {
+        const amiClient = this.amiClient;
+        const requestedBy = this.requestedBy;
+        let timer = null;
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            amiClient.removeListener('originateresponse', onResponse);
+        };
+        const onResponse = async (event) => {
+            if (event.actionId !== actionId) return;
+            cleanup();
+
+            try {
+                const success = event.response === 'Success';
+                const call = event.uniqueId ? await CallRepository.getCallByUniqueId(amiClient.pbx, event.uniqueId) : null;
+
+                if (!call) {
+                    controlLogger.info('Click-to-call finished without a call record', {
+                        ...params, actionId, response: event.response, reason: event.reason
+                    });
+                    return;
+                }
+
+                await CallRepository.logCallEvent(call.id, 'call_control', {
+                    action: 'originate',
+                    params,
+                    actionId,
+                    requestedBy,
+                    success,
+                    reason: event.reason
+                });
+            } catch (auditError) {
+                controlLogger.error('Failed to audit click-to-call:', auditError);
+            }
+        };
+
+        timer = setTimeout(cleanup, (this.ringTimeoutSeconds + 30) * 1000);
+        amiClient.on('originateresponse', onResponse);
+        return cleanup;
+    }
+}
+
+/**
+ * Validate an optional caller ID sent in an AMI Originate
+ * Returns a list of error messages (empty when valid or not given).
+ */
+export function callerIdErrors(callerId, field = 'callerId') {
+    if (callerId === undefined || callerId === null) return [];
+    if (typeof callerId !== 'string' || !CALLER_ID.test(callerId)) {
+        return [`${field} must be a number or "Name" <number>`];
+    }
+    return [];
+}
+
+/**
+ * Message of an AMI error (an Error, or the AMI response for Response: Error)
+ */
+export function amiErrorMessage(error) {
+    return error?.message || error?.response || String(error);
+}
+
+export default CallControl;
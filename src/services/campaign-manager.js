@@ -0,0 +1,624 @@
+/**
+ * Campaign Manager
+ *
+ * Dials the contacts of outbound campaigns through AMI Originate into the
+ * Stasis app, where the campaign's call flow runs:
+ * - Each campaign dials through its PBX (the first one if not set), into
+ *   that PBX's ARI application
+ * - Only running campaigns whose start time passed are dialed, and only
+ *   inside their dialing window (schedule: days, start, end, timezone)
+ * - At most maxConcurrent calls per campaign are in progress
+ * - Unanswered attempts whose outcome is listed in retryOn are dialed
+ *   again after retryDelaySeconds, up to maxAttempts per contact
+ * - A campaign completes once no contact is left to dial
+ *
+ * Campaign state lives in the database, so pausing, resuming or
+ * cancelling takes effect on the next poll and survives restarts.
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { campaignLogger } from '../utils/logger.js';
+import { parseCsv } from '../utils/csv.js';
+import { CampaignRepository } from '../database/campaign-repository.js';
+import { callerIdErrors } from './call-control.js';
+
+// Stasis argument carrying the contact id of an originated call
+export const CONTACT_ARG = 'contact';
+
+export const RETRYABLE_OUTCOMES = ['no_answer', 'busy', 'congestion', 'failed'];
+
+const DEFAULTS = {
+    maxConcurrent: 1,
+    maxAttempts: 3,
+    retryDelaySeconds: 600,
+    retryOn: ['no_answer', 'busy']
+};
+
+// OriginateResponse reason codes
+const OUTCOME_BY_REASON = {
+    0: 'failed',
+    1: 'no_answer',
+    3: 'no_answer',
+    4: 'answered',
+    5: 'busy',
+    8: 'congestion'
+};
+
+// Campaign status after pause / resume / cancel, by current status
+const TRANSITIONS = {
+    pause: { running: 'paused' },
+    resume: { paused: 'running' },
+    cancel: { running: 'cancelled', paused: 'cancelled' }
+};
+
+// Answered calls release their slot at the latest after this long,
+// in case the AMI Hangup event was missed
+const MAX_CALL_MS = 4 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const NUMBER_PATTERN = /^\+?[0-9*#]+$/;
+
+export class CampaignManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.dialTemplate = options.dialTemplate
+            ?? (process.env.CAMPAIGN_DIAL_TEMPLATE || 'Local/{number}@from-internal');
+        this.ringTimeout = options.ringTimeout
+            ?? (parseInt(process.env.CAMPAIGN_RING_TIMEOUT_SECONDS) || 30);
+        this.pollInterval = options.pollInterval
+            ?? (parseInt(process.env.CAMPAIGN_POLL_INTERVAL_MS) || 5000);
+        this.defaultCallerId = process.env.CAMPAIGN_CALLER_ID || null;
+
+        // Dialing PBXs keyed by name: { name, amiClient, appName, listeners }
+        this.instances = new Map();
+        this.primary = null;
+
+        this.isRunning = false;
+        this.isPumping = false;
+        this.pollTimer = null;
+
+        // Attempts in progress keyed by originate action id
+        this.attempts = new Map();
+
+        // Answered attempts keyed by PBX and channel unique id
+        this.calls = new Map();
+    }
+
+    /**
+     * Validate a campaign definition
+     * `flows` and `pbxs` are the loaded flow and PBX instance names, if known.
+     * Returns a list of error messages (empty when valid).
+     */
+    static validateCampaign(campaign, flows = null, pbxs = null) {
+        const errors = [];
+
+        if (!campaign.name || typeof campaign.name !== 'string') {
+            errors.push('name is required');
+        }
+        if (!campaign.flow || typeof campaign.flow !== 'string') {
+            errors.push('flow is required');
+        } else if (flows && !flows.includes(campaign.flow)) {
+            errors.push(`flow "${campaign.flow}" is not loaded`);
+        }
+        if (campaign.pbx !== undefined && campaign.pbx !== null) {
+            if (typeof campaign.pbx !== 'string') {
+                errors.push('pbx must be a string');
+            } else if (pbxs && !pbxs.includes(campaign.pbx)) {
+                errors.push(`pbx "${campaign.pbx}" is not configured`);
+            }
+        }
+
+        for (const key of ['maxConcurrent', 'maxAttempts']) {
+            if (campaign[key] !== undefined && (!Number.isInteger(campaign[key]) || campaign[key] < 1)) {
+                errors.push(`${key} must be a positive integer`);
+            }
+        }
+        if (campaign.retryDelaySeconds !== undefined
+            && (!Number.isInteger(campaign.retryDelaySeconds) || campaign.retryDelaySeconds < 0)) {
+            errors.push('retryDelaySeconds must be a non-negative integer');
+        }
+        if (campaign.retryOn !== undefined
+            && (!Array.isArray(campaign.retryOn) || campaign.retryOn.some(o => !RETRYABLE_OUTCOMES.includes(o)))) {
+            errors.push(`retryOn must be a list of: ${RETRYABLE_OUTCOMES.join(', ')}`);
+        }
+        errors.push(...callerIdErrors(campaign.callerId));
+        if (campaign.startAt !== undefined && Number.isNaN(Date.parse(campaign.startAt))) {
+            errors.push('startAt must be a date');
+        }
+
+        if (campaign.schedule !== undefined) {
+            errors.push(...validateSchedule(campaign.schedule));
+        }
+
+        if (campaign.contacts !== undefined) {
+            errors.push(...CampaignManager.validateContacts(campaign.contacts));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a contact list ([{ number, variables }])
+     */
+    static validateContacts(contacts) {
+        if (!Array.isArray(contacts)) {
+            return ['contacts must be an array'];
+        }
+
+        const errors = [];
+        contacts.forEach((contact, i) => {
+            if (!NUMBER_PATTERN.test(String(contact?.number ?? ''))) {
+                errors.push(`contacts[${i}].number must be a phone number`);
+            }
+            if (contact?.variables !== undefined
+                && (typeof contact.variables !== 'object' || contact.variables === null || Array.isArray(contact.variables))) {
+                errors.push(`contacts[${i}].variables must be an object`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Read contacts from CSV text
+     * The `number` (or `phone`) column is dialed, all other columns become
+     * contact variables. Without such a column the first column is used.
+     */
+    static contactsFromCsv(text) {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) return [];
+
+        const names = header.map(name => name.toLowerCase());
+        let numberIndex = names.findIndex(name => ['number', 'phone', 'phone_number'].includes(name));
+        if (numberIndex === -1) numberIndex = 0;
+
+        return rows.map((row) => {
+            const variables = {};
+            header.forEach((name, i) => {
+                if (i !== numberIndex && name) {
+                    variables[name] = row[i] ?? '';
+                }
+            });
+            return { number: row[numberIndex], variables };
+        });
+    }
+
+    /**
+     * Status a campaign moves to on `action` (pause, resume, cancel),
+     * or null if the action is not possible in its current status
+     */
+    static nextStatus(status, action) {
+        return TRANSITIONS[action]?.[status] || null;
+    }
+
+    /**
+     * Recover interrupted contacts and start dialing
+     * `instances` are the PBXs to dial through ({ name, amiClient, config },
+     * see ../utils/pbx-instances.js); the first is used by campaigns
+     * without a pbx.
+     */
+    async start(instances) {
+        if (this.isRunning) return;
+
+        const { redial, closed } = await CampaignRepository.recoverInterruptedContacts();
+        if (redial > 0 || closed > 0) {
+            campaignLogger.warn('Recovered interrupted campaign contacts', { redial, closed });
+        }
+
+        for (const { name, amiClient, config } of instances) {
+            const instance = {
+                name,
+                amiClient,
+                appName: config.ari.appName,
+                onOriginateResponse: (event) => this.onOriginateResponse(name, event),
+                onHangup: (event) => this.onHangup(name, event)
+            };
+            amiClient.on('originateresponse', instance.onOriginateResponse);
+            amiClient.on('hangup', instance.onHangup);
+            this.instances.set(name, instance);
+        }
+        this.primary = instances[0]?.name || null;
+
+        this.isRunning = true;
+        this.pollTimer = setInterval(() => this.pump(), this.pollInterval);
+
+        campaignLogger.info('Campaign manager started', {
+            pbxs: [...this.instances.keys()],
+            dialTemplate: this.dialTemplate,
+            ringTimeoutSeconds: this.ringTimeout
+        });
+
+        await this.pump();
+    }
+
+    /**
+     * Stop dialing
+     * Calls in progress continue; their contacts are recovered on the next start.
+     */
+    async stop() {
+        this.isRunning = false;
+
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        for (const instance of this.instances.values()) {
+            instance.amiClient.removeListener('originateresponse', instance.onOriginateResponse);
+            instance.amiClient.removeListener('hangup', instance.onHangup);
+        }
+        this.instances.clear();
+        this.primary = null;
+
+        for (const attempt of this.attempts.values()) {
+            clearTimeout(attempt.timer);
+        }
+        this.attempts.clear();
+        this.calls.clear();
+
+        campaignLogger.info('Campaign manager stopped');
+    }
+
+    /**
+     * Create a campaign with its contacts
+     * Campaigns start running unless created with `paused: true`.
+     */
+    async create(campaign) {
+        const id = await CampaignRepository.createCampaign({
+            ...DEFAULTS,
+            ...campaign,
+            status: campaign.paused ? 'paused' : 'running'
+        });
+
+        if (campaign.contacts?.length > 0) {
+            await CampaignRepository.addContacts(id, campaign.contacts);
+        }
+
+        this.pump();
+        return id;
+    }
+
+    /**
+     * Add contacts to an existing campaign
+     */
+    async addContacts(campaignId, contacts) {
+        const added = await CampaignRepository.addContacts(campaignId, contacts);
+        this.pump();
+        return added;
+    }
+
+    /**
+     * Pause, resume or cancel a campaign
+     * Cancelling skips contacts not dialed yet; calls in progress finish.
+     */
+    async changeStatus(campaignId, action) {
+        const campaign = await CampaignRepository.getCampaignById(campaignId);
+        const status = campaign && CampaignManager.nextStatus(campaign.status, action);
+        if (!status) return null;
+
+        await CampaignRepository.setStatus(campaignId, status);
+        if (status === 'cancelled') {
+            await CampaignRepository.cancelPendingContacts(campaignId);
+        }
+
+        this.emit('statuschanged', { campaignId, status });
+        this.pump();
+        return status;
+    }
+
+    /**
+     * Dial due contacts of all runnable campaigns until their slots are busy
+     */
+    async pump() {
+        if (!this.isRunning || this.isPumping) return;
+        this.isPumping = true;
+
+        try {
+            const campaigns = await CampaignRepository.getRunnableCampaigns();
+            for (const campaign of campaigns) {
+                await this.dialCampaign(campaign);
+            }
+        } catch (error) {
+            campaignLogger.error('Error dialing campaigns:', error);
+        } finally {
+            this.isPumping = false;
+        }
+    }
+
+    async dialCampaign(campaign) {
+        // Not dialed while its PBX is disconnected (or no longer configured)
+        const instance = this.instanceFor(campaign);
+        if (!instance?.amiClient.isConnected) return;
+
+        if (isWithinSchedule(campaign.schedule)) {
+            let slots = campaign.max_concurrent - this.activeCount(campaign.id);
+
+            while (this.isRunning && slots > 0) {
+                const contact = await CampaignRepository.claimNextContact(campaign.id);
+                if (!contact) break;
+
+                await this.dial(instance, campaign, contact);
+                slots--;
+            }
+        }
+
+        if (this.activeCount(campaign.id) === 0) {
+            const stats = await CampaignRepository.getStats(campaign.id);
+            if (stats.pending + stats.retry + stats.dialing + stats.connected === 0) {
+                await CampaignRepository.setStatus(campaign.id, 'completed');
+                campaignLogger.info('✅ Campaign completed', { campaignId: campaign.id, name: campaign.name, ...stats });
+                this.emit('completed', { campaignId: campaign.id, stats });
+            }
+        }
+    }
+
+    /**
+     * PBX a campaign dials through
+     */
+    instanceFor(campaign) {
+        return this.instances.get(campaign.pbx || this.primary) || null;
+    }
+
+    /**
+     * Originate a call to the contact into the campaign's flow
+     */
+    async dial(instance, campaign, contact) {
+        const attempt = {
+            actionId: uuidv4(),
+            pbx: instance.name,
+            campaign,
+            contact,
+            uniqueId: null,
+            finished: false,
+            timer: null
+        };
+        this.attempts.set(attempt.actionId, attempt);
+
+        // No OriginateResponse (e.g. AMI dropped): count the attempt as failed
+        attempt.timer = setTimeout(
+            () => this.finishAttempt(attempt, 'failed', { error: 'No originate response' }),
+            (this.ringTimeout + 30) * 1000
+        );
+
+        campaignLogger.info('📤 Dialing campaign contact', {
+            campaignId: campaign.id,
+            contactId: contact.id,
+            pbx: instance.name,
+            number: contact.phone_number,
+            attempt: contact.attempts
+        });
+
+        try {
+            await instance.amiClient.originateApplication(
+                this.dialTemplate.replace('{number}', contact.phone_number),
+                'Stasis',
+                [instance.appName, campaign.flow, `${CONTACT_ARG}=${contact.id}`].join(','),
+                {
+                    actionId: attempt.actionId,
+                    callerId: this.callerIdFor(campaign),
+                    timeoutMs: this.ringTimeout * 1000
+                }
+            );
+        } catch (error) {
+            await this.finishAttempt(attempt, 'failed', { error: error.message });
+        }
+    }
+
+    /**
+     * Caller ID to dial a campaign with
+     * Caller IDs stored before they were validated are not sent if invalid.
+     */
+    callerIdFor(campaign) {
+        if (campaign.caller_id && callerIdErrors(campaign.caller_id).length > 0) {
+            campaignLogger.warn('Ignoring invalid campaign caller ID', { campaignId: campaign.id });
+            return this.defaultCallerId || undefined;
+        }
+        return campaign.caller_id || this.defaultCallerId || undefined;
+    }
+
+        async onOriginateResponse(pbx, event) {
+        const attempt = this.attempts.get(event.actionId);
+        if (!attempt || attempt.finished || attempt.pbx !== pbx) return;
+
+        const outcome = event.response === 'Success'
+            ? 'answered'
+            : (OUTCOME_BY_REASON[event.reason] || 'failed');
+
+        if (outcome !== 'answered' || !event.uniqueId) {
+            await this.finishAttempt(attempt, outcome);
+            return;
+        }
+
+        clearTimeout(attempt.timer);
+        attempt.uniqueId = event.uniqueId;
+        attempt.timer = setTimeout(() => this.finishAttempt(attempt, 'answered'), MAX_CALL_MS);
+        this.calls.set(callKey(pbx, event.uniqueId), attempt);
+
+        try {
+            await CampaignRepository.markContactConnected(attempt.contact.id, event.uniqueId);
+        } catch (error) {
+            campaignLogger.error('Error updating campaign contact:', error);
+        }
+
+        campaignLogger.info('Campaign contact answered', {
+            campaignId: attempt.campaign.id,
+            contactId: attempt.contact.id,
+            uniqueId: event.uniqueId
+        });
+        this.emit('answered', {
+            campaignId: attempt.campaign.id,
+            contactId: attempt.contact.id,
+            uniqueId: event.uniqueId
+        });
+    }
+
+    async onHangup(pbx, event) {
+        const attempt = this.calls.get(callKey(pbx, event.uniqueId));
+        if (!attempt) return;
+
+        await this.finishAttempt(attempt, 'answered', { cause: event.cause });
+    }
+
+    /**
+     * Record the attempt's outcome and free its slot
+     * Unanswered contacts are retried if the policy allows it.
+     */
+    async finishAttempt(attempt, outcome, { cause, error } = {}) {
+        if (attempt.finished) return;
+        attempt.finished = true;
+
+        clearTimeout(attempt.timer);
+        this.attempts.delete(attempt.actionId);
+        if (attempt.uniqueId) {
+            this.calls.delete(callKey(attempt.pbx, attempt.uniqueId));
+        }
+
+        const { campaign, contact } = attempt;
+        let status = 'failed';
+        if (outcome === 'answered') {
+            status = 'completed';
+        } else if (campaign.retry_on.includes(outcome) && contact.attempts < campaign.max_attempts) {
+            status = 'retry';
+        }
+
+        try {
+            // Cancelled meanwhile: do not schedule further attempts
+            if (status === 'retry') {
+                const current = await CampaignRepository.getCampaignById(campaign.id);
+                if (current?.status === 'cancelled') status = 'cancelled';
+            }
+
+            await CampaignRepository.recordAttempt(contact.id, {
+                status,
+                outcome,
+                cause,
+                error,
+                retryDelaySeconds: campaign.retry_delay_seconds
+            });
+        } catch (error) {
+            campaignLogger.error('Error recording campaign attempt:', error);
+        }
+
+        campaignLogger.info('Campaign attempt finished', {
+            campaignId: campaign.id,
+            contactId: contact.id,
+            attempt: contact.attempts,
+            outcome,
+            status
+        });
+        this.emit('attempt', {
+            campaignId: campaign.id,
+            contactId: contact.id,
+            attempt: contact.attempts,
+            outcome,
+            status
+        });
+
+        this.pump();
+    }
+
+    /**
+     * Number of calls in progress for a campaign
+     */
+    activeCount(campaignId) {
+        let count = 0;
+        for (const attempt of this.attempts.values()) {
+            if (attempt.campaign.id === campaignId) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Get campaign manager status
+     */
+    getStatus() {
+        return {
+            running: this.isRunning,
+            activeCalls: this.attempts.size,
+            dialTemplate: this.dialTemplate,
+            ringTimeoutSeconds: this.ringTimeout
+        };
+    }
+}
+
+function callKey(pbx, uniqueId) {
+    return `${pbx}:${uniqueId}`;
+}
+
+/**
+ * Contact id from the Stasis arguments of an originated call
+ */
+export function contactIdFromArgs(args = []) {
+    const prefix = `${CONTACT_ARG}=`;
+    const arg = args.find(value => String(value).startsWith(prefix));
+    return arg ? parseInt(String(arg).slice(prefix.length)) || null : null;
+}
+
+/**
+ * Whether `date` falls into the dialing window
+ * schedule: { days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM', timezone }
+ * A window whose end is before its start spans midnight.
+ */
+export function isWithinSchedule(schedule, date = new Date()) {
+    if (!schedule) return true;
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: schedule.timezone || undefined,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    if (schedule.days && !schedule.days.includes(WEEKDAYS.indexOf(parts.weekday))) {
+        return false;
+    }
+
+    const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+    const start = toMinutes(schedule.start || '00:00');
+    const end = toMinutes(schedule.end || '24:00');
+
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+function validateSchedule(schedule) {
+    if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+        return ['schedule must be an object'];
+    }
+
+    const errors = [];
+    if (schedule.days !== undefined
+        && (!Array.isArray(schedule.days) || schedule.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        errors.push('schedule.days must be a list of weekdays (0 = Sunday ... 6 = Saturday)');
+    }
+    for (const key of ['start', 'end']) {
+        if (schedule[key] !== undefined && !TIME_PATTERN.test(schedule[key])) {
+            errors.push(`schedule.${key} must be a time (HH:MM)`);
+        }
+    }
+    if (schedule.timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+        } catch (error) {
+            errors.push(`schedule.timezone "${schedule.timezone}" is not a known time zone`);
+        }
+    }
+    return errors;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Shared campaign manager used by the gateway and the API
+export const campaignManager = new CampaignManager();
+
+export default CampaignManager;
@@ -0,0 +1,432 @@
+/**
+ * Conversation Agent
+ *
+ * Multi-turn dialogue loop for a Stasis channel:
+ *   greet → listen (record) → transcribe → respond → speak → listen → ...
+ *
+ * Replies come from a pluggable response generator (see ./agent). The
+ * loop ends when the generator returns `endCall`, the caller hangs up,
+ * or AGENT_MAX_TURNS is reached. A reply with `transfer` ends the loop
+ * without hanging up, so the caller can be handed to a human agent
+ * (reason 'transfer').
+ *
+ * Every turn (caller text, agent text, timings) is stored in
+ * conversation_turns. The dialogue is also kept as a transcription with
+ * caller/agent segments, so it is redacted, enriched and checked against
+ * alert rules like any other transcript.
+ */
+
+import { EventEmitter } from 'events';
+import { ariLogger } from '../utils/logger.js';
+import { waitFor, settleWithin } from '../utils/async.js';
+import { ConversationRepository } from '../database/conversation-repository.js';
+import { TranscriptionRepository } from '../database/transcription-repository.js';
+import { piiRedactor } from '../utils/pii-redactor.js';
+import { createResponseGenerator } from './agent/index.js';
+import { AIProcessor } from './ai-processor.js';
+
+const CLOSING_REPLY = {
+    text: 'Thank you for calling. Goodbye.',
+    endCall: true
+};
+
+// Built-in sound, so the caller hears something even if TTS is what failed
+const ERROR_REPLY = {
+    text: 'Sorry, something went wrong. Goodbye.',
+    media: 'sound:vm-sorry',
+    endCall: true
+};
+
+export class ConversationAgent extends EventEmitter {
+    constructor({ getAri, recordingStore, hangupChannel, playText }) {
+        super();
+
+        this.getAri = getAri;
+        this.recordingStore = recordingStore;
+        this.hangupChannel = hangupChannel;
+        this.playText = playText;
+
+        this.maxTurns = parseInt(process.env.AGENT_MAX_TURNS) || 10;
+        this.maxUtteranceSeconds = parseInt(process.env.AGENT_MAX_UTTERANCE_SECONDS) || 15;
+        this.maxSilenceSeconds = parseInt(process.env.AGENT_MAX_SILENCE_SECONDS) || 2;
+
+        this.generator = null;
+
+        // Active conversations keyed by channel id
+        this.sessions = new Map();
+    }
+
+    /**
+     * Get the configured response generator (created on first use)
+     */
+    getGenerator() {
+        if (!this.generator) {
+            this.generator = createResponseGenerator();
+            ariLogger.info('Agent response generator selected', { provider: this.generator.name });
+        }
+        return this.generator;
+    }
+
+    /**
+     * Run the conversation loop until it ends
+     * Resolves with { reason, summary }; `summary` is the enrichment
+     * summary of the dialogue (for a warm transfer).
+     */
+    async run(channel, { callId }) {
+        if (this.sessions.has(channel.id)) return null;
+
+        let resolveHangup;
+        const session = {
+            channel,
+            callId,
+            transcriptionId: null,
+            history: [],
+            segments: [],
+            transcriptionStats: [],
+            startedAt: Date.now(),
+            ended: false,
+            hangup: new Promise((resolve) => {
+                resolveHangup = () => resolve('hangup');
+            })
+        };
+        session.resolveHangup = resolveHangup;
+        this.sessions.set(channel.id, session);
+        session.done = this.converse(session);
+
+        try {
+            return await session.done;
+        } finally {
+            this.sessions.delete(channel.id);
+        }
+    }
+
+    /**
+     * The dialogue loop itself
+     */
+    async converse(session) {
+        const { channel, callId } = session;
+        let endReason = 'caller_hangup';
+
+        session.transcriptionId = await TranscriptionRepository.createTranscription(callId, null, 'streaming');
+
+        ariLogger.info('💬 Conversation started', {
+            channelId: channel.id,
+            callId,
+            transcriptionId: session.transcriptionId
+        });
+
+        try {
+            for (let turnIndex = 0; !session.ended; turnIndex++) {
+                const turn = { turnIndex, startedAt: new Date().toISOString() };
+
+                // The greeting turn has no caller utterance
+                if (turnIndex > 0) {
+                    await this.listen(session, turn);
+                    await this.transcribe(session, turn);
+                    session.history.push({ role: 'caller', text: turn.callerText });
+
+                    if (session.ended) {
+                        await this.saveTurn(session, turn);
+                        break;
+                    }
+                }
+
+                const reply = turnIndex >= this.maxTurns
+                    ? CLOSING_REPLY
+                    : await this.respond(session, turn);
+                turn.agentText = reply.text;
+                turn.agentMedia = reply.media || null;
+                turn.endedCall = reply.endCall;
+                session.history.push({ role: 'agent', text: reply.text });
+
+                await this.speak(session, turn, reply);
+                await this.saveTurn(session, turn);
+
+                if (reply.transfer && turnIndex < this.maxTurns) {
+                    endReason = 'transfer';
+                    break;
+                }
+                if (reply.endCall) {
+                    endReason = turnIndex >= this.maxTurns ? 'max_turns' : 'agent';
+                    await this.hangupChannel(channel, 'normal');
+                    break;
+                }
+            }
+        } catch (error) {
+            // ARI requests fail once the caller is gone - that is a normal end
+            if (!session.ended) {
+                endReason = 'error';
+                ariLogger.error('Conversation failed', { channelId: channel.id, error: error.message });
+                await this.hangupChannel(channel, 'error');
+            }
+        }
+
+        const result = await this.finalize(session);
+
+        ariLogger.info('💬 Conversation ended', {
+            channelId: channel.id,
+            callId,
+            turns: session.history.filter(h => h.role === 'agent').length,
+            reason: endReason
+        });
+        this.emit('ended', { channelId: channel.id, callId, reason: endReason });
+
+        return { reason: endReason, summary: result?.enrichment?.summary || null };
+    }
+
+    /**
+     * Record one caller utterance (ends on silence, '#' or max duration)
+     */
+    async listen(session, turn) {
+        const ari = this.getAri();
+        const name = `conversation-${session.channel.id}-${turn.turnIndex}-${Date.now()}`;
+        const recording = ari.LiveRecording({ name });
+
+        const finished = new Promise((resolve) => {
+            recording.once('RecordingFinished', () => resolve('finished'));
+            recording.once('RecordingFailed', () => resolve('failed'));
+        });
+
+        const startedAt = Date.now();
+        await session.channel.record({
+            name,
+            format: 'wav',
+            maxDurationSeconds: this.maxUtteranceSeconds,
+            maxSilenceSeconds: this.maxSilenceSeconds,
+            beep: true,
+            ifExists: 'overwrite',
+            terminateOn: '#'
+        }, recording);
+
+        const outcome = await waitFor(finished, session.hangup, (this.maxUtteranceSeconds + 5) * 1000);
+
+        turn.listenMs = Date.now() - startedAt;
+        turn.listenStartMs = startedAt - session.startedAt;
+        turn.recordingPath = null;
+
+        if (outcome === 'failed') return;
+
+        try {
+            const { path, check } = await this.recordingStore.store(name);
+            turn.recordingPath = path;
+            turn.audioCheck = check;
+        } catch (error) {
+            ariLogger.error('Could not retrieve conversation recording', {
+                channelId: session.channel.id,
+                recordingName: name,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Transcribe the caller utterance (empty text when nothing was heard)
+     * Silent or empty utterances are not sent to the provider.
+     */
+    async transcribe(session, turn) {
+        turn.callerText = '';
+        if (!turn.recordingPath || !turn.audioCheck?.valid) return;
+
+        const provider = AIProcessor.getProvider();
+        const startedAt = Date.now();
+
+        try {
+            const result = await provider.transcribe(turn.recordingPath);
+            const text = (result.text || '').trim();
+
+            session.transcriptionStats.push({
+                provider: provider.name,
+                language: result.language,
+                confidence: result.confidence
+            });
+
+            if (text) {
+                session.segments.push({
+                    startMs: turn.listenStartMs,
+                    endMs: turn.listenStartMs + turn.listenMs,
+                    speaker: 'caller',
+                    text,
+                    confidence: result.confidence ?? null
+                });
+                await this.appendSegment(session);
+            }
+
+            // Only redacted text is stored or handed to the response generator
+            turn.callerText = piiRedactor.redact(text).text;
+        } catch (error) {
+            ariLogger.error('Conversation turn transcription failed', {
+                channelId: session.channel.id,
+                recordingPath: turn.recordingPath,
+                error: error.message
+            });
+        }
+
+        turn.transcriptionMs = Date.now() - startedAt;
+    }
+
+    /**
+     * Ask the response generator for the next reply
+     */
+    async respond(session, turn) {
+        const startedAt = Date.now();
+
+        try {
+            return await this.getGenerator().respond(session.history, { callId: session.callId });
+        } catch (error) {
+            ariLogger.error('Agent response generation failed', {
+                channelId: session.channel.id,
+                error: error.message
+            });
+            return ERROR_REPLY;
+        } finally {
+            turn.responseMs = Date.now() - startedAt;
+        }
+    }
+
+    /**
+     * Play the agent reply and wait until it finished (or the caller hung up)
+     * Replies without `media` are spoken with text-to-speech.
+     */
+    async speak(session, turn, reply) {
+        const startedAt = Date.now();
+
+        if (!session.ended && (reply.media || reply.text)) {
+            const playback = this.getAri().Playback();
+            const finished = new Promise((resolve) => {
+                playback.once('PlaybackFinished', () => resolve('finished'));
+            });
+
+            if (reply.media) {
+                await session.channel.play({ media: reply.media }, playback);
+            } else {
+                await this.playText(session.channel, reply.text, { playback });
+            }
+            await waitFor(finished, session.hangup, 60000);
+        }
+
+        turn.speakMs = Date.now() - startedAt;
+
+        if (reply.text) {
+            session.segments.push({
+                startMs: startedAt - session.startedAt,
+                endMs: Date.now() - session.startedAt,
+                speaker: 'agent',
+                text: reply.text,
+                confidence: null
+            });
+            await this.appendSegment(session);
+        }
+    }
+
+    /**
+     * Persist the latest dialogue segment (redacted) while the call is live
+     */
+    async appendSegment(session) {
+        const segment = session.segments[session.segments.length - 1];
+        await TranscriptionRepository.appendSegment(
+            session.transcriptionId,
+            piiRedactor.redactSegments([segment])[0]
+        );
+    }
+
+    /**
+     * Store a turn and notify listeners
+     */
+    async saveTurn(session, turn) {
+        const stored = {
+            turnIndex: turn.turnIndex,
+            callerText: turn.turnIndex > 0 ? turn.callerText : null,
+            agentText: turn.agentText ?? null,
+            agentMedia: turn.agentMedia,
+            recordingPath: turn.recordingPath,
+            listenMs: turn.listenMs,
+            transcriptionMs: turn.transcriptionMs,
+            responseMs: turn.responseMs,
+            speakMs: turn.speakMs,
+            endedCall: turn.endedCall,
+            startedAt: turn.startedAt
+        };
+
+        await ConversationRepository.addTurn(session.callId, stored);
+        this.emit('turn', { channelId: session.channel.id, callId: session.callId, turn: stored });
+    }
+
+    /**
+     * Store the whole dialogue as the call transcription
+     * The transcript text holds what the caller said; segments hold both sides.
+     * Resolves with the finalized transcription (null on failure).
+     */
+    async finalize(session) {
+        const callerText = session.segments
+            .filter(s => s.speaker === 'caller')
+            .map(s => s.text)
+            .join(' ');
+        const confidences = session.transcriptionStats
+            .map(s => s.confidence)
+            .filter(c => typeof c === 'number');
+
+        try {
+            return await AIProcessor.finalizeTranscription(
+                session.transcriptionId,
+                { text: callerText, segments: session.segments },
+                {
+                    provider: session.transcriptionStats[0]?.provider || null,
+                    language: session.transcriptionStats.find(s => s.language)?.language || null,
+                    confidence: confidences.length
+                        ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+                        : null,
+                    latencyMs: null
+                }
+            );
+        } catch (error) {
+            ariLogger.error('Failed to finalize conversation transcript', {
+                transcriptionId: session.transcriptionId,
+                error: error.message
+            });
+            await TranscriptionRepository.failTranscription(session.transcriptionId, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * The caller left: end the loop after the current step
+     */
+    stop(channelId) {
+        const session = this.sessions.get(channelId);
+        if (!session) return;
+
+        session.ended = true;
+        session.resolveHangup();
+    }
+
+    /**
+     * End every conversation and wait (up to timeoutMs) for them to be stored
+     */
+    async stopAll(timeoutMs = 10000) {
+        const pending = [...this.sessions.values()].map((session) => {
+            this.stop(session.channel.id);
+            return session.done;
+        });
+
+        await settleWithin(pending, timeoutMs);
+    }
+
+    /**
+     * Whether a conversation is running on the channel
+     */
+    isActive(channelId) {
+        return this.sessions.has(channelId);
+    }
+
+    /**
+     * Get conversation status
+     */
+    getStatus() {
+        return {
+            activeConversations: this.sessions.size,
+            maxTurns: this.maxTurns
+        };
+    }
+}
+
+export default ConversationAgent;
@@ -0,0 +1,113 @@
+/**
+ * DTMF Collector
+ *
+ * Collects digits from ARI ChannelDtmfReceived events for one gather
+ * attempt. Collection ends when:
+ * - a terminator key is pressed ('terminator'; the key is not collected)
+ * - maxDigits digits were collected ('max_digits')
+ * - no further digit arrives within the inter-digit timeout ('inter_digit_timeout')
+ * - the overall timeout expires ('timeout')
+ * - the collector is cancelled, e.g. on hangup ('cancelled')
+ *
+ * Listening starts before the prompt is played so callers can type ahead
+ * (barge-in, see the 'digit' event); the timeouts only start once the
+ * prompt finished (startTimers).
+ */
+
+import { EventEmitter } from 'events';
+
+export class DtmfCollector extends EventEmitter {
+    constructor(channel, options = {}) {
+        super();
+
+        this.channel = channel;
+        this.maxDigits = options.maxDigits ?? 1;
+        this.terminators = options.terminators ?? '#';
+        this.timeoutMs = options.timeoutMs ?? 10000;
+        this.interDigitTimeoutMs = options.interDigitTimeoutMs ?? 3000;
+
+        this.digits = '';
+        this.timersStarted = false;
+        this.finished = false;
+        this.overallTimer = null;
+        this.interDigitTimer = null;
+
+        this.onDtmf = this.onDtmf.bind(this);
+        this.done = new Promise((resolve) => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Start listening for digits
+     * Resolves `done` with { digits, reason, terminator, durationMs } when
+     * collection ends.
+     */
+    start() {
+        this.startedAt = Date.now();
+        this.channel.on('ChannelDtmfReceived', this.onDtmf);
+        return this.done;
+    }
+
+    /**
+     * Start the overall and inter-digit timeouts (after the prompt)
+     */
+    startTimers() {
+        if (this.finished || this.timersStarted) return;
+        this.timersStarted = true;
+
+        this.overallTimer = setTimeout(() => this.finish('timeout'), this.timeoutMs);
+        if (this.digits.length > 0) {
+            this.restartInterDigitTimer();
+        }
+    }
+
+    /**
+     * Stop collecting (e.g. the caller hung up)
+     */
+    cancel() {
+        this.finish('cancelled');
+    }
+
+    onDtmf(event) {
+        if (this.finished) return;
+        const digit = event.digit;
+
+        if (this.terminators.includes(digit)) {
+            this.finish('terminator', digit);
+            return;
+        }
+
+        this.digits += digit;
+        this.emit('digit', { digit, digits: this.digits });
+
+        if (this.digits.length >= this.maxDigits) {
+            this.finish('max_digits');
+        } else if (this.timersStarted) {
+            this.restartInterDigitTimer();
+        }
+    }
+
+    restartInterDigitTimer() {
+        clearTimeout(this.interDigitTimer);
+        this.interDigitTimer = setTimeout(() => this.finish('inter_digit_timeout'), this.interDigitTimeoutMs);
+    }
+
+    finish(reason, terminator = null) {
+        if (this.finished) return;
+        this.finished = true;
+
+        clearTimeout(this.overallTimer);
+        clearTimeout(this.interDigitTimer);
+        this.channel.removeListener('ChannelDtmfReceived', this.onDtmf);
+
+        this.resolve({
+            digits: this.digits,
+            reason,
+            terminator,
+            durationMs: Date.now() - this.startedAt
+        });
+    }
+}
+
+export default DtmfCollector;
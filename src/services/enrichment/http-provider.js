@@ -0,0 +1,63 @@
+/**
+ * HTTP Enrichment Provider
+ *
+ * Posts the transcript to an external classification endpoint:
+ *   POST { "text": "...", "language": "en" }
+ * and expects a JSON response of the form:
+ *   {
+ *     "intent": "support", "intentConfidence": 0.8,
+ *     "sentiment": "negative", "sentimentScore": -0.6,
+ *     "summary": "...", "actionItems": ["..."]
+ *   }
+ */
+
+export class HttpEnrichmentProvider {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.url = options.url || process.env.ENRICHMENT_HTTP_URL;
+        this.apiKey = options.apiKey || process.env.ENRICHMENT_HTTP_API_KEY;
+        this.timeout = options.timeout
+            ?? (parseInt(process.env.ENRICHMENT_HTTP_TIMEOUT_MS) || 30000);
+
+        if (!this.url) {
+            throw new Error('ENRICHMENT_HTTP_URL must be set to use the http enrichment provider');
+        }
+    }
+
+    /**
+     * Enrich a transcript via the configured endpoint
+     */
+    async enrich(text, context = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ text, language: context.language }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Enrichment service responded with HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+
+        return {
+            intent: result.intent || 'general',
+            intentConfidence: result.intentConfidence ?? null,
+            sentiment: result.sentiment || 'neutral',
+            sentimentScore: result.sentimentScore ?? null,
+            summary: result.summary || '',
+            actionItems: Array.isArray(result.actionItems) ? result.actionItems : []
+        };
+    }
+}
+
+export default HttpEnrichmentProvider;
@@ -0,0 +1,38 @@
+/**
+ * Enrichment Provider Factory
+ *
+ * Selects the classifier run on completed transcriptions.
+ * Every provider exposes `name` and `enrich(text, context)`, which
+ * resolves with:
+ *   { intent, intentConfidence, sentiment, sentimentScore, summary, actionItems }
+ *
+ * Configure with ENRICHMENT_PROVIDER = rules | http (default: rules)
+ */
+
+import { RuleBasedEnrichmentProvider } from './rule-based-provider.js';
+import { HttpEnrichmentProvider } from './http-provider.js';
+
+const providers = {
+    rules: RuleBasedEnrichmentProvider,
+    http: HttpEnrichmentProvider
+};
+
+/**
+ * Create an enrichment provider by name
+ */
+export function createEnrichmentProvider(name = process.env.ENRICHMENT_PROVIDER || 'rules', options = {}) {
+    const Provider = providers[name.toLowerCase()];
+
+    if (!Provider) {
+        throw new Error(`Unknown enrichment provider: ${name} (expected one of: ${Object.keys(providers).join(', ')})`);
+    }
+
+    return new Provider(options);
+}
+
+export {
+    RuleBasedEnrichmentProvider,
+    HttpEnrichmentProvider
+};
+
+export default createEnrichmentProvider;
@@ -0,0 +1,140 @@
+/**
+ * Rule-Based Enrichment Provider
+ *
+ * Deterministic, offline classifier for completed transcripts:
+ * - Intent: keyword/phrase scoring per intent category
+ * - Sentiment: word lexicon with simple negation handling
+ * - Summary: leading sentence plus action items taken from requests
+ *
+ * Same input always produces the same output, which keeps enrichment
+ * results reproducible without an AI backend.
+ */
+
+const INTENT_KEYWORDS = {
+    sales: ['price', 'pricing', 'quote', 'buy', 'purchase', 'order', 'package', 'plan', 'discount', 'interested in'],
+    support: ['issue', 'problem', 'not working', 'broken', 'error', 'help', 'technical', 'support', 'fix', 'assistance'],
+    appointment: ['appointment', 'schedule', 'book', 'reschedule', 'available', 'availability', 'meeting', 'next week', 'tomorrow'],
+    complaint: ['complaint', 'unhappy', 'disappointed', 'terrible', 'unacceptable', 'worst', 'lawyer', 'feedback', 'manager'],
+    billing: ['bill', 'billing', 'invoice', 'charge', 'charged', 'refund', 'payment', 'credit card'],
+    cancellation: ['cancel', 'cancellation', 'terminate', 'close my account', 'unsubscribe'],
+    information: ['information', 'inquire', 'question', 'questions', 'learn more', 'details', 'update on']
+};
+
+const POSITIVE_WORDS = ['thank', 'thanks', 'great', 'good', 'happy', 'excellent', 'appreciate', 'love', 'perfect', 'helpful', 'pleased', 'interested'];
+const NEGATIVE_WORDS = ['issue', 'problem', 'bad', 'terrible', 'unhappy', 'angry', 'broken', 'wrong', 'disappointed', 'worst', 'cancel', 'complaint', 'unacceptable', 'frustrated', 'error'];
+const NEGATIONS = ['not', "don't", 'dont', 'never', 'no', "isn't", "wasn't", "can't", 'cannot'];
+
+// Sentences that ask for something become action items
+const REQUEST_PATTERN = /\b(i need|i want|i'd like|i would like|can you|could you|please|need to|call me back)\b/i;
+
+const SUMMARY_MAX_LENGTH = 160;
+
+export class RuleBasedEnrichmentProvider {
+    constructor() {
+        this.name = 'rules';
+    }
+
+    /**
+     * Enrich a transcript with intent, sentiment and summary
+     */
+    async enrich(text) {
+        const normalized = (text || '').toLowerCase();
+        const sentences = splitSentences(text);
+
+        return {
+            ...this.classifyIntent(normalized),
+            ...this.scoreSentiment(normalized),
+            summary: this.summarize(sentences),
+            actionItems: this.extractActionItems(sentences)
+        };
+    }
+
+    /**
+     * Pick the intent with the most keyword hits
+     */
+    classifyIntent(normalized) {
+        let best = { intent: 'general', hits: 0 };
+        let totalHits = 0;
+
+        for (const [intent, keywords] of Object.entries(INTENT_KEYWORDS)) {
+            const hits = keywords.filter(keyword => containsPhrase(normalized, keyword)).length;
+            totalHits += hits;
+            if (hits > best.hits) {
+                best = { intent, hits };
+            }
+        }
+
+        return {
+            intent: best.intent,
+            intentConfidence: totalHits > 0 ? round(best.hits / totalHits) : 0
+        };
+    }
+
+    /**
+     * Score sentiment between -1 (negative) and 1 (positive)
+     */
+    scoreSentiment(normalized) {
+        const words = normalized.match(/[a-z']+/g) || [];
+        let positive = 0;
+        let negative = 0;
+
+        words.forEach((word, i) => {
+            const negated = NEGATIONS.includes(words[i - 1]) || NEGATIONS.includes(words[i - 2]);
+            const isPositive = POSITIVE_WORDS.some(p => word.startsWith(p));
+            const isNegative = NEGATIVE_WORDS.some(n => word.startsWith(n));
+
+            if (isPositive === isNegative) return;
+
+            // A negation flips the polarity ("not happy", "no problem")
+            if (isPositive !== negated) {
+                positive++;
+            } else {
+                negative++;
+            }
+        });
+
+        const total = positive + negative;
+        const score = total > 0 ? round((positive - negative) / total) : 0;
+
+        let sentiment = 'neutral';
+        if (score >= 0.2) sentiment = 'positive';
+        if (score <= -0.2) sentiment = 'negative';
+
+        return { sentiment, sentimentScore: score };
+    }
+
+    /**
+     * Use the first sentence (truncated) as the summary
+     */
+    summarize(sentences) {
+        const summary = sentences[0] || '';
+        return summary.length > SUMMARY_MAX_LENGTH
+            ? `${summary.slice(0, SUMMARY_MAX_LENGTH - 1).trimEnd()}…`
+            : summary;
+    }
+
+    /**
+     * Turn caller requests into follow-up action items
+     */
+    extractActionItems(sentences) {
+        return sentences
+            .filter(sentence => REQUEST_PATTERN.test(sentence))
+            .map(sentence => `Follow up: ${sentence}`);
+    }
+}
+
+function splitSentences(text) {
+    return (text || '').split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+function containsPhrase(text, phrase) {
+    return new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export default RuleBasedEnrichmentProvider;
@@ -0,0 +1,705 @@
+/**
+ * Call Flow Engine
+ *
+ * Executes a declarative call flow (see ./flow-loader.js) on a Stasis
+ * channel. A flow is a state machine: every step has a `type` and names
+ * the step to run next; the flow ends when a step has no successor, the
+ * call is hung up or transferred, or the caller leaves.
+ *
+ * Step types:
+ * - play:       play one or more sounds            { media }
+ * - say:        speak text with TTS                { text, voice? }
+ * - record:     record the caller                  { maxDurationSeconds?, maxSilenceSeconds?, beep?, terminateOn? }
+ * - gather:     collect DTMF digits                { var?, prompt?, promptText?, minDigits?, maxDigits?,
+ *                                                    terminators?, timeoutSeconds?, interDigitTimeoutSeconds?,
+ *                                                    valid?, pattern?, retries?, onFail?, sensitive? }
+ * - branch:     jump on a session variable         { var, cases, default? }
+ * - transcribe: transcribe the last recording      { wait? }
+ * - transfer:   continue in the dialplan           { extension, context?, priority? }
+ * - warm_transfer: hand the caller to a human       { extension | queue, whisper?, voicemail?,
+ *                                                    timeoutSeconds?, onFail? }
+ * - converse:   hand the call to the AI agent      { onTransfer? }
+ * - pause:      wait                               { seconds }
+ * - hangup:     end the call                       { reason? }
+ *
+ * Every step may set `onError` to the step to run if it fails; otherwise
+ * a failing step hangs up the call. `say` text may reference session
+ * variables as {{caller.number}}, {{digits}}, {{transcript}}, {{summary}}, ...
+ * A flow that runs out of steps hangs up the call.
+ *
+ * A flow may name an `onHangup` step: when the caller hangs up, the
+ * engine continues there with the steps that need no channel
+ * (transcribe, branch), e.g. to transcribe a recording cut short.
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { ariLogger } from '../utils/logger.js';
+import { waitFor, settleWithin } from '../utils/async.js';
+import { CallRepository } from '../database/call-repository.js';
+import { TranscriptionRepository } from '../database/transcription-repository.js';
+import { transcriptionQueue } from './transcription-queue.js';
+import { AIProcessor } from './ai-processor.js';
+import { HANGUP_STEP_TYPES } from './flow-loader.js';
+import { DtmfCollector } from './dtmf-collector.js';
+
+// Guards against flows that loop forever
+const MAX_STEPS = 200;
+
+const DEFAULT_WHISPER = 'Transferred call from {{caller.number}}. {{summary}}';
+
+export class FlowEngine extends EventEmitter {
+    constructor({ getAri, recordingStore, playText, hangupChannel, conversationAgent, warmTransfer, isStreaming }) {
+        super();
+
+        this.getAri = getAri;
+        this.recordingStore = recordingStore;
+        this.playText = playText;
+        this.hangupChannel = hangupChannel;
+        this.conversationAgent = conversationAgent;
+        this.warmTransfer = warmTransfer;
+        this.isStreaming = isStreaming;
+
+        this.recordingDuration = parseInt(process.env.RECORDING_DURATION_SECONDS) || 10;
+        this.transferContext = process.env.FLOW_TRANSFER_CONTEXT || 'from-internal';
+
+        // Running flows keyed by channel id
+        this.sessions = new Map();
+    }
+
+    /**
+     * Run a flow on the channel until it ends
+     * The session keeps its own reference to the flow, so reloading the
+     * flow files does not affect calls already in progress.
+     * `contact` (campaign calls) is available to templates as {{contact.*}}.
+     */
+    async run(channel, flow, { callId, args = [], contact = null }) {
+        if (this.sessions.has(channel.id)) return;
+
+        let resolveHangup;
+        const session = {
+            channel,
+            callId,
+            flow,
+            stepId: flow.start,
+            lastStepId: null,
+            steps: 0,
+            ended: false,
+            vars: {
+                callId,
+                args,
+                caller: {
+                    number: channel.caller?.number || null,
+                    name: channel.caller?.name || null
+                },
+                extension: channel.dialplan?.exten || null,
+                contact,
+                digits: null,
+                recording: null,
+                transcriptionId: null,
+                transcript: null,
+                intent: null,
+                summary: null,
+                transferOutcome: null
+            },
+            hangup: new Promise((resolve) => {
+                resolveHangup = () => resolve('hangup');
+            })
+        };
+        session.resolveHangup = resolveHangup;
+        this.sessions.set(channel.id, session);
+        session.done = this.execute(session);
+
+        try {
+            await session.done;
+        } finally {
+            this.sessions.delete(channel.id);
+        }
+    }
+
+    /**
+     * Step through the flow
+     */
+    async execute(session) {
+        const { channel, callId, flow } = session;
+        let endReason = 'completed';
+
+        ariLogger.info('🔀 Call flow started', { channelId: channel.id, callId, flow: flow.name });
+        await this.logEvent(session, 'flow_started', { flow: flow.name, file: flow.file, args: session.vars.args });
+
+        while (session.stepId && !session.ended) {
+            if (session.steps >= MAX_STEPS) {
+                endReason = 'max_steps';
+                ariLogger.error('Call flow exceeded step limit', { channelId: channel.id, flow: flow.name, maxSteps: MAX_STEPS });
+                await this.hangupChannel(channel, 'error');
+                break;
+            }
+
+            const stepId = session.stepId;
+            const step = flow.steps[stepId];
+            session.steps++;
+            session.lastStepId = stepId;
+
+            ariLogger.debug('Call flow step', { channelId: channel.id, flow: flow.name, step: stepId, type: step.type });
+            this.emit('step', { channelId: channel.id, callId, flow: flow.name, step: stepId, type: step.type });
+
+            try {
+                const next = await this.runStep(session, step);
+                session.stepId = next === undefined ? step.next : next;
+            } catch (error) {
+                // ARI requests fail once the caller is gone - that is a normal end
+                if (session.ended) break;
+
+                ariLogger.error('Call flow step failed', {
+                    channelId: channel.id,
+                    flow: flow.name,
+                    step: stepId,
+                    error: error.message
+                });
+
+                if (step.onError) {
+                    session.stepId = step.onError;
+                    continue;
+                }
+
+                endReason = 'error';
+                await this.hangupChannel(channel, 'error');
+                break;
+            }
+        }
+
+        if (session.ended && endReason === 'completed') {
+            endReason = session.endReason || 'caller_hangup';
+        } else if (endReason === 'completed') {
+            // Nothing left to do - do not leave the caller in silence
+            await this.hangupChannel(channel, 'normal');
+        }
+
+        if (endReason === 'caller_hangup' && flow.onHangup) {
+            await this.afterHangup(session);
+        }
+
+        ariLogger.info('🔀 Call flow ended', {
+            channelId: channel.id,
+            callId,
+            flow: flow.name,
+            steps: session.steps,
+            reason: endReason
+        });
+        await this.logEvent(session, 'flow_ended', {
+            flow: flow.name,
+            reason: endReason,
+            steps: session.steps,
+            lastStep: session.lastStepId
+        });
+        this.emit('ended', { channelId: channel.id, callId, flow: flow.name, reason: endReason });
+    }
+
+    /**
+     * Run the channel-free steps from the flow's `onHangup` step
+     */
+    async afterHangup(session) {
+        let stepId = session.flow.onHangup;
+
+        while (stepId && session.steps < MAX_STEPS) {
+            const step = session.flow.steps[stepId];
+            if (!HANGUP_STEP_TYPES.includes(step.type)) break;
+
+            session.steps++;
+            try {
+                const next = await this.runStep(session, step);
+                stepId = next === undefined ? step.next : next;
+            } catch (error) {
+                ariLogger.error('Call flow hangup step failed', {
+                    channelId: session.channel.id,
+                    flow: session.flow.name,
+                    step: stepId,
+                    error: error.message
+                });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Run one step; resolves with the next step id, `null` to end the
+     * flow, or undefined to continue with `step.next`
+     */
+    async runStep(session, step) {
+        switch (step.type) {
+            case 'play': return this.play(session, step);
+            case 'say': return this.say(session, step);
+            case 'record': return this.record(session, step);
+            case 'gather': return this.gather(session, step);
+            case 'branch': return this.branch(session, step);
+            case 'transcribe': return this.transcribe(session, step);
+            case 'transfer': return this.transfer(session, step);
+            case 'warm_transfer': return this.warmTransferStep(session, step);
+            case 'converse': return this.converse(session, step);
+            case 'pause': return this.pause(session, step);
+            case 'hangup': return this.hangup(session, step);
+            default:
+                throw new Error(`Unknown step type '${step.type}'`);
+        }
+    }
+
+    /**
+     * Play sounds in order, waiting for each to finish
+     */
+    async play(session, step) {
+        await this.playPrompt(session, { media: step.media });
+    }
+
+    /**
+     * Speak text through the TTS service
+     */
+    async say(session, step) {
+        await this.playPrompt(session, { text: step.text, voice: step.voice });
+    }
+
+    /**
+     * Record the caller into managed storage
+     * Sets `recording` to { name, path, check } (path null if the
+     * recording could not be retrieved).
+     */
+    async record(session, step) {
+        const { channel } = session;
+        const maxDurationSeconds = step.maxDurationSeconds ?? this.recordingDuration;
+        const name = `recording-${channel.id}-${Date.now()}`;
+        const recording = this.getAri().LiveRecording({ name });
+
+        const finished = new Promise((resolve) => {
+            recording.once('RecordingFinished', () => resolve('finished'));
+            recording.once('RecordingFailed', () => resolve('failed'));
+        });
+
+        ariLogger.info('Starting recording', { channelId: channel.id, recordingName: name, maxDurationSeconds });
+
+        await channel.record({
+            name,
+            format: 'wav',
+            maxDurationSeconds,
+            maxSilenceSeconds: step.maxSilenceSeconds ?? 3,
+            beep: step.beep ?? true,
+            ifExists: 'overwrite',
+            terminateOn: step.terminateOn ?? '#'
+        }, recording);
+
+        let outcome = await waitFor(finished, session.hangup, (maxDurationSeconds + 5) * 1000);
+
+        // Asterisk finishes the recording once the caller is gone
+        if (outcome === 'hangup') {
+            outcome = await waitFor(finished, null, 5000);
+        }
+        if (outcome === 'timeout') {
+            try {
+                await recording.stop();
+            } catch (error) {
+                // Recording already stopped
+            }
+        }
+        if (outcome === 'failed') {
+            throw new Error(`Recording '${name}' failed`);
+        }
+
+        try {
+            const { path, check } = await this.recordingStore.store(name);
+            session.vars.recording = { name, path, check };
+        } catch (error) {
+            ariLogger.error('Could not retrieve recording', { recordingName: name, error: error.message });
+            session.vars.recording = { name, path: null, check: null, error: error.message };
+        }
+    }
+
+    /**
+     * Collect DTMF digits into `var` (default `digits`)
+     * The prompt can be interrupted by the first digit. An attempt with
+     * no digits (no input) or digits that fail minDigits/valid/pattern
+     * (invalid) is re-prompted up to `retries` times; after that the
+     * variable is set to null and the flow continues at `onFail` (or
+     * `next`). Every attempt is stored as a 'dtmf' call event.
+     * Prompt texts that cannot be spoken fall back to the prompt sound,
+     * or are skipped, so digits are still collected.
+     */
+    async gather(session, step) {
+        const varName = step.var || 'digits';
+        const retries = step.retries ?? 2;
+
+        // One hangup listener for the whole step; it cancels the current attempt
+        let collector = null;
+        session.hangup.then(() => collector?.cancel());
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            if (session.ended) return null;
+
+            collector = new DtmfCollector(session.channel, {
+                maxDigits: step.maxDigits ?? 1,
+                terminators: step.terminators ?? '#',
+                timeoutMs: (step.timeoutSeconds ?? 5) * 1000,
+                interDigitTimeoutMs: (step.interDigitTimeoutSeconds ?? 3) * 1000
+            });
+            collector.start();
+
+            try {
+                await this.playPrompt(
+                    session,
+                    { media: step.prompt, text: step.promptText, voice: step.voice },
+                    collector,
+                    { fallback: true }
+                );
+            } catch (error) {
+                collector.cancel();
+                throw error;
+            }
+            collector.startTimers();
+
+            const result = await collector.done;
+            if (result.reason === 'cancelled') return null;
+
+            const outcome = gatherOutcome(result.digits, step);
+
+            await this.logEvent(session, 'dtmf', {
+                flow: session.flow.name,
+                step: session.lastStepId,
+                attempt,
+                digits: step.sensitive ? '*'.repeat(result.digits.length) : result.digits,
+                outcome,
+                reason: result.reason,
+                durationMs: result.durationMs
+            });
+
+            if (outcome === 'valid') {
+                session.vars[varName] = result.digits;
+                return undefined;
+            }
+
+            ariLogger.info('DTMF gather attempt failed', {
+                channelId: session.channel.id,
+                flow: session.flow.name,
+                step: session.lastStepId,
+                attempt,
+                outcome
+            });
+
+            if (attempt <= retries) {
+                const retryPrompt = outcome === 'no_input'
+                    ? { media: step.noInputPrompt, text: step.noInputText, voice: step.voice }
+                    : { media: step.invalidPrompt ?? 'option-is-invalid', text: step.invalidText, voice: step.voice };
+                await this.playPrompt(session, retryPrompt, null, { fallback: true });
+            }
+        }
+
+        session.vars[varName] = null;
+        return step.onFail;
+    }
+
+    /**
+     * Play sounds (`media`, one or a list) or speak `text`, waiting until
+     * done or the caller hung up; with a collector, the first digit stops
+     * the prompt (barge-in). With `fallback`, text that fails to play
+     * (e.g. the TTS engine is not installed) plays `media` instead, or
+     * nothing if there is none.
+     */
+    async playPrompt(session, { media, text, voice }, collector = null, { fallback = false } = {}) {
+        const sounds = (Array.isArray(media) ? media : media ? [media] : []).map(item => ({ media: item }));
+
+        if (text) {
+            try {
+                await this.playParts(session, [{ text: renderTemplate(text, session.vars) }], voice, collector);
+                return;
+            } catch (error) {
+                if (!fallback || session.ended) throw error;
+
+                ariLogger.warn('Prompt text could not be played', {
+                    channelId: session.channel.id,
+                    flow: session.flow.name,
+                    step: session.lastStepId,
+                    fallback: sounds.length > 0 ? 'sound' : 'skipped',
+                    error: error.message
+                });
+            }
+        }
+
+        await this.playParts(session, sounds, voice, collector);
+    }
+
+    /**
+     * Play prompt parts ({ media } or { text }) in order
+     */
+    async playParts(session, parts, voice, collector) {
+        for (const part of parts) {
+            if (session.ended || collector?.digits) return;
+
+            const playback = this.getAri().Playback(uuidv4());
+            const finished = new Promise((resolve) => {
+                playback.once('PlaybackFinished', () => resolve('finished'));
+            });
+            const bargeIn = () => playback.stop().catch(() => {});
+            collector?.once('digit', bargeIn);
+
+            try {
+                if (part.text) {
+                    await this.playText(session.channel, part.text, { voice, playback });
+                } else {
+                    const uri = part.media.includes(':') ? part.media : `sound:${part.media}`;
+                    await session.channel.play({ media: uri }, playback);
+                }
+                await waitFor(collector ? Promise.race([finished, collector.done]) : finished, session.hangup, 120000);
+            } finally {
+                collector?.removeListener('digit', bargeIn);
+            }
+        }
+    }
+
+    /**
+     * Jump to the step mapped to the variable's value
+     */
+    branch(session, step) {
+        const value = getVar(session.vars, step.var);
+        const key = value === null || value === undefined ? '' : String(value);
+
+        if (Object.prototype.hasOwnProperty.call(step.cases, key)) {
+            return step.cases[key];
+        }
+        return step.default !== undefined ? step.default : step.next;
+    }
+
+    /**
+     * Create the transcription for the last recording
+     * Queued by default; with `wait: true` the flow waits for the result
+     * and sets `transcript` and `intent`. Skipped when the call is already
+     * transcribed live.
+     */
+    async transcribe(session, step) {
+        const { channel, callId } = session;
+        const recording = session.vars.recording;
+
+        if (this.isStreaming(channel.id)) {
+            ariLogger.info('Recording completed (streaming transcription active)', {
+                channelId: channel.id,
+                recordingName: recording?.name
+            });
+            return;
+        }
+        if (!recording) {
+            ariLogger.warn('Transcribe step without a recording', { channelId: channel.id, flow: session.flow.name });
+            return;
+        }
+        // Already transcribed before the caller hung up
+        if (recording.transcriptionId) {
+            return;
+        }
+
+        if (!recording.path) {
+            const transcriptionId = await TranscriptionRepository.createTranscription(callId, null, 'failed');
+            await TranscriptionRepository.failTranscription(transcriptionId, recording.error);
+            recording.transcriptionId = transcriptionId;
+            session.vars.transcriptionId = transcriptionId;
+            return;
+        }
+
+        const { path: recordingPath, check } = recording;
+        const status = check.status === 'invalid' ? 'failed' : check.status;
+
+        const transcriptionId = await TranscriptionRepository.createTranscription(callId, recordingPath, status);
+        await TranscriptionRepository.saveAudioCheck(transcriptionId, check);
+        recording.transcriptionId = transcriptionId;
+        session.vars.transcriptionId = transcriptionId;
+
+        if (!check.valid) {
+            ariLogger.warn('Recording rejected, not sent for transcription', {
+                channelId: channel.id,
+                transcriptionId,
+                status,
+                reason: check.reason
+            });
+            return;
+        }
+
+        if (step.wait) {
+            const result = await AIProcessor.processRecording(transcriptionId, recordingPath);
+            session.vars.transcript = result.transcription ?? null;
+            session.vars.intent = result.enrichment?.intent ?? null;
+            session.vars.summary = result.enrichment?.summary ?? null;
+            return;
+        }
+
+        ariLogger.info('🤖 Queueing AI processing...', {
+            transcriptionId,
+            recordingPath,
+            channelId: channel.id
+        });
+        transcriptionQueue.enqueue(transcriptionId);
+    }
+
+    /**
+     * Send the call back to the dialplan; the channel leaves Stasis
+     */
+    async transfer(session, step) {
+        const target = {
+            context: step.context || this.transferContext,
+            extension: renderTemplate(String(step.extension), session.vars),
+            priority: step.priority ?? 1
+        };
+
+        ariLogger.info('Transferring call', { channelId: session.channel.id, ...target });
+        await this.logEvent(session, 'transfer', { flow: session.flow.name, ...target });
+        await session.channel.continueInDialplan(target);
+
+        session.endReason = 'transferred';
+        session.ended = true;
+        return null;
+    }
+
+    /**
+     * Hand the caller to a human agent (see ./warm-transfer.js)
+     * Ends the flow once the caller was connected or sent to voicemail;
+     * otherwise sets `transferOutcome` and continues at `onFail` (or `next`).
+     */
+    async warmTransferStep(session, step) {
+        const summary = session.vars.summary || session.vars.transcript;
+        const whisper = step.whisper === false
+            ? null
+            : renderTemplate(step.whisper || DEFAULT_WHISPER, { ...session.vars, summary: summary || '' });
+
+        const result = await this.warmTransfer.transfer(session.channel, {
+            callId: session.callId,
+            extension: step.extension !== undefined ? renderTemplate(String(step.extension), session.vars) : undefined,
+            queue: step.queue !== undefined ? renderTemplate(String(step.queue), session.vars) : undefined,
+            summary,
+            whisper,
+            voicemail: step.voicemail,
+            timeoutSeconds: step.timeoutSeconds
+        });
+
+        session.vars.transferOutcome = result.fallback || result.outcome;
+
+        if (result.outcome === 'answered' || result.fallback) {
+            session.endReason = result.fallback || 'transferred';
+            session.ended = true;
+            return null;
+        }
+        return step.onFail;
+    }
+
+    /**
+     * Hand the call to the conversation agent until the dialogue ends
+     * When the agent hands off (reason 'transfer') the flow continues at
+     * `onTransfer` with the dialogue summary in `summary`.
+     */
+    async converse(session, step) {
+        const result = await this.conversationAgent.run(session.channel, { callId: session.callId });
+
+        if (result?.reason === 'transfer') {
+            session.vars.summary = result.summary;
+            return step.onTransfer;
+        }
+    }
+
+    /**
+     * Wait for `seconds` (or until the caller hangs up)
+     */
+    async pause(session, step) {
+        await waitFor(new Promise(() => {}), session.hangup, step.seconds * 1000);
+    }
+
+    /**
+     * Hang up the call and end the flow
+     */
+    async hangup(session, step) {
+        session.endReason = 'hangup';
+        session.ended = true;
+        await this.hangupChannel(session.channel, step.reason || 'normal');
+        return null;
+    }
+
+    /**
+     * Record a flow event on the call (failures are only logged)
+     */
+    async logEvent(session, eventType, data) {
+        if (!session.callId) return;
+
+        try {
+            await CallRepository.logCallEvent(session.callId, eventType, data);
+        } catch (error) {
+            ariLogger.error('Failed to log call flow event', { eventType, error: error.message });
+        }
+    }
+
+    /**
+     * The caller left: end the flow after the current step
+     */
+    stop(channelId) {
+        const session = this.sessions.get(channelId);
+        if (!session) return;
+
+        session.ended = true;
+        session.resolveHangup();
+        this.conversationAgent.stop(channelId);
+        this.warmTransfer.callerLeft(channelId);
+    }
+
+    /**
+     * End every flow and wait (up to timeoutMs) for them to finish
+     */
+    async stopAll(timeoutMs = 10000) {
+        const pending = [...this.sessions.values()].map((session) => {
+            this.stop(session.channel.id);
+            return session.done;
+        });
+
+        await settleWithin(pending, timeoutMs);
+    }
+
+    /**
+     * Whether a flow is running on the channel
+     */
+    isActive(channelId) {
+        return this.sessions.has(channelId);
+    }
+
+    /**
+     * Get flow engine status
+     */
+    getStatus() {
+        const byFlow = {};
+        for (const session of this.sessions.values()) {
+            byFlow[session.flow.name] = (byFlow[session.flow.name] || 0) + 1;
+        }
+
+        return {
+            activeFlows: this.sessions.size,
+            byFlow
+        };
+    }
+}
+
+/**
+ * Classify gathered digits: 'valid', 'invalid' or 'no_input'
+ */
+function gatherOutcome(digits, step) {
+    if (!digits) return 'no_input';
+    if (step.minDigits && digits.length < step.minDigits) return 'invalid';
+    if (step.valid && !step.valid.map(String).includes(digits)) return 'invalid';
+    if (step.pattern && !new RegExp(`^(?:${step.pattern})$`).test(digits)) return 'invalid';
+    return 'valid';
+}
+
+/**
+ * Read a dotted variable path (e.g. "caller.number")
+ */
+function getVar(vars, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+/**
+ * Replace {{path}} placeholders with session variables
+ */
+function renderTemplate(text, vars) {
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = getVar(vars, path);
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+export default FlowEngine;
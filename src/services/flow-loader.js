@@ -0,0 +1,391 @@
+/**
+ * Call Flow Loader
+ *
+ * Loads declarative call flows (JSON or YAML) from FLOWS_DIR, validates
+ * them and keeps them up to date while the gateway runs:
+ * - Every file defines one flow:
+ *   { name, description?, extensions?, streaming?, start, onHangup?, steps }
+ * - Invalid flows are rejected with a list of errors; on reload the
+ *   previously loaded version of that flow stays active
+ * - The directory is watched and reloaded on change (FLOWS_HOT_RELOAD)
+ *
+ * Flow objects are never mutated after loading, so calls that are already
+ * running keep executing the version they started with.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import YAML from 'yaml';
+import { ariLogger } from '../utils/logger.js';
+
+export const STEP_TYPES = [
+    'play', 'say', 'record', 'gather', 'branch',
+    'transcribe', 'transfer', 'warm_transfer', 'converse', 'pause', 'hangup'
+];
+
+// Steps that can still run after the caller hung up
+export const HANGUP_STEP_TYPES = ['transcribe', 'branch'];
+
+const FLOW_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const RELOAD_DEBOUNCE_MS = 250;
+
+export class FlowLoader extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.flowsDir = path.resolve(options.flowsDir || process.env.FLOWS_DIR || './config/flows');
+        this.hotReload = options.hotReload ?? process.env.FLOWS_HOT_RELOAD !== 'false';
+
+        this.flows = new Map();
+        this.errors = new Map();
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    /**
+     * Load all flows and start watching the directory
+     */
+    start() {
+        this.load();
+
+        if (this.hotReload && fs.existsSync(this.flowsDir)) {
+            this.watcher = fs.watch(this.flowsDir, () => this.scheduleReload());
+            this.watcher.on('error', (error) => {
+                ariLogger.error('Call flow watcher error:', error);
+            });
+        }
+    }
+
+    /**
+     * Stop watching the flows directory
+     */
+    stop() {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = null;
+        }
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Editors write files in several steps - reload once they settle
+     */
+    scheduleReload() {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+        }
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = null;
+            this.load();
+        }, RELOAD_DEBOUNCE_MS);
+    }
+
+    /**
+     * (Re)load every flow file
+     * Valid flows replace their previous version; invalid files keep the
+     * previous version of the flow (if any) and are reported in `errors`.
+     */
+    load() {
+        const flows = new Map();
+        const errors = new Map();
+
+        let files = [];
+        try {
+            files = fs.readdirSync(this.flowsDir)
+                .filter(file => FLOW_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+                .sort();
+        } catch (error) {
+            ariLogger.warn('Call flows directory not readable', { flowsDir: this.flowsDir, error: error.message });
+        }
+
+        for (const file of files) {
+            const result = this.loadFile(path.join(this.flowsDir, file));
+
+            if (result.errors.length > 0) {
+                errors.set(file, result.errors);
+                ariLogger.error('Invalid call flow', { file, errors: result.errors });
+
+                // Keep serving the last good version of this flow
+                const previous = [...this.flows.values()].find(flow => flow.file === file);
+                if (previous && !flows.has(previous.name)) {
+                    flows.set(previous.name, previous);
+                }
+                continue;
+            }
+
+            if (flows.has(result.flow.name)) {
+                errors.set(file, [`Duplicate flow name '${result.flow.name}'`]);
+                ariLogger.error('Duplicate call flow name', { file, name: result.flow.name });
+                continue;
+            }
+
+            flows.set(result.flow.name, result.flow);
+        }
+
+        this.flows = flows;
+        this.errors = errors;
+
+        ariLogger.info('Call flows loaded', {
+            flows: [...flows.keys()],
+            invalid: [...errors.keys()]
+        });
+        this.emit('reloaded', { flows: [...flows.keys()], errors: Object.fromEntries(errors) });
+    }
+
+    /**
+     * Parse and validate one flow file
+     */
+    loadFile(file) {
+        let definition;
+        try {
+            const content = fs.readFileSync(file, 'utf8');
+            definition = path.extname(file).toLowerCase() === '.json'
+                ? JSON.parse(content)
+                : YAML.parse(content);
+        } catch (error) {
+            return { flow: null, errors: [`Parse error: ${error.message}`] };
+        }
+
+        const errors = validateFlow(definition);
+        if (errors.length > 0) {
+            return { flow: null, errors };
+        }
+
+        return {
+            flow: deepFreeze({
+                ...definition,
+                extensions: (definition.extensions || []).map(String),
+                file: path.basename(file),
+                loadedAt: new Date().toISOString()
+            }),
+            errors: []
+        };
+    }
+
+    /**
+     * Get a flow by name
+     */
+    get(name) {
+        return this.flows.get(name) || null;
+    }
+
+    /**
+     * Pick the flow for a new Stasis channel:
+     * 1. a Stasis argument naming a flow (`ivr` or `flow=ivr`)
+     * 2. a flow listing the dialed extension in `extensions`
+     * 3. FLOW_DEFAULT
+     */
+    select({ args = [], extension } = {}) {
+        for (const arg of args) {
+            const name = String(arg).replace(/^flow=/, '');
+            if (this.flows.has(name)) {
+                return this.flows.get(name);
+            }
+        }
+
+        if (extension) {
+            for (const flow of this.flows.values()) {
+                if (flow.extensions.includes(String(extension))) {
+                    return flow;
+                }
+            }
+        }
+
+        return this.flows.get(process.env.FLOW_DEFAULT || 'voice-to-ai') || null;
+    }
+
+    /**
+     * Get loader status
+     */
+    getStatus() {
+        return {
+            flowsDir: this.flowsDir,
+            hotReload: Boolean(this.watcher),
+            flows: [...this.flows.values()].map(flow => ({
+                name: flow.name,
+                file: flow.file,
+                extensions: flow.extensions,
+                loadedAt: flow.loadedAt
+            })),
+            errors: Object.fromEntries(this.errors)
+        };
+    }
+}
+
+/**
+ * Validate a flow definition
+ * Returns a list of error messages (empty when valid)
+ */
+export function validateFlow(flow) {
+    const errors = [];
+
+    if (!flow || typeof flow !== 'object' || Array.isArray(flow)) {
+        return ['Flow must be an object'];
+    }
+    if (!flow.name || typeof flow.name !== 'string') {
+        errors.push('name is required');
+    }
+    if (flow.extensions !== undefined && !Array.isArray(flow.extensions)) {
+        errors.push('extensions must be an array');
+    }
+    if (flow.streaming !== undefined && typeof flow.streaming !== 'boolean') {
+        errors.push('streaming must be true or false');
+    }
+    if (!flow.steps || typeof flow.steps !== 'object' || Array.isArray(flow.steps)) {
+        errors.push('steps must be an object keyed by step id');
+        return errors;
+    }
+    if (!flow.start || !flow.steps[flow.start]) {
+        errors.push(`start must name an existing step (got '${flow.start}')`);
+    }
+
+    const targetExists = (target) => target === undefined || target === null || Boolean(flow.steps[target]);
+
+    if (flow.onHangup !== undefined) {
+        if (!flow.steps[flow.onHangup]) {
+            errors.push(`onHangup refers to unknown step '${flow.onHangup}'`);
+        } else if (!HANGUP_STEP_TYPES.includes(flow.steps[flow.onHangup].type)) {
+            errors.push(`onHangup step must be one of: ${HANGUP_STEP_TYPES.join(', ')}`);
+        }
+    }
+
+    for (const [id, step] of Object.entries(flow.steps)) {
+        const at = `steps.${id}`;
+
+        if (!step || typeof step !== 'object') {
+            errors.push(`${at} must be an object`);
+            continue;
+        }
+        if (!STEP_TYPES.includes(step.type)) {
+            errors.push(`${at}.type must be one of: ${STEP_TYPES.join(', ')}`);
+            continue;
+        }
+        if (!targetExists(step.next)) {
+            errors.push(`${at}.next refers to unknown step '${step.next}'`);
+        }
+        if (!targetExists(step.onError)) {
+            errors.push(`${at}.onError refers to unknown step '${step.onError}'`);
+        }
+
+        switch (step.type) {
+            case 'play':
+                if (!step.media || (Array.isArray(step.media) && step.media.length === 0)) {
+                    errors.push(`${at}.media is required`);
+                }
+                break;
+            case 'say':
+                if (!step.text || typeof step.text !== 'string') {
+                    errors.push(`${at}.text is required`);
+                }
+                break;
+            case 'gather':
+                errors.push(...validateGather(step, at, targetExists));
+                break;
+            case 'branch':
+                if (!step.var || typeof step.var !== 'string') {
+                    errors.push(`${at}.var is required`);
+                }
+                if (!step.cases || typeof step.cases !== 'object' || Array.isArray(step.cases)) {
+                    errors.push(`${at}.cases must be an object mapping values to step ids`);
+                } else {
+                    for (const [value, target] of Object.entries(step.cases)) {
+                        if (!targetExists(target)) {
+                            errors.push(`${at}.cases.${value} refers to unknown step '${target}'`);
+                        }
+                    }
+                }
+                if (!targetExists(step.default)) {
+                    errors.push(`${at}.default refers to unknown step '${step.default}'`);
+                }
+                break;
+            case 'transfer':
+                if (!step.extension) {
+                    errors.push(`${at}.extension is required`);
+                }
+                break;
+            case 'warm_transfer':
+                if (Boolean(step.extension) === Boolean(step.queue)) {
+                    errors.push(`${at} needs either extension or queue`);
+                }
+                if (step.timeoutSeconds !== undefined && !(typeof step.timeoutSeconds === 'number' && step.timeoutSeconds > 0)) {
+                    errors.push(`${at}.timeoutSeconds must be a positive number`);
+                }
+                if (step.whisper !== undefined && step.whisper !== false && typeof step.whisper !== 'string') {
+                    errors.push(`${at}.whisper must be text or false`);
+                }
+                if (!targetExists(step.onFail)) {
+                    errors.push(`${at}.onFail refers to unknown step '${step.onFail}'`);
+                }
+                break;
+            case 'converse':
+                if (!targetExists(step.onTransfer)) {
+                    errors.push(`${at}.onTransfer refers to unknown step '${step.onTransfer}'`);
+                }
+                break;
+            case 'pause':
+                if (typeof step.seconds !== 'number' || step.seconds <= 0) {
+                    errors.push(`${at}.seconds must be a positive number`);
+                }
+                break;
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the options of a gather step
+ */
+function validateGather(step, at, targetExists) {
+    const errors = [];
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+    for (const field of ['minDigits', 'maxDigits']) {
+        if (step[field] !== undefined && !isPositiveInteger(step[field])) {
+            errors.push(`${at}.${field} must be a positive integer`);
+        }
+    }
+    if (isPositiveInteger(step.minDigits) && step.minDigits > (step.maxDigits ?? 1)) {
+        errors.push(`${at}.minDigits must not exceed maxDigits`);
+    }
+    for (const field of ['timeoutSeconds', 'interDigitTimeoutSeconds']) {
+        if (step[field] !== undefined && !(typeof step[field] === 'number' && step[field] > 0)) {
+            errors.push(`${at}.${field} must be a positive number`);
+        }
+    }
+    if (step.retries !== undefined && !(Number.isInteger(step.retries) && step.retries >= 0)) {
+        errors.push(`${at}.retries must be a non-negative integer`);
+    }
+    if (step.terminators !== undefined && !/^[0-9*#A-D]*$/.test(String(step.terminators))) {
+        errors.push(`${at}.terminators must only contain DTMF keys (0-9, *, #, A-D)`);
+    }
+    if (step.valid !== undefined && !Array.isArray(step.valid)) {
+        errors.push(`${at}.valid must be an array of accepted inputs`);
+    }
+    if (step.pattern !== undefined) {
+        try {
+            new RegExp(step.pattern);
+        } catch (error) {
+            errors.push(`${at}.pattern is not a valid regular expression`);
+        }
+    }
+    if (!targetExists(step.onFail)) {
+        errors.push(`${at}.onFail refers to unknown step '${step.onFail}'`);
+    }
+
+    return errors;
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+export default FlowLoader;
@@ -0,0 +1,193 @@
+/**
+ * Recording Store
+ *
+ * Brings finished ARI recordings into storage managed by the gateway and
+ * checks them before anything is sent to a speech-to-text provider.
+ *
+ * RECORDING_SOURCE selects where recordings are read from:
+ * - ari: download through the ARI stored-recordings API (default);
+ *   works when Asterisk runs on another host or in a container
+ * - local: copy from RECORDING_LOCAL_DIR on a shared filesystem
+ *
+ * Files are stored as RECORDINGS_DIR/<name>.wav and checked for a valid
+ * WAV header, duration, sample rate, level and silence ratio.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ariLogger } from '../utils/logger.js';
+import { parseWav, toMono16, analyzeLevels } from '../utils/wav.js';
+
+export class RecordingStore {
+    constructor({ ari }) {
+        this.ari = ari;
+
+        this.source = process.env.RECORDING_SOURCE === 'local' ? 'local' : 'ari';
+        this.localDir = process.env.RECORDING_LOCAL_DIR || '/var/spool/asterisk/recording';
+        this.recordingsDir = path.resolve(process.env.RECORDINGS_DIR || './recordings');
+        this.deleteRemote = process.env.RECORDING_DELETE_REMOTE === 'true';
+        this.fetchTimeout = parseInt(process.env.RECORDING_FETCH_TIMEOUT_MS) || 15000;
+
+        // Validation thresholds
+        this.minDurationMs = parseInt(process.env.RECORDING_MIN_DURATION_MS) || 500;
+        this.minSampleRate = parseInt(process.env.RECORDING_MIN_SAMPLE_RATE) || 8000;
+        this.silenceThresholdDbfs = parseFloat(process.env.RECORDING_SILENCE_THRESHOLD_DBFS) || -50;
+        this.maxSilenceRatio = parseFloat(process.env.RECORDING_MAX_SILENCE_RATIO) || 0.98;
+
+        if (!fs.existsSync(this.recordingsDir)) {
+            fs.mkdirSync(this.recordingsDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Retrieve a finished recording into managed storage and check it
+     * Resolves with { path, check }. Throws if the recording cannot be
+     * retrieved.
+     */
+    async store(recordingName) {
+        const audio = this.source === 'local'
+            ? await this.readLocal(recordingName)
+            : await this.downloadFromAri(recordingName);
+
+        const file = path.join(this.recordingsDir, `${path.basename(recordingName)}.wav`);
+        await fs.promises.writeFile(file, audio);
+
+        if (this.source === 'ari' && this.deleteRemote) {
+            await this.deleteFromAri(recordingName);
+        }
+
+        const check = this.validate(audio);
+
+        ariLogger.info('Recording stored', {
+            recordingName,
+            path: file,
+            source: this.source,
+            status: check.status,
+            ...check.metrics
+        });
+
+        return { path: file, check };
+    }
+
+    /**
+     * Download GET /ari/recordings/stored/{name}/file
+     */
+    async downloadFromAri(recordingName) {
+        const response = await fetch(this.storedRecordingUrl(recordingName, '/file'), {
+            headers: { Authorization: this.authorizationHeader() },
+            signal: AbortSignal.timeout(this.fetchTimeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`ARI stored recording '${recordingName}' responded with HTTP ${response.status}`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    /**
+     * Remove the copy kept by Asterisk once we have our own
+     */
+    async deleteFromAri(recordingName) {
+        try {
+            const response = await fetch(this.storedRecordingUrl(recordingName), {
+                method: 'DELETE',
+                headers: { Authorization: this.authorizationHeader() },
+                signal: AbortSignal.timeout(this.fetchTimeout)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            ariLogger.warn('Could not delete stored recording from Asterisk', {
+                recordingName,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Read the recording from the Asterisk spool directory
+     */
+    async readLocal(recordingName) {
+        const file = path.join(this.localDir, `${path.basename(recordingName)}.wav`);
+
+        try {
+            return await fs.promises.readFile(file);
+        } catch (error) {
+            throw new Error(`Recording not found: ${file}`);
+        }
+    }
+
+    /**
+     * Check recorded audio before transcription
+     * status: 'pending' (valid), 'empty', 'silent' or 'invalid'
+     */
+    validate(audio) {
+        const metrics = { bytes: audio.length };
+
+        if (audio.length === 0) {
+            return { valid: false, status: 'empty', reason: 'Recording file is empty', metrics };
+        }
+
+        let wav;
+        let samples;
+        try {
+            wav = parseWav(audio);
+            samples = toMono16(wav);
+        } catch (error) {
+            return { valid: false, status: 'invalid', reason: `Invalid recording: ${error.message}`, metrics };
+        }
+
+        Object.assign(metrics, {
+            durationMs: wav.durationMs,
+            sampleRate: wav.sampleRate,
+            channels: wav.channels,
+            bitsPerSample: wav.bitsPerSample,
+            ...analyzeLevels(samples, wav.sampleRate, {
+                silenceThresholdDbfs: this.silenceThresholdDbfs
+            })
+        });
+
+        if (wav.sampleRate < this.minSampleRate) {
+            return {
+                valid: false,
+                status: 'invalid',
+                reason: `Sample rate ${wav.sampleRate} Hz is below ${this.minSampleRate} Hz`,
+                metrics
+            };
+        }
+
+        if (wav.durationMs < this.minDurationMs) {
+            return {
+                valid: false,
+                status: 'empty',
+                reason: `Recording is ${wav.durationMs} ms long (minimum ${this.minDurationMs} ms)`,
+                metrics
+            };
+        }
+
+        if (metrics.silenceRatio >= this.maxSilenceRatio) {
+            return {
+                valid: false,
+                status: 'silent',
+                reason: `Recording is ${Math.round(metrics.silenceRatio * 100)}% silence`,
+                metrics
+            };
+        }
+
+        return { valid: true, status: 'pending', reason: null, metrics };
+    }
+
+    storedRecordingUrl(recordingName, suffix = '') {
+        const { host, port } = this.ari;
+        return `http://${host}:${port}/ari/recordings/stored/${encodeURIComponent(recordingName)}${suffix}`;
+    }
+
+    authorizationHeader() {
+        const { username, password } = this.ari;
+        return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    }
+}
+
+export default RecordingStore;
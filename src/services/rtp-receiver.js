@@ -0,0 +1,130 @@
+/**
+ * RTP Receiver
+ *
+ * Receives the RTP audio stream that Asterisk sends to an ARI
+ * externalMedia channel. Each receiver binds its own UDP port, so one
+ * receiver maps to exactly one channel.
+ *
+ * Asterisk sends signed linear (slin/slin16) payloads in network byte
+ * order; payloads are converted to little-endian PCM before they are
+ * emitted as 'audio' events.
+ */
+
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+
+const RTP_HEADER_LENGTH = 12;
+
+export class RtpReceiver extends EventEmitter {
+    constructor({ port, bindAddress = '0.0.0.0', sampleRate = 16000 }) {
+        super();
+
+        this.port = port;
+        this.bindAddress = bindAddress;
+        this.sampleRate = sampleRate;
+        this.socket = null;
+
+        this.firstTimestamp = null;
+        this.packetsReceived = 0;
+    }
+
+    /**
+     * Bind the UDP socket
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.socket = dgram.createSocket('udp4');
+
+            this.socket.once('error', reject);
+            this.socket.on('message', (message) => this.handlePacket(message));
+
+            this.socket.bind(this.port, this.bindAddress, () => {
+                this.socket.off('error', reject);
+                this.socket.on('error', (error) => this.emit('error', error));
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Parse an RTP packet and emit its audio payload
+     */
+    handlePacket(message) {
+        const packet = RtpReceiver.parsePacket(message);
+        if (!packet) return;
+
+        if (this.firstTimestamp === null) {
+            this.firstTimestamp = packet.timestamp;
+        }
+        this.packetsReceived++;
+
+        // RTP timestamps count samples; wrap-around safe offset from the first packet
+        const samples = (packet.timestamp - this.firstTimestamp) >>> 0;
+        const offsetMs = Math.round(samples / this.sampleRate * 1000);
+
+        this.emit('audio', RtpReceiver.swapBytes(packet.payload), {
+            sequence: packet.sequence,
+            timestamp: packet.timestamp,
+            ssrc: packet.ssrc,
+            offsetMs
+        });
+    }
+
+    /**
+     * Close the UDP socket
+     */
+    stop() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * Parse an RTP packet (RFC 3550)
+     * Returns null for packets that are not RTP version 2.
+     */
+    static parsePacket(buffer) {
+        if (buffer.length < RTP_HEADER_LENGTH || (buffer[0] >> 6) !== 2) {
+            return null;
+        }
+
+        const hasPadding = (buffer[0] & 0x20) !== 0;
+        const hasExtension = (buffer[0] & 0x10) !== 0;
+        const csrcCount = buffer[0] & 0x0f;
+
+        let offset = RTP_HEADER_LENGTH + csrcCount * 4;
+        if (hasExtension) {
+            if (buffer.length < offset + 4) return null;
+            offset += 4 + buffer.readUInt16BE(offset + 2) * 4;
+        }
+
+        let end = buffer.length;
+        if (hasPadding) {
+            end -= buffer[buffer.length - 1];
+        }
+        if (offset > end) return null;
+
+        return {
+            payloadType: buffer[1] & 0x7f,
+            marker: (buffer[1] & 0x80) !== 0,
+            sequence: buffer.readUInt16BE(2),
+            timestamp: buffer.readUInt32BE(4),
+            ssrc: buffer.readUInt32BE(8),
+            payload: buffer.subarray(offset, end)
+        };
+    }
+
+    /**
+     * Convert 16-bit big-endian samples to little-endian (copy)
+     */
+    static swapBytes(payload) {
+        const swapped = Buffer.from(payload);
+        if (swapped.length % 2 === 0) {
+            swapped.swap16();
+        }
+        return swapped;
+    }
+}
+
+export default RtpReceiver;
@@ -0,0 +1,318 @@
+/**
+ * Streaming Transcriber
+ *
+ * Real-time transcription of a call in progress:
+ * - An ARI externalMedia channel is created for the caller and both are
+ *   put in a mixing bridge, so Asterisk sends the caller audio as RTP
+ *   to a UDP port owned by the gateway
+ * - The audio is fed to a streaming provider (see ./transcription)
+ * - 'partial' results are emitted as they arrive; 'final' results are
+ *   redacted and appended to transcription_segments immediately, so a
+ *   call in progress already has a transcript
+ * - When the call ends the full transcript is finalized like a batch
+ *   job (redaction, enrichment, alert rules)
+ */
+
+import { EventEmitter } from 'events';
+import { ariLogger } from '../utils/logger.js';
+import { TranscriptionRepository } from '../database/transcription-repository.js';
+import { piiRedactor } from '../utils/pii-redactor.js';
+import { createStreamingProvider } from './transcription/index.js';
+import { AIProcessor } from './ai-processor.js';
+import { RtpReceiver } from './rtp-receiver.js';
+
+const SAMPLE_RATE = 16000;
+const MEDIA_FORMAT = 'slin16';
+
+// RTP ports in use, shared by the transcribers of all PBX instances
+// (they bind on the same host)
+const usedPorts = new Set();
+
+export class StreamingTranscriber extends EventEmitter {
+    constructor({ getAri, appName }) {
+        super();
+
+        this.getAri = getAri;
+        this.appName = appName;
+
+        // Address Asterisk sends RTP to, and the local address we bind
+        this.rtpHost = process.env.RTP_HOST || '127.0.0.1';
+        this.bindAddress = process.env.RTP_BIND_ADDRESS || '0.0.0.0';
+        this.portStart = parseInt(process.env.RTP_PORT_START) || 40000;
+        this.portEnd = parseInt(process.env.RTP_PORT_END) || 40100;
+
+        this.provider = null;
+
+        // Sessions keyed by caller channel id
+        this.sessions = new Map();
+        this.usedPorts = usedPorts;
+        this.externalChannelIds = new Set();
+    }
+
+    /**
+     * Get the configured streaming provider (created on first use)
+     */
+    getProvider() {
+        if (!this.provider) {
+            this.provider = createStreamingProvider();
+            ariLogger.info('Streaming provider selected', { provider: this.provider.name });
+        }
+        return this.provider;
+    }
+
+    /**
+     * Whether a channel is one of our externalMedia channels
+     * (they enter the Stasis app too and must not be treated as calls)
+     */
+    isExternalMediaChannel(channel) {
+        return this.externalChannelIds.has(channel.id)
+            || (channel.name || '').startsWith('UnicastRTP/');
+    }
+
+    /**
+     * Start streaming transcription for an answered caller channel
+     */
+    async start(channel, { callId, recordingPath = null }) {
+        const ari = this.getAri();
+        const channelId = channel.id;
+
+        if (this.sessions.has(channelId)) {
+            return this.sessions.get(channelId);
+        }
+
+        const provider = this.getProvider();
+        const port = this.allocatePort();
+
+        // Until the session exists, a failure must release the port and
+        // fail the transcription row itself
+        let transcriptionId = null;
+        let session;
+        try {
+            transcriptionId = await TranscriptionRepository.createTranscription(callId, recordingPath, 'streaming');
+
+            session = {
+                channelId,
+                callId,
+                transcriptionId,
+                port,
+                provider: provider.name,
+                receiver: new RtpReceiver({ port, bindAddress: this.bindAddress, sampleRate: SAMPLE_RATE }),
+                stream: provider.createStream({ sampleRate: SAMPLE_RATE }),
+                externalChannel: null,
+                bridge: null,
+                segments: [],
+                startedAt: Date.now(),
+                pendingWrites: Promise.resolve()
+            };
+        } catch (error) {
+            ariLogger.error('Failed to start streaming transcription', {
+                channelId,
+                error: error.message
+            });
+            this.usedPorts.delete(port);
+            if (transcriptionId) {
+                await TranscriptionRepository.failTranscription(transcriptionId, error.message);
+            }
+            throw error;
+        }
+        this.sessions.set(channelId, session);
+
+        this.attachStream(session);
+
+        try {
+            await session.receiver.start();
+            session.receiver.on('audio', (pcm) => session.stream.write(pcm));
+            session.receiver.on('error', (error) => {
+                ariLogger.error('RTP receiver error', { channelId, error: error.message });
+            });
+
+            session.externalChannel = await ari.channels.externalMedia({
+                app: this.appName,
+                external_host: `${this.rtpHost}:${port}`,
+                format: MEDIA_FORMAT
+            });
+            this.externalChannelIds.add(session.externalChannel.id);
+
+            session.bridge = ari.Bridge();
+            await session.bridge.create({ type: 'mixing' });
+            await session.bridge.addChannel({ channel: [channelId, session.externalChannel.id] });
+
+            ariLogger.info('🎧 Streaming transcription started', {
+                channelId,
+                transcriptionId,
+                externalChannelId: session.externalChannel.id,
+                rtp: `${this.rtpHost}:${port}`,
+                provider: provider.name
+            });
+
+            return session;
+
+        } catch (error) {
+            ariLogger.error('Failed to start streaming transcription', {
+                channelId,
+                error: error.message
+            });
+            this.sessions.delete(channelId);
+            session.stream.end();
+            await this.teardown(session);
+            await TranscriptionRepository.failTranscription(transcriptionId, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Forward provider results; finals are persisted in arrival order
+     */
+    attachStream(session) {
+        const { channelId, callId, transcriptionId } = session;
+
+        session.stream.on('partial', (result) => {
+            this.emit('partial', {
+                channelId,
+                callId,
+                transcriptionId,
+                ...result,
+                text: piiRedactor.redact(result.text).text
+            });
+        });
+
+        session.stream.on('final', (result) => {
+            if (!result.text?.trim()) return;
+
+            const segment = {
+                startMs: result.startMs ?? 0,
+                endMs: result.endMs ?? result.startMs ?? 0,
+                speaker: result.speaker || 'caller',
+                text: result.text.trim(),
+                confidence: result.confidence ?? null
+            };
+            session.segments.push(segment);
+
+            const redacted = piiRedactor.redactSegments([segment])[0];
+            session.pendingWrites = session.pendingWrites
+                .then(() => TranscriptionRepository.appendSegment(transcriptionId, redacted))
+                .catch((error) => {
+                    ariLogger.error('Failed to store streaming segment', {
+                        transcriptionId,
+                        error: error.message
+                    });
+                });
+
+            this.emit('final', { channelId, callId, transcriptionId, ...redacted });
+        });
+
+        session.stream.on('error', (error) => {
+            ariLogger.error('Streaming provider error', { channelId, error: error.message });
+        });
+    }
+
+    /**
+     * Stop streaming for a caller channel and finalize the transcript
+     */
+    async stop(channelId) {
+        const session = this.sessions.get(channelId);
+        if (!session) return null;
+        this.sessions.delete(channelId);
+
+        // Let the provider flush the utterance in progress
+        await new Promise((resolve) => {
+            const timer = setTimeout(resolve, 10000);
+            session.stream.once('close', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            session.stream.end();
+        });
+
+        await this.teardown(session);
+        await session.pendingWrites;
+
+        const text = session.segments.map(s => s.text).join(' ');
+        const confidences = session.segments
+            .map(s => s.confidence)
+            .filter(c => typeof c === 'number');
+
+        try {
+            const result = await AIProcessor.finalizeTranscription(
+                session.transcriptionId,
+                { text, segments: session.segments },
+                {
+                    provider: session.provider,
+                    language: this.provider.language || null,
+                    confidence: confidences.length
+                        ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+                        : null,
+                    latencyMs: null
+                }
+            );
+
+            this.emit('completed', { channelId, callId: session.callId, result });
+            return result;
+
+        } catch (error) {
+            ariLogger.error('Failed to finalize streaming transcription', {
+                transcriptionId: session.transcriptionId,
+                error: error.message
+            });
+            await TranscriptionRepository.failTranscription(session.transcriptionId, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Stop every active session (shutdown)
+     */
+    async stopAll() {
+        await Promise.allSettled([...this.sessions.keys()].map(id => this.stop(id)));
+    }
+
+    /**
+     * Release the bridge, externalMedia channel and UDP port of a session
+     */
+    async teardown(session) {
+        if (session.bridge) {
+            try {
+                await session.bridge.destroy();
+            } catch (error) {
+                ariLogger.debug('Error destroying streaming bridge:', error.message);
+            }
+        }
+
+        if (session.externalChannel) {
+            this.externalChannelIds.delete(session.externalChannel.id);
+            try {
+                await session.externalChannel.hangup();
+            } catch (error) {
+                ariLogger.debug('Error hanging up externalMedia channel:', error.message);
+            }
+        }
+
+        session.receiver.stop();
+        this.usedPorts.delete(session.port);
+    }
+
+    /**
+     * Pick a free UDP port from the RTP range
+     */
+    allocatePort() {
+        for (let port = this.portStart; port <= this.portEnd; port++) {
+            if (!this.usedPorts.has(port)) {
+                this.usedPorts.add(port);
+                return port;
+            }
+        }
+        throw new Error(`No free RTP ports in range ${this.portStart}-${this.portEnd}`);
+    }
+
+    /**
+     * Get streaming status
+     */
+    getStatus() {
+        return {
+            activeSessions: this.sessions.size,
+            portRange: `${this.portStart}-${this.portEnd}`
+        };
+    }
+}
+
+export default StreamingTranscriber;
@@ -0,0 +1,182 @@
+/**
+ * Transcription Job Queue
+ *
+ * Durable, database-backed queue on top of the transcriptions table:
+ * - Jobs are claimed from 'pending'/'retrying' rows (attempt counter incremented)
+ * - Failed jobs are retried with exponential backoff
+ * - Jobs that exhaust their attempts move to 'dead_letter'
+ * - At most `concurrency` jobs run at the same time
+ * - Jobs left in 'processing' by a crash are recovered on start
+ */
+
+import { EventEmitter } from 'events';
+import { queueLogger } from '../utils/logger.js';
+import { TranscriptionRepository } from '../database/transcription-repository.js';
+import { AIProcessor } from './ai-processor.js';
+
+export class TranscriptionQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.concurrency = options.concurrency
+            ?? (parseInt(process.env.TRANSCRIPTION_CONCURRENCY) || 2);
+        this.maxAttempts = options.maxAttempts
+            ?? (parseInt(process.env.TRANSCRIPTION_MAX_ATTEMPTS) || 3);
+        this.retryBaseDelay = options.retryBaseDelay
+            ?? (parseInt(process.env.TRANSCRIPTION_RETRY_BASE_MS) || 5000);
+        this.retryMaxDelay = options.retryMaxDelay
+            ?? (parseInt(process.env.TRANSCRIPTION_RETRY_MAX_MS) || 300000);
+        this.pollInterval = options.pollInterval
+            ?? (parseInt(process.env.TRANSCRIPTION_POLL_INTERVAL_MS) || 2000);
+
+        // Job handler - receives the claimed transcription row
+        this.processor = options.processor
+            || ((job) => AIProcessor.runTranscription(job.id, job.recording_path));
+
+        this.isRunning = false;
+        this.isPumping = false;
+        this.pollTimer = null;
+
+        // Track in-flight jobs
+        this.activeJobs = new Map();
+    }
+
+    /**
+     * Recover interrupted jobs and start processing
+     */
+    async start() {
+        if (this.isRunning) return;
+
+        const { requeued, deadLettered, interrupted } = await TranscriptionRepository.recoverStuckJobs(this.maxAttempts);
+        if (requeued > 0 || deadLettered > 0 || interrupted > 0) {
+            queueLogger.warn('Recovered interrupted transcription jobs', { requeued, deadLettered, interrupted });
+        }
+
+        this.isRunning = true;
+        this.pollTimer = setInterval(() => this.pump(), this.pollInterval);
+
+        queueLogger.info('Transcription queue started', {
+            concurrency: this.concurrency,
+            maxAttempts: this.maxAttempts
+        });
+
+        await this.pump();
+    }
+
+    /**
+     * Notify the queue that a new job was added
+     * The job is already persisted as 'pending', so it is picked up
+     * by the next poll even if the queue is not running yet.
+     */
+    enqueue(transcriptionId) {
+        queueLogger.debug('Job enqueued', { transcriptionId });
+        this.emit('enqueued', { transcriptionId });
+        this.pump();
+    }
+
+    /**
+     * Claim due jobs until all worker slots are busy
+     */
+    async pump() {
+        if (!this.isRunning || this.isPumping) return;
+        this.isPumping = true;
+
+        try {
+            while (this.isRunning && this.activeJobs.size < this.concurrency) {
+                const job = await TranscriptionRepository.claimNextJob();
+                if (!job) break;
+
+                const promise = this.runJob(job).finally(() => {
+                    this.activeJobs.delete(job.id);
+                    this.pump();
+                });
+                this.activeJobs.set(job.id, promise);
+            }
+        } catch (error) {
+            queueLogger.error('Error claiming transcription jobs:', error);
+        } finally {
+            this.isPumping = false;
+        }
+    }
+
+    /**
+     * Run a claimed job and record its outcome
+     */
+    async runJob(job) {
+        queueLogger.info('Processing transcription job', {
+            transcriptionId: job.id,
+            attempt: job.attempts,
+            maxAttempts: this.maxAttempts
+        });
+
+        try {
+            const result = await this.processor(job);
+            this.emit('completed', { transcriptionId: job.id, result });
+        } catch (error) {
+            const errorMessage = error?.message || String(error);
+
+            try {
+                if (job.attempts >= this.maxAttempts) {
+                    await TranscriptionRepository.markAsDeadLetter(job.id, errorMessage);
+                    this.emit('deadletter', { transcriptionId: job.id, error: errorMessage });
+                } else {
+                    const delayMs = this.getRetryDelay(job.attempts);
+                    await TranscriptionRepository.scheduleRetry(job.id, errorMessage, delayMs);
+                    this.emit('retry', { transcriptionId: job.id, attempt: job.attempts, delayMs, error: errorMessage });
+                }
+            } catch (dbError) {
+                queueLogger.error('Error recording job failure:', dbError);
+            }
+        }
+    }
+
+    /**
+     * Exponential backoff: base * 2^(attempt - 1), capped at the max delay
+     */
+    getRetryDelay(attempt) {
+        return Math.min(this.retryBaseDelay * 2 ** (attempt - 1), this.retryMaxDelay);
+    }
+
+    /**
+     * Stop claiming jobs and wait (up to timeoutMs) for in-flight jobs
+     * Jobs still running afterwards are recovered on the next start.
+     */
+    async stop(timeoutMs = 10000) {
+        this.isRunning = false;
+
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        if (this.activeJobs.size > 0) {
+            queueLogger.info(`Waiting for ${this.activeJobs.size} in-flight transcription jobs...`);
+
+            let timer;
+            const timeout = new Promise((resolve) => {
+                timer = setTimeout(resolve, timeoutMs);
+            });
+            await Promise.race([Promise.allSettled(this.activeJobs.values()), timeout]);
+            clearTimeout(timer);
+        }
+
+        queueLogger.info('Transcription queue stopped');
+    }
+
+    /**
+     * Get queue status
+     */
+    getStatus() {
+        return {
+            running: this.isRunning,
+            concurrency: this.concurrency,
+            maxAttempts: this.maxAttempts,
+            activeJobs: this.activeJobs.size
+        };
+    }
+}
+
+// Shared queue instance used by the gateway
+export const transcriptionQueue = new TranscriptionQueue();
+
+export default TranscriptionQueue;
@@ -0,0 +1,129 @@
+/**
+ * Local Command Transcription Provider
+ *
+ * Runs a local speech-to-text binary (e.g. whisper.cpp) against the
+ * recording and reads the transcript from stdout.
+ *
+ * The argument template is split on whitespace and every `{file}`
+ * placeholder is replaced with the recording path, e.g.:
+ *   STT_COMMAND=whisper-cli
+ *   STT_COMMAND_ARGS=-m ./models/ggml-base.en.bin -f {file} -np
+ *
+ * Plain-text output is used as the transcript; whisper.cpp style
+ * `[00:00:01.000 --> 00:00:03.500]  text` lines become timed segments.
+ * If the command prints a JSON object instead, its `text`, `language`,
+ * `confidence` and `segments` fields are used.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import { normalizeSegments } from './segments.js';
+
+// [hh:mm:ss.mmm --> hh:mm:ss.mmm]  text
+const TIMESTAMP_LINE = /^\[(\d+):(\d{2}):(\d{2})[.,](\d{3})\s*-->\s*(\d+):(\d{2}):(\d{2})[.,](\d{3})\]\s*(.*)$/;
+
+export class CommandTranscriptionProvider {
+    constructor(options = {}) {
+        this.name = 'command';
+        this.command = options.command || process.env.STT_COMMAND;
+        this.args = options.args
+            || (process.env.STT_COMMAND_ARGS || '{file}').split(/\s+/).filter(Boolean);
+        this.timeout = options.timeout
+            ?? (parseInt(process.env.STT_COMMAND_TIMEOUT_MS) || 120000);
+        this.language = options.language || process.env.STT_LANGUAGE || 'en';
+
+        if (!this.command) {
+            throw new Error('STT_COMMAND must be set to use the command transcription provider');
+        }
+    }
+
+    /**
+     * Transcribe a recording by running the configured command
+     */
+    async transcribe(recordingPath) {
+        if (!fs.existsSync(recordingPath)) {
+            throw new Error(`Recording not found: ${recordingPath}`);
+        }
+
+        const args = this.args.map(arg => arg.replaceAll('{file}', recordingPath));
+        const stdout = await this.run(args);
+
+        return this.parseOutput(stdout);
+    }
+
+    /**
+     * Execute the command and resolve with its stdout
+     */
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, {
+                timeout: this.timeout,
+                maxBuffer: 10 * 1024 * 1024
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    const detail = stderr?.trim() || error.message;
+                    reject(new Error(`Transcription command failed: ${detail}`));
+                    return;
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    /**
+     * Parse command output as JSON or plain text
+     */
+    parseOutput(stdout) {
+        const output = stdout.trim();
+
+        if (output.startsWith('{')) {
+            try {
+                const parsed = JSON.parse(output);
+                return {
+                    text: (parsed.text || '').trim(),
+                    language: parsed.language || this.language,
+                    confidence: parsed.confidence ?? null,
+                    segments: normalizeSegments(parsed.segments)
+                };
+            } catch (error) {
+                // Not JSON after all - treat as plain text
+            }
+        }
+
+        const lines = output.split('\n').map(line => line.trim()).filter(Boolean);
+        const segments = [];
+        const textParts = [];
+
+        for (const line of lines) {
+            const match = line.match(TIMESTAMP_LINE);
+            if (match) {
+                const text = match[9].trim();
+                if (!text) continue;
+                segments.push({
+                    startMs: toMs(match.slice(1, 5)),
+                    endMs: toMs(match.slice(5, 9)),
+                    text
+                });
+                textParts.push(text);
+            } else {
+                textParts.push(line);
+            }
+        }
+
+        return {
+            text: textParts.join(' '),
+            language: this.language,
+            confidence: null,
+            segments: normalizeSegments(segments)
+        };
+    }
+}
+
+/**
+ * Convert [hours, minutes, seconds, millis] strings to milliseconds
+ */
+function toMs([hours, minutes, seconds, millis]) {
+    return ((parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000 + parseInt(millis);
+}
+
+export default CommandTranscriptionProvider;
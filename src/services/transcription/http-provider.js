@@ -0,0 +1,74 @@
+/**
+ * HTTP Transcription Provider
+ *
+ * Posts the raw WAV file to a speech-to-text HTTP endpoint and expects a
+ * JSON response of the form:
+ *   { "text": "...", "language": "en", "confidence": 0.92, "segments": [...] }
+ *
+ * `segments` is optional; each entry has `text`, `speaker` and either
+ * `startMs`/`endMs` or whisper-style `start`/`end` in seconds.
+ *
+ * Any service (or a local stand-in server) that accepts `audio/wav`
+ * request bodies and answers in that shape can be used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeSegments } from './segments.js';
+
+export class HttpTranscriptionProvider {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.url = options.url || process.env.STT_HTTP_URL;
+        this.apiKey = options.apiKey || process.env.STT_HTTP_API_KEY;
+        this.timeout = options.timeout
+            ?? (parseInt(process.env.STT_HTTP_TIMEOUT_MS) || 60000);
+        this.language = options.language || process.env.STT_LANGUAGE || 'en';
+
+        if (!this.url) {
+            throw new Error('STT_HTTP_URL must be set to use the http transcription provider');
+        }
+    }
+
+    /**
+     * Transcribe a recording by uploading it to the configured endpoint
+     */
+    async transcribe(recordingPath) {
+        const audio = await fs.promises.readFile(recordingPath);
+
+        const headers = {
+            'Content-Type': 'audio/wav',
+            'Accept': 'application/json',
+            'X-Recording-Name': path.basename(recordingPath),
+            'X-Language': this.language
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: audio,
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Transcription service responded with HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (typeof result.text !== 'string') {
+            throw new Error('Transcription service response is missing "text"');
+        }
+
+        return {
+            text: result.text.trim(),
+            language: result.language || this.language,
+            confidence: result.confidence ?? null,
+            segments: normalizeSegments(result.segments)
+        };
+    }
+}
+
+export default HttpTranscriptionProvider;
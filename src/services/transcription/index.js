@@ -0,0 +1,71 @@
+/**
+ * Transcription Provider Factory
+ *
+ * Selects the speech-to-text backend used by the AI Processor.
+ * Every provider exposes `name` and `transcribe(recordingPath)`, which
+ * resolves with `{ text, language, confidence, segments }`
+ * (segments: `[{ startMs, endMs, speaker, text, confidence }]`, may be empty).
+ *
+ * Configure with STT_PROVIDER = mock | command | http (default: mock)
+ *
+ * Streaming providers (real-time transcription of live call audio) expose
+ * `name` and `createStream({ sampleRate })`. The returned stream accepts
+ * PCM via `write(buffer)` / `end()` and emits 'partial', 'final',
+ * 'error' and 'close'. Partial/final results: `{ text, startMs, endMs,
+ * speaker?, confidence? }`.
+ *
+ * Configure with STT_STREAMING_PROVIDER = mock | websocket (default: mock)
+ */
+
+import { MockTranscriptionProvider } from './mock-provider.js';
+import { CommandTranscriptionProvider } from './command-provider.js';
+import { HttpTranscriptionProvider } from './http-provider.js';
+import { MockStreamingProvider } from './streaming-mock-provider.js';
+import { WebSocketStreamingProvider } from './streaming-websocket-provider.js';
+
+const providers = {
+    mock: MockTranscriptionProvider,
+    command: CommandTranscriptionProvider,
+    http: HttpTranscriptionProvider
+};
+
+const streamingProviders = {
+    mock: MockStreamingProvider,
+    websocket: WebSocketStreamingProvider
+};
+
+/**
+ * Create a transcription provider by name
+ */
+export function createTranscriptionProvider(name = process.env.STT_PROVIDER || 'mock', options = {}) {
+    const Provider = providers[name.toLowerCase()];
+
+    if (!Provider) {
+        throw new Error(`Unknown transcription provider: ${name} (expected one of: ${Object.keys(providers).join(', ')})`);
+    }
+
+    return new Provider(options);
+}
+
+/**
+ * Create a streaming transcription provider by name
+ */
+export function createStreamingProvider(name = process.env.STT_STREAMING_PROVIDER || 'mock', options = {}) {
+    const Provider = streamingProviders[name.toLowerCase()];
+
+    if (!Provider) {
+        throw new Error(`Unknown streaming provider: ${name} (expected one of: ${Object.keys(streamingProviders).join(', ')})`);
+    }
+
+    return new Provider(options);
+}
+
+export {
+    MockTranscriptionProvider,
+    CommandTranscriptionProvider,
+    HttpTranscriptionProvider,
+    MockStreamingProvider,
+    WebSocketStreamingProvider
+};
+
+export default createTranscriptionProvider;
@@ -0,0 +1,67 @@
+/**
+ * Mock Transcription Provider
+ *
+ * Simulates a speech-to-text engine by waiting for a configurable delay
+ * and returning one of a set of canned caller utterances.
+ * Useful for development without an AI backend.
+ */
+
+import { estimateSegments } from './segments.js';
+
+export class MockTranscriptionProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.processingDelay = options.processingDelay
+            ?? (parseInt(process.env.AI_PROCESSING_DELAY_MS) || 3000);
+        this.language = options.language || process.env.STT_LANGUAGE || 'en';
+    }
+
+    /**
+     * Transcribe a recording (the audio file is not read)
+     */
+    async transcribe(recordingPath) {
+        await this.simulateProcessingDelay();
+
+        const text = this.generateMockTranscription();
+
+        return {
+            text,
+            language: this.language,
+            confidence: 0.95,
+            segments: estimateSegments(text, { confidence: 0.95 })
+        };
+    }
+
+    /**
+     * Simulate AI processing delay
+     */
+    async simulateProcessingDelay() {
+        return new Promise((resolve) => {
+            setTimeout(resolve, this.processingDelay);
+        });
+    }
+
+    /**
+     * Generate mock transcription text
+     */
+    generateMockTranscription() {
+        const mockTranscriptions = [
+            "Hello, I'm calling to inquire about your services. Can you please provide more information about pricing and availability?",
+            "Hi there, I need to schedule an appointment for next week. What times do you have available on Tuesday or Wednesday?",
+            "Good afternoon, I'm following up on my previous inquiry. Has there been any update on my case?",
+            "Yes, I'd like to place an order for the premium package. Can you walk me through the process?",
+            "I'm experiencing an issue with my account and need assistance resolving it as soon as possible.",
+            "Thank you for your help earlier. I have a few additional questions about the service.",
+            "I'm interested in learning more about your AI integration capabilities for our business.",
+            "Could you please transfer me to the technical support department? I have a system-related question.",
+            "I'd like to provide feedback about my recent experience with your company.",
+            "Hello, I'm returning your call from earlier today. What did you need to discuss?"
+        ];
+
+        // Randomly select a mock transcription
+        const randomIndex = Math.floor(Math.random() * mockTranscriptions.length);
+        return mockTranscriptions[randomIndex];
+    }
+}
+
+export default MockTranscriptionProvider;
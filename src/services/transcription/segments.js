@@ -0,0 +1,74 @@
+/**
+ * Transcript Segment Helpers
+ *
+ * Segments are the timestamped pieces of a transcript:
+ *   { startMs, endMs, speaker, text, confidence }
+ *
+ * Providers may return segments in different shapes; normalizeSegments()
+ * brings them into the shape above. estimateSegments() derives segments
+ * from plain text when a provider has no timing information.
+ */
+
+// Average speaking rate used for estimated timings (~150 words per minute)
+const MS_PER_WORD = 400;
+
+/**
+ * Normalize provider segments
+ * Accepts { startMs, endMs } in milliseconds or whisper-style
+ * { start, end } in seconds.
+ */
+export function normalizeSegments(segments, defaultSpeaker = 'caller') {
+    if (!Array.isArray(segments)) {
+        return [];
+    }
+
+    return segments
+        .map((segment) => {
+            const startMs = segment.startMs ?? secondsToMs(segment.start);
+            const endMs = segment.endMs ?? secondsToMs(segment.end);
+
+            return {
+                startMs: Math.max(0, Math.round(startMs || 0)),
+                endMs: Math.max(0, Math.round(endMs ?? startMs ?? 0)),
+                speaker: segment.speaker || defaultSpeaker,
+                text: String(segment.text || '').trim(),
+                confidence: segment.confidence ?? null
+            };
+        })
+        .filter(segment => segment.text.length > 0);
+}
+
+/**
+ * Estimate sentence-level segments from plain text
+ */
+export function estimateSegments(text, { speaker = 'caller', confidence = null } = {}) {
+    // Split after sentence punctuation followed by whitespace ("example.com" stays whole)
+    const sentences = (text || '').split(/(?<=[.!?])\s+/);
+    const segments = [];
+    let cursor = 0;
+
+    for (const sentence of sentences) {
+        const trimmed = sentence.trim();
+        if (!trimmed) continue;
+
+        const words = trimmed.split(/\s+/).length;
+        const durationMs = words * MS_PER_WORD;
+
+        segments.push({
+            startMs: cursor,
+            endMs: cursor + durationMs,
+            speaker,
+            text: trimmed,
+            confidence
+        });
+        cursor += durationMs;
+    }
+
+    return segments;
+}
+
+function secondsToMs(value) {
+    return value === undefined || value === null ? undefined : Number(value) * 1000;
+}
+
+export default { normalizeSegments, estimateSegments };
@@ -0,0 +1,143 @@
+/**
+ * Mock Streaming Transcription Provider
+ *
+ * Simulates a streaming speech-to-text engine on real audio timing:
+ * a simple energy-based voice activity detector splits the incoming
+ * PCM into utterances. While the caller speaks, partial results grow
+ * word by word; when the caller pauses, the utterance is finalized
+ * with a canned sentence.
+ */
+
+import { EventEmitter } from 'events';
+
+const FRAME_MS = 20;
+const SPEECH_RMS_THRESHOLD = 500;
+const END_OF_UTTERANCE_MS = 700;
+const PARTIAL_INTERVAL_MS = 500;
+
+const MOCK_UTTERANCES = [
+    "Hi, I'm calling about my recent order.",
+    'It was supposed to arrive yesterday but I have not received it.',
+    'Can you check the delivery status for me?',
+    'I would also like to update my phone number on the account.',
+    'Thank you, that would be great.'
+];
+
+class MockTranscriptionStream extends EventEmitter {
+    constructor({ sampleRate }) {
+        super();
+
+        this.sampleRate = sampleRate;
+        this.bytesPerFrame = sampleRate * 2 * FRAME_MS / 1000;
+        this.buffer = Buffer.alloc(0);
+
+        this.positionMs = 0;
+        this.utteranceStartMs = null;
+        this.lastSpeechMs = null;
+        this.lastPartialMs = 0;
+        this.utteranceCount = 0;
+    }
+
+    /**
+     * Feed little-endian 16-bit PCM audio
+     */
+    write(pcm) {
+        this.buffer = Buffer.concat([this.buffer, pcm]);
+
+        while (this.buffer.length >= this.bytesPerFrame) {
+            const frame = this.buffer.subarray(0, this.bytesPerFrame);
+            this.buffer = this.buffer.subarray(this.bytesPerFrame);
+            this.processFrame(frame);
+        }
+    }
+
+    processFrame(frame) {
+        const isSpeech = rms(frame) >= SPEECH_RMS_THRESHOLD;
+        this.positionMs += FRAME_MS;
+
+        if (isSpeech) {
+            if (this.utteranceStartMs === null) {
+                this.utteranceStartMs = this.positionMs - FRAME_MS;
+            }
+            this.lastSpeechMs = this.positionMs;
+
+            if (this.positionMs - this.lastPartialMs >= PARTIAL_INTERVAL_MS) {
+                this.lastPartialMs = this.positionMs;
+                this.emit('partial', {
+                    text: this.partialText(),
+                    startMs: this.utteranceStartMs,
+                    endMs: this.positionMs
+                });
+            }
+        } else if (this.utteranceStartMs !== null
+            && this.positionMs - this.lastSpeechMs >= END_OF_UTTERANCE_MS) {
+            this.finalizeUtterance();
+        }
+    }
+
+    /**
+     * Words of the current utterance revealed so far
+     */
+    partialText() {
+        const words = this.currentUtterance().split(' ');
+        const spokenMs = this.positionMs - this.utteranceStartMs;
+        const count = Math.max(1, Math.min(words.length, Math.ceil(spokenMs / 400)));
+        return words.slice(0, count).join(' ');
+    }
+
+    currentUtterance() {
+        return MOCK_UTTERANCES[this.utteranceCount % MOCK_UTTERANCES.length];
+    }
+
+    finalizeUtterance() {
+        this.emit('final', {
+            text: this.currentUtterance(),
+            startMs: this.utteranceStartMs,
+            endMs: this.lastSpeechMs,
+            confidence: 0.9
+        });
+
+        this.utteranceCount++;
+        this.utteranceStartMs = null;
+        this.lastSpeechMs = null;
+    }
+
+    /**
+     * Finish the stream, finalizing any utterance in progress
+     */
+    end() {
+        if (this.utteranceStartMs !== null) {
+            this.finalizeUtterance();
+        }
+        this.emit('close');
+    }
+}
+
+export class MockStreamingProvider {
+    constructor(options = {}) {
+        this.name = 'mock-streaming';
+        this.language = options.language || process.env.STT_LANGUAGE || 'en';
+    }
+
+    /**
+     * Open a transcription stream
+     */
+    createStream({ sampleRate = 16000 } = {}) {
+        return new MockTranscriptionStream({ sampleRate });
+    }
+}
+
+/**
+ * Root mean square level of 16-bit little-endian PCM
+ */
+function rms(frame) {
+    let sum = 0;
+    const samples = frame.length / 2;
+    for (let i = 0; i < frame.length; i += 2) {
+        const sample = frame.readInt16LE(i);
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / samples);
+}
+
+export default MockStreamingProvider;
@@ -0,0 +1,117 @@
+/**
+ * WebSocket Streaming Transcription Provider
+ *
+ * Streams raw 16-bit little-endian PCM as binary WebSocket frames to a
+ * streaming speech-to-text server and reads JSON results back:
+ *   { "type": "partial", "text": "...", "startMs": 0, "endMs": 800 }
+ *   { "type": "final",   "text": "...", "startMs": 0, "endMs": 2100, "confidence": 0.9 }
+ *
+ * The sample rate and language are passed as query parameters. When the
+ * stream ends, `{ "type": "end" }` is sent and the socket is closed once
+ * the server closes it or STT_STREAMING_CLOSE_TIMEOUT_MS elapses.
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+class WebSocketTranscriptionStream extends EventEmitter {
+    constructor({ url, apiKey, sampleRate, language, closeTimeout }) {
+        super();
+
+        this.closeTimeout = closeTimeout;
+        this.pending = [];
+
+        const streamUrl = new URL(url);
+        streamUrl.searchParams.set('sample_rate', sampleRate);
+        streamUrl.searchParams.set('language', language);
+
+        this.ws = new WebSocket(streamUrl, {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        });
+
+        this.ws.on('open', () => {
+            // Flush audio written before the socket was ready
+            for (const chunk of this.pending) {
+                this.ws.send(chunk);
+            }
+            this.pending = [];
+        });
+
+        this.ws.on('message', (data, isBinary) => {
+            if (isBinary) return;
+            try {
+                const result = JSON.parse(data.toString());
+                if (result.type === 'partial' || result.type === 'final') {
+                    this.emit(result.type, {
+                        text: result.text || '',
+                        startMs: result.startMs,
+                        endMs: result.endMs,
+                        speaker: result.speaker,
+                        confidence: result.confidence ?? null
+                    });
+                }
+            } catch (error) {
+                this.emit('error', new Error(`Invalid message from streaming service: ${error.message}`));
+            }
+        });
+
+        this.ws.on('error', (error) => this.emit('error', error));
+        this.ws.on('close', () => this.emit('close'));
+    }
+
+    /**
+     * Send little-endian 16-bit PCM audio
+     */
+    write(pcm) {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(pcm);
+        } else if (this.ws.readyState === WebSocket.CONNECTING) {
+            this.pending.push(pcm);
+        }
+    }
+
+    /**
+     * Signal end of audio and wait for the server to flush final results
+     */
+    end() {
+        if (this.ws.readyState !== WebSocket.OPEN) {
+            this.ws.terminate();
+            return;
+        }
+
+        this.ws.send(JSON.stringify({ type: 'end' }));
+
+        const timer = setTimeout(() => this.ws.terminate(), this.closeTimeout);
+        this.ws.once('close', () => clearTimeout(timer));
+    }
+}
+
+export class WebSocketStreamingProvider {
+    constructor(options = {}) {
+        this.name = 'websocket-streaming';
+        this.url = options.url || process.env.STT_STREAMING_URL;
+        this.apiKey = options.apiKey || process.env.STT_STREAMING_API_KEY;
+        this.language = options.language || process.env.STT_LANGUAGE || 'en';
+        this.closeTimeout = options.closeTimeout
+            ?? (parseInt(process.env.STT_STREAMING_CLOSE_TIMEOUT_MS) || 5000);
+
+        if (!this.url) {
+            throw new Error('STT_STREAMING_URL must be set to use the websocket streaming provider');
+        }
+    }
+
+    /**
+     * Open a transcription stream
+     */
+    createStream({ sampleRate = 16000 } = {}) {
+        return new WebSocketTranscriptionStream({
+            url: this.url,
+            apiKey: this.apiKey,
+            sampleRate,
+            language: this.language,
+            closeTimeout: this.closeTimeout
+        });
+    }
+}
+
+export default WebSocketStreamingProvider;
@@ -0,0 +1,154 @@
+/**
+ * Text-to-Speech Service
+ *
+ * Renders dynamic prompts for ARI playback:
+ * - Speech is synthesized by a pluggable engine (see ./tts)
+ * - Output is converted to 8 kHz mono 16-bit WAV, which every Asterisk
+ *   installation can play
+ * - Rendered files are cached on disk, keyed by engine + voice + text,
+ *   so repeated prompts are synthesized only once
+ *
+ * TTS_CACHE_DIR is where the gateway writes the files; TTS_SOUNDS_PATH
+ * is the same directory as seen by Asterisk (defaults to the absolute
+ * cache path, i.e. gateway and Asterisk on the same host).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ttsLogger } from '../utils/logger.js';
+import { parseWav, toMono16, resample, encodeWav } from '../utils/wav.js';
+import { createTTSEngine } from './tts/index.js';
+
+const ASTERISK_SAMPLE_RATE = 8000;
+
+export class TTSService {
+    constructor(options = {}) {
+        this.cacheDir = path.resolve(options.cacheDir || process.env.TTS_CACHE_DIR || './data/tts-cache');
+        this.soundsPath = options.soundsPath || process.env.TTS_SOUNDS_PATH || this.cacheDir;
+        this.voice = options.voice || process.env.TTS_VOICE || 'en';
+
+        this.engine = options.engine || null;
+
+        // Renders in progress, so concurrent requests for one prompt share the work
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Get the configured engine (created on first use)
+     */
+    getEngine() {
+        if (!this.engine) {
+            this.engine = createTTSEngine();
+            ttsLogger.info('TTS engine selected', { engine: this.engine.name });
+        }
+        return this.engine;
+    }
+
+    /**
+     * Cache key for a prompt
+     */
+    cacheKey(text, voice) {
+        return crypto
+            .createHash('sha256')
+            .update(`${this.getEngine().name}\n${voice}\n${text}`)
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    /**
+     * Render text to an Asterisk-playable file
+     * Resolves with { key, path, media, cached }; `media` is the ARI
+     * media URI (sound:<path without extension>).
+     */
+    async render(text, options = {}) {
+        const normalized = (text || '').replace(/\s+/g, ' ').trim();
+        if (!normalized) {
+            throw new Error('Cannot render empty text');
+        }
+
+        const voice = options.voice || this.voice;
+        const key = this.cacheKey(normalized, voice);
+        const file = path.join(this.cacheDir, `${key}.wav`);
+        const result = {
+            key,
+            path: file,
+            media: `sound:${path.posix.join(this.soundsPath, key)}`
+        };
+
+        if (fs.existsSync(file)) {
+            return { ...result, cached: true };
+        }
+
+        if (!this.inFlight.has(key)) {
+            const render = this.synthesize(normalized, voice, file)
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, render);
+        }
+
+        await this.inFlight.get(key);
+        return { ...result, cached: false };
+    }
+
+    /**
+     * Synthesize, convert and store one prompt
+     */
+    async synthesize(text, voice, file) {
+        const engine = this.getEngine();
+        const startedAt = Date.now();
+
+        const rendered = await engine.synthesize(text, { voice });
+        const audio = this.convert(rendered);
+
+        // Write to a temp name first so Asterisk never sees a partial file
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, audio);
+        await fs.promises.rename(tempFile, file);
+
+        ttsLogger.info('Rendered TTS prompt', {
+            engine: engine.name,
+            voice,
+            characters: text.length,
+            latencyMs: Date.now() - startedAt
+        });
+    }
+
+    /**
+     * Convert engine output to 8 kHz mono 16-bit WAV
+     */
+    convert(buffer) {
+        const wav = parseWav(buffer);
+        const samples = resample(toMono16(wav), wav.sampleRate, ASTERISK_SAMPLE_RATE);
+
+        if (samples.length === 0) {
+            throw new Error('TTS engine produced no audio');
+        }
+
+        return encodeWav(samples, ASTERISK_SAMPLE_RATE);
+    }
+
+    /**
+     * Get cache status
+     */
+    getStatus() {
+        let entries = 0;
+        try {
+            entries = fs.readdirSync(this.cacheDir).filter(f => f.endsWith('.wav')).length;
+        } catch (error) {
+            // Cache directory is created on first render
+        }
+
+        return {
+            engine: this.engine?.name || process.env.TTS_ENGINE || 'command',
+            voice: this.voice,
+            cacheDir: this.cacheDir,
+            cachedPrompts: entries
+        };
+    }
+}
+
+// Shared TTS service used by the gateway
+export const ttsService = new TTSService();
+
+export default TTSService;
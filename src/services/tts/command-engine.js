@@ -0,0 +1,72 @@
+/**
+ * Local Command TTS Engine
+ *
+ * Renders speech with a local command-line synthesizer that writes a WAV
+ * file, e.g. espeak-ng (default) or SVOX pico:
+ *   TTS_COMMAND=espeak-ng
+ *   TTS_COMMAND_ARGS=-v {voice} -w {file} -- {text}
+ *
+ *   TTS_COMMAND=pico2wave
+ *   TTS_COMMAND_ARGS=-l {voice} -w {file} -- {text}
+ *
+ * The argument template is split on whitespace before the placeholders
+ * are replaced, so the text is passed as a single argument and not
+ * through a shell. The synthesizer still parses its own options: `--`
+ * ends them, and text starting with `-` is prefixed with a space so that
+ * templates without `--` do not read it as an option either.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+export class CommandTTSEngine {
+    constructor(options = {}) {
+        this.name = 'command';
+        this.command = options.command || process.env.TTS_COMMAND || 'espeak-ng';
+        this.args = options.args
+            || (process.env.TTS_COMMAND_ARGS || '-v {voice} -w {file} -- {text}').split(/\s+/).filter(Boolean);
+        this.timeout = options.timeout
+            ?? (parseInt(process.env.TTS_COMMAND_TIMEOUT_MS) || 15000);
+    }
+
+    /**
+     * Synthesize text and resolve with the WAV file contents
+     */
+    async synthesize(text, { voice }) {
+        // pico2wave requires the output file name to end in .wav
+        const file = path.join(os.tmpdir(), `tts-${randomUUID()}.wav`);
+        const spoken = text.startsWith('-') ? ` ${text}` : text;
+        const args = this.args.map(arg => arg
+            .replaceAll('{file}', file)
+            .replaceAll('{voice}', voice)
+            .replaceAll('{text}', spoken));
+
+        try {
+            await this.run(args);
+            return await fs.promises.readFile(file);
+        } finally {
+            fs.promises.unlink(file).catch(() => {});
+        }
+    }
+
+    /**
+     * Execute the synthesizer
+     */
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, { timeout: this.timeout }, (error, stdout, stderr) => {
+                if (error) {
+                    const detail = stderr?.trim() || error.message;
+                    reject(new Error(`TTS command failed: ${detail}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+export default CommandTTSEngine;
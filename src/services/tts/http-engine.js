@@ -0,0 +1,49 @@
+/**
+ * HTTP TTS Engine
+ *
+ * Posts the text to an external speech synthesis endpoint:
+ *   POST { "text": "...", "voice": "en" }
+ * and expects a WAV file (audio/wav) as the response body.
+ */
+
+export class HttpTTSEngine {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.url = options.url || process.env.TTS_HTTP_URL;
+        this.apiKey = options.apiKey || process.env.TTS_HTTP_API_KEY;
+        this.timeout = options.timeout
+            ?? (parseInt(process.env.TTS_HTTP_TIMEOUT_MS) || 15000);
+
+        if (!this.url) {
+            throw new Error('TTS_HTTP_URL must be set to use the http TTS engine');
+        }
+    }
+
+    /**
+     * Synthesize text via the configured endpoint
+     */
+    async synthesize(text, { voice }) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'audio/wav'
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ text, voice }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`TTS service responded with HTTP ${response.status}`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    }
+}
+
+export default HttpTTSEngine;
@@ -0,0 +1,41 @@
+/**
+ * TTS Engine Factory
+ *
+ * Selects the speech synthesizer used for dynamic prompts.
+ * Every engine exposes `name` and `synthesize(text, { voice })`, which
+ * resolves with a WAV file buffer (any rate / channel count; the TTS
+ * service converts it for Asterisk).
+ *
+ * Configure with TTS_ENGINE = command | http | mock (default: command)
+ */
+
+import { CommandTTSEngine } from './command-engine.js';
+import { HttpTTSEngine } from './http-engine.js';
+import { MockTTSEngine } from './mock-engine.js';
+
+const engines = {
+    command: CommandTTSEngine,
+    http: HttpTTSEngine,
+    mock: MockTTSEngine
+};
+
+/**
+ * Create a TTS engine by name
+ */
+export function createTTSEngine(name = process.env.TTS_ENGINE || 'command', options = {}) {
+    const Engine = engines[name.toLowerCase()];
+
+    if (!Engine) {
+        throw new Error(`Unknown TTS engine: ${name} (expected one of: ${Object.keys(engines).join(', ')})`);
+    }
+
+    return new Engine(options);
+}
+
+export {
+    CommandTTSEngine,
+    HttpTTSEngine,
+    MockTTSEngine
+};
+
+export default createTTSEngine;
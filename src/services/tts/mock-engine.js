@@ -0,0 +1,41 @@
+/**
+ * Mock TTS Engine
+ *
+ * Renders a short tone per word instead of speech, so the TTS pipeline
+ * (cache, conversion, playback) can be exercised without a synthesizer.
+ */
+
+import { encodeWav } from '../../utils/wav.js';
+
+const SAMPLE_RATE = 16000;
+const WORD_MS = 250;
+const GAP_MS = 80;
+
+export class MockTTSEngine {
+    constructor() {
+        this.name = 'mock';
+    }
+
+    /**
+     * Synthesize text as a tone sequence
+     */
+    async synthesize(text) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const wordSamples = SAMPLE_RATE * WORD_MS / 1000;
+        const gapSamples = SAMPLE_RATE * GAP_MS / 1000;
+        const samples = new Int16Array(words.length * (wordSamples + gapSamples));
+
+        words.forEach((word, w) => {
+            // Pitch varies with word length so different texts sound different
+            const frequency = 300 + (word.length % 8) * 60;
+            const offset = w * (wordSamples + gapSamples);
+            for (let i = 0; i < wordSamples; i++) {
+                samples[offset + i] = Math.round(8000 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+            }
+        });
+
+        return encodeWav(samples, SAMPLE_RATE);
+    }
+}
+
+export default MockTTSEngine;
@@ -0,0 +1,371 @@
+/**
+ * Warm Transfer
+ *
+ * Moves a Stasis caller from the AI to a human agent:
+ * 1. The caller hears music on hold
+ * 2. The agent leg is originated to an extension or queue (through a
+ *    Local channel, so ring groups, follow-me and queue strategies of the
+ *    dialplan apply) and enters the Stasis app when answered
+ * 3. The AI summary is whispered to the agent only
+ * 4. Both legs are bridged; the call ends when either side hangs up
+ *
+ * When the agent leg is not answered (no answer, busy, failed) the caller
+ * can be sent to the target's voicemail instead. Every attempt is stored
+ * in the transfers table and its outcome copied to calls.transfer_outcome.
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { ariLogger } from '../utils/logger.js';
+import { waitFor } from '../utils/async.js';
+import { CallRepository } from '../database/call-repository.js';
+import { TransferRepository } from '../database/transfer-repository.js';
+
+// Stasis argument identifying agent legs we originated
+export const AGENT_LEG_ARG = 'transfer-agent';
+
+// Q.850 causes of an unanswered agent leg
+const BUSY_CAUSES = [17, 21];
+const NO_ANSWER_CAUSES = [18, 19];
+
+export class WarmTransfer extends EventEmitter {
+    constructor({ getAri, appName, playText, hangupChannel }) {
+        super();
+
+        this.getAri = getAri;
+        this.appName = appName;
+        this.playText = playText;
+        this.hangupChannel = hangupChannel;
+
+        this.extensionContext = process.env.TRANSFER_EXTENSION_CONTEXT || 'from-internal';
+        this.queueContext = process.env.TRANSFER_QUEUE_CONTEXT || 'ext-queues';
+        this.ringTimeout = parseInt(process.env.TRANSFER_RING_TIMEOUT_SECONDS) || 30;
+        this.mohClass = process.env.TRANSFER_MOH_CLASS || 'default';
+        this.voicemailContext = process.env.TRANSFER_VOICEMAIL_CONTEXT || 'ext-local';
+        this.voicemailPrefix = process.env.TRANSFER_VOICEMAIL_PREFIX ?? 'vmu';
+
+        // Transfers in progress keyed by caller channel id
+        this.sessions = new Map();
+
+        // Agent leg channel ids, so the Stasis app can ignore them
+        this.agentChannels = new Set();
+    }
+
+    /**
+     * Transfer the caller to `extension` or `queue`
+     * Options: callId, extension | queue, summary, whisper (text spoken to
+     * the agent), voicemail (mailbox to fall back to), timeoutSeconds.
+     * Resolves with { transferId, outcome, fallback } once the caller was
+     * handed over and the bridged call ended, or the attempt failed.
+     */
+    async transfer(channel, options) {
+        if (this.sessions.has(channel.id)) {
+            throw new Error('A transfer is already in progress for this channel');
+        }
+
+        const targetType = options.queue ? 'queue' : 'extension';
+        const target = String(options.queue || options.extension || '');
+        if (!target) {
+            throw new Error('Transfer target (extension or queue) is required');
+        }
+
+        const ari = this.getAri();
+        const agent = ari.Channel(uuidv4());
+
+        let resolveCallerLeft;
+        const session = {
+            caller: channel,
+            agent,
+            bridge: null,
+            callId: options.callId,
+            callerHungUp: false,
+            callerLeft: new Promise((resolve) => {
+                resolveCallerLeft = () => {
+                    session.callerHungUp = true;
+                    resolve('hangup');
+                };
+            })
+        };
+        session.resolveCallerLeft = resolveCallerLeft;
+        this.sessions.set(channel.id, session);
+        this.agentChannels.add(agent.id);
+
+        try {
+            session.transferId = await TransferRepository.createTransfer(options.callId, {
+                targetType,
+                target,
+                summary: options.summary,
+                agentChannel: agent.id
+            });
+            await this.logEvent(session, 'transfer_started', { transferId: session.transferId, targetType, target });
+
+            ariLogger.info('📞 Warm transfer started', {
+                channelId: channel.id,
+                transferId: session.transferId,
+                targetType,
+                target
+            });
+
+            const result = await this.connect(session, { ...options, targetType, target });
+            this.emit('ended', { channelId: channel.id, callId: options.callId, ...result });
+            return result;
+        } finally {
+            this.sessions.delete(channel.id);
+            this.agentChannels.delete(agent.id);
+        }
+    }
+
+    /**
+     * Ring the agent, whisper, bridge and wait for the call to end
+     */
+    async connect(session, options) {
+        const { caller, agent } = session;
+        const timeoutSeconds = options.timeoutSeconds ?? this.ringTimeout;
+
+        const answered = new Promise((resolve) => {
+            agent.once('StasisStart', () => resolve({ answered: true }));
+            agent.once('ChannelDestroyed', (event) => resolve({
+                answered: false,
+                cause: event.cause,
+                causeTxt: event.cause_txt
+            }));
+        });
+        const agentLeft = new Promise((resolve) => {
+            agent.once('StasisEnd', () => resolve('agent_hangup'));
+            agent.once('ChannelDestroyed', () => resolve('agent_hangup'));
+        });
+
+        await this.startHold(caller);
+
+        let ring;
+        try {
+            await agent.originate({
+                endpoint: this.endpointFor(options.targetType, options.target),
+                app: this.appName,
+                appArgs: `${AGENT_LEG_ARG},${caller.id}`,
+                callerId: caller.caller?.number
+                    ? `"${caller.caller.name || caller.caller.number}" <${caller.caller.number}>`
+                    : undefined,
+                timeout: timeoutSeconds
+            });
+            ring = await waitFor(answered, session.callerLeft, (timeoutSeconds + 5) * 1000);
+        } catch (error) {
+            ariLogger.error('Could not originate transfer leg', {
+                channelId: caller.id,
+                target: options.target,
+                error: error.message
+            });
+            ring = { answered: false, causeTxt: error.message };
+        }
+
+        if (ring === 'hangup') {
+            await this.hangupChannel(agent, 'normal');
+            return this.finish(session, { outcome: 'abandoned' });
+        }
+        if (ring === 'timeout') {
+            await this.hangupChannel(agent, 'normal');
+            return this.fail(session, options, { outcome: 'no_answer' });
+        }
+        if (!ring.answered) {
+            return this.fail(session, options, {
+                outcome: causeToOutcome(ring.cause),
+                cause: ring.cause,
+                causeTxt: ring.causeTxt
+            });
+        }
+
+        await TransferRepository.markAnswered(session.transferId);
+        ariLogger.info('Transfer answered by agent', { channelId: caller.id, transferId: session.transferId });
+
+        // Only the agent hears the whisper; the caller stays on hold
+        if (options.whisper) {
+            const whispered = await this.whisper(session, options.whisper, agentLeft);
+            if (whispered === 'hangup') {
+                await this.hangupChannel(agent, 'normal');
+                return this.finish(session, { outcome: 'abandoned' });
+            }
+            if (whispered === 'agent_hangup') {
+                return this.fail(session, options, { outcome: 'failed', causeTxt: 'Agent hung up during whisper' });
+            }
+        }
+
+        try {
+            session.bridge = this.getAri().Bridge();
+            await session.bridge.create({ type: 'mixing' });
+            await this.stopHold(caller);
+            await session.bridge.addChannel({ channel: [caller.id, agent.id] });
+        } catch (error) {
+            ariLogger.error('Could not bridge transfer legs', {
+                channelId: caller.id,
+                transferId: session.transferId,
+                error: error.message
+            });
+            await this.hangupChannel(agent, 'normal');
+            await this.destroyBridge(session);
+            if (session.callerHungUp) {
+                return this.finish(session, { outcome: 'abandoned' });
+            }
+            return this.finish(session, { outcome: 'failed', causeTxt: error.message });
+        }
+        await this.logEvent(session, 'transfer_connected', { transferId: session.transferId, bridgeId: session.bridge.id });
+
+        // Connected: wait until either side hangs up, then end the other leg
+        const ended = await Promise.race([agentLeft, session.callerLeft]);
+        await this.hangupChannel(ended === 'hangup' ? agent : caller, 'normal');
+        await this.destroyBridge(session);
+
+        return this.finish(session, { outcome: 'answered', endedBy: ended === 'hangup' ? 'caller' : 'agent' });
+    }
+
+    /**
+     * Speak the whisper text to the agent
+     * Resolves 'finished', 'hangup' (caller left), 'agent_hangup' or 'timeout'.
+     */
+    async whisper(session, text, agentLeft) {
+        try {
+            const playback = this.getAri().Playback(uuidv4());
+            const finished = new Promise((resolve) => {
+                playback.once('PlaybackFinished', () => resolve('finished'));
+            });
+            await this.playText(session.agent, text, { playback });
+            const result = await waitFor(Promise.race([finished, agentLeft]), session.callerLeft, 60000);
+            return result === 'timeout' ? 'finished' : result;
+        } catch (error) {
+            // The whisper is a courtesy - connect the call without it
+            ariLogger.warn('Transfer whisper failed', { transferId: session.transferId, error: error.message });
+            return 'finished';
+        }
+    }
+
+    /**
+     * The agent leg was not answered: fall back to voicemail if configured
+     */
+    async fail(session, options, result) {
+        const { caller } = session;
+        await this.stopHold(caller);
+
+        ariLogger.warn('Transfer not answered', {
+            channelId: caller.id,
+            transferId: session.transferId,
+            outcome: result.outcome,
+            cause: result.cause
+        });
+
+        if (options.voicemail) {
+            const mailbox = options.voicemail === true ? options.target : String(options.voicemail);
+            try {
+                await caller.continueInDialplan({
+                    context: this.voicemailContext,
+                    extension: `${this.voicemailPrefix}${mailbox}`,
+                    priority: 1
+                });
+                return this.finish(session, { ...result, fallback: 'voicemail' });
+            } catch (error) {
+                ariLogger.error('Voicemail fallback failed', { channelId: caller.id, mailbox, error: error.message });
+            }
+        }
+
+        return this.finish(session, result);
+    }
+
+    /**
+     * Store the outcome of the attempt
+     */
+    async finish(session, result) {
+        await TransferRepository.completeTransfer(session.transferId, result);
+        await this.logEvent(session, 'transfer_ended', { transferId: session.transferId, ...result });
+
+        ariLogger.info('📞 Warm transfer ended', {
+            channelId: session.caller.id,
+            transferId: session.transferId,
+            outcome: result.outcome,
+            fallback: result.fallback
+        });
+
+        return { transferId: session.transferId, ...result };
+    }
+
+    /**
+     * Dial string for the agent leg
+     */
+    endpointFor(targetType, target) {
+        const context = targetType === 'queue' ? this.queueContext : this.extensionContext;
+        return `Local/${target}@${context}`;
+    }
+
+    async startHold(channel) {
+        try {
+            await channel.startMoh({ mohClass: this.mohClass });
+        } catch (error) {
+            ariLogger.warn('Could not start music on hold', { channelId: channel.id, error: error.message });
+        }
+    }
+
+    async stopHold(channel) {
+        try {
+            await channel.stopMoh();
+        } catch (error) {
+            // Caller already gone or not on hold
+        }
+    }
+
+    async destroyBridge(session) {
+        try {
+            await session.bridge?.destroy();
+        } catch (error) {
+            // Bridge already gone or never created
+        }
+    }
+
+    async logEvent(session, eventType, data) {
+        if (!session.callId) return;
+
+        try {
+            await CallRepository.logCallEvent(session.callId, eventType, data);
+        } catch (error) {
+            ariLogger.error('Failed to log transfer event', { eventType, error: error.message });
+        }
+    }
+
+    /**
+     * The caller left the Stasis app
+     */
+    callerLeft(channelId) {
+        this.sessions.get(channelId)?.resolveCallerLeft();
+    }
+
+    /**
+     * Whether the channel is an agent leg originated for a transfer
+     */
+    isAgentChannel(channel, args = []) {
+        return this.agentChannels.has(channel.id) || args[0] === AGENT_LEG_ARG;
+    }
+
+    /**
+     * Whether a transfer is in progress for the caller channel
+     */
+    isActive(channelId) {
+        return this.sessions.has(channelId);
+    }
+
+    /**
+     * Get transfer status
+     */
+    getStatus() {
+        return {
+            activeTransfers: this.sessions.size,
+            ringTimeoutSeconds: this.ringTimeout
+        };
+    }
+}
+
+/**
+ * Map the hangup cause of an unanswered agent leg to an outcome
+ */
+function causeToOutcome(cause) {
+    if (BUSY_CAUSES.includes(cause)) return 'busy';
+    if (NO_ANSWER_CAUSES.includes(cause)) return 'no_answer';
+    return 'failed';
+}
+
+export default WarmTransfer;
@@ -0,0 +1,31 @@
+/**
+ * Async Helpers
+ * Timeouts shared by the Stasis services (flow engine, conversation agent,
+ * warm transfer), which wait for ARI events while the caller may hang up
+ */
+
+/**
+ * Wait for a promise, the caller hanging up or a timeout
+ * Resolves with the value of whichever settles first: `hangup` is the
+ * session's hangup promise (omit it to wait for the promise or the
+ * timeout only), a timeout resolves 'timeout'.
+ */
+export function waitFor(promise, hangup, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve('timeout'), timeoutMs);
+    });
+
+    return Promise.race(hangup ? [promise, hangup, timeout] : [promise, timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wait (up to timeoutMs) for promises to settle, e.g. sessions stopped on
+ * shutdown; rejections are ignored
+ */
+export async function settleWithin(promises, timeoutMs) {
+    await waitFor(Promise.allSettled(promises), null, timeoutMs);
+}
+
+export default { waitFor, settleWithin };
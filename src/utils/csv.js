@@ -0,0 +1,55 @@
+/**
+ * CSV Parser
+ * Minimal RFC 4180 parser for contact list uploads: comma separated,
+ * double-quoted fields may contain commas, quotes ("") and line breaks
+ */
+
+/**
+ * Parse CSV text into rows of fields (empty lines are skipped)
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            pushRow(rows, row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    pushRow(rows, row);
+    return rows;
+}
+
+function pushRow(rows, row) {
+    if (row.length > 1 || row[0].trim() !== '') {
+        rows.push(row.map(value => value.trim()));
+    }
+}
+
+export default parseCsv;
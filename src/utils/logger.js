@@ -55,3 +55,9 @@ export const amiLogger = logger.child({ service: 'AMI' });
 export const ariLogger = logger.child({ service: 'ARI' });
 export const apiLogger = logger.child({ service: 'API' });
 export const dbLogger = logger.child({ service: 'Database' });
+export const queueLogger = logger.child({ service: 'Queue' });
+export const alertLogger = logger.child({ service: 'Alerts' });
+export const ttsLogger = logger.child({ service: 'TTS' });
+export const campaignLogger = logger.child({ service: 'Campaigns' });
+export const controlLogger = logger.child({ service: 'CallControl' });
+export const fakePbxLogger = logger.child({ service: 'FakePBX' });
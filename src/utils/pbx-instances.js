@@ -0,0 +1,74 @@
+/**
+ * PBX Instances
+ * Configuration of the Asterisk/FreePBX boxes the gateway connects to.
+ *
+ * PBX_INSTANCES lists the instance names (e.g. "main,branch"). Settings of
+ * an instance are read from PBX_<NAME>_AMI_HOST, PBX_<NAME>_ARI_APP_NAME,
+ * ... (name upper-cased, '-' as '_') and fall back to the unprefixed
+ * AMI_* / ARI_* settings; the ARI host defaults to the instance's AMI
+ * host. Without PBX_INSTANCES there is one instance, 'default', configured
+ * by AMI_* / ARI_* alone.
+ */
+
+export const DEFAULT_PBX = 'default';
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * All configured instances, in the order listed (the first is the primary)
+ */
+export function loadPbxInstances(env = process.env) {
+    const names = (env.PBX_INSTANCES || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    if (names.length === 0) {
+        return [pbxConfig(null, env)];
+    }
+
+    const seen = new Set();
+    for (const name of names) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid PBX instance name "${name}" (1-32 characters of A-Z, 0-9, _ and -)`);
+        }
+        const key = envPrefix(name);
+        if (seen.has(key)) {
+            throw new Error(`Duplicate PBX instance name "${name}" in PBX_INSTANCES`);
+        }
+        seen.add(key);
+    }
+
+    return names.map(name => pbxConfig(name, env));
+}
+
+/**
+ * Configuration of one instance (name null: the unprefixed settings)
+ */
+export function pbxConfig(name = null, env = process.env) {
+    const prefix = name ? envPrefix(name) : null;
+    const get = key => (prefix && env[`${prefix}_${key}`]) || env[key];
+    const amiHost = get('AMI_HOST') || '127.0.0.1';
+
+    return {
+        name: name || DEFAULT_PBX,
+        ami: {
+            host: amiHost,
+            port: parseInt(get('AMI_PORT')) || 5038,
+            username: get('AMI_USERNAME') || 'ai-gateway',
+            password: get('AMI_PASSWORD') || 'changeme',
+            captureFile: get('AMI_CAPTURE_FILE') || null
+        },
+        ari: {
+            host: (prefix && env[`${prefix}_ARI_HOST`]) || (prefix && env[`${prefix}_AMI_HOST`]) || env.ARI_HOST || '127.0.0.1',
+            port: parseInt(get('ARI_PORT')) || 8088,
+            username: get('ARI_USERNAME') || 'ai-bridge',
+            password: get('ARI_PASSWORD') || 'changeme',
+            appName: get('ARI_APP_NAME') || 'ai-bridge'
+        }
+    };
+}
+
+function envPrefix(name) {
+    return `PBX_${name.toUpperCase().replace(/-/g, '_')}`;
+}
@@ -0,0 +1,223 @@
+/**
+ * PII Redactor
+ * Detects and masks personally identifiable information in transcripts
+ * and logged event data:
+ * - Email addresses
+ * - Payment card numbers (13-19 digits, Luhn validated)
+ * - US social security numbers
+ * - Phone numbers
+ * - Custom patterns from PII_CUSTOM_PATTERNS
+ *
+ * Custom patterns are a JSON array, e.g.:
+ *   PII_CUSTOM_PATTERNS=[{"name":"account","pattern":"ACC-\\d{6}","flags":"i"}]
+ */
+
+import { logger } from './logger.js';
+
+// Detectors in priority order - earlier detectors win on overlapping matches
+const BUILTIN_DETECTORS = [
+    {
+        type: 'email',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    {
+        type: 'card',
+        pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+        validate: (match) => luhnCheck(match.replace(/\D/g, ''))
+    },
+    {
+        type: 'ssn',
+        pattern: /(?<!\d)(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}(?!\d)/g
+    },
+    {
+        type: 'phone',
+        pattern: /(?<![\d+])(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}(?!\.?\d)/g
+    }
+];
+
+// Event fields that identify channels/calls rather than people
+const EVENT_KEYS_EXEMPT = new Set([
+    'event', 'uniqueid', 'linkedid', 'destuniqueid', 'destlinkedid',
+    'channel', 'destchannel', 'timestamp', 'privilege', 'context', 'exten'
+]);
+
+/**
+ * Luhn checksum used to tell card numbers from other long digit runs
+ */
+export function luhnCheck(digits) {
+    if (digits.length < 13 || digits.length > 19) {
+        return false;
+    }
+
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        let digit = parseInt(digits[i]);
+        if (double) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+        double = !double;
+    }
+
+    return sum % 10 === 0;
+}
+
+export class PIIRedactor {
+    constructor(options = {}) {
+        this.enabled = options.enabled
+            ?? process.env.PII_REDACTION_ENABLED !== 'false';
+        this.detectors = [
+            ...BUILTIN_DETECTORS,
+            ...this.parseCustomPatterns(options.customPatterns ?? process.env.PII_CUSTOM_PATTERNS)
+        ];
+    }
+
+    /**
+     * Build detectors from custom pattern config (JSON string or array)
+     */
+    parseCustomPatterns(config) {
+        if (!config) {
+            return [];
+        }
+
+        try {
+            const patterns = typeof config === 'string' ? JSON.parse(config) : config;
+            return patterns.map(({ name, pattern, flags = '' }) => ({
+                type: name,
+                pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`)
+            }));
+        } catch (error) {
+            logger.error('Invalid PII_CUSTOM_PATTERNS, custom redaction disabled', { error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * Redact PII in a text
+     * Returns the masked text and a report of what was found
+     * (types and positions only - never the values themselves).
+     */
+    redact(text) {
+        const report = { total: 0, counts: {}, items: [] };
+
+        if (!this.enabled || !text) {
+            return { text, report };
+        }
+
+        const matches = this.findMatches(text);
+        for (const match of matches) {
+            report.counts[match.type] = (report.counts[match.type] || 0) + 1;
+            report.items.push(match);
+        }
+        report.total = matches.length;
+
+        return { text: this.applyMasks(text, matches), report };
+    }
+
+    /**
+     * Redact PII in transcript segments
+     * Segments are scanned as one text so values split across segment
+     * boundaries (e.g. a card number read out over two segments) are
+     * still masked in every segment they touch.
+     */
+    redactSegments(segments) {
+        if (!this.enabled || segments.length === 0) {
+            return segments;
+        }
+
+        let offset = 0;
+        const bounds = segments.map((segment) => {
+            const start = offset;
+            offset += segment.text.length + 1;
+            return { start, end: start + segment.text.length };
+        });
+
+        const matches = this.findMatches(segments.map(segment => segment.text).join(' '));
+
+        return segments.map((segment, i) => {
+            const { start, end } = bounds[i];
+            const local = matches
+                .filter(match => match.start < end && match.end > start)
+                .map(match => ({
+                    type: match.type,
+                    start: Math.max(match.start, start) - start,
+                    end: Math.min(match.end, end) - start
+                }));
+
+            return { ...segment, text: this.applyMasks(segment.text, local) };
+        });
+    }
+
+    /**
+     * Find non-overlapping PII matches, sorted by position
+     */
+    findMatches(text) {
+        const matches = [];
+
+        for (const detector of this.detectors) {
+            for (const match of text.matchAll(detector.pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+
+                if (detector.validate && !detector.validate(match[0])) continue;
+                if (matches.some(m => start < m.end && end > m.start)) continue;
+
+                matches.push({ type: detector.type, start, end });
+            }
+        }
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Replace matched ranges with [REDACTED_<TYPE>] masks
+     */
+    applyMasks(text, matches) {
+        let masked = '';
+        let cursor = 0;
+
+        for (const match of matches) {
+            masked += text.slice(cursor, match.start) + `[REDACTED_${match.type.toUpperCase()}]`;
+            cursor = match.end;
+        }
+
+        return masked + text.slice(cursor);
+    }
+
+    /**
+     * Redact PII in string values of an event object (recursively)
+     * Channel and call identifiers are left untouched.
+     */
+    redactEventData(data) {
+        if (!this.enabled || data === null || data === undefined) {
+            return data;
+        }
+
+        if (typeof data === 'string') {
+            return this.redact(data).text;
+        }
+
+        if (Array.isArray(data)) {
+            return data.map(item => this.redactEventData(item));
+        }
+
+        if (typeof data === 'object') {
+            const result = {};
+            for (const [key, value] of Object.entries(data)) {
+                result[key] = EVENT_KEYS_EXEMPT.has(key.toLowerCase())
+                    ? value
+                    : this.redactEventData(value);
+            }
+            return result;
+        }
+
+        return data;
+    }
+}
+
+// Shared redactor configured from the environment
+export const piiRedactor = new PIIRedactor();
+
+export default piiRedactor;
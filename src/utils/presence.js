@@ -0,0 +1,107 @@
+/**
+ * Presence Helpers
+ * Map the device, hint and registration states reported by AMI onto the
+ * presence of an extension. Extensions are identified by their endpoint
+ * (peer) name: device PJSIP/101 is extension 101.
+ */
+
+// Technologies of phones; other devices (Local, Queue, Custom, ...) are ignored
+const ENDPOINT_TECHNOLOGIES = ['PJSIP', 'SIP', 'IAX2', 'DAHDI'];
+
+// Device states (DeviceStateChange State, PJSIPShowEndpoints DeviceState),
+// compared without case, spaces and underscores
+const DEVICE_STATES = {
+    NOTINUSE: 'idle',
+    INUSE: 'in_use',
+    BUSY: 'busy',
+    RINGING: 'ringing',
+    RINGINUSE: 'ringing',
+    ONHOLD: 'on_hold',
+    UNAVAILABLE: 'unavailable',
+    INVALID: 'invalid',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Extension of a device ('PJSIP/101' -> '101'), null for other devices
+ */
+export function extensionFromDevice(device) {
+    const match = /^([A-Za-z0-9]+)\/([^/&]+)$/.exec(device || '');
+    if (!match || !ENDPOINT_TECHNOLOGIES.includes(match[1].toUpperCase())) {
+        return null;
+    }
+    return match[2];
+}
+
+/**
+ * Normalize a device state ('NOT_INUSE', 'Not in use', ...)
+ */
+export function normalizeDeviceState(state) {
+    const key = String(state || '').toUpperCase().replace(/[\s_]/g, '');
+    return DEVICE_STATES[key] || 'unknown';
+}
+
+/**
+ * State of an ExtensionStatus Status bitmask
+ * (0 idle, 1 in use, 2 busy, 4 unavailable, 8 ringing, 16 on hold;
+ * negative values mean the hint was removed)
+ */
+export function extensionStatusToState(status) {
+    const value = parseInt(status);
+    if (!Number.isFinite(value) || value < 0) return 'unknown';
+    if (value & 4) return 'unavailable';
+    if (value & 8) return 'ringing';
+    if (value & 16) return 'on_hold';
+    if (value & 2) return 'busy';
+    if (value & 1) return 'in_use';
+    return 'idle';
+}
+
+/**
+ * Registration of a PeerStatus PeerStatus value, null if not conclusive
+ */
+export function registrationFromPeerStatus(peerStatus) {
+    switch (String(peerStatus || '').toLowerCase()) {
+        case 'registered':
+        case 'reachable':
+        case 'lagged':
+            return 'registered';
+        case 'unregistered':
+        case 'unreachable':
+        case 'rejected':
+            return 'unregistered';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Registration of a ContactStatus ContactStatus value, null if not conclusive
+ */
+export function registrationFromContactStatus(contactStatus) {
+    switch (String(contactStatus || '').toLowerCase()) {
+        case 'created':
+        case 'reachable':
+        case 'nonqualified':
+            return 'registered';
+        case 'removed':
+        case 'unreachable':
+            return 'unregistered';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Presence of an extension: unavailable when not registered or the device
+ * is unavailable, otherwise the device state
+ */
+export function presenceState({ deviceState, registration }) {
+    if (registration === 'unregistered' || deviceState === 'unavailable' || deviceState === 'invalid') {
+        return 'unavailable';
+    }
+    if (deviceState && deviceState !== 'unknown') {
+        return deviceState;
+    }
+    return registration === 'registered' ? 'idle' : 'unknown';
+}
@@ -0,0 +1,75 @@
+/**
+ * Transcript Formatter
+ * Renders transcript segments as WebVTT or SRT subtitles
+ */
+
+export const TRANSCRIPT_FORMATS = {
+    vtt: 'text/vtt; charset=utf-8',
+    srt: 'application/x-subrip; charset=utf-8'
+};
+
+/**
+ * Render segment rows as WebVTT
+ * Speakers are written as voice tags: <v Caller>text
+ */
+export function toWebVTT(segments) {
+    const cues = segments.map((segment, i) => {
+        const timing = `${formatTimestamp(segment.start_ms, '.')} --> ${formatTimestamp(segment.end_ms, '.')}`;
+        const text = segment.speaker
+            ? `<v ${capitalize(segment.speaker)}>${escapeVTT(segment.text)}`
+            : escapeVTT(segment.text);
+        return `${i + 1}\n${timing}\n${text}`;
+    });
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Render segment rows as SRT
+ * Speakers are written as a "Caller: " prefix
+ */
+export function toSRT(segments) {
+    const cues = segments.map((segment, i) => {
+        const timing = `${formatTimestamp(segment.start_ms, ',')} --> ${formatTimestamp(segment.end_ms, ',')}`;
+        const text = segment.speaker
+            ? `${capitalize(segment.speaker)}: ${segment.text}`
+            : segment.text;
+        return `${i + 1}\n${timing}\n${text}`;
+    });
+
+    return cues.join('\n\n') + '\n';
+}
+
+/**
+ * Render segment rows in the requested format ('vtt' or 'srt')
+ */
+export function formatTranscript(segments, format) {
+    return format === 'srt' ? toSRT(segments) : toWebVTT(segments);
+}
+
+/**
+ * Format milliseconds as hh:mm:ss.mmm (or hh:mm:ss,mmm for SRT)
+ */
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms || 0));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(millis, 3)}`;
+}
+
+function pad(value, length) {
+    return String(value).padStart(length, '0');
+}
+
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function escapeVTT(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export default { toWebVTT, toSRT, formatTranscript, TRANSCRIPT_FORMATS };
@@ -0,0 +1,218 @@
+/**
+ * WAV Utilities
+ *
+ * Minimal RIFF/WAVE reader and writer for the audio the gateway handles
+ * itself (text-to-speech output, recordings). Supports PCM 8/16/24/32-bit
+ * and 32-bit float input; output is always 16-bit PCM.
+ */
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Level reported for digital silence
+const MIN_DBFS = -96;
+
+/**
+ * Parse a WAV file buffer
+ * Returns { audioFormat, channels, sampleRate, bitsPerSample, data, durationMs }
+ */
+export function parseWav(buffer) {
+    if (buffer.length < 12
+        || buffer.toString('ascii', 0, 4) !== 'RIFF'
+        || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+        // Streaming writers leave the size at 0 or 0xFFFFFFFF - clamp to the file
+        const end = Math.min(start + chunkSize, buffer.length);
+
+        if (chunkId === 'fmt ') {
+            if (end - start < 16) {
+                throw new Error('Invalid WAV fmt chunk');
+            }
+            format = {
+                audioFormat: buffer.readUInt16LE(start),
+                channels: buffer.readUInt16LE(start + 2),
+                sampleRate: buffer.readUInt32LE(start + 4),
+                bitsPerSample: buffer.readUInt16LE(start + 14)
+            };
+            if (format.audioFormat === WAVE_FORMAT_EXTENSIBLE && end - start >= 26) {
+                format.audioFormat = buffer.readUInt16LE(start + 24);
+            }
+        } else if (chunkId === 'data') {
+            data = buffer.subarray(start, chunkSize === 0 ? buffer.length : end);
+            break;
+        }
+
+        // Chunks are word aligned
+        offset = start + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format) {
+        throw new Error('WAV file has no fmt chunk');
+    }
+    if (!data) {
+        throw new Error('WAV file has no data chunk');
+    }
+    if (format.channels < 1 || format.sampleRate < 1 || format.bitsPerSample < 8) {
+        throw new Error('Invalid WAV format parameters');
+    }
+
+    const frameSize = format.channels * (format.bitsPerSample / 8);
+    const frames = Math.floor(data.length / frameSize);
+
+    return {
+        ...format,
+        data: data.subarray(0, frames * frameSize),
+        durationMs: Math.round(frames / format.sampleRate * 1000)
+    };
+}
+
+/**
+ * Decode parsed WAV audio to mono 16-bit samples (channels averaged)
+ */
+export function toMono16(wav) {
+    const { audioFormat, channels, bitsPerSample, data } = wav;
+    const bytesPerSample = bitsPerSample / 8;
+    const frames = data.length / (bytesPerSample * channels);
+    const samples = new Int16Array(frames);
+
+    let read;
+    if (audioFormat === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32) {
+        read = (pos) => data.readFloatLE(pos) * 32767;
+    } else if (audioFormat !== WAVE_FORMAT_PCM) {
+        throw new Error(`Unsupported WAV encoding (format ${audioFormat})`);
+    } else if (bitsPerSample === 8) {
+        read = (pos) => (data[pos] - 128) << 8;
+    } else if (bitsPerSample === 16) {
+        read = (pos) => data.readInt16LE(pos);
+    } else if (bitsPerSample === 24) {
+        read = (pos) => data.readIntLE(pos, 3) >> 8;
+    } else if (bitsPerSample === 32) {
+        read = (pos) => data.readInt32LE(pos) >> 16;
+    } else {
+        throw new Error(`Unsupported WAV sample size: ${bitsPerSample} bits`);
+    }
+
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) {
+            sum += read((i * channels + c) * bytesPerSample);
+        }
+        samples[i] = clamp16(sum / channels);
+    }
+
+    return samples;
+}
+
+/**
+ * Linear-interpolation resampling of 16-bit samples
+ */
+export function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const length = Math.floor(samples.length * toRate / fromRate);
+    const output = new Int16Array(length);
+    const ratio = fromRate / toRate;
+
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        output[i] = clamp16(samples[index] + (samples[next] - samples[index]) * fraction);
+    }
+
+    return output;
+}
+
+/**
+ * Encode mono 16-bit samples as a PCM WAV file
+ */
+export function encodeWav(samples, sampleRate) {
+    const dataLength = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataLength);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataLength, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataLength, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16LE(samples[i], 44 + i * 2);
+    }
+
+    return buffer;
+}
+
+/**
+ * Level statistics of mono 16-bit samples
+ * A frame (frameMs long) counts as silent when its RMS level is below
+ * silenceThresholdDbfs. Returns { rmsDbfs, peakDbfs, silenceRatio }.
+ */
+export function analyzeLevels(samples, sampleRate, { frameMs = 20, silenceThresholdDbfs = -50 } = {}) {
+    if (samples.length === 0) {
+        return { rmsDbfs: MIN_DBFS, peakDbfs: MIN_DBFS, silenceRatio: 1 };
+    }
+
+    const frameLength = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+    let totalSquares = 0;
+    let peak = 0;
+    let frames = 0;
+    let silentFrames = 0;
+
+    for (let start = 0; start < samples.length; start += frameLength) {
+        const end = Math.min(start + frameLength, samples.length);
+        let frameSquares = 0;
+
+        for (let i = start; i < end; i++) {
+            const sample = samples[i];
+            frameSquares += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+
+        totalSquares += frameSquares;
+        frames++;
+        if (toDbfs(Math.sqrt(frameSquares / (end - start))) < silenceThresholdDbfs) {
+            silentFrames++;
+        }
+    }
+
+    return {
+        rmsDbfs: round(toDbfs(Math.sqrt(totalSquares / samples.length))),
+        peakDbfs: round(toDbfs(peak)),
+        silenceRatio: round(silentFrames / frames)
+    };
+}
+
+function toDbfs(level) {
+    return level > 0 ? Math.max(MIN_DBFS, 20 * Math.log10(level / 32768)) : MIN_DBFS;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function clamp16(value) {
+    return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+export default { parseWav, toMono16, resample, encodeWav, analyzeLevels };
@@ -0,0 +1,83 @@
+/**
+ * Alert engine tests: regex rule safety checks and chunked matching
+ *
+ * Usage: npm test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The engine imports the database module, which reads DATABASE_PATH when
+// it is loaded; no database is opened by these tests
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pbx-test-'));
+process.env.DATABASE_PATH = path.join(scratchDir, 'calls.db');
+process.env.NODE_ENV = 'production';
+
+const { AlertEngine } = await import('../src/services/alert-engine.js');
+
+after(() => {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+const regexRule = (pattern, flags) => ({
+    name: 'test',
+    matchType: 'regex',
+    config: { pattern, flags }
+});
+
+test('plain regex rules are accepted', () => {
+    for (const pattern of ['refund', 'cancel(led)? my (order|subscription)', '\\d{4,}', '[a-z]+@[a-z]+', '(?:foo)+bar']) {
+        assert.deepEqual(AlertEngine.validateRule(regexRule(pattern)), [], pattern);
+    }
+});
+
+test('repeated groups containing a quantifier or alternative are rejected', () => {
+    for (const pattern of ['(a+)+', '(a*)*b', '(a|ab)*', '(?:x\\d+){2,}', '((ab)+c)+', '(a?){10}']) {
+        const errors = AlertEngine.validateRule(regexRule(pattern));
+        assert.equal(errors.length, 1, pattern);
+        assert.match(errors[0], /must not repeat a group/);
+    }
+});
+
+test('quantifiers inside character classes and escapes are not nested quantifiers', () => {
+    for (const pattern of ['([+*]x)+', '(\\+1)+', '(a\\|b)*']) {
+        assert.deepEqual(AlertEngine.validateRule(regexRule(pattern)), [], pattern);
+    }
+});
+
+test('backreferences, invalid and overlong patterns are rejected', () => {
+    assert.match(AlertEngine.validateRule(regexRule('(a)\\1'))[0], /backreferences/);
+    assert.match(AlertEngine.validateRule(regexRule('(?<w>a)\\k<w>'))[0], /backreferences/);
+    assert.match(AlertEngine.validateRule(regexRule('(unclosed'))[0], /not a valid regex/);
+    assert.match(AlertEngine.validateRule(regexRule('a', 'z'))[0], /not a valid regex/);
+    assert.match(AlertEngine.validateRule(regexRule('a'.repeat(201)))[0], /at most 200 characters/);
+});
+
+test('unsafe stored patterns are skipped when matching', () => {
+    assert.deepEqual(AlertEngine.matchRegex('(a+)+$', '', `${'a'.repeat(40)}!`), []);
+});
+
+test('matches keep their position in the full text across chunks', () => {
+    const filler = 'word '.repeat(300);
+    const text = `${filler}refund please ${filler}REFUND now`;
+    const matches = AlertEngine.matchRegex('refund', 'i', text);
+
+    assert.equal(matches.length, 2);
+    for (const match of matches) {
+        assert.equal(text.slice(match.start, match.end).toLowerCase(), 'refund');
+    }
+    assert.equal(matches[0].start, filler.length);
+});
+
+test('chunks break at whitespace so words are not split', () => {
+    // One long run of words; a chunk boundary at a fixed length would fall
+    // inside one of the numbers
+    const text = Array.from({ length: 400 }, (_, i) => `n${1000 + i}`).join(' ');
+    const matches = AlertEngine.matchRegex('n\\d{4}', '', text);
+
+    assert.equal(matches.length, 400);
+    assert.ok(matches.every(match => match.text.length === 5));
+});
@@ -0,0 +1,115 @@
+/**
+ * Campaign manager tests: dialing windows, campaign validation and CSV
+ * contact import
+ *
+ * Usage: npm test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The manager imports the database module, which reads DATABASE_PATH when
+// it is loaded; no database is opened by these tests
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pbx-test-'));
+process.env.DATABASE_PATH = path.join(scratchDir, 'calls.db');
+process.env.NODE_ENV = 'production';
+
+const { CampaignManager, isWithinSchedule } = await import('../src/services/campaign-manager.js');
+
+after(() => {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+// 2024-01-03 was a Wednesday (day 3)
+const at = time => new Date(`2024-01-03T${time}:00Z`);
+
+test('without a schedule every time is within it', () => {
+    assert.equal(isWithinSchedule(null, at('03:00')), true);
+    assert.equal(isWithinSchedule(undefined, at('23:59')), true);
+});
+
+test('the window includes its start and excludes its end', () => {
+    const schedule = { start: '09:00', end: '17:00', timezone: 'UTC' };
+
+    assert.equal(isWithinSchedule(schedule, at('08:59')), false);
+    assert.equal(isWithinSchedule(schedule, at('09:00')), true);
+    assert.equal(isWithinSchedule(schedule, at('16:59')), true);
+    assert.equal(isWithinSchedule(schedule, at('17:00')), false);
+});
+
+test('weekdays are checked in the schedule time zone', () => {
+    assert.equal(isWithinSchedule({ days: [3], timezone: 'UTC' }, at('12:00')), true);
+    assert.equal(isWithinSchedule({ days: [1, 2, 4, 5], timezone: 'UTC' }, at('12:00')), false);
+
+    // 02:00 UTC on Wednesday is still Tuesday evening in New York
+    assert.equal(isWithinSchedule({ days: [2], timezone: 'America/New_York' }, at('02:00')), true);
+    assert.equal(isWithinSchedule({ days: [3], timezone: 'America/New_York' }, at('02:00')), false);
+});
+
+test('times are compared in the schedule time zone', () => {
+    const schedule = { start: '09:00', end: '17:00', timezone: 'Europe/Berlin' };
+
+    assert.equal(isWithinSchedule(schedule, at('08:30')), true, '09:30 in Berlin');
+    assert.equal(isWithinSchedule(schedule, at('16:30')), false, '17:30 in Berlin');
+});
+
+test('a window whose end is before its start spans midnight', () => {
+    const schedule = { start: '22:00', end: '06:00', timezone: 'UTC' };
+
+    assert.equal(isWithinSchedule(schedule, at('23:30')), true);
+    assert.equal(isWithinSchedule(schedule, at('05:59')), true);
+    assert.equal(isWithinSchedule(schedule, at('06:00')), false);
+    assert.equal(isWithinSchedule(schedule, at('12:00')), false);
+});
+
+test('a window ending at 24:00 includes the last minute of the day', () => {
+    assert.equal(isWithinSchedule({ start: '18:00', end: '24:00', timezone: 'UTC' }, at('23:59')), true);
+});
+
+test('valid schedules pass campaign validation', () => {
+    const campaign = {
+        name: 'Reminders',
+        flow: 'reminder',
+        schedule: { days: [1, 2, 3, 4, 5], start: '09:00', end: '24:00', timezone: 'Europe/Berlin' }
+    };
+
+    assert.deepEqual(CampaignManager.validateCampaign(campaign), []);
+});
+
+test('invalid schedules are rejected with one error per field', () => {
+    const errors = schedule => CampaignManager.validateCampaign({ name: 'c', flow: 'f', schedule });
+
+    assert.deepEqual(errors([]), ['schedule must be an object']);
+    assert.deepEqual(errors(null), ['schedule must be an object']);
+    assert.match(errors({ days: [7] })[0], /schedule\.days/);
+    assert.match(errors({ days: 'weekdays' })[0], /schedule\.days/);
+    assert.match(errors({ start: '9:00' })[0], /schedule\.start must be a time/);
+    assert.match(errors({ end: '24:30' })[0], /schedule\.end must be a time/);
+    assert.match(errors({ timezone: 'Mars/Olympus' })[0], /not a known time zone/);
+    assert.equal(errors({ days: [9], start: 'x', end: 'y' }).length, 3);
+});
+
+test('contactsFromCsv dials the number column and keeps the others as variables', () => {
+    const contacts = CampaignManager.contactsFromCsv(
+        'name,Phone,appointment\r\n"Doe, Jane",+4930123456,"Tue ""early"""\r\n\r\nBob,555\n'
+    );
+
+    assert.deepEqual(contacts, [
+        { number: '+4930123456', variables: { name: 'Doe, Jane', appointment: 'Tue "early"' } },
+        { number: '555', variables: { name: 'Bob', appointment: '' } }
+    ]);
+});
+
+test('contactsFromCsv uses the first column without a number column', () => {
+    const contacts = CampaignManager.contactsFromCsv('mobile,name\n0151234,Ann\n');
+
+    assert.deepEqual(contacts, [{ number: '0151234', variables: { name: 'Ann' } }]);
+});
+
+test('contactsFromCsv returns nothing for empty input', () => {
+    assert.deepEqual(CampaignManager.contactsFromCsv(''), []);
+    assert.deepEqual(CampaignManager.contactsFromCsv('number\n'), []);
+});
@@ -0,0 +1,142 @@
+/**
+ * Call lifecycle tests against the fake Asterisk
+ *
+ * AMIClient and ARIClient connect to an in-process FakeAsterisk; calls
+ * are stored in a database in a temporary directory.
+ *
+ * Usage: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The database module reads DATABASE_PATH when it is loaded, so the
+// scratch paths are set before the gateway modules are imported
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pbx-test-'));
+process.env.DATABASE_PATH = path.join(scratchDir, 'calls.db');
+process.env.RECORDINGS_DIR = path.join(scratchDir, 'recordings');
+process.env.TTS_CACHE_DIR = path.join(scratchDir, 'tts-cache');
+process.env.NODE_ENV = 'production';
+delete process.env.AMI_CAPTURE_FILE;
+
+const { FakeAsterisk } = await import('../fake-asterisk/index.js');
+const { AMIClient } = await import('../src/services/ami-client.js');
+const { ARIClient } = await import('../src/services/ari-client.js');
+const { initDatabase, closeDatabase } = await import('../src/database/init.js');
+const { CallRepository } = await import('../src/database/call-repository.js');
+const { CdrRepository } = await import('../src/database/cdr-repository.js');
+const { TranscriptionRepository } = await import('../src/database/transcription-repository.js');
+
+const STEP_TIMEOUT_MS = 10000;
+
+let fake;
+let instance;
+let amiClient;
+let ariClient;
+
+before(async () => {
+    await initDatabase();
+
+    fake = new FakeAsterisk();
+    await fake.start();
+    instance = fake.instanceConfig('test');
+
+    amiClient = new AMIClient(instance);
+    ariClient = new ARIClient(instance);
+    await amiClient.connect();
+    await ariClient.connect();
+    await fake.waitForApplication(instance.ari.appName, STEP_TIMEOUT_MS);
+});
+
+after(async () => {
+    await ariClient?.disconnect();
+    await amiClient?.disconnect();
+    await fake?.stop();
+    closeDatabase();
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+test('answered call is stored from Newchannel to Hangup with its CDR', async () => {
+    const cdrStored = waitFor(amiClient, 'cdr');
+    const { caller, callee } = await fake.call({ from: '1001', to: '1002', talkMs: 1100 });
+    const cdr = await cdrStored;
+
+    assert.equal(cdr.uniqueId, caller.id);
+    assert.equal(cdr.disposition, 'ANSWERED');
+
+    const call = await CallRepository.getCallByUniqueId('test', caller.id);
+    assert.ok(call, 'call record exists');
+    assert.equal(call.pbx, 'test');
+    assert.equal(call.caller_id, '1001');
+    assert.equal(call.destination, '1002');
+    assert.equal(call.call_state, 'ended');
+    assert.ok(call.answer_time, 'answer time is set');
+    assert.ok(call.end_time, 'end time is set');
+    assert.equal(call.hangup_cause, '16');
+    assert.equal(call.disposition, 'ANSWERED');
+    assert.equal(call.billable_seconds, cdr.billableSeconds);
+
+    const cdrs = await CdrRepository.getCdrsByCallId(call.id);
+    assert.equal(cdrs.length, 1);
+    assert.equal(cdrs[0].destination_channel, callee.name);
+
+    // The dialed leg carries the dial status
+    const leg = await CallRepository.getCallByUniqueId('test', callee.id);
+    assert.equal(leg.dial_status, 'ANSWER');
+    assert.equal(leg.call_state, 'ended');
+});
+
+test('busy call ends with the dial status and cause of the callee', async () => {
+    const cdrStored = waitFor(amiClient, 'cdr');
+    const { caller, callee } = await fake.call({ from: '1001', to: '1003', outcome: 'busy' });
+    await cdrStored;
+
+    const call = await CallRepository.getCallByUniqueId('test', caller.id);
+    assert.equal(call.call_state, 'ended');
+    assert.equal(call.hangup_cause, '17');
+    assert.equal(call.answer_time, null);
+    assert.equal(call.disposition, 'BUSY');
+
+    const leg = await CallRepository.getCallByUniqueId('test', callee.id);
+    assert.equal(leg.dial_status, 'BUSY');
+});
+
+test('Stasis call is answered, recorded and hung up by the ARI client', async () => {
+    const ended = waitFor(ariClient, 'stasisend');
+    const channel = fake.stasisCall({ from: '1004', appName: instance.ari.appName });
+    await waitFor(fake, 'arirequest', (request) => request.path === `/channels/${channel.id}/answer`);
+    await ended;
+
+    const call = await CallRepository.getCallByUniqueId('test', channel.id);
+    assert.ok(call, 'call record exists');
+    assert.equal(call.caller_id, '1004');
+    assert.equal(call.call_state, 'ended');
+    assert.ok(call.answer_time, 'call was answered');
+
+    const transcription = await TranscriptionRepository.getTranscriptionByCallId(call.id);
+    assert.ok(transcription, 'recording was queued for transcription');
+    assert.ok(fs.existsSync(transcription.recording_path), 'recording file exists');
+});
+
+/**
+ * Resolve with the first event matching a predicate, fail after
+ * STEP_TIMEOUT_MS
+ */
+function waitFor(emitter, event, predicate = () => true) {
+    return new Promise((resolve, reject) => {
+        const listener = (data) => {
+            if (!predicate(data)) return;
+            clearTimeout(timer);
+            emitter.removeListener(event, listener);
+            resolve(data);
+        };
+        const timer = setTimeout(() => {
+            emitter.removeListener(event, listener);
+            reject(new Error(`No '${event}' event within ${STEP_TIMEOUT_MS}ms`));
+        }, STEP_TIMEOUT_MS);
+        emitter.on(event, listener);
+    });
+}
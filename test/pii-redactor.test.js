@@ -0,0 +1,102 @@
+/**
+ * PII redactor tests
+ *
+ * Usage: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIIRedactor, luhnCheck } from '../src/utils/pii-redactor.js';
+
+const redactor = new PIIRedactor({ enabled: true, customPatterns: [] });
+
+test('luhnCheck accepts valid card numbers of 13 to 19 digits only', () => {
+    assert.equal(luhnCheck('4111111111111111'), true);
+    assert.equal(luhnCheck('5500000000000004'), true);
+    assert.equal(luhnCheck('4111111111111112'), false);
+    assert.equal(luhnCheck('411111111111'), false, '12 digits');
+    assert.equal(luhnCheck('41111111111111111111'), false, '20 digits');
+});
+
+test('card numbers are masked only when they pass the Luhn check', () => {
+    const valid = redactor.redact('my card is 4111 1111 1111 1111 thanks');
+    assert.equal(valid.text, 'my card is [REDACTED_CARD] thanks');
+    assert.deepEqual(valid.report.counts, { card: 1 });
+
+    const invalid = redactor.redact('order 4111 1111 1111 1112');
+    assert.ok(!invalid.text.includes('[REDACTED_CARD]'));
+});
+
+test('social security numbers are masked, impossible ones are not', () => {
+    assert.equal(redactor.redact('ssn 123-45-6789').text, 'ssn [REDACTED_SSN]');
+    assert.equal(redactor.redact('ssn 123 45 6789').text, 'ssn [REDACTED_SSN]');
+
+    for (const number of ['000-12-3456', '666-12-3456', '912-12-3456', '123-00-4567', '123-45-0000']) {
+        assert.equal(redactor.redact(`ssn ${number}`).text, `ssn ${number}`, number);
+    }
+});
+
+test('phone numbers are masked in common notations', () => {
+    for (const number of ['(555) 123-4567', '555-123-4567', '555.123.4567', '+1 555 123 4567']) {
+        assert.equal(redactor.redact(`call ${number} now`).text, 'call [REDACTED_PHONE] now', number);
+    }
+    assert.equal(redactor.redact('extension 101').text, 'extension 101');
+});
+
+test('the report lists types and positions but never the values', () => {
+    const { text, report } = redactor.redact('mail jane@example.com or call 555-123-4567');
+
+    assert.equal(text, 'mail [REDACTED_EMAIL] or call [REDACTED_PHONE]');
+    assert.equal(report.total, 2);
+    assert.deepEqual(report.items.map(item => item.type), ['email', 'phone']);
+    assert.ok(!JSON.stringify(report).includes('jane'));
+    assert.ok(!JSON.stringify(report).includes('4567'));
+});
+
+test('custom patterns are applied from JSON, invalid config disables them', () => {
+    const custom = new PIIRedactor({
+        enabled: true,
+        customPatterns: '[{"name":"account","pattern":"ACC-\\\\d{6}","flags":"i"}]'
+    });
+    assert.equal(custom.redact('account acc-123456').text, 'account [REDACTED_ACCOUNT]');
+
+    const broken = new PIIRedactor({ enabled: true, customPatterns: 'not json' });
+    assert.equal(broken.redact('account ACC-123456').text, 'account ACC-123456');
+});
+
+test('values split across segments are masked in every segment', () => {
+    const segments = redactor.redactSegments([
+        { start_ms: 0, text: 'my number is 555 123' },
+        { start_ms: 1000, text: '4567 ok' }
+    ]);
+
+    assert.equal(segments[0].text, 'my number is [REDACTED_PHONE]');
+    assert.equal(segments[1].text, '[REDACTED_PHONE] ok');
+    assert.equal(segments[1].start_ms, 1000);
+});
+
+test('redactEventData masks nested values but keeps channel identifiers', () => {
+    const event = {
+        Event: 'Newchannel',
+        Uniqueid: '1700000000.42',
+        Channel: 'PJSIP/5551234567-00000001',
+        CallerIDNum: '555-123-4567',
+        nested: { note: 'mail jane@example.com', list: ['555-123-4567', 7] }
+    };
+    const redacted = redactor.redactEventData(event);
+
+    assert.equal(redacted.Event, 'Newchannel');
+    assert.equal(redacted.Uniqueid, '1700000000.42');
+    assert.equal(redacted.Channel, 'PJSIP/5551234567-00000001');
+    assert.equal(redacted.CallerIDNum, '[REDACTED_PHONE]');
+    assert.equal(redacted.nested.note, 'mail [REDACTED_EMAIL]');
+    assert.deepEqual(redacted.nested.list, ['[REDACTED_PHONE]', 7]);
+});
+
+test('nothing is masked when redaction is disabled', () => {
+    const disabled = new PIIRedactor({ enabled: false, customPatterns: [] });
+    const event = { CallerIDNum: '555-123-4567' };
+
+    assert.equal(disabled.redact('ssn 123-45-6789').text, 'ssn 123-45-6789');
+    assert.equal(disabled.redactEventData(event), event);
+});